@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Adds the warranty, support-contract and licence expiry date fields to the
+ * asset custom object, skipping any that already exist. Run once per Zendesk
+ * instance before relying on the daily expiry check or GET /api/assets/expiring.
+ *
+ * Usage:
+ *   node bin/create-asset-expiry-fields.js            # show what would be created
+ *   node bin/create-asset-expiry-fields.js --apply    # create them
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const { EXPIRY_KINDS } = require('../services/assetExpiry');
+
+const SUBDOMAIN = process.env.ZENDESK_SUBDOMAIN;
+const EMAIL = process.env.ZENDESK_EMAIL;
+const TOKEN = process.env.ZENDESK_API_TOKEN;
+
+if (!SUBDOMAIN || !EMAIL || !TOKEN) {
+  console.error('Missing Zendesk credentials. Expected ZENDESK_SUBDOMAIN, ZENDESK_EMAIL,');
+  console.error('ZENDESK_API_TOKEN — the same ones services/syncJobs.js already uses.');
+  process.exit(1);
+}
+
+const APPLY = process.argv.includes('--apply');
+const api = axios.create({
+  baseURL: `https://${SUBDOMAIN}.zendesk.com/api/v2`,
+  headers: {
+    Authorization: `Basic ${Buffer.from(`${EMAIL}/token:${TOKEN}`).toString('base64')}`,
+    'Content-Type': 'application/json'
+  }
+});
+
+async function main() {
+  const { data } = await api.get('/custom_objects/asset/fields.json');
+  const existing = new Set((data.custom_object_fields || []).map(f => f.key));
+
+  for (const { field, label } of Object.values(EXPIRY_KINDS)) {
+    if (existing.has(field)) {
+      console.log(`  exists   ${field}`);
+      continue;
+    }
+    if (!APPLY) {
+      console.log(`  missing  ${field}  (run with --apply to create)`);
+      continue;
+    }
+    await api.post('/custom_objects/asset/fields.json', {
+      custom_object_field: { type: 'date', key: field, title: `${label} expiry` }
+    });
+    console.log(`  created  ${field}`);
+  }
+}
+
+main().catch(err => {
+  console.error('Failed:', err.response?.data || err.message);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Adds the location_id text field to the asset custom object, unless it
+ * already exists. It holds the id of the asset's place in the location tree
+ * (migrations/024_locations.sql); the asset sync lifts it into
+ * assets.location_id. Run once per Zendesk instance.
+ *
+ * Usage:
+ *   node bin/create-asset-location-field.js            # show whether it is missing
+ *   node bin/create-asset-location-field.js --apply    # create it
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+
+const LOCATION_FIELD = 'location_id';
+
+const SUBDOMAIN = process.env.ZENDESK_SUBDOMAIN;
+const EMAIL = process.env.ZENDESK_EMAIL;
+const TOKEN = process.env.ZENDESK_API_TOKEN;
+
+if (!SUBDOMAIN || !EMAIL || !TOKEN) {
+  console.error('Missing Zendesk credentials. Expected ZENDESK_SUBDOMAIN, ZENDESK_EMAIL,');
+  console.error('ZENDESK_API_TOKEN — the same ones services/syncJobs.js already uses.');
+  process.exit(1);
+}
+
+const APPLY = process.argv.includes('--apply');
+const api = axios.create({
+  baseURL: `https://${SUBDOMAIN}.zendesk.com/api/v2`,
+  headers: {
+    Authorization: `Basic ${Buffer.from(`${EMAIL}/token:${TOKEN}`).toString('base64')}`,
+    'Content-Type': 'application/json'
+  }
+});
+
+async function main() {
+  const { data } = await api.get('/custom_objects/asset/fields.json');
+  const existing = new Set((data.custom_object_fields || []).map(f => f.key));
+
+  if (existing.has(LOCATION_FIELD)) {
+    console.log(`  exists   ${LOCATION_FIELD}`);
+    return;
+  }
+  if (!APPLY) {
+    console.log(`  missing  ${LOCATION_FIELD}  (run with --apply to create)`);
+    return;
+  }
+  await api.post('/custom_objects/asset/fields.json', {
+    custom_object_field: { type: 'text', key: LOCATION_FIELD, title: 'Location ID' }
+  });
+  console.log(`  created  ${LOCATION_FIELD}`);
+}
+
+main().catch(err => {
+  console.error('Failed:', err.response?.data || err.message);
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Adds the lifecycle statuses from asset_statuses (migrations/013_asset_lifecycle.sql)
+ * to the options of the asset custom object's status dropdown, keeping the
+ * options it already has. Without them Zendesk rejects a status the lifecycle
+ * allows. Run once per Zendesk instance after the migration, and again after
+ * inserting a new status.
+ *
+ * Usage:
+ *   node bin/create-asset-status-options.js            # show which options are missing
+ *   node bin/create-asset-status-options.js --apply    # add them
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const db = require('../db');
+const { getLifecycle } = require('../services/assetLifecycle');
+
+const STATUS_FIELD = 'status';
+
+const SUBDOMAIN = process.env.ZENDESK_SUBDOMAIN;
+const EMAIL = process.env.ZENDESK_EMAIL;
+const TOKEN = process.env.ZENDESK_API_TOKEN;
+
+if (!SUBDOMAIN || !EMAIL || !TOKEN) {
+  console.error('Missing Zendesk credentials. Expected ZENDESK_SUBDOMAIN, ZENDESK_EMAIL,');
+  console.error('ZENDESK_API_TOKEN — the same ones services/syncJobs.js already uses.');
+  process.exit(1);
+}
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL is not set.');
+  process.exit(1);
+}
+
+const APPLY = process.argv.includes('--apply');
+const api = axios.create({
+  baseURL: `https://${SUBDOMAIN}.zendesk.com/api/v2`,
+  headers: {
+    Authorization: `Basic ${Buffer.from(`${EMAIL}/token:${TOKEN}`).toString('base64')}`,
+    'Content-Type': 'application/json'
+  }
+});
+
+async function main() {
+  const { statuses } = await getLifecycle(db.getPool());
+
+  const { data } = await api.get('/custom_objects/asset/fields.json');
+  const field = (data.custom_object_fields || []).find(f => f.key === STATUS_FIELD);
+  if (!field) {
+    throw new Error(`The asset object has no ${STATUS_FIELD} field`);
+  }
+  if (field.type !== 'dropdown') {
+    console.log(`  ${STATUS_FIELD} is a ${field.type} field, not a dropdown; nothing to add`);
+    return;
+  }
+
+  const options = field.custom_field_options || [];
+  const existing = new Set(options.map(o => String(o.value).toLowerCase()));
+  const missing = statuses.filter(s => !existing.has(s.status));
+
+  for (const { status } of statuses) {
+    if (existing.has(status)) console.log(`  exists   ${status}`);
+  }
+  if (missing.length === 0) return;
+  if (!APPLY) {
+    for (const { status } of missing) {
+      console.log(`  missing  ${status}  (run with --apply to add)`);
+    }
+    return;
+  }
+
+  // The update replaces the option list, so the current options go back in
+  // with their ids.
+  await api.patch(`/custom_objects/asset/fields/${field.id}.json`, {
+    custom_object_field: {
+      custom_field_options: [
+        ...options.map(({ id, name, value }) => ({ id, name, value })),
+        ...missing.map(({ status, label }) => ({ name: label, value: status }))
+      ]
+    }
+  });
+  for (const { status } of missing) {
+    console.log(`  added    ${status}`);
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('Failed:', err.response?.data || err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
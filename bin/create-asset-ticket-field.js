@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Adds the ticket lookup field that points at an asset record, unless one
+ * already exists, and prints its id. Set ASSET_TICKET_FIELD_ID to that id:
+ * without it links between assets and tickets stay in Postgres only
+ * (migrations/015_asset_ticket_links.sql) and links made in Zendesk are not
+ * synced back. Run once per Zendesk instance.
+ *
+ * Usage:
+ *   node bin/create-asset-ticket-field.js            # show whether it is missing
+ *   node bin/create-asset-ticket-field.js --apply    # create it
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+
+const ASSET_TARGET = 'zen:custom_object:asset';
+
+const SUBDOMAIN = process.env.ZENDESK_SUBDOMAIN;
+const EMAIL = process.env.ZENDESK_EMAIL;
+const TOKEN = process.env.ZENDESK_API_TOKEN;
+
+if (!SUBDOMAIN || !EMAIL || !TOKEN) {
+  console.error('Missing Zendesk credentials. Expected ZENDESK_SUBDOMAIN, ZENDESK_EMAIL,');
+  console.error('ZENDESK_API_TOKEN — the same ones services/syncJobs.js already uses.');
+  process.exit(1);
+}
+
+const APPLY = process.argv.includes('--apply');
+const api = axios.create({
+  baseURL: `https://${SUBDOMAIN}.zendesk.com/api/v2`,
+  headers: {
+    Authorization: `Basic ${Buffer.from(`${EMAIL}/token:${TOKEN}`).toString('base64')}`,
+    'Content-Type': 'application/json'
+  }
+});
+
+async function main() {
+  const fields = [];
+  let url = '/ticket_fields.json';
+  while (url) {
+    const { data } = await api.get(url);
+    fields.push(...(data.ticket_fields || []));
+    url = data.next_page;
+  }
+
+  const existing = fields.find(f => f.type === 'lookup' && f.relationship_target_type === ASSET_TARGET);
+  if (existing) {
+    console.log(`  exists   ${existing.title}  (ASSET_TICKET_FIELD_ID=${existing.id})`);
+    return;
+  }
+  if (!APPLY) {
+    console.log('  missing  asset lookup field  (run with --apply to create)');
+    return;
+  }
+  const { data } = await api.post('/ticket_fields.json', {
+    ticket_field: { type: 'lookup', title: 'Asset', relationship_target_type: ASSET_TARGET }
+  });
+  console.log(`  created  Asset  (ASSET_TICKET_FIELD_ID=${data.ticket_field.id})`);
+}
+
+main().catch(err => {
+  console.error('Failed:', err.response?.data || err.message);
+  process.exit(1);
+});
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Adds the siportal_device_id text field to the asset custom object, unless
+ * it already exists. The SiPortal import refuses to write assets until it is
+ * there, so run this once per Zendesk instance first.
+ *
+ * Usage:
+ *   node bin/create-siportal-device-field.js            # show whether it is missing
+ *   node bin/create-siportal-device-field.js --apply    # create it
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const { DEVICE_ID_FIELD } = require('../services/siportalImport');
+
+const SUBDOMAIN = process.env.ZENDESK_SUBDOMAIN;
+const EMAIL = process.env.ZENDESK_EMAIL;
+const TOKEN = process.env.ZENDESK_API_TOKEN;
+
+if (!SUBDOMAIN || !EMAIL || !TOKEN) {
+  console.error('Missing Zendesk credentials. Expected ZENDESK_SUBDOMAIN, ZENDESK_EMAIL,');
+  console.error('ZENDESK_API_TOKEN — the same ones services/syncJobs.js already uses.');
+  process.exit(1);
+}
+
+const APPLY = process.argv.includes('--apply');
+const api = axios.create({
+  baseURL: `https://${SUBDOMAIN}.zendesk.com/api/v2`,
+  headers: {
+    Authorization: `Basic ${Buffer.from(`${EMAIL}/token:${TOKEN}`).toString('base64')}`,
+    'Content-Type': 'application/json'
+  }
+});
+
+async function main() {
+  const { data } = await api.get('/custom_objects/asset/fields.json');
+  const existing = new Set((data.custom_object_fields || []).map(f => f.key));
+
+  if (existing.has(DEVICE_ID_FIELD)) {
+    console.log(`  exists   ${DEVICE_ID_FIELD}`);
+    return;
+  }
+  if (!APPLY) {
+    console.log(`  missing  ${DEVICE_ID_FIELD}  (run with --apply to create)`);
+    return;
+  }
+  await api.post('/custom_objects/asset/fields.json', {
+    custom_object_field: { type: 'text', key: DEVICE_ID_FIELD, title: 'SiPortal device ID' }
+  });
+  console.log(`  created  ${DEVICE_ID_FIELD}`);
+}
+
+main().catch(err => {
+  console.error('Failed:', err.response?.data || err.message);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+'use strict';
+require('dotenv').config();
+
+/**
+ * Writes a CSV of every SiPortal device of an organization's companies: its
+ * rollup's when it has one (services/siportalRollups.js), otherwise its
+ * confirmed company links. Replaces export-bilh-assets.js, which only knew
+ * the BILH prefix.
+ *
+ * Usage:
+ *   node bin/export-rollup-assets.js --org <zendesk organization id> [--out file.csv]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const rollups = require(path.join(__dirname, '..', 'services', 'siportalRollups'));
+const siportalDevices = require(path.join(__dirname, '..', 'services', 'siportalDevices'));
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 ? process.argv[i + 1] : fallback;
+}
+
+const ORG_ID = arg('org');
+
+if (!/^\d+$/.test(String(ORG_ID))) {
+  console.error('Usage: node bin/export-rollup-assets.js --org <zendesk organization id> [--out file.csv]');
+  process.exit(1);
+}
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL is not set.');
+  process.exit(1);
+}
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.PGSSL === 'disable' ? false : { rejectUnauthorized: false }
+});
+
+function escapeCSV(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+function toCSV(assets) {
+  const headers = [
+    'Display Name', 'Company Name', 'Company ID', 'Asset Tag', 'Name',
+    'Host Name', 'IP Address', 'Serial Number', 'Type', 'Status',
+    'Description', 'Location', 'Assigned User'
+  ];
+
+  const rows = assets.map(a => [
+    a.display_name, a.company_name, a.company_id, a.asset_tag, a.name,
+    a.host_name, a.ip_address, a.serial_number, a.type, a.status,
+    a.description, a.location, a.assigned_user
+  ].map(escapeCSV).join(','));
+
+  return [headers.join(','), ...rows].join('\n');
+}
+
+function toAsset(device, company) {
+  return {
+    display_name: company.display_name,
+    company_name: device.company?.name || company.name,
+    company_id: company.id,
+    asset_tag: device.tag,
+    name: device.name,
+    host_name: device.hostName || device.hostname,
+    ip_address: device.ips?.length > 0 ? device.ips.map(i => i.ip).filter(Boolean).join(' | ') : '',
+    serial_number: device.serial,
+    type: device.type?.name,
+    status: device.status,
+    description: device.description,
+    location: typeof device.location === 'object' ? device.location?.name : device.location,
+    assigned_user: device.contact?.name || ''
+  };
+}
+
+async function main() {
+  const { rollup, companies } = await rollups.organizationCompanies(pool, ORG_ID);
+  console.log(rollup
+    ? `Rollup "${rollup.name}"${rollup.company_prefix ? ` (prefix ${rollup.company_prefix})` : ''}: ${companies.length} companies`
+    : `Organization ${ORG_ID} (company links): ${companies.length} companies`);
+
+  if (companies.length === 0) {
+    console.log('No companies - nothing to export.');
+    return;
+  }
+
+  const assets = [];
+  const empty = [];
+  let complete = true;
+  for (const company of companies) {
+    const fetched = await siportalDevices.fetchCompanyDevices(company);
+    complete = complete && fetched.complete;
+    if (fetched.devices.length === 0) empty.push(company);
+    console.log(`  ${company.display_name} (${company.id}): ${fetched.devices.length} devices${fetched.complete ? '' : ' (incomplete)'}`);
+    assets.push(...fetched.devices.map(device => toAsset(device, company)));
+  }
+
+  if (empty.length > 0) {
+    console.log('\nCompanies with 0 devices:');
+    empty.forEach(c => console.log(`  - ${c.name} (ID: ${c.id})`));
+  }
+  if (!complete) console.warn('\n⚠️  Some device lists were cut short by the request budget.');
+
+  const slug = (rollup?.name || `org_${ORG_ID}`).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  const filename = arg('out', `${slug}_assets_export_${new Date().toISOString().slice(0, 10)}.csv`);
+  fs.writeFileSync(filename, toCSV(assets));
+
+  console.log(`\n✅ Total assets exported: ${assets.length}`);
+  console.log(`Saved to ${filename}`);
+}
+
+main()
+  .then(() => pool.end())
+  .catch(async err => {
+    console.error('\n=== UNHANDLED ERROR ===');
+    console.error(err);
+    await pool.end();
+    process.exit(1);
+  });
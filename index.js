@@ -28,6 +28,21 @@ const allowedOrigins = [
   null
 ];
 
+// The catalog approval page posts its form back to the backend it was
+// served from, so browsers send that origin (see services/catalogApprovals.js).
+if (process.env.CATALOG_APPROVAL_BASE_URL) {
+  try {
+    allowedOrigins.push(new URL(process.env.CATALOG_APPROVAL_BASE_URL).origin);
+  } catch (error) {
+    console.warn(`⚠️ CATALOG_APPROVAL_BASE_URL is not a URL: ${process.env.CATALOG_APPROVAL_BASE_URL}`);
+  }
+}
+
+// Without it asset-ticket links are kept locally only (see services/assetTickets.js).
+if (!process.env.ASSET_TICKET_FIELD_ID) {
+  console.warn('⚠️ ASSET_TICKET_FIELD_ID is not set: asset links will not be written to tickets. Run bin/create-asset-ticket-field.js for the id.');
+}
+
 app.use(cors({
   origin: function(origin, callback) {
     // Allow requests with no origin (like Postman, curl, or server-to-server, or local files)
@@ -52,7 +67,13 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json({ limit: '50mb' }));  // Increase JSON body size limit
+app.use(express.json({
+  limit: '50mb',  // Increase JSON body size limit
+  // Webhook signatures are over the exact bytes sent, so keep them.
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));  // Also handle URL-encoded data
 app.use(cookieParser());
 
@@ -0,0 +1,38 @@
+-- Asset store: a local mirror of the Zendesk `asset` custom object.
+--
+-- getAllAssets, getAssetsByOrganizationId and getUserAssetsById page through
+-- every custom-object record and filter in memory, so opening a ticket sidebar
+-- downloaded the whole inventory - fifty-odd requests to show one person's
+-- laptop. The sync in services/syncJobs.js keeps this table current and the
+-- /api/assets routes read from it with an indexed lookup instead.
+--
+-- Zendesk stays the source of truth. Writes still go to Zendesk first and are
+-- mirrored here afterwards; a row that disagrees is corrected by the next sync.
+--
+--   psql "$DATABASE_URL" -f migrations/010_assets.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS assets (
+  -- Custom object record ids are ULID strings, not integers.
+  id                    TEXT PRIMARY KEY,
+  -- The record name is what the sidebar shows as the asset tag.
+  name                  TEXT,
+  external_id           TEXT,
+  -- Lifted out of custom_object_fields so the two lookups the sidebar makes
+  -- can use an index. NULL when the field is empty or not a numeric id.
+  assigned_to           BIGINT,
+  organization_id       BIGINT,
+  custom_object_fields  JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_by_user_id    BIGINT,
+  updated_by_user_id    BIGINT,
+  created_at            TIMESTAMPTZ,
+  updated_at            TIMESTAMPTZ,
+  synced_at             TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_assets_assigned_to ON assets (assigned_to);
+CREATE INDEX IF NOT EXISTS idx_assets_organization ON assets (organization_id);
+CREATE INDEX IF NOT EXISTS idx_assets_updated ON assets (updated_at);
+
+COMMIT;
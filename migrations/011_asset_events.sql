@@ -0,0 +1,39 @@
+-- Asset change history.
+--
+-- PATCH and DELETE on /api/assets overwrite the Zendesk record and leave no
+-- trace, so "who reassigned this laptop and when" had no answer. Every create,
+-- update and delete made through the API now writes one row here.
+--
+-- One row per write, with the field-level differences in `changes` as
+-- { "<field>": { "from": ..., "to": ... } }. Per-write rather than per-field
+-- because a reassignment touches user and organization together, and the
+-- timeline should show it as one change.
+--
+-- No foreign key to assets: the history of a deleted asset is exactly the
+-- history someone comes looking for.
+--
+--   psql "$DATABASE_URL" -f migrations/011_asset_events.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS asset_events (
+  id          BIGSERIAL PRIMARY KEY,
+  asset_id    TEXT NOT NULL,
+  -- create | update | delete
+  action      TEXT NOT NULL,
+  -- sidebar | siportal_import | bulk | api
+  source      TEXT NOT NULL DEFAULT 'api',
+  -- The Zendesk user who made the change, as reported by the caller. NULL for
+  -- server-side jobs and callers that do not say.
+  actor_id    BIGINT,
+  actor_name  TEXT,
+  changes     JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_asset_events_asset
+  ON asset_events (asset_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_asset_events_actor
+  ON asset_events (actor_id, created_at);
+
+COMMIT;
@@ -0,0 +1,29 @@
+-- Per-field settings for the asset form that Zendesk's schema cannot express.
+--
+-- The sidebar builds its edit and request forms from GET /api/assets/schema,
+-- so a field added to the asset custom object appears without a deploy.
+-- Custom object fields have no "required" flag, though, so which ones must be
+-- filled in lives here. Making a field required is an UPDATE, not a deploy.
+--
+-- key must match the custom object field key. A row for a field that does not
+-- exist is ignored.
+--
+--   psql "$DATABASE_URL" -f migrations/012_asset_field_settings.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS asset_field_settings (
+  key         TEXT PRIMARY KEY,
+  required    BOOLEAN NOT NULL DEFAULT false,
+  note        TEXT,
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- The three the sidebar has always insisted on.
+INSERT INTO asset_field_settings (key, required, note) VALUES
+  ('asset_name',   true, 'Previously hardcoded in the sidebar request form.'),
+  ('manufacturer', true, 'Previously hardcoded in the sidebar request form.'),
+  ('model_number', true, 'Previously hardcoded in the sidebar request form.')
+ON CONFLICT (key) DO NOTHING;
+
+COMMIT;
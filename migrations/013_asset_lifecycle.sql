@@ -0,0 +1,75 @@
+-- Asset lifecycle: which statuses exist and which moves between them are legal.
+--
+-- `status` used to be whatever the caller wrote, so an asset could jump from
+-- requested straight to disposed, or come back from disposed, and nobody
+-- would know. POST and PATCH on /api/assets now check every status change
+-- against these tables and answer 409 for a move that is not listed.
+--
+-- Both tables are configuration: allowing a new move is an INSERT, not a
+-- deploy. The status values must match the options on the asset object's
+-- status dropdown in Zendesk; after running this (or inserting a status) run
+--
+--   node bin/create-asset-status-options.js --apply
+--
+-- to add the missing ones, or Zendesk rejects the new statuses.
+--
+-- Statuses flagged requires_reason (retired, disposed) can only be reached
+-- with a reason. The reason goes into the asset's history and the date each
+-- status was reached is kept on the asset row in status_dates.
+--
+--   psql "$DATABASE_URL" -f migrations/013_asset_lifecycle.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS asset_statuses (
+  status           TEXT PRIMARY KEY,
+  label            TEXT NOT NULL,
+  position         INTEGER NOT NULL DEFAULT 0,
+  -- A new asset may be created in this status.
+  initial          BOOLEAN NOT NULL DEFAULT false,
+  requires_reason  BOOLEAN NOT NULL DEFAULT false
+);
+
+CREATE TABLE IF NOT EXISTS asset_status_transitions (
+  from_status  TEXT NOT NULL REFERENCES asset_statuses (status) ON DELETE CASCADE,
+  to_status    TEXT NOT NULL REFERENCES asset_statuses (status) ON DELETE CASCADE,
+  note         TEXT,
+  PRIMARY KEY (from_status, to_status)
+);
+
+INSERT INTO asset_statuses (status, label, position, initial, requires_reason) VALUES
+  ('requested', 'Requested', 1, true,  false),
+  ('ordered',   'Ordered',   2, true,  false),
+  ('in_stock',  'In stock',  3, true,  false),
+  ('deployed',  'Deployed',  4, true,  false),
+  ('in_repair', 'In repair', 5, false, false),
+  ('retired',   'Retired',   6, false, true),
+  ('disposed',  'Disposed',  7, false, true)
+ON CONFLICT (status) DO NOTHING;
+
+INSERT INTO asset_status_transitions (from_status, to_status, note) VALUES
+  ('requested', 'ordered',   NULL),
+  ('requested', 'in_stock',  'Fulfilled from existing stock.'),
+  ('ordered',   'in_stock',  NULL),
+  ('in_stock',  'deployed',  NULL),
+  ('in_stock',  'in_repair', NULL),
+  ('in_stock',  'retired',   NULL),
+  ('deployed',  'in_stock',  'Returned by the user.'),
+  ('deployed',  'in_repair', NULL),
+  ('deployed',  'retired',   NULL),
+  ('in_repair', 'in_stock',  NULL),
+  ('in_repair', 'deployed',  NULL),
+  ('in_repair', 'retired',   'Not worth repairing.'),
+  ('retired',   'in_stock',  'Retired by mistake, or brought back into use.'),
+  ('retired',   'disposed',  NULL)
+ON CONFLICT (from_status, to_status) DO NOTHING;
+
+-- Why the asset reached its current status, and when it reached each one:
+-- { "<status>": "<timestamp>" }. Written by the /api/assets routes; the asset
+-- sync leaves both alone.
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS status_reason TEXT;
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS status_dates JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE asset_events ADD COLUMN IF NOT EXISTS reason TEXT;
+
+COMMIT;
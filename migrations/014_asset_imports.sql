@@ -0,0 +1,45 @@
+-- Bulk asset imports from CSV and XLSX.
+--
+-- POST /api/assets/import parses the upload, maps its columns onto the asset
+-- custom object's fields and stores the resulting plan here: what each row
+-- would do (create, update, unchanged, error) without touching Zendesk. The
+-- person importing reviews that dry run, then commits it, which submits the
+-- create and update rows as Zendesk custom-object bulk jobs. The job ids are
+-- kept so GET /api/assets/import/:id can report progress and, once Zendesk
+-- has finished, record each row's outcome and the asset history.
+--
+-- The plan is stored rather than recomputed at commit time so what gets
+-- written is exactly what was reviewed. If an asset the plan updates has
+-- changed since the dry run, the commit is refused and the file has to be
+-- run again.
+--
+--   psql "$DATABASE_URL" -f migrations/014_asset_imports.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS asset_imports (
+  id            BIGSERIAL PRIMARY KEY,
+  filename      TEXT,
+  -- csv | xlsx
+  format        TEXT NOT NULL,
+  -- planned | committing | finalising | completed | failed | error (finalising failed)
+  status        TEXT NOT NULL DEFAULT 'planned',
+  actor_id      BIGINT,
+  actor_name    TEXT,
+  -- { create, update, unchanged, error } row counts
+  summary       JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- { columns, unmapped_columns, rows: [...] } as returned by the dry run
+  plan          JSONB NOT NULL,
+  -- [{ id, action, lines: [...] }] - one entry per Zendesk job submitted
+  jobs          JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- Per-line outcome once the jobs have finished: { "<line>": { success, asset_id, error } }
+  results       JSONB NOT NULL DEFAULT '{}'::jsonb,
+  error         TEXT,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  committed_at  TIMESTAMPTZ,
+  completed_at  TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_asset_imports_created ON asset_imports (created_at DESC);
+
+COMMIT;
@@ -0,0 +1,34 @@
+-- Links between assets and tickets.
+--
+-- Until now the only connection was the "[Assets: ...]" tag in ops-calendar
+-- event descriptions, so "which tickets has this laptop had" had no answer.
+-- A link is made from the sidebar on the ticket being worked, and stored
+-- twice: here, and in the ticket's asset lookup field in Zendesk
+-- (ASSET_TICKET_FIELD_ID) so it shows on the ticket and in Zendesk reporting.
+--
+-- The lookup field holds one asset; this table holds any number. When a
+-- ticket is linked to a second asset the field moves to the newest link and
+-- the earlier one lives on here. The ticket sync also copies the field in,
+-- so a link made in the Zendesk UI appears here with source 'lookup_field'.
+--
+-- No foreign keys: tickets arrive by sync and may not be here yet, and the
+-- links of a deleted asset are still its repair record.
+--
+--   psql "$DATABASE_URL" -f migrations/015_asset_ticket_links.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS asset_ticket_links (
+  asset_id        TEXT NOT NULL,
+  ticket_id       BIGINT NOT NULL,
+  -- sidebar | lookup_field | api
+  source          TEXT NOT NULL DEFAULT 'api',
+  linked_by_id    BIGINT,
+  linked_by_name  TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (asset_id, ticket_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_asset_ticket_links_ticket ON asset_ticket_links (ticket_id);
+
+COMMIT;
@@ -0,0 +1,53 @@
+-- Warranty, support-contract and licence expiry on assets, and the renewal
+-- tickets opened for them.
+--
+-- The dates live in three date fields on the asset custom object -
+-- warranty_expiry, contract_expiry and licence_expiry (bin/create-asset-expiry-fields.js
+-- adds them) - and are lifted into columns here by the asset sync, so the
+-- daily expiry check and GET /api/assets/expiring are an indexed range scan
+-- rather than a cast over every JSONB document.
+--
+-- asset_renewal_items is the dedupe for renewal tickets: one row per asset,
+-- kind and expiry date a ticket has been opened for. The daily check only
+-- opens a ticket for dates not in it, so an asset is raised once per expiry.
+-- Renew the warranty - a new date - and it becomes eligible again.
+--
+--   psql "$DATABASE_URL" -f migrations/016_asset_expiry.sql
+
+BEGIN;
+
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS warranty_expires_on DATE;
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS contract_expires_on DATE;
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS licence_expires_on DATE;
+
+CREATE INDEX IF NOT EXISTS idx_assets_warranty_expires ON assets (warranty_expires_on);
+CREATE INDEX IF NOT EXISTS idx_assets_contract_expires ON assets (contract_expires_on);
+CREATE INDEX IF NOT EXISTS idx_assets_licence_expires ON assets (licence_expires_on);
+
+-- Rows already mirrored; the sync fills these in from here on.
+UPDATE assets SET
+  warranty_expires_on = CASE WHEN custom_object_fields->>'warranty_expiry' ~ '^\d{4}-\d{2}-\d{2}'
+                             THEN left(custom_object_fields->>'warranty_expiry', 10)::date END,
+  contract_expires_on = CASE WHEN custom_object_fields->>'contract_expiry' ~ '^\d{4}-\d{2}-\d{2}'
+                             THEN left(custom_object_fields->>'contract_expiry', 10)::date END,
+  licence_expires_on  = CASE WHEN custom_object_fields->>'licence_expiry' ~ '^\d{4}-\d{2}-\d{2}'
+                             THEN left(custom_object_fields->>'licence_expiry', 10)::date END;
+
+CREATE TABLE IF NOT EXISTS asset_renewal_tickets (
+  id               BIGSERIAL PRIMARY KEY,
+  organization_id  BIGINT,
+  -- NULL until Zendesk has accepted the ticket.
+  ticket_id        BIGINT,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS asset_renewal_items (
+  asset_id    TEXT NOT NULL,
+  -- warranty | contract | licence
+  kind        TEXT NOT NULL,
+  expires_on  DATE NOT NULL,
+  renewal_id  BIGINT NOT NULL REFERENCES asset_renewal_tickets (id) ON DELETE CASCADE,
+  PRIMARY KEY (asset_id, kind, expires_on)
+);
+
+COMMIT;
@@ -0,0 +1,40 @@
+-- Asset loans: spare hardware lent to a customer or engineer and expected back.
+--
+-- Reassigning an asset in the sidebar overwrites assigned_to and forgets who
+-- had it before, when it is due back, and what state it went out in. A loan
+-- records all of that. Check-out assigns the asset to the borrower in Zendesk
+-- and opens a row here; check-in clears the assignment and closes the row.
+--
+-- At most one open loan per asset, enforced by the partial unique index, so
+-- two agents checking out the same spare at once cannot both succeed.
+--
+--   psql "$DATABASE_URL" -f migrations/017_asset_loans.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS asset_loans (
+  id                   BIGSERIAL PRIMARY KEY,
+  asset_id             TEXT NOT NULL,
+  borrower_user_id     BIGINT NOT NULL,
+  borrower_name        TEXT,
+  -- The ticket the loan was made from, when there was one.
+  ticket_id            BIGINT,
+  expected_return_on   DATE NOT NULL,
+  checkout_condition   TEXT,
+  checked_out_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  checked_out_by_id    BIGINT,
+  checked_out_by_name  TEXT,
+  -- NULL while the asset is out.
+  checked_in_at        TIMESTAMPTZ,
+  checkin_condition    TEXT,
+  checked_in_by_id     BIGINT,
+  checked_in_by_name   TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_asset_loans_open
+  ON asset_loans (asset_id) WHERE checked_in_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_asset_loans_asset ON asset_loans (asset_id, checked_out_at DESC);
+CREATE INDEX IF NOT EXISTS idx_asset_loans_due
+  ON asset_loans (expected_return_on) WHERE checked_in_at IS NULL;
+
+COMMIT;
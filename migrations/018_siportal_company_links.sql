@@ -0,0 +1,59 @@
+-- Which SiPortal companies belong to which Zendesk organization.
+--
+-- /api/it-portal-assets used to work this out on every call from a hardcoded
+-- name table, a Beth Israel Lahey Health special case and fuzzy name scoring.
+-- A wrong fuzzy match showed one customer another customer's devices. Now
+-- only confirmed links here are used to fetch devices. A fuzzy match is
+-- stored as an unconfirmed suggestion (confirmed = false) for an admin to
+-- confirm or replace through /api/siportal/company-links.
+--
+-- One organization can have many companies (a hospital group with a SiPortal
+-- company per site). A company can also be linked to more than one
+-- organization, though that is rare.
+--
+-- Beth Israel Lahey Health is not seeded here. Its companies were found by
+-- a nameStartsWith=BILH search, their ids are only known to SiPortal, and
+-- new hospitals appear under the prefix. That rule comes back as a rollup in
+-- 022_siportal_rollups.sql. Apply 018 and 022 in the same deploy, or BILH
+-- shows no devices in between.
+--
+--   psql "$DATABASE_URL" -f migrations/018_siportal_company_links.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS siportal_company_links (
+  organization_id    BIGINT NOT NULL,
+  company_id         BIGINT NOT NULL,
+  company_name       TEXT,
+  -- 0-100. A confirmed link is 100. A suggestion has the match score.
+  confidence         SMALLINT NOT NULL DEFAULT 0 CHECK (confidence BETWEEN 0 AND 100),
+  -- manual | known_mapping | normalized_exact | substring | word_similarity | edit_distance
+  method             TEXT NOT NULL,
+  confirmed          BOOLEAN NOT NULL DEFAULT false,
+  confirmed_by_id    BIGINT,
+  confirmed_by_name  TEXT,
+  confirmed_at       TIMESTAMPTZ,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (organization_id, company_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_siportal_company_links_company ON siportal_company_links (company_id);
+CREATE INDEX IF NOT EXISTS idx_siportal_company_links_confirmed
+  ON siportal_company_links (organization_id) WHERE confirmed;
+
+-- The name table that used to be hardcoded in the route. These were checked
+-- by hand, so they come in confirmed.
+INSERT INTO siportal_company_links (organization_id, company_id, company_name, confidence, method, confirmed, confirmed_at)
+SELECT o.id, m.company_id, o.name, 100, 'known_mapping', true, now()
+  FROM organizations o
+  JOIN (VALUES
+         ('keep me home, llc', 3632),
+         ('keep me home,llc', 3632),
+         ('intlx solutions, llc', 3492),
+         ('starling physicians mso, llc', 4133)
+       ) AS m (org_name, company_id)
+    ON lower(trim(o.name)) = m.org_name
+ON CONFLICT (organization_id, company_id) DO NOTHING;
+
+COMMIT;
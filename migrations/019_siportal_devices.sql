@@ -0,0 +1,43 @@
+-- A local copy of the SiPortal devices of every linked company.
+--
+-- Until now SiPortal was only read live, when someone opened the sidebar,
+-- so nothing could report on devices or notice one going quiet. The hourly
+-- device sync (syncSiportalDevices in services/syncJobs.js) walks each
+-- company with a confirmed link in siportal_company_links and keeps this
+-- table current. /api/webhooks/siportal resyncs just the company or device
+-- it names. Progress and failures are in sync_status as 'siportal_devices'.
+--
+-- A device SiPortal stops listing is kept with removed_at set rather than
+-- deleted, so its history and any asset that points at it still resolve.
+-- removed_at is only set after a complete walk of the company.
+--
+--   psql "$DATABASE_URL" -f migrations/019_siportal_devices.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS siportal_devices (
+  id              TEXT PRIMARY KEY,
+  company_id      BIGINT NOT NULL,
+  company_name    TEXT,
+  name            TEXT,
+  host_name       TEXT,
+  serial_number   TEXT,
+  mac_address     TEXT,
+  ip_address      TEXT,
+  device_type     TEXT,
+  os              TEXT,
+  facility        TEXT,
+  location        TEXT,
+  status          TEXT,
+  last_seen_at    TIMESTAMPTZ,
+  -- The device as SiPortal returned it, for anything not lifted into a column.
+  data            JSONB NOT NULL DEFAULT '{}'::jsonb,
+  first_synced_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  synced_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  removed_at      TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_siportal_devices_company ON siportal_devices (company_id) WHERE removed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_siportal_devices_serial ON siportal_devices (lower(serial_number));
+
+COMMIT;
@@ -0,0 +1,46 @@
+-- Inbound SiPortal webhook events.
+--
+-- POST /api/webhooks/siportal used to accept any caller and resync before
+-- answering. Now it checks the caller (SIPORTAL_WEBHOOK_SECRET, as an HMAC of
+-- the body or a shared-secret header), stores the event here and answers 202.
+-- processSiportalWebhooks in services/syncJobs.js works through the table:
+-- straight after the event arrives, and every minute for retries.
+--
+-- event_key is the dedupe: SiPortal's event id when it sends one, otherwise
+-- a hash of the payload. A redelivered event matches its first copy and is
+-- acknowledged without being queued again.
+--
+-- A failed event is retried with backoff. After max attempts it is 'dead' and
+-- waits in GET /api/webhooks/siportal/events?status=dead until someone
+-- replays it.
+--
+--   psql "$DATABASE_URL" -f migrations/020_siportal_webhook_events.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS siportal_webhook_events (
+  id               BIGSERIAL PRIMARY KEY,
+  event_key        TEXT NOT NULL UNIQUE,
+  event            TEXT,
+  company_id       BIGINT,
+  device_id        TEXT,
+  payload          JSONB NOT NULL,
+  -- queued | processing | processed | failed | dead
+  status           TEXT NOT NULL DEFAULT 'queued',
+  attempts         INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_error       TEXT,
+  -- { synced, removed } from the resync that processed it
+  result           JSONB,
+  received_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+  started_at       TIMESTAMPTZ,
+  processed_at     TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_siportal_webhook_events_due
+  ON siportal_webhook_events (next_attempt_at)
+  WHERE status IN ('queued', 'failed', 'processing');
+CREATE INDEX IF NOT EXISTS idx_siportal_webhook_events_status
+  ON siportal_webhook_events (status, received_at DESC);
+
+COMMIT;
@@ -0,0 +1,41 @@
+-- Audit log of SiPortal device credential reveals.
+--
+-- /api/it-portal-assets no longer sends device credentials (credentials,
+-- username, preferred access) to the browser. An agent who needs them asks
+-- POST /api/it-portal-assets/:deviceId/credentials. Every ask is written
+-- here, whether it was granted or not: who asked, for which device, from
+-- where and when. The per-agent rate limit on reveals is counted from this
+-- table too, so it holds across restarts.
+--
+-- The local device copy must not keep what the endpoint guards, so the
+-- credential keys are also stripped from siportal_devices.data.
+--
+--   psql "$DATABASE_URL" -f migrations/021_credential_reveals.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS credential_reveals (
+  id           BIGSERIAL PRIMARY KEY,
+  device_id    TEXT NOT NULL,
+  company_id   BIGINT,
+  agent_id     BIGINT,
+  agent_name   TEXT,
+  ticket_id    BIGINT,
+  -- granted | denied | rate_limited
+  outcome      TEXT NOT NULL,
+  reason       TEXT,
+  ip           TEXT,
+  user_agent   TEXT,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credential_reveals_agent ON credential_reveals (agent_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_credential_reveals_device ON credential_reveals (device_id, created_at DESC);
+
+UPDATE siportal_devices
+   SET data = data - 'credentials' - 'credential' - 'username' - 'user' - 'password'
+                   - 'preferredAccess' - 'preferred_access'
+ WHERE data ?| ARRAY['credentials', 'credential', 'username', 'user', 'password',
+                     'preferredAccess', 'preferred_access'];
+
+COMMIT;
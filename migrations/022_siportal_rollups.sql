@@ -0,0 +1,54 @@
+-- Parent organizations ("rollups") that own many SiPortal companies.
+--
+-- Beth Israel Lahey Health used to be special-cased in code: a
+-- nameStartsWith=BILH search in /api/it-portal-assets, "BILH - " stripped
+-- from company names for display, and a one-off export script. A rollup
+-- makes that configuration. A Zendesk organization with a row in
+-- siportal_rollups gets its devices from the rollup's companies:
+--
+--   - every SiPortal company whose name starts with company_prefix
+--     (case-insensitive), when a prefix is set, and
+--   - every company listed in siportal_rollup_companies,
+--
+-- less any listed with excluded = true. Each child is shown under its
+-- display_name, or its SiPortal name with the prefix stripped when
+-- strip_prefix is set.
+--
+-- The next hospital network needs one row here (and perhaps a few child rows)
+-- instead of code. Edit them through /api/siportal/rollups.
+--
+--   psql "$DATABASE_URL" -f migrations/022_siportal_rollups.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS siportal_rollups (
+  organization_id  BIGINT PRIMARY KEY,
+  name             TEXT NOT NULL,
+  company_prefix   TEXT,
+  strip_prefix     BOOLEAN NOT NULL DEFAULT true,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS siportal_rollup_companies (
+  organization_id  BIGINT NOT NULL REFERENCES siportal_rollups (organization_id) ON DELETE CASCADE,
+  company_id       BIGINT NOT NULL,
+  company_name     TEXT,
+  display_name     TEXT,
+  -- Keeps a company the prefix would match out of the rollup.
+  excluded         BOOLEAN NOT NULL DEFAULT false,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (organization_id, company_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_siportal_rollup_companies_company ON siportal_rollup_companies (company_id);
+
+-- The rule that used to be in code.
+INSERT INTO siportal_rollups (organization_id, name, company_prefix)
+SELECT o.id, o.name, 'BILH'
+  FROM organizations o
+ WHERE lower(trim(o.name)) = 'beth israel lahey health' OR lower(o.name) LIKE '%bilh%'
+ON CONFLICT (organization_id) DO NOTHING;
+
+COMMIT;
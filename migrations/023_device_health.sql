@@ -0,0 +1,64 @@
+-- Stale and unmonitored device report.
+--
+-- services/deviceHealth.js reads siportal_devices per organization and
+-- lists three kinds of device that need someone's attention:
+--
+--   stale         not seen for N days (DEVICE_STALE_DAYS, default 30), or
+--                 never seen at all
+--   unidentified  no serial number or no IP address, so it cannot be matched
+--                 to an asset or reached by monitoring
+--   end_of_life   its OS or device type matches a row of device_eol whose
+--                 date has passed
+--
+-- device_eol is the maintained lookup table. `match` is an ILIKE pattern
+-- against siportal_devices.os or .device_type (per `kind`). Add a row when a
+-- vendor announces an end of support; edit it through /api/siportal/device-eol.
+--
+-- device_health_tickets is the dedupe for the weekly report ticket: one row
+-- per organization and week. The weekly check (DEVICE_HEALTH_TICKETS=true)
+-- only opens a ticket for an organization that has no row for the week.
+--
+--   psql "$DATABASE_URL" -f migrations/023_device_health.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS device_eol (
+  id          BIGSERIAL PRIMARY KEY,
+  -- os | device_type
+  kind        TEXT NOT NULL CHECK (kind IN ('os', 'device_type')),
+  match       TEXT NOT NULL,
+  label       TEXT NOT NULL,
+  eol_date    DATE NOT NULL,
+  note        TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (kind, match)
+);
+
+-- Vendor end-of-support dates (end of extended support where there is one).
+INSERT INTO device_eol (kind, match, label, eol_date) VALUES
+  ('os', '%windows xp%', 'Windows XP', '2014-04-08'),
+  ('os', '%windows vista%', 'Windows Vista', '2017-04-11'),
+  ('os', '%windows 7%', 'Windows 7', '2020-01-14'),
+  ('os', '%windows 8%', 'Windows 8 / 8.1', '2023-01-10'),
+  ('os', '%windows 10%', 'Windows 10', '2025-10-14'),
+  ('os', '%server 2003%', 'Windows Server 2003', '2015-07-14'),
+  ('os', '%server 2008%', 'Windows Server 2008 / 2008 R2', '2020-01-14'),
+  ('os', '%server 2012%', 'Windows Server 2012 / 2012 R2', '2023-10-10'),
+  ('os', '%centos 7%', 'CentOS 7', '2024-06-30'),
+  ('os', '%centos 8%', 'CentOS 8', '2021-12-31')
+ON CONFLICT (kind, match) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS device_health_tickets (
+  id               BIGSERIAL PRIMARY KEY,
+  organization_id  BIGINT NOT NULL,
+  -- The Monday of the week the report covers.
+  week_of          DATE NOT NULL,
+  -- NULL until Zendesk has accepted the ticket.
+  ticket_id        BIGINT,
+  counts           JSONB,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (organization_id, week_of)
+);
+
+COMMIT;
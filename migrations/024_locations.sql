@@ -0,0 +1,56 @@
+-- Location hierarchy: organization -> site -> building -> room.
+--
+-- Device facility and location used to be plain strings, and Zendesk assets
+-- had no location at all, so "what is at this hospital" meant reading every
+-- device of a multi-site customer and grouping by a free-text field. Now:
+--
+--   - SiPortal facilities become locations. A facility is a site, or a
+--     building when SiPortal gives it a parent facility. The device sync
+--     refreshes them for each company before its devices.
+--   - A device's free-text location becomes a room under its facility.
+--   - siportal_devices.location_id is the device's place in the tree.
+--   - assets.location_id is lifted from the asset's location_id field
+--     (bin/create-asset-location-field.js adds it) by the asset sync.
+--
+-- Locations without a facility id are matched by name under their parent,
+-- so a room is created once however many devices name it. Sites and
+-- buildings can also be added and moved by hand through /api/locations.
+--
+--   psql "$DATABASE_URL" -f migrations/024_locations.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS locations (
+  id                    BIGSERIAL PRIMARY KEY,
+  organization_id       BIGINT NOT NULL,
+  parent_id             BIGINT REFERENCES locations (id) ON DELETE CASCADE,
+  -- site | building | room
+  level                 TEXT NOT NULL CHECK (level IN ('site', 'building', 'room')),
+  name                  TEXT NOT NULL,
+  siportal_facility_id  TEXT UNIQUE,
+  company_id            BIGINT,
+  created_at            TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at            TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_locations_organization ON locations (organization_id, level);
+CREATE INDEX IF NOT EXISTS idx_locations_parent ON locations (parent_id);
+-- Two SiPortal facilities may share a name; a named location may not.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_locations_named
+  ON locations (organization_id, COALESCE(parent_id, 0), level, lower(name))
+  WHERE siportal_facility_id IS NULL;
+
+ALTER TABLE siportal_devices ADD COLUMN IF NOT EXISTS facility_id TEXT;
+ALTER TABLE siportal_devices ADD COLUMN IF NOT EXISTS location_id BIGINT REFERENCES locations (id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_siportal_devices_location ON siportal_devices (location_id) WHERE removed_at IS NULL;
+
+-- No foreign key: the value comes from Zendesk and may name a location that
+-- has since been deleted here.
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS location_id BIGINT;
+CREATE INDEX IF NOT EXISTS idx_assets_location ON assets (location_id);
+
+UPDATE assets
+   SET location_id = (custom_object_fields->>'location_id')::bigint
+ WHERE custom_object_fields->>'location_id' ~ '^\d+$';
+
+COMMIT;
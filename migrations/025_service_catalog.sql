@@ -0,0 +1,87 @@
+-- Service catalog engine: item definitions, requests and their approvals.
+--
+-- The catalog sheet lists what can be ordered, and POST /api/ticket turned a
+-- submission into one free-text description. A catalog_items row now defines
+-- how one item (keyed by its catalog SKU) is ordered:
+--
+--   fields         the item's form, a JSON list of
+--                  { key, label, type, required, options, min, max,
+--                    ticket_field_id }; type is text | textarea | email |
+--                  number | date | checkbox | select | multiselect
+--   approvers      who must approve, a JSON list of { type: 'manager' } (the
+--                  requester's manager) or { type: 'user', name, email }
+--   group_id, priority, ticket_type, tags
+--                  how the ticket is raised
+--   ticket_fields  fixed Zendesk custom field values, { "<field id>": value }
+--
+-- A submission is validated against `fields` and raises a ticket with the
+-- answers in their ticket fields (services/serviceCatalog.js). It is stored
+-- in catalog_requests; each required approver is a row in approvals. The
+-- request is pending until every approver has approved, and rejected as soon
+-- as one rejects.
+--
+--   psql "$DATABASE_URL" -f migrations/025_service_catalog.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS catalog_items (
+  id             BIGSERIAL PRIMARY KEY,
+  sku            TEXT NOT NULL,
+  name           TEXT NOT NULL,
+  description    TEXT,
+  category       TEXT,
+  fields         JSONB NOT NULL DEFAULT '[]'::jsonb,
+  approvers      JSONB NOT NULL DEFAULT '[]'::jsonb,
+  group_id       BIGINT,
+  priority       TEXT NOT NULL DEFAULT 'normal' CHECK (priority IN ('low', 'normal', 'high', 'urgent')),
+  ticket_type    TEXT NOT NULL DEFAULT 'task' CHECK (ticket_type IN ('question', 'incident', 'problem', 'task')),
+  ticket_fields  JSONB NOT NULL DEFAULT '{}'::jsonb,
+  tags           TEXT[] NOT NULL DEFAULT '{}',
+  active         BOOLEAN NOT NULL DEFAULT true,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_catalog_items_sku ON catalog_items (lower(sku));
+
+CREATE TABLE IF NOT EXISTS catalog_requests (
+  id                  BIGSERIAL PRIMARY KEY,
+  item_id             BIGINT NOT NULL REFERENCES catalog_items (id),
+  sku                 TEXT NOT NULL,
+  requester_name      TEXT,
+  requester_email     TEXT NOT NULL,
+  -- The validated answers, by field key.
+  answers             JSONB NOT NULL,
+  -- NULL until Zendesk has accepted the ticket.
+  ticket_id           BIGINT,
+  -- not_required | pending | approved | rejected
+  approval_status     TEXT NOT NULL,
+  -- Who made the deciding approval or rejection.
+  decided_by_name     TEXT,
+  decided_by_email    TEXT,
+  decided_at          TIMESTAMPTZ,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at          TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_catalog_requests_status ON catalog_requests (approval_status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_catalog_requests_requester ON catalog_requests (lower(requester_email));
+
+CREATE TABLE IF NOT EXISTS approvals (
+  id               BIGSERIAL PRIMARY KEY,
+  request_id       BIGINT NOT NULL REFERENCES catalog_requests (id) ON DELETE CASCADE,
+  -- manager | user
+  role             TEXT NOT NULL,
+  approver_name    TEXT,
+  approver_email   TEXT NOT NULL,
+  -- pending | approved | rejected
+  status           TEXT NOT NULL DEFAULT 'pending',
+  note             TEXT,
+  decided_at       TIMESTAMPTZ,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_approvals_request ON approvals (request_id);
+CREATE INDEX IF NOT EXISTS idx_approvals_pending ON approvals (lower(approver_email)) WHERE status = 'pending';
+
+COMMIT;
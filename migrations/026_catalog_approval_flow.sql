@@ -0,0 +1,50 @@
+-- Manager approval flow for service catalog requests.
+--
+-- POST /api/ticket only wrote manager_name / manager_email onto the
+-- requester's Zendesk profile for a separate Approve app to act on, and the
+-- outcome never came back here. Catalog requests (025) now run their own
+-- approvals (services/catalogApprovals.js):
+--
+--   - Each approver is emailed from the ticket (a Zendesk side conversation)
+--     with a signed link to /api/catalog/approvals/<token>, a small page to
+--     approve or reject. The link is signed with CATALOG_APPROVAL_SECRET and
+--     stops working at expires_at or once the approval is decided.
+--   - Undecided approvers are reminded every CATALOG_APPROVAL_REMIND_HOURS.
+--   - An approval still undecided at due_at is escalated: it becomes
+--     'escalated' and a 'fallback' approval goes to the item's
+--     fallback_approver (or CATALOG_APPROVAL_FALLBACK_EMAIL).
+--   - When the request is decided the ticket is put on hold -> open
+--     (approved) or solved (rejected) and re-tagged. outcome_synced_at stays
+--     NULL until Zendesk has taken that update, so a failed one is retried.
+--
+--   psql "$DATABASE_URL" -f migrations/026_catalog_approval_flow.sql
+
+BEGIN;
+
+-- { name, email } who approves when an approver does not answer in time.
+ALTER TABLE catalog_items ADD COLUMN IF NOT EXISTS fallback_approver JSONB;
+
+ALTER TABLE catalog_requests ADD COLUMN IF NOT EXISTS outcome_synced_at TIMESTAMPTZ;
+
+-- approvals.role may now also be 'fallback', and status 'escalated'. A
+-- fallback approval points at the approval it replaced.
+ALTER TABLE approvals ADD COLUMN IF NOT EXISTS escalated_from BIGINT REFERENCES approvals (id);
+ALTER TABLE approvals ADD COLUMN IF NOT EXISTS notified_at TIMESTAMPTZ;
+ALTER TABLE approvals ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+ALTER TABLE approvals ADD COLUMN IF NOT EXISTS due_at TIMESTAMPTZ;
+ALTER TABLE approvals ADD COLUMN IF NOT EXISTS reminded_at TIMESTAMPTZ;
+ALTER TABLE approvals ADD COLUMN IF NOT EXISTS reminders INTEGER NOT NULL DEFAULT 0;
+-- link (the approver's signed link) | agent (POST .../approvals/:id)
+ALTER TABLE approvals ADD COLUMN IF NOT EXISTS decided_via TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_approvals_open ON approvals (due_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_catalog_requests_unsynced
+  ON catalog_requests (decided_at)
+  WHERE outcome_synced_at IS NULL AND approval_status IN ('approved', 'rejected');
+
+-- Requests decided before this migration have nothing to push.
+UPDATE catalog_requests
+   SET outcome_synced_at = decided_at
+ WHERE approval_status IN ('approved', 'rejected') AND outcome_synced_at IS NULL;
+
+COMMIT;
@@ -0,0 +1,46 @@
+-- Versioned copy of the Google Sheets service catalog.
+--
+-- /api/catalog used to log in to Google and read the whole sheet on every
+-- call, and a bad edit in the sheet was live at once. The sheet is now pulled
+-- on a schedule (services/catalogVersions.js) into numbered versions:
+--
+--   - A pull whose rows are the same as the latest version only touches that
+--     version's checked_at; a change makes a new version.
+--   - Each version is validated: required columns present, price format,
+--     no duplicate SKUs. A version with errors is kept (so the errors can be
+--     read and diffed) but not served.
+--   - /api/catalog serves the latest valid version, rows as the sheet gave
+--     them. GET /api/catalog/versions/:a/diff/:b compares two versions.
+--
+--   psql "$DATABASE_URL" -f migrations/027_catalog_versions.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS catalog_versions (
+  -- The version number.
+  id            BIGSERIAL PRIMARY KEY,
+  source        TEXT,
+  headers       TEXT[] NOT NULL,
+  row_count     INTEGER NOT NULL,
+  -- sha256 of the headers and rows, to tell whether the sheet changed.
+  content_hash  TEXT NOT NULL,
+  valid         BOOLEAN NOT NULL,
+  -- [{ row, sku, column, message }]; row is the sheet row number.
+  errors        JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  -- Last pull that found the sheet unchanged from this version.
+  checked_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_catalog_versions_valid ON catalog_versions (id DESC) WHERE valid;
+
+CREATE TABLE IF NOT EXISTS catalog_version_rows (
+  version_id  BIGINT NOT NULL REFERENCES catalog_versions (id) ON DELETE CASCADE,
+  -- Sheet row number (the header is row 1).
+  row_number  INTEGER NOT NULL,
+  sku         TEXT,
+  data        JSONB NOT NULL,
+  PRIMARY KEY (version_id, row_number)
+);
+
+COMMIT;
@@ -0,0 +1,40 @@
+-- Idempotency keys and duplicate detection for POST /api/zendesk/create-ticket.
+--
+-- The intlx360 portal and Knowi retry a create-ticket call that timed out,
+-- and every retry used to make another ticket. Each call is now recorded
+-- here (services/ticketRequests.js):
+--
+--   - A call with an Idempotency-Key header claims the key before the ticket
+--     is created. A retry with the same key and body gets the first call's
+--     response back; the same key with a different body is refused. Keys
+--     can be reused after IDEMPOTENCY_KEY_HOURS.
+--   - With TICKET_DEDUPE_MINUTES set, a call from the same requester with
+--     the same subject as a ticket created within that many minutes adds its
+--     description as a comment on that ticket instead of opening another.
+--
+--   psql "$DATABASE_URL" -f migrations/028_ticket_requests.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS ticket_requests (
+  id               BIGSERIAL PRIMARY KEY,
+  idempotency_key  TEXT UNIQUE,
+  -- sha256 of the request body, to tell a retry from a reused key.
+  request_hash     TEXT NOT NULL,
+  requester_email  TEXT NOT NULL,
+  -- The subject lower-cased with whitespace collapsed.
+  subject_key      TEXT NOT NULL,
+  -- pending (being created) | created | appended (commented on ticket_id)
+  status           TEXT NOT NULL DEFAULT 'pending',
+  ticket_id        BIGINT,
+  -- What the caller was sent, for replays.
+  response         JSONB,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  completed_at     TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_requests_dedupe
+  ON ticket_requests (lower(requester_email), subject_key, created_at DESC)
+  WHERE status = 'created';
+
+COMMIT;
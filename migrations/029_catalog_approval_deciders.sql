@@ -0,0 +1,26 @@
+-- Who decided each catalog approval, kept apart from the approver.
+--
+-- An agent can record an approver's decision (POST
+-- /api/catalog/requests/:id/approvals/:approvalId). That used to overwrite
+-- approver_name with the agent's name, and the request's decided_by_email
+-- was always the approver's address. The approver's fields now stay as they
+-- were asked, and the decider is stored here: the verified agent for an
+-- agent decision, the approver for a decision through their link.
+--
+--   psql "$DATABASE_URL" -f migrations/029_catalog_approval_deciders.sql
+
+BEGIN;
+
+-- The agent's Zendesk user id; NULL when the approver decided by link.
+ALTER TABLE approvals ADD COLUMN IF NOT EXISTS decided_by_id TEXT;
+ALTER TABLE approvals ADD COLUMN IF NOT EXISTS decided_by_name TEXT;
+ALTER TABLE approvals ADD COLUMN IF NOT EXISTS decided_by_email TEXT;
+
+ALTER TABLE catalog_requests ADD COLUMN IF NOT EXISTS decided_by_id TEXT;
+
+-- Decisions made before this migration were recorded as the approver's.
+UPDATE approvals
+   SET decided_by_name = approver_name, decided_by_email = approver_email
+ WHERE status IN ('approved', 'rejected') AND decided_by_email IS NULL;
+
+COMMIT;
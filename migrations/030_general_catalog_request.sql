@@ -0,0 +1,36 @@
+-- A catalog item for requests that come from the older forms.
+--
+-- POST /api/ticket (the help center catalog page and the sidebar's asset
+-- request) raised its ticket directly and wrote the manager onto the
+-- requester's Zendesk profile for the Approve app. It now files a catalog
+-- request for this item, so those requests get the same manager approval
+-- as any other (026). The free text, or the list of requested assets, is
+-- the details answer.
+--
+-- A requester whose manager is not known still gets their ticket: the
+-- item's fallback_approver is asked instead, and without one (as seeded
+-- here) the ticket needs no approval. Set fallback_approver with
+-- PUT /api/catalog/items/GENERAL-REQUEST to have someone approve them.
+--
+-- Point CATALOG_TICKET_SKU at another item to use that item's approvers and
+-- ticket settings instead; it needs the same subject and details fields.
+--
+--   psql "$DATABASE_URL" -f migrations/030_general_catalog_request.sql
+
+BEGIN;
+
+INSERT INTO catalog_items (sku, name, description, fields, approvers, tags)
+VALUES (
+  'GENERAL-REQUEST',
+  'General request',
+  'Requests from the help center form and the agent sidebar.',
+  '[
+    { "key": "subject", "label": "Subject", "type": "text", "required": true, "max": 250 },
+    { "key": "details", "label": "Details", "type": "textarea", "required": true }
+  ]'::jsonb,
+  '[{ "type": "manager" }]'::jsonb,
+  '{}'
+)
+ON CONFLICT (lower(sku)) DO NOTHING;
+
+COMMIT;
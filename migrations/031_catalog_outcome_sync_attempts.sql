@@ -0,0 +1,17 @@
+-- A limit on retrying the ticket update that reports a catalog decision.
+--
+-- checkCatalogApprovals retried every request whose outcome Zendesk had
+-- not taken (026) on every run, so an update Zendesk will never take (such
+-- as solving a ticket nobody is assigned to) was retried and logged
+-- forever. Each failure is now counted, with the last error; after
+-- CATALOG_OUTCOME_SYNC_ATTEMPTS failures the request is left for an agent
+-- and logged once.
+--
+--   psql "$DATABASE_URL" -f migrations/031_catalog_outcome_sync_attempts.sql
+
+BEGIN;
+
+ALTER TABLE catalog_requests ADD COLUMN IF NOT EXISTS outcome_sync_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE catalog_requests ADD COLUMN IF NOT EXISTS outcome_sync_error TEXT;
+
+COMMIT;
@@ -0,0 +1,25 @@
+-- Create-ticket calls whose outcome is not known, and purging old calls.
+--
+-- A call that timed out, or that Zendesk answered with a 5xx, may still have
+-- made its ticket. Its row (028) used to be deleted, so a retry with the same
+-- Idempotency-Key made a second ticket. It is now kept as 'uncertain'. Each
+-- ticket carries the row in its external_id (ticket-request-<id>), so a retry
+-- first looks the ticket up and only creates one when Zendesk has none.
+-- attempted_at is when the current attempt started; a 'pending' row whose
+-- attempt is older than two minutes died with its process and is treated
+-- like an uncertain one.
+--
+-- Rows are purged by syncJobs once neither the key nor dedupe can use them
+-- any more (IDEMPOTENCY_KEY_HOURS or TICKET_DEDUPE_MINUTES).
+--
+--   psql "$DATABASE_URL" -f migrations/032_ticket_request_outcomes.sql
+
+BEGIN;
+
+-- status may now also be 'uncertain'.
+ALTER TABLE ticket_requests ADD COLUMN IF NOT EXISTS attempted_at TIMESTAMPTZ NOT NULL DEFAULT now();
+ALTER TABLE ticket_requests ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_ticket_requests_created ON ticket_requests (created_at);
+
+COMMIT;
@@ -0,0 +1,15 @@
+-- When an asset import was claimed for finalising.
+--
+-- Finalising moves an import from 'committing' to 'finalising' so only one
+-- caller does it. A process that died part way left the import there for
+-- good. An import still 'finalising' after ten minutes is now claimed again by
+-- the next POST /api/assets/import/:id/finalise. Rows finalised before the
+-- crash get their history written a second time.
+--
+--   psql "$DATABASE_URL" -f migrations/033_asset_import_finalising_at.sql
+
+BEGIN;
+
+ALTER TABLE asset_imports ADD COLUMN IF NOT EXISTS finalising_at TIMESTAMPTZ;
+
+COMMIT;
@@ -1,7 +1,8 @@
 // routes/analytics.js - Analytics API Routes
 const express = require('express');
 const router = express.Router();
-const { query } = require('../db');
+const { query, getPool } = require('../db');
+const deviceHealth = require('../services/deviceHealth');
 const { cacheMiddleware, clearCache, getCacheStats } = require('../middleware/cache');
 
 // ============================================================================
@@ -1516,6 +1517,48 @@ router.get('/organizations/summary', cacheMiddleware(300), async (req, res) => {
     }
 });
 
+// ============================================================================
+// DEVICE HEALTH
+// ============================================================================
+
+/**
+ * GET /api/analytics/devices/health?organization_id=...&stale_days=30
+ * Per organization: SiPortal devices not seen in stale_days, devices with no
+ * serial or IP, and end-of-life devices by the device_eol table.
+ * Add ?summary=true for the counts without the device lists.
+ */
+router.get('/devices/health', cacheMiddleware(300), async (req, res) => {
+    try {
+        const { organization_id, stale_days, summary } = req.query;
+        if (organization_id && !/^\d+$/.test(organization_id)) {
+            return res.status(400).json({ error: 'organization_id must be a Zendesk organization id' });
+        }
+        if (stale_days && !/^\d+$/.test(stale_days)) {
+            return res.status(400).json({ error: 'stale_days must be a whole number of days' });
+        }
+
+        const reports = await deviceHealth.getDeviceHealthReport(getPool(), {
+            organizationId: organization_id || null,
+            staleDays: stale_days ? parseInt(stale_days, 10) : deviceHealth.STALE_DAYS
+        });
+        const totals = { devices: 0, stale: 0, unidentified: 0, end_of_life: 0 };
+        for (const report of reports) {
+            totals.devices += report.devices;
+            for (const key of ['stale', 'unidentified', 'end_of_life']) totals[key] += report.counts[key];
+        }
+
+        res.json({
+            organizations: summary === 'true'
+                ? reports.map(({ stale, unidentified, end_of_life, ...rest }) => rest)
+                : reports,
+            totals,
+            count: reports.length
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // ============================================================================
 // CACHE MANAGEMENT ENDPOINTS
 // ============================================================================
@@ -4,7 +4,30 @@
 const express = require('express');
 const router = express.Router();
 const zendeskService = require('../services/zendesk');
-const googleSheetsService = require('../services/googleSheets');
+const assetStore = require('../services/assets');
+const assetHistory = require('../services/assetHistory');
+const assetLifecycle = require('../services/assetLifecycle');
+const assetSpreadsheets = require('../services/assetSpreadsheets');
+const assetDuplicates = require('../services/assetDuplicates');
+const assetTickets = require('../services/assetTickets');
+const assetExpiry = require('../services/assetExpiry');
+const assetLoans = require('../services/assetLoans');
+const siportal = require('../services/siportal');
+const companyLinks = require('../services/siportalCompanyLinks');
+const siportalImport = require('../services/siportalImport');
+const siportalDevices = require('../services/siportalDevices');
+const siportalWebhooks = require('../services/siportalWebhooks');
+const rollups = require('../services/siportalRollups');
+const siportalExport = require('../services/siportalExport');
+const deviceHealth = require('../services/deviceHealth');
+const locations = require('../services/locations');
+const deviceCredentials = require('../services/deviceCredentials');
+const serviceCatalog = require('../services/serviceCatalog');
+const catalogApprovals = require('../services/catalogApprovals');
+const catalogVersions = require('../services/catalogVersions');
+const zendeskUploads = require('../services/zendeskUploads');
+const ticketRequests = require('../services/ticketRequests');
+const { syncAssets, processSiportalWebhooks } = require('../services/syncJobs');
 const { google } = require('googleapis');
 const calendar = google.calendar('v3');
 const db = require('../db'); 
@@ -93,15 +116,6 @@ if (process.env.GOOGLE_SERVICE_ACCOUNT_JSON) {
     }
 })();
 
-/**
- * Debug endpoint to search for companies containing specific text
- */
-
-/**
- * Debug endpoint to test BILH company discovery
- * GET /api/debug-bilh-companies
- */
-
 /**
  * Cache for SiPortal companies - refreshed periodically
  */
@@ -112,7 +126,7 @@ let companiesCache = {
 };
 
 /**
- * Refresh the companies cache - FIXED to handle pagination properly
+ * Refresh the companies cache from the SiPortal client's company list
  */
 async function refreshCompaniesCache() {
     if (companiesCache.isUpdating) {
@@ -123,55 +137,12 @@ async function refreshCompaniesCache() {
     try {
         companiesCache.isUpdating = true;
         console.log('[Cache] Refreshing companies cache...');
-        
-        let allCompanies = [];
-        let page = 1;
-        let consecutiveEmptyPages = 0;
-        
-        // Companies endpoint still uses page parameter (not offset)
-        while (page <=50) { // Safety limit of 50 pages
-            const response = await fetch(`https://www.siportal.net/api/2.0/companies?page=${page}`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': process.env.SIPORTAL_API_KEY,
-                    'Content-Type': 'application/json'
-                }
-            });
 
-            if (!response.ok) {
-                console.log(`[Cache] API error on page ${page}: ${response.status}`);
-                break;
-            }
-
-            const data = await response.json();
-            const companies = data.data?.results || [];
-            
-            if (companies.length === 0) {
-            consecutiveEmptyPages++;
-            console.log(`[Cache] Empty page ${page}, consecutive empty: ${consecutiveEmptyPages}`);
-            if (consecutiveEmptyPages >= 2) {
-                console.log(`[Cache] Two consecutive empty pages, stopping at page ${page}`);
-                break;
-            }
-            } else {
-                consecutiveEmptyPages = 0;
-                allCompanies.push(...companies);
-                
-                // Log every 10th page for progress tracking
-                if (page % 10 === 0) {
-                    console.log(`[Cache] Page ${page}: ${companies.length} companies (total: ${allCompanies.length})`);
-                }
-            }
-            
-            page++;
-            
-            // Add small delay to avoid rate limiting
-            await new Promise(resolve => setTimeout(resolve, 50));
-        }
+        const allCompanies = await siportal.collect(siportal.listCompanies());
         
         companiesCache.companies = allCompanies;
         companiesCache.lastUpdated = new Date();
-        console.log(`[Cache] Updated companies cache with ${allCompanies.length} companies from ${page-1} pages`);
+        console.log(`[Cache] Updated companies cache with ${allCompanies.length} companies`);
         
         // Log some sample company names for debugging
         console.log(`[Cache] Sample companies:`, allCompanies.slice(0, 5).map(c => c.name).join(', '));
@@ -225,6 +196,348 @@ function extractAssetIds(description) {
     return match ? match[1].split(',').map(id => id.trim()) : [];
 }
 
+/**
+ * One requested asset as ticket description lines. The sidebar request form
+ * is built from the asset schema, so the fields are whatever it sent rather
+ * than a fixed list: asset_name becomes "- Asset Name: ...", and empty fields
+ * are left out.
+ */
+function describeRequestedAsset(asset) {
+    return Object.entries(asset)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([key, value]) => {
+            const label = key
+                .split('_')
+                .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+                .join(' ');
+            return `- ${label}: ${Array.isArray(value) ? value.join(', ') : value}`;
+        })
+        .join('\n');
+}
+
+/**
+ * Copy a record Zendesk has just written into the local asset store.
+ *
+ * The write to Zendesk has already succeeded by the time this runs, so a
+ * failure here is logged rather than returned: the asset sync corrects the
+ * local row on its next run.
+ */
+async function mirrorAsset(record) {
+    if (!record?.id) return;
+    try {
+        await assetStore.upsertAsset(pool, record);
+    } catch (error) {
+        console.error(`[Assets] Failed to mirror asset ${record.id} locally:`, error.message);
+    }
+}
+
+/**
+ * Look an asset up in the local store, falling back to Zendesk for a record
+ * created since the last sync. Returns null when neither has it.
+ */
+async function findAsset(assetId) {
+    const local = await assetStore.getAsset(pool, assetId);
+    if (local) return local;
+
+    try {
+        const remote = await zendeskService.getAssetById(assetId);
+        if (remote) await mirrorAsset(remote);
+        return remote || null;
+    } catch (error) {
+        if (error.response?.status === 404) return null;
+        throw error;
+    }
+}
+
+/**
+ * Append to the asset's history. Like mirrorAsset this runs after Zendesk has
+ * accepted the change, so a failure is logged loudly rather than turned into
+ * an error for a write that did happen.
+ */
+async function recordAssetHistory(event) {
+    try {
+        await assetHistory.recordAssetEvent(pool, event);
+    } catch (error) {
+        console.error(`[Assets] ❌ History not recorded for ${event.action} on asset ${event.assetId}:`, error.message);
+    }
+}
+
+/**
+ * Check a status change in a create or update against the asset lifecycle.
+ * Returns null when the write does not set a status; otherwise the result of
+ * checkStatusChange, which the route sends back as-is when it is not ok.
+ */
+async function checkAssetStatus(fields, before, reason) {
+    if (!('status' in fields)) return null;
+    return assetLifecycle.checkStatusChange(pool, {
+        from: before?.custom_object_fields?.status,
+        to: fields.status,
+        reason
+    });
+}
+
+/**
+ * Keep the reason and date of a status change Zendesk has accepted. Logged
+ * rather than returned for the same reason as mirrorAsset.
+ */
+async function recordStatusChange(assetId, status, reason) {
+    try {
+        await assetLifecycle.markStatusChange(pool, assetId, { status, reason });
+    } catch (error) {
+        console.error(`[Assets] Status date not recorded for asset ${assetId}:`, error.message);
+    }
+}
+
+/**
+ * Which spreadsheet format a request means: ?format= if given, otherwise the
+ * filename's extension or the upload's content type. Null when it is neither
+ * CSV nor XLSX.
+ */
+function spreadsheetFormat(req) {
+    const hint = String(
+        req.query.format ||
+        (req.query.filename || '').split('.').pop() ||
+        ''
+    ).toLowerCase();
+    if (assetSpreadsheets.FORMATS[hint]) return hint;
+
+    const type = String(req.get('content-type') || '').split(';')[0].trim();
+    return Object.keys(assetSpreadsheets.FORMATS).find(f => assetSpreadsheets.FORMATS[f] === type) || null;
+}
+
+/**
+ * Submit a planned import's create and update rows to Zendesk as bulk jobs.
+ * Returns { jobs, error }, or { conflict } - the 409 body - when the import
+ * is not in 'planned' or an asset it updates has changed since it was planned.
+ */
+async function commitAssetImport(assetImport) {
+    if (assetImport.status !== 'planned') {
+        return { conflict: { error: `This import is already ${assetImport.status}.` } };
+    }
+
+    const updatedIds = assetImport.plan.rows.filter(r => r.action === 'update').map(r => r.asset_id);
+    if (updatedIds.length > 0) {
+        const { rows: changed } = await pool.query(
+            'SELECT id FROM assets WHERE id = ANY($1::text[]) AND updated_at > $2',
+            [updatedIds, assetImport.created_at]
+        );
+        if (changed.length > 0) {
+            return {
+                conflict: {
+                    error: 'Assets in this import have changed since the dry run. Run it again.',
+                    changed: changed.map(r => r.id)
+                }
+            };
+        }
+    }
+
+    const { rows: [claimed] } = await pool.query(`
+        UPDATE asset_imports SET status = 'committing', committed_at = now()
+         WHERE id = $1 AND status = 'planned'
+        RETURNING id
+    `, [assetImport.id]);
+    if (!claimed) return { conflict: { error: 'This import is already being committed.' } };
+
+    // Whatever was submitted is recorded even if a later batch fails, so
+    // the rows Zendesk did accept are still finalised.
+    const jobs = [];
+    let submitError = null;
+    for (const batch of assetSpreadsheets.jobBatches(assetImport.plan)) {
+        try {
+            const jobStatus = await zendeskService.submitAssetJob(batch.action, batch.items);
+            jobs.push({ id: jobStatus.id, action: batch.action, lines: batch.lines });
+        } catch (error) {
+            submitError = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+            console.error(`[Asset Import ${assetImport.id}] Job submission failed:`, submitError);
+            break;
+        }
+    }
+
+    await pool.query(
+        'UPDATE asset_imports SET jobs = $2::jsonb, error = $3 WHERE id = $1',
+        [assetImport.id, JSON.stringify(jobs), submitError]
+    );
+
+    console.log(`[Asset Import ${assetImport.id}] Submitted ${jobs.length} job(s)`);
+    return { jobs, error: submitError };
+}
+
+async function assetImportJobs(assetImport) {
+    const statuses = await Promise.all(
+        assetImport.jobs.map(job => zendeskService.getJobStatus(job.id))
+    );
+    return {
+        statuses,
+        running: statuses.some(job => ['queued', 'working'].includes(job.status)),
+        progress: statuses.map(job => ({ id: job.id, status: job.status, progress: job.progress, total: job.total }))
+    };
+}
+
+// An import left 'finalising' this long was abandoned (a restart mid-run)
+// and can be finalised again.
+const STALE_FINALISING_MINUTES = 10;
+
+function canFinalise(assetImport) {
+    if (assetImport.status === 'committing') return true;
+    if (assetImport.status !== 'finalising') return false;
+    const claimedAt = new Date(assetImport.finalising_at || assetImport.committed_at);
+    return Date.now() - claimedAt.getTime() > STALE_FINALISING_MINUTES * 60 * 1000;
+}
+
+/**
+ * A committed import with the progress of its Zendesk jobs, and `ready`
+ * once they have all finished and it can be finalised. Changes nothing.
+ */
+async function assetImportProgress(assetImport) {
+    if (!canFinalise(assetImport)) return assetImport;
+    const { running, progress } = await assetImportJobs(assetImport);
+    return { ...assetImport, progress, ready: !running };
+}
+
+/**
+ * Finalise a committed import whose Zendesk jobs have all finished: records
+ * each row's outcome, pulls the changes into the asset store and writes the
+ * asset history - exactly once, however many callers ask: the row is claimed
+ * by moving it to 'finalising' first, and claimed again only once that is
+ * STALE_FINALISING_MINUTES old. If the pull or the history fails the
+ * import is left in 'error' with the message and its per-row results.
+ */
+async function finaliseAssetImport(assetImport) {
+    if (!canFinalise(assetImport)) return assetImport;
+
+    const { statuses, running, progress } = await assetImportJobs(assetImport);
+    if (running) return { ...assetImport, progress, ready: false };
+
+    const { rows: [claimed] } = await pool.query(`
+        UPDATE asset_imports SET status = 'finalising', finalising_at = now()
+         WHERE id = $1
+           AND (status = 'committing'
+                OR (status = 'finalising'
+                    AND coalesce(finalising_at, committed_at) < now() - make_interval(mins => $2)))
+        RETURNING *
+    `, [assetImport.id, STALE_FINALISING_MINUTES]);
+    if (!claimed) {
+        const { rows: [current] } = await pool.query('SELECT * FROM asset_imports WHERE id = $1', [assetImport.id]);
+        return current;
+    }
+
+    // Job results come back in item order; `index` is used when Zendesk gives it.
+    const results = {};
+    assetImport.jobs.forEach((job, j) => {
+        const jobStatus = statuses[j];
+        const jobResults = jobStatus.results || [];
+        job.lines.forEach((line, i) => {
+            const result = jobResults.find(r => r.index === i) || jobResults[i];
+            results[line] = result
+                ? {
+                    success: result.success !== false && !result.errors,
+                    asset_id: result.id || null,
+                    error: result.errors ? JSON.stringify(result.errors) : result.error || null
+                }
+                : { success: false, asset_id: null, error: jobStatus.message || `Job ${jobStatus.status}` };
+        });
+    });
+
+    const toWrite = assetImport.plan.rows.filter(row => ['create', 'update'].includes(row.action));
+    for (const row of toWrite) {
+        if (!results[row.line]) results[row.line] = { success: false, asset_id: null, error: 'Not submitted' };
+    }
+    // Kept whatever happens next.
+    await pool.query('UPDATE asset_imports SET results = $2::jsonb WHERE id = $1', [assetImport.id, JSON.stringify(results)]);
+
+    try {
+        // syncAssets reports its own failure rather than throwing.
+        const pulled = await syncAssets();
+        if (pulled?.failed) throw new Error(`Asset sync failed: ${pulled.message}`);
+
+        const actor = {
+            id: assetImport.actor_id,
+            name: assetImport.actor_name,
+            source: assetImport.format === 'siportal' ? 'siportal_import' : 'bulk'
+        };
+        for (const row of toWrite) {
+            const result = results[row.line];
+            if (!result.success) continue;
+            const assetId = row.asset_id || result.asset_id;
+            if (!assetId) continue;
+            if (row.changes.status) await recordStatusChange(assetId, row.fields.status, row.status_reason);
+            await recordAssetHistory({
+                assetId,
+                action: row.action,
+                actor,
+                changes: row.changes,
+                reason: row.changes.status ? row.status_reason : null
+            });
+        }
+    } catch (error) {
+        console.error(`[Asset Import ${assetImport.id}] Finalising failed:`, error.message);
+        const { rows: [failedImport] } = await pool.query(`
+            UPDATE asset_imports SET status = 'error', error = $2, completed_at = now()
+             WHERE id = $1
+            RETURNING *
+        `, [assetImport.id, `Finalising failed: ${error.message}`]);
+        return failedImport;
+    }
+
+    const failed = Object.values(results).filter(r => !r.success).length;
+    const { rows: [finished] } = await pool.query(`
+        UPDATE asset_imports
+           SET status = $2, results = $3::jsonb, completed_at = now()
+         WHERE id = $1
+        RETURNING *
+    `, [assetImport.id, failed === toWrite.length && failed > 0 ? 'failed' : 'completed', JSON.stringify(results)]);
+
+    console.log(`[Asset Import ${assetImport.id}] Finished: ${toWrite.length - failed} written, ${failed} failed`);
+    return finished;
+}
+
+/**
+ * Point every ticket whose asset field holds `fromId` at `toId` instead, and
+ * move the local links with them.
+ *
+ * Tickets are found in the local tickets table, so one changed in the last
+ * few minutes may be missed until the merge is re-run. Closed tickets cannot
+ * be edited in Zendesk and are reported as skipped rather than failed.
+ */
+async function relinkAssetTickets(fromId, toId) {
+    const outcome = { relinked: [], skipped: [], failed: [], links_moved: 0 };
+    const { ASSET_TICKET_FIELD_ID } = assetTickets;
+    if (!ASSET_TICKET_FIELD_ID) {
+        outcome.links_moved = await assetTickets.moveLinks(pool, fromId, toId);
+        return outcome;
+    }
+
+    const { rows } = await pool.query(
+        'SELECT id, status FROM tickets WHERE custom_fields @> $1::jsonb',
+        [JSON.stringify([{ id: ASSET_TICKET_FIELD_ID, value: fromId }])]
+    );
+
+    for (const ticket of rows) {
+        if (ticket.status === 'closed') {
+            outcome.skipped.push(ticket.id);
+            continue;
+        }
+        try {
+            await zendeskService.updateTicketCustomFields(ticket.id, [{ id: ASSET_TICKET_FIELD_ID, value: toId }]);
+            outcome.relinked.push(ticket.id);
+        } catch (error) {
+            console.error(`[Assets] Failed to relink ticket ${ticket.id} to asset ${toId}:`, error.message);
+            outcome.failed.push({ ticket_id: ticket.id, error: error.message });
+        }
+    }
+    if (outcome.failed.length === 0) {
+        outcome.links_moved = await assetTickets.moveLinks(pool, fromId, toId);
+    }
+    return outcome;
+}
+
+/**
+ * Parse a Zendesk ticket id from a route parameter; null if it is not one.
+ */
+function ticketIdParam(value) {
+    return /^\d+$/.test(String(value)) ? String(value) : null;
+}
+
 /**
  * Advanced company name normalization and matching
  */
@@ -382,22 +695,303 @@ function levenshteinDistance(str1, str2) {
     return matrix[str2.length][str1.length];
 }
 
+/**
+ * Finds the closest SiPortal company by name and stores it as an unconfirmed
+ * link. Returns the suggestion, or null when nothing scores high enough.
+ * A failure here is logged and treated as no suggestion.
+ */
+async function suggestCompanyLink(organizationId, orgName) {
+    try {
+        if (companiesCache.companies.length === 0) {
+            await refreshCompaniesCache();
+        }
+        const match = searchCompaniesInCache(orgName);
+        if (!match) return null;
+        return await companyLinks.suggestLink(pool, {
+            organizationId,
+            companyId: match.company.id,
+            companyName: match.company.name,
+            confidence: match.score,
+            method: match.method
+        });
+    } catch (error) {
+        console.error(`[API] Company suggestion for "${orgName}" failed:`, error.message);
+        return null;
+    }
+}
+
 /**
  * Endpoint to test the direct connection to the Zendesk API.
  */
 
 /**
- * Endpoint to fetch the service catalog from Google Sheets.
+ * Endpoint to fetch the service catalog: the rows of the latest valid version
+ * pulled from Google Sheets (see services/catalogVersions.js).
  */
 router.get('/catalog', async (req, res) => {
     try {
-        const catalog = await googleSheetsService.getCatalog();
-        res.json(catalog);
+        const catalog = await catalogVersions.latestCatalog(pool);
+        if (!catalog) {
+            return res.status(503).json({ error: 'No valid catalog version yet. See GET /api/catalog/versions for errors.' });
+        }
+        res.set('X-Catalog-Version', String(catalog.version.id));
+        res.json(catalog.rows);
     } catch (error) {
         console.error('Error fetching catalog:', error.message);
-        res.status(500).json({ error: 'Failed to fetch catalog from Google Sheets.', details: error.message });
+        res.status(500).json({ error: 'Failed to fetch catalog.', details: error.message });
+    }
+});
+
+// ============================================
+// CATALOG VERSIONS
+// ============================================
+
+router.get('/catalog/versions', async (req, res) => {
+    try {
+        const versions = await catalogVersions.listVersions(pool, {
+            limit: Math.min(parseInt(req.query.limit, 10) || 50, 500)
+        });
+        res.json({ versions, total: versions.length });
+    } catch (error) {
+        console.error('[API] Listing catalog versions failed:', error.message);
+        res.status(500).json({ error: 'Failed to list catalog versions', details: error.message });
+    }
+});
+
+/**
+ * Pulls the sheet now rather than at the next scheduled pull.
+ */
+router.post('/catalog/versions/pull', async (req, res) => {
+    try {
+        const { version, changed } = await catalogVersions.pullCatalog(pool);
+        res.status(changed ? 201 : 200).json({ changed, version });
+    } catch (error) {
+        console.error('[API] Catalog pull failed:', error.message);
+        res.status(502).json({ error: 'Failed to pull the catalog from Google Sheets', details: error.message });
+    }
+});
+
+router.get('/catalog/versions/:id', async (req, res) => {
+    try {
+        if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'Version must be a number' });
+        const version = await catalogVersions.getVersion(pool, req.params.id);
+        if (!version) return res.status(404).json({ error: `No catalog version ${req.params.id}` });
+        res.json(version);
+    } catch (error) {
+        console.error('[API] Reading the catalog version failed:', error.message);
+        res.status(500).json({ error: 'Failed to read the catalog version', details: error.message });
+    }
+});
+
+/**
+ * What changed between two versions: rows added, removed and changed (by
+ * SKU), and columns added and removed.
+ */
+router.get('/catalog/versions/:a/diff/:b', async (req, res) => {
+    try {
+        const { a, b } = req.params;
+        if (!/^\d+$/.test(a) || !/^\d+$/.test(b)) return res.status(400).json({ error: 'Versions must be numbers' });
+        const diff = await catalogVersions.diffVersions(pool, a, b);
+        if (!diff) return res.status(404).json({ error: `Catalog version ${a} or ${b} does not exist` });
+        res.json(diff);
+    } catch (error) {
+        console.error('[API] Catalog diff failed:', error.message);
+        res.status(500).json({ error: 'Failed to compare catalog versions', details: error.message });
+    }
+});
+
+// ============================================
+// SERVICE CATALOG ITEMS, REQUESTS AND APPROVALS
+// ============================================
+// An item defines its own form, approvers and ticket (see
+// migrations/025_service_catalog.sql). Submitting the form validates the
+// answers and raises the ticket; the request then waits for its approvals,
+// which are asked for by email with a signed link (026).
+
+// The item POST /api/ticket files the older forms' requests under (030).
+const CATALOG_TICKET_SKU = process.env.CATALOG_TICKET_SKU || 'GENERAL-REQUEST';
+
+function sendCatalogError(res, error, action) {
+    if (error.status) {
+        return res.status(error.status).json({
+            error: error.message,
+            ...(error.errors ? { errors: error.errors } : {})
+        });
+    }
+    console.error(`[API] ${action} failed:`, error.message);
+    res.status(500).json({ error: `${action} failed`, details: error.message });
+}
+
+router.get('/catalog/items', async (req, res) => {
+    try {
+        const items = await serviceCatalog.listItems(pool, { includeInactive: req.query.include_inactive === 'true' });
+        res.json({ items, total: items.length });
+    } catch (error) {
+        sendCatalogError(res, error, 'Listing catalog items');
+    }
+});
+
+router.get('/catalog/items/:sku', async (req, res) => {
+    try {
+        const item = await serviceCatalog.getItem(pool, req.params.sku);
+        if (!item) return res.status(404).json({ error: `No catalog item ${req.params.sku}` });
+        res.json(item);
+    } catch (error) {
+        sendCatalogError(res, error, 'Reading the catalog item');
+    }
+});
+
+/**
+ * Creates or replaces an item definition.
+ * Body: { name, description, category, fields, approvers, fallback_approver,
+ *         group_id, priority, ticket_type, ticket_fields, tags, active }
+ */
+router.put('/catalog/items/:sku', async (req, res) => {
+    try {
+        res.json(await serviceCatalog.saveItem(pool, req.params.sku, req.body));
+    } catch (error) {
+        sendCatalogError(res, error, 'Saving the catalog item');
+    }
+});
+
+router.delete('/catalog/items/:sku', async (req, res) => {
+    try {
+        if (!await serviceCatalog.deactivateItem(pool, req.params.sku)) {
+            return res.status(404).json({ error: `No catalog item ${req.params.sku}` });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendCatalogError(res, error, 'Removing the catalog item');
+    }
+});
+
+/**
+ * Submits an item's form.
+ * Body: { name, email, answers: { <field key>: value }, manager_name, manager_email }
+ * A 400 lists what is wrong with the answers as errors: [{ field, message }].
+ */
+router.post('/catalog/items/:sku/requests', async (req, res) => {
+    try {
+        const item = await serviceCatalog.getItem(pool, req.params.sku);
+        if (!item) return res.status(404).json({ error: `No catalog item ${req.params.sku}` });
+
+        const { name, email, answers, manager_name: managerName, manager_email: managerEmail } = req.body;
+        const request = await serviceCatalog.submitRequest(pool, {
+            item,
+            requester: { name, email },
+            answers: answers || {},
+            manager: managerEmail ? { name: managerName || null, email: managerEmail } : null
+        });
+        if (request.approval_status === 'pending') {
+            await catalogApprovals.requestApprovals(pool, request).catch(error => {
+                console.error(`[API] Approval emails for request ${request.id} not sent:`, error.message);
+            });
+        }
+        res.status(201).json(await serviceCatalog.getRequest(pool, request.id));
+    } catch (error) {
+        sendCatalogError(res, error, 'Submitting the catalog request');
+    }
+});
+
+/**
+ * GET /api/catalog/requests?status=pending&email=
+ */
+router.get('/catalog/requests', async (req, res) => {
+    try {
+        const { status, email } = req.query;
+        const requests = await serviceCatalog.listRequests(pool, {
+            status: status || null,
+            requesterEmail: email || null,
+            limit: Math.min(parseInt(req.query.limit, 10) || 100, 500)
+        });
+        res.json({ requests, total: requests.length });
+    } catch (error) {
+        sendCatalogError(res, error, 'Listing catalog requests');
+    }
+});
+
+router.get('/catalog/requests/:id', async (req, res) => {
+    try {
+        const request = await serviceCatalog.getRequest(pool, req.params.id);
+        if (!request) return res.status(404).json({ error: 'Request not found' });
+        res.json(request);
+    } catch (error) {
+        sendCatalogError(res, error, 'Reading the catalog request');
+    }
+});
+
+/**
+ * Records an approver's decision on their behalf. The agent in X-Actor-Id
+ * is looked up in Zendesk and must be an active agent or admin; they are
+ * stored as the decider, and the approval keeps its approver.
+ * Body: { decision: 'approved' | 'rejected', note }
+ */
+router.post('/catalog/requests/:id/approvals/:approvalId', async (req, res) => {
+    try {
+        const actor = assetHistory.actorFromRequest(req);
+        if (!/^\d+$/.test(String(actor.id ?? ''))) {
+            return res.status(401).json({ error: 'X-Actor-Id is required' });
+        }
+        const agent = await zendeskService.getUserById(actor.id).catch(() => null);
+        if (!deviceCredentials.isVerifiedAgent(agent)) {
+            return res.status(403).json({ error: 'Only active agents can record approvals.' });
+        }
+
+        const request = await catalogApprovals.decide(pool, {
+            requestId: req.params.id,
+            approvalId: req.params.approvalId,
+            decision: req.body.decision,
+            decidedBy: { id: String(agent.id), name: agent.name || null, email: agent.email || null },
+            note: req.body.note || null
+        });
+        if (!request) return res.status(404).json({ error: 'Approval not found' });
+        res.json(request);
+    } catch (error) {
+        sendCatalogError(res, error, 'Recording the approval');
+    }
+});
+
+/**
+ * The page an approver's emailed link opens. No login: the signed token is
+ * the approver's authority. Opening it never decides anything.
+ */
+router.get('/catalog/approvals/:token', async (req, res) => {
+    try {
+        const link = await catalogApprovals.openLink(pool, req.params.token);
+        res.set({ 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer' });
+        res.status(link.state === 'invalid' ? 404 : 200)
+            .type('html')
+            .send(catalogApprovals.renderApprovalPage(link, req.params.token));
+    } catch (error) {
+        console.error('[API] Approval page failed:', error.message);
+        res.status(500).type('text').send('Something went wrong. Please try again later.');
+    }
+});
+
+/**
+ * The approval page's form. Body (form-encoded): decision=approved|rejected, note
+ */
+router.post('/catalog/approvals/:token', async (req, res) => {
+    try {
+        const { decision, note } = req.body;
+        if (!['approved', 'rejected'].includes(decision)) {
+            return res.status(400).type('text').send('Choose Approve or Reject.');
+        }
+        const link = await catalogApprovals.decideByLink(pool, req.params.token, { decision, note });
+        res.set({ 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer' });
+        res.status(link.state === 'invalid' ? 404 : link.state === 'decided' ? 200 : 409)
+            .type('html')
+            .send(catalogApprovals.renderApprovalPage(link, req.params.token));
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).type('html')
+                .send(catalogApprovals.renderApprovalPage({ state: 'closed' }, req.params.token));
+        }
+        console.error('[API] Approval decision failed:', error.message);
+        res.status(500).type('text').send('Something went wrong. Please try again later.');
     }
 });
+
 /**
  * Fetch manager name and email for a user by their email address.
  * Uses admin credentials so it works for all users regardless of field visibility settings.
@@ -742,110 +1336,70 @@ router.get('/time-entries', async (req, res) => {
   }
 });
 
-/**
- * Endpoint to create a new ticket and associated asset records.
- */
+// The help center form sends HTML; its details answer is kept as text.
+function htmlText(html) {
+    return String(html)
+        .replace(/<br\s*\/?>|<\/(p|div|li|h\d)>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * The older request forms: the help center catalog page and the sidebar's
+ * asset request.
+ * Body: { name, email, subject, body | assets, approved_by, approved_by_email, tags }
+ *
+ * Files a catalog request for the CATALOG_TICKET_SKU item (see
+ * migrations/030_general_catalog_request.sql) with the text, or the
+ * requested assets, as its details, and asks its approvers as any catalog
+ * request does. approved_by / approved_by_email name the manager; without
+ * them the requester's Zendesk manager fields are used, and when they have
+ * none the item's fallback approver is asked, or the ticket needs no
+ * approval. `body` is HTML and reaches the ticket as HTML.
+ *
+ * Answers 201 { ticket, request }: the Zendesk ticket as before, and the
+ * catalog request with its approvals.
+ */
 router.post('/ticket', async (req, res) => {
     try {
         const { name, email, subject, body, approved_by, approved_by_email, tags, assets } = req.body;
 
-        // ---- Update manager fields on the requester's Zendesk profile ----
-        // This ensures ticket.requester.manager_email always matches what was submitted,
-        // so the Approve app sends the approval request to the correct person.
-        if (email && (approved_by || approved_by_email)) {
-            try {
-                // First find the user by email
-                const searchRes = await fetch(
-                    `https://${process.env.ZENDESK_SUBDOMAIN}.zendesk.com/api/v2/users/search.json?query=email:${encodeURIComponent(email)}`,
-                    { headers: { 'Authorization': `Basic ${Buffer.from(`${process.env.ZENDESK_EMAIL}/token:${process.env.ZENDESK_API_TOKEN}`).toString('base64')}` } }
-                );
-                const searchData = await searchRes.json();
-                const zendeskUser = searchData.users?.[0];
-
-                if (zendeskUser) {
-                    await fetch(
-                        `https://${process.env.ZENDESK_SUBDOMAIN}.zendesk.com/api/v2/users/${zendeskUser.id}.json`,
-                        {
-                            method: 'PUT',
-                            headers: {
-                                'Authorization': `Basic ${Buffer.from(`${process.env.ZENDESK_EMAIL}/token:${process.env.ZENDESK_API_TOKEN}`).toString('base64')}`,
-                                'Content-Type': 'application/json'
-                            },
-                            body: JSON.stringify({
-                                user: {
-                                    user_fields: {
-                                        manager_name: approved_by || '',
-                                        manager_email: approved_by_email || ''
-                                    }
-                                }
-                            })
-                        }
-                    );
-                    console.log(`[Ticket] Updated manager fields for ${email}: ${approved_by} <${approved_by_email}>`);
-                }
-            } catch (managerUpdateErr) {
-                // Non-fatal — log but continue with ticket creation
-                console.warn('[Ticket] Failed to update manager fields:', managerUpdateErr.message);
-            }
+        const item = await serviceCatalog.getItem(pool, CATALOG_TICKET_SKU);
+        if (!item) {
+            return res.status(503).json({ error: `Catalog item ${CATALOG_TICKET_SKU} is not set up (migrations/030_general_catalog_request.sql).` });
         }
-        // ------------------------------------------------------------------
-
-        // Handle new React app format if assets are provided
-        if (assets && Array.isArray(assets)) {
-            const ticketDescription = `
-New Asset Catalog Request
-
-Requester: ${name} (${email})
-Approved by: ${approved_by}
-
-Requested Assets:
-${assets.map(asset => `
-- Asset Name: ${asset.asset_name}
-- Manufacturer: ${asset.manufacturer}
-- Model Number: ${asset.model_number}
-- Serial Number: ${asset.serial_number || 'N/A'}
-- Status: ${asset.status || 'N/A'}
-`).join('')}
-            `.trim();
-
-            const ticketData = {
-                subject: subject || 'New Asset Catalog Request',
-                description: ticketDescription,
-                type: 'task',
-                priority: 'normal',
-                requester: {
-                    name: name,
-                    email: email
-                },
-                tags: tags || []
-            };
-
-            const ticket = await zendeskService.createTicket(ticketData);
-            res.status(201).json({ ticket });
-        } else {
-            // Handle service catalog format
-            const ticketData = {
-                subject: subject || 'New Service Catalog Request',
-                description: body || 'Service catalog request',
-                type: 'task',
-                priority: 'normal',
-                requester: {
-                    name: name,
-                    email: email
-                },
-                tags: tags || [],
-                comment: {
-                    html_body: body || 'Service catalog request'
-                }
-            };
 
-            const ticket = await zendeskService.createTicket(ticketData);
-            console.log('Ticket created successfully:', ticket.id);
-            res.status(201).json({ ticket });
+        const isAssetRequest = Array.isArray(assets);
+        const html = body || 'Service catalog request';
+        const request = await serviceCatalog.submitRequest(pool, {
+            item,
+            requester: { name, email },
+            answers: {
+                subject: subject || (isAssetRequest ? 'New Asset Catalog Request' : 'New Service Catalog Request'),
+                details: isAssetRequest
+                    ? assets.map(describeRequestedAsset).join('\n\n')
+                    : htmlText(html) || 'Service catalog request'
+            },
+            manager: approved_by_email ? { name: approved_by || null, email: approved_by_email } : null,
+            managerOptional: true,
+            tags: Array.isArray(tags) ? tags.filter(tag => typeof tag === 'string' && tag && !/\s/.test(tag)) : [],
+            html: isAssetRequest ? {} : { details: html }
+        });
+        if (request.approval_status === 'pending') {
+            await catalogApprovals.requestApprovals(pool, request).catch(error => {
+                console.error(`[API] Approval emails for request ${request.id} not sent:`, error.message);
+            });
         }
+        console.log(`[Ticket] Request ${request.id} raised ticket #${request.ticket_id}`);
+        res.status(201).json({
+            ticket: request.ticket,
+            request: await serviceCatalog.getRequest(pool, request.id)
+        });
     } catch (error) {
-        console.error('Error in the /api/ticket POST endpoint:', error.message);
-        res.status(500).json({ error: 'Failed to create ticket.', details: error.message });
+        sendCatalogError(res, error, 'Creating the ticket');
     }
 });
 
@@ -860,10 +1414,33 @@ router.options('/zendesk/upload', (req, res) => {
 /**
  * Upload file to Zendesk (for attachments)
  * POST /api/zendesk/upload
+ *
+ * multipart/form-data: any number of file parts (up to
+ * zendeskUploads.MAX_FILES), streamed to Zendesk as they arrive. Returns
+ * { success, tokens, uploads: [{ filename, content_type, size, token,
+ * attachment }] }; pass the tokens to /api/zendesk/create-ticket as
+ * `attachments`. Refused files are listed in `errors` and nothing is kept.
+ *
+ * JSON { filename, content, contentType } is the older text-only form.
  */
 router.post('/zendesk/upload', async (req, res) => {
     const requestId = Math.random().toString(36).substring(7);
-    
+
+    if (req.is('multipart/form-data')) {
+        try {
+            const uploads = await zendeskUploads.receiveUploads(req);
+            console.log(`[Zendesk Upload:${requestId}] Uploaded ${uploads.map(u => `${u.filename} (${u.size} bytes)`).join(', ')}`);
+            return res.json({ success: true, tokens: uploads.map(u => u.token), uploads });
+        } catch (error) {
+            console.error(`[Zendesk Upload:${requestId}] Error:`, error.message, error.errors || '');
+            return res.status(error.status || 500).json({
+                error: error.status ? error.message : 'Failed to upload files',
+                ...(error.errors ? { errors: error.errors } : {}),
+                ...(error.status ? {} : { details: error.message })
+            });
+        }
+    }
+
     console.log(`[Zendesk Upload:${requestId}] File upload request`);
     console.log(`[Zendesk Upload:${requestId}] Origin:`, req.headers.origin);
     console.log(`[Zendesk Upload:${requestId}] Content-Type:`, req.headers['content-type']);
@@ -948,10 +1525,21 @@ router.options('/zendesk/create-ticket', (req, res) => {
 /**
  * Create Zendesk ticket from 3rd party application
  * POST /api/zendesk/create-ticket
+ *
+ * An Idempotency-Key header makes retries safe: a retry with the same key and
+ * body gets the first response again (with Idempotent-Replayed: true). With
+ * TICKET_DEDUPE_MINUTES set, the same requester and subject within that time
+ * comments on the earlier ticket instead (appended: true in the response),
+ * and a 409 is answered while that earlier call is still running. A call
+ * that failed after reaching Zendesk keeps its key: the retry finds the
+ * ticket by its external_id, or creates it. See services/ticketRequests.js.
  */
 router.post('/zendesk/create-ticket', async (req, res) => {
     const requestId = Math.random().toString(36).substring(7);
     const startTime = Date.now();
+    let intake = null;
+    // Once Zendesk has been asked to write, a failure may not mean nothing was written.
+    let sentToZendesk = false;
     
     console.log(`[Zendesk:${requestId}] New ticket request from ${req.ip}`);
 
@@ -1015,27 +1603,102 @@ router.post('/zendesk/create-ticket', async (req, res) => {
             console.log(`[Zendesk:${requestId}] Including ${attachmentTokens.length} attachment(s)`, tokens);
         }
 
+        // ✅ Return proper support portal URL for viewing all requests
+        const supportPortalUrl = 'https://intlxsolutions.zendesk.com/hc/en-us/requests';
+
+        const idempotencyKey = req.get('Idempotency-Key');
+        intake = await ticketRequests.begin(pool, {
+            key: idempotencyKey === undefined ? null : idempotencyKey,
+            body: req.body,
+            email,
+            subject
+        });
+        if (intake.replay) {
+            console.log(`[Zendesk:${requestId}] Replaying ticket ${intake.replay.ticketId} for Idempotency-Key ${idempotencyKey}`);
+            res.set('Idempotent-Replayed', 'true');
+            return res.json(intake.replay);
+        }
+
+        ticketData.external_id = ticketRequests.externalId(intake.id);
+        if (intake.resumed) {
+            // An earlier call with this key failed after reaching Zendesk.
+            const [made] = await zendeskService.findTicketsByExternalId(ticketData.external_id);
+            if (made) {
+                const response = {
+                    success: true,
+                    ticketId: made.id,
+                    ticketUrl: supportPortalUrl,
+                    message: 'Ticket created successfully'
+                };
+                await ticketRequests.finish(pool, intake.id, { status: 'created', ticketId: made.id, response });
+                console.log(`[Zendesk:${requestId}] Ticket ${made.id} was made by an earlier call with Idempotency-Key ${idempotencyKey}`);
+                res.set('Idempotent-Replayed', 'true');
+                return res.json(response);
+            }
+        }
+
+        if (intake.duplicateOf) {
+            const existing = await zendeskService.getTicket(intake.duplicateOf).catch(() => null);
+            if (existing && existing.status !== 'closed') {
+                sentToZendesk = true;
+                await zendeskService.updateTicket(existing.id, {
+                    comment: {
+                        body: description,
+                        public: true,
+                        author_id: existing.requester_id,
+                        ...(ticketData.comment?.uploads ? { uploads: ticketData.comment.uploads } : {})
+                    }
+                });
+                const response = {
+                    success: true,
+                    ticketId: existing.id,
+                    ticketUrl: supportPortalUrl,
+                    appended: true,
+                    message: 'Added to your existing ticket'
+                };
+                await ticketRequests.finish(pool, intake.id, { status: 'appended', ticketId: existing.id, response });
+                console.log(`[Zendesk:${requestId}] Duplicate of ticket ${existing.id}; added as a comment in ${Date.now() - startTime}ms`);
+                return res.json(response);
+            }
+        }
+
         console.log(`[Zendesk:${requestId}] Creating ticket...`);
 
         // Use your existing zendeskService
+        sentToZendesk = true;
         const ticket = await zendeskService.createTicket(ticketData);
         
         const duration = Date.now() - startTime;
         console.log(`[Zendesk:${requestId}] Ticket ${ticket.id} created in ${duration}ms`);
 
-        // ✅ Return proper support portal URL for viewing all requests
-        const supportPortalUrl = 'https://intlxsolutions.zendesk.com/hc/en-us/requests';
-
-        res.json({
+        const response = {
             success: true,
             ticketId: ticket.id,
             ticketUrl: supportPortalUrl,
             message: 'Ticket created successfully'
-        });
+        };
+        await ticketRequests.finish(pool, intake.id, { status: 'created', ticketId: ticket.id, response })
+            .catch(error => console.error(`[Zendesk:${requestId}] Ticket ${ticket.id} not recorded for retries:`, error.message));
+        res.json(response);
 
     } catch (error) {
         const duration = Date.now() - startTime;
         console.error(`[Zendesk:${requestId}] Error after ${duration}ms:`, error.response?.data || error.message);
+
+        if (intake?.id) {
+            // Only a 4xx (other than a timeout) says Zendesk made nothing;
+            // otherwise keep the call so a retry can find what it made.
+            const status = error.response?.status;
+            const refused = status >= 400 && status < 500 && status !== 408;
+            const release = !sentToZendesk || refused
+                ? ticketRequests.abandon(pool, intake.id)
+                : ticketRequests.uncertain(pool, intake.id, error.message);
+            await release.catch(() => {});
+        }
+        // Idempotency-Key problems (400, 409, 422); Zendesk's errors carry a response.
+        if (error.status && !error.response) {
+            return res.status(error.status).json({ error: error.message });
+        }
         
         res.status(error.response?.status || 500).json({
             error: 'Failed to create ticket',
@@ -1199,7 +1862,7 @@ router.get('/custom-statuses', async (req, res) => {
 
 /**
  * Endpoint to get all asset records associated with a given user_id.
- * Used by React app.
+ * Used by React app. Reads the local asset store (services/assets.js).
  */
 router.get('/user-assets', async (req, res) => {
     const { user_id } = req.query;
@@ -1207,9 +1870,8 @@ router.get('/user-assets', async (req, res) => {
         return res.status(400).json({ error: 'Missing user_id query parameter.' });
     }
     try {
-        const assets = await zendeskService.getUserAssetsById(user_id);
-        console.log('Fetched assets:', assets);
-        res.json({ assets: assets || [] });
+        const assets = await assetStore.listAssets(pool, { userId: user_id });
+        res.json({ assets });
     } catch (error) {
         console.error('Error fetching user assets:', error.message);
         res.status(500).json({ error: 'Failed to fetch user assets.', details: error.message });
@@ -1223,6 +1885,8 @@ router.get('/user-assets', async (req, res) => {
  * - /api/assets?user_id=123 (get assets for specific user)
  * - /api/assets?organization_id=456 (get assets for specific organization)
  * Used by client-side API helper and React app.
+ *
+ * Served from the local asset store, which the asset sync keeps current.
  */
 router.get('/assets', async (req, res) => {
     const { user_id, organization_id } = req.query;
@@ -1230,27 +1894,16 @@ router.get('/assets', async (req, res) => {
     console.log(`[API] Assets request - user_id: ${user_id}, organization_id: ${organization_id}`);
     
     try {
-        let assets = [];
-        
-        if (organization_id) {
-            // If organization_id is provided, get all assets for that organization
-            console.log(`[API] Fetching assets for organization: ${organization_id}`);
-            assets = await zendeskService.getAssetsByOrganizationId(organization_id);
-        } else if (user_id) {
-            // If user_id is provided, get user assets
-            console.log(`[API] Fetching assets for user: ${user_id}`);
-            assets = await zendeskService.getUserAssetsById(user_id);
-        } else {
-            // If neither parameter provided, get all assets
-            console.log(`[API] Fetching all assets`);
-            assets = await zendeskService.getAllAssets();
-        }
+        const assets = await assetStore.listAssets(pool, {
+            userId: user_id,
+            organizationId: organization_id
+        });
         
-        console.log(`[API] Returning ${assets?.length || 0} assets`);
+        console.log(`[API] Returning ${assets.length} assets`);
         
         res.json({ 
-            custom_object_records: assets || [],
-            assets: assets || []
+            custom_object_records: assets,
+            assets
         });
         
     } catch (error) {
@@ -1263,14 +1916,464 @@ router.get('/assets', async (req, res) => {
     }
 });
 
+/**
+ * Search the asset store with filters, sorting and cursor pagination.
+ * GET /api/assets/search?q=&status=&manufacturer=&model=&user_id=&organization_id=
+ *     &location_id=&assigned=true|false&warranty_before=&warranty_after=&sort=&limit=&cursor=
+ *
+ * Returns { assets, next_cursor, total }. Pass next_cursor back as `cursor`
+ * for the following page; it is null on the last one. See
+ * assetStore.searchAssets for what each filter matches.
+ */
+router.get('/assets/search', async (req, res) => {
+    const {
+        q, status, manufacturer, model, user_id, organization_id, location_id,
+        assigned, warranty_before, warranty_after, sort, limit, cursor
+    } = req.query;
+
+    for (const [name, value] of [['warranty_before', warranty_before], ['warranty_after', warranty_after]]) {
+        if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return res.status(400).json({ error: `${name} must be a date (YYYY-MM-DD)` });
+        }
+    }
+    if (assigned !== undefined && !['true', 'false'].includes(assigned)) {
+        return res.status(400).json({ error: 'assigned must be true or false' });
+    }
+    if (location_id && !/^\d+$/.test(location_id)) {
+        return res.status(400).json({ error: 'location_id must be a location id' });
+    }
+
+    try {
+        const result = await assetStore.searchAssets(pool, {
+            q,
+            status,
+            manufacturer,
+            model,
+            userId: user_id,
+            organizationId: organization_id,
+            locationId: location_id,
+            assigned: assigned === undefined ? undefined : assigned === 'true',
+            warrantyBefore: warranty_before,
+            warrantyAfter: warranty_after,
+            sort,
+            limit,
+            cursor
+        });
+        res.json(result);
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error searching assets:', error.message);
+        res.status(500).json({ error: 'Failed to search assets.', details: error.message });
+    }
+});
+
+/**
+ * Endpoint to get asset schema/fields.
+ * Used by client-side API and React app.
+ *
+ * The sidebar builds its forms from `properties`, so everything it needs to
+ * render and validate a field is here: type, options, lookup target, the
+ * validation pattern, and whether the field is required. Required comes from
+ * asset_field_settings because custom object fields do not carry it.
+ *
+ * Registered before /assets/:id, which would otherwise take "schema" as an id.
+ */
+router.get('/assets/schema', async (req, res) => {
+    try {
+        const [fields, settings] = await Promise.all([
+            zendeskService.getAssetFields(),
+            pool.query('SELECT key, required FROM asset_field_settings')
+        ]);
+        const requiredKeys = new Set(
+            settings.rows.filter(r => r.required).map(r => r.key)
+        );
+        
+        // Transform fields for client-side API compatibility
+        const properties = {};
+        fields
+            .filter(field => field.active !== false)
+            .forEach(field => {
+                properties[field.key] = {
+                    type: field.type,
+                    title: field.title,
+                    description: field.description || '',
+                    position: field.position,
+                    options: field.custom_field_options || [],
+                    required: field.required === true || requiredKeys.has(field.key),
+                    pattern: field.regexp_for_validation || null,
+                    target: field.relationship_target_type || null
+                };
+            });
+        
+        res.json({ 
+            fields,
+            properties // Format expected by client-side API
+        });
+    } catch (error) {
+        console.error('Error fetching asset schema:', error.message);
+        res.status(500).json({ error: 'Failed to fetch schema.', details: error.message });
+    }
+});
+
+/**
+ * The asset lifecycle: statuses in order and the legal moves between them.
+ * The sidebar uses it to offer only the statuses an asset can move to.
+ * GET /api/assets/lifecycle
+ */
+router.get('/assets/lifecycle', async (req, res) => {
+    try {
+        res.json(await assetLifecycle.getLifecycle(pool));
+    } catch (error) {
+        console.error('Error fetching asset lifecycle:', error.message);
+        res.status(500).json({ error: 'Failed to fetch asset lifecycle.', details: error.message });
+    }
+});
+
+/**
+ * Bulk import, step one: a dry run.
+ * POST /api/assets/import?format=csv|xlsx&filename=...
+ *
+ * The body is the file itself (Content-Type text/csv or the XLSX type). Each
+ * row is checked against the schema, the asset lifecycle and the assets
+ * already in the store, and the plan - create, update, unchanged or error per
+ * row - is saved and returned. Nothing is written to Zendesk until the plan
+ * is committed.
+ */
+router.post('/assets/import', express.raw({ type: () => true, limit: '20mb' }), async (req, res) => {
+    const format = spreadsheetFormat(req);
+    if (!format) {
+        return res.status(400).json({ error: 'Upload a CSV or XLSX file, or pass ?format=csv|xlsx.' });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'The request body must be the file to import.' });
+    }
+
+    try {
+        const sheet = await assetSpreadsheets.readSheet(req.body, format);
+        if (sheet.rows.length === 0) {
+            return res.status(400).json({ error: 'The file has no rows below the header.' });
+        }
+
+        const [fields, settings, assets, lifecycle] = await Promise.all([
+            zendeskService.getAssetFields(),
+            pool.query('SELECT key FROM asset_field_settings WHERE required'),
+            assetStore.listAssets(pool),
+            assetLifecycle.getLifecycle(pool)
+        ]);
+        const plan = assetSpreadsheets.buildImportPlan(sheet, {
+            fields: fields.filter(field => field.active !== false),
+            requiredKeys: new Set(settings.rows.map(r => r.key)),
+            assets,
+            lifecycle
+        });
+
+        const actor = assetHistory.actorFromRequest(req, 'bulk');
+        const { rows: [saved] } = await pool.query(`
+            INSERT INTO asset_imports (filename, format, actor_id, actor_name, summary, plan)
+            VALUES ($1, $2, $3, $4, $5::jsonb, $6::jsonb)
+            RETURNING id, status, created_at
+        `, [req.query.filename || null, format, actor.id, actor.name, JSON.stringify(plan.summary), JSON.stringify(plan)]);
+
+        console.log(`[Asset Import ${saved.id}] Dry run of ${sheet.rows.length} rows:`, plan.summary);
+        res.status(201).json({ import_id: saved.id, status: saved.status, created_at: saved.created_at, ...plan });
+    } catch (error) {
+        console.error('Error planning asset import:', error.message);
+        res.status(500).json({ error: 'Failed to read the import file.', details: error.message });
+    }
+});
+
+/**
+ * Bulk import, step two: submit a reviewed plan.
+ * POST /api/assets/import/:importId/commit
+ *
+ * Sends the create and update rows to Zendesk as custom-object bulk jobs and
+ * answers 202; poll GET /api/assets/import/:importId until it is `ready`, then
+ * POST /api/assets/import/:importId/finalise for the outcome. Rows
+ * marked unchanged or error are skipped. Refused with 409 if an asset the plan
+ * updates has changed since the dry run.
+ */
+router.post('/assets/import/:importId/commit', async (req, res) => {
+    try {
+        const { rows: [assetImport] } = await pool.query(
+            'SELECT * FROM asset_imports WHERE id = $1',
+            [req.params.importId]
+        );
+        if (!assetImport) return res.status(404).json({ error: 'Import not found' });
+
+        const outcome = await commitAssetImport(assetImport);
+        if (outcome.conflict) return res.status(409).json(outcome.conflict);
+        res.status(202).json({
+            import_id: assetImport.id,
+            status: 'committing',
+            jobs: outcome.jobs,
+            error: outcome.error
+        });
+    } catch (error) {
+        console.error('Error committing asset import:', error.message);
+        res.status(500).json({ error: 'Failed to commit import.', details: error.message });
+    }
+});
+
+/**
+ * An import's plan and, once committed, its progress and per-row results.
+ * GET /api/assets/import/:importId
+ */
+router.get('/assets/import/:importId', async (req, res) => {
+    try {
+        const { rows: [assetImport] } = await pool.query(
+            'SELECT * FROM asset_imports WHERE id = $1',
+            [req.params.importId]
+        );
+        if (!assetImport) return res.status(404).json({ error: 'Import not found' });
+
+        res.json(await assetImportProgress(assetImport));
+    } catch (error) {
+        console.error('Error fetching asset import:', error.message);
+        res.status(500).json({ error: 'Failed to fetch import.', details: error.message });
+    }
+});
+
+/**
+ * Finalise a committed import once GET shows it `ready`: records the per-row
+ * results, pulls the changes into the asset store and writes the history.
+ * POST /api/assets/import/:importId/finalise
+ *
+ * Answers 202 with the progress while jobs are still running.
+ */
+router.post('/assets/import/:importId/finalise', async (req, res) => {
+    try {
+        const { rows: [assetImport] } = await pool.query(
+            'SELECT * FROM asset_imports WHERE id = $1',
+            [req.params.importId]
+        );
+        if (!assetImport) return res.status(404).json({ error: 'Import not found' });
+
+        const outcome = await finaliseAssetImport(assetImport);
+        res.status(outcome.ready === false ? 202 : 200).json(outcome);
+    } catch (error) {
+        console.error('Error finalising asset import:', error.message);
+        res.status(500).json({ error: 'Failed to finalise import.', details: error.message });
+    }
+});
+
+/**
+ * Export assets as a spreadsheet that can be edited and imported back.
+ * GET /api/assets/export?format=csv|xlsx&user_id=...&organization_id=...
+ *
+ * Takes the same filters as GET /api/assets.
+ */
+router.get('/assets/export', async (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!assetSpreadsheets.FORMATS[format]) {
+        return res.status(400).json({ error: 'format must be csv or xlsx' });
+    }
+
+    try {
+        const { user_id, organization_id } = req.query;
+        const [fields, assets] = await Promise.all([
+            zendeskService.getAssetFields(),
+            assetStore.listAssets(pool, { userId: user_id, organizationId: organization_id })
+        ]);
+
+        const filename = `assets-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader('Content-Type', assetSpreadsheets.FORMATS[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        await assetSpreadsheets.writeAssets(res, format, {
+            assets,
+            fields: fields.filter(field => field.active !== false)
+        });
+        res.end();
+    } catch (error) {
+        console.error('Error exporting assets:', error.message);
+        // Part of the file is already out: cut the connection so the client
+        // sees a failed download rather than a short file that looks complete.
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ error: 'Failed to export assets.', details: error.message });
+    }
+});
+
+/**
+ * Assets whose warranty, support contract or licence ends soon, per
+ * organization, with counts in the 30/60/90-day windows.
+ * GET /api/assets/expiring?days=90&organization_id=...&kind=warranty,contract,licence
+ */
+router.get('/assets/expiring', async (req, res) => {
+    const days = req.query.days === undefined ? 90 : parseInt(req.query.days, 10);
+    if (!Number.isInteger(days) || days < 1 || days > 730) {
+        return res.status(400).json({ error: 'days must be a whole number from 1 to 730' });
+    }
+    const kinds = req.query.kind
+        ? String(req.query.kind).split(',').map(k => k.trim())
+        : Object.keys(assetExpiry.EXPIRY_KINDS);
+    if (req.query.organization_id && !/^\d+$/.test(req.query.organization_id)) {
+        return res.status(400).json({ error: 'organization_id must be a Zendesk organization id' });
+    }
+    const unknown = kinds.filter(k => !assetExpiry.EXPIRY_KINDS[k]);
+    if (unknown.length > 0) {
+        return res.status(400).json({ error: `kind must be one of: ${Object.keys(assetExpiry.EXPIRY_KINDS).join(', ')}` });
+    }
+
+    try {
+        const rows = await assetExpiry.getExpiringAssets(pool, {
+            days,
+            organizationId: req.query.organization_id || null,
+            kinds
+        });
+        res.json({
+            days,
+            windows: assetExpiry.WINDOWS,
+            total: rows.length,
+            organizations: assetExpiry.groupByOrganization(rows)
+        });
+    } catch (error) {
+        console.error('Error fetching expiring assets:', error.message);
+        res.status(500).json({ error: 'Failed to fetch expiring assets.', details: error.message });
+    }
+});
+
+/**
+ * Open loans past their expected return date, most overdue first.
+ * GET /api/assets/loans/overdue?organization_id=...
+ */
+router.get('/assets/loans/overdue', async (req, res) => {
+    if (req.query.organization_id && !/^\d+$/.test(req.query.organization_id)) {
+        return res.status(400).json({ error: 'organization_id must be a Zendesk organization id' });
+    }
+    try {
+        const loans = await assetLoans.getOverdueLoans(pool, { organizationId: req.query.organization_id || null });
+        res.json({ total: loans.length, loans });
+    } catch (error) {
+        console.error('Error fetching overdue loans:', error.message);
+        res.status(500).json({ error: 'Failed to fetch overdue loans.', details: error.message });
+    }
+});
+
+/**
+ * Pairs of assets that look like the same device, highest score first.
+ * GET /api/assets/duplicates?min_score=50
+ *
+ * See services/assetDuplicates.js for how pairs are scored.
+ */
+router.get('/assets/duplicates', async (req, res) => {
+    const minScore = req.query.min_score === undefined
+        ? assetDuplicates.DEFAULT_MIN_SCORE
+        : parseInt(req.query.min_score, 10);
+    if (!Number.isInteger(minScore) || minScore < 1 || minScore > 100) {
+        return res.status(400).json({ error: 'min_score must be a whole number from 1 to 100' });
+    }
+
+    try {
+        const pairs = assetDuplicates.findDuplicates(await assetStore.listAssets(pool), { minScore });
+        res.json({ min_score: minScore, signals: assetDuplicates.SIGNALS, total: pairs.length, pairs });
+    } catch (error) {
+        console.error('Error finding duplicate assets:', error.message);
+        res.status(500).json({ error: 'Failed to find duplicate assets.', details: error.message });
+    }
+});
+
+/**
+ * Merge one asset into another.
+ * POST /api/assets/merge { keep_id, merge_id }
+ *
+ * Fields the kept asset leaves empty are filled from the merged one, tickets
+ * pointing at the merged asset are repointed, and the merged asset is deleted.
+ * If any ticket cannot be repointed the merged asset is kept and the response
+ * is 502; running the merge again picks up where it stopped. An asset that is
+ * still checked out cannot be merged away (409) until the loan is checked in.
+ */
+router.post('/assets/merge', async (req, res) => {
+    const keepId = req.body.keep_id ? String(req.body.keep_id) : null;
+    const mergeId = req.body.merge_id ? String(req.body.merge_id) : null;
+    if (!keepId || !mergeId) {
+        return res.status(400).json({ error: 'keep_id and merge_id are required' });
+    }
+    if (keepId === mergeId) {
+        return res.status(400).json({ error: 'keep_id and merge_id must be different assets' });
+    }
+
+    try {
+        const actor = assetHistory.actorFromRequest(req);
+        const [keep, merge] = await Promise.all([findAsset(keepId), findAsset(mergeId)]);
+        if (!keep || !merge) {
+            return res.status(404).json({ error: `Asset ${keep ? mergeId : keepId} not found` });
+        }
+        const openLoan = await assetLoans.getOpenLoan(pool, mergeId);
+        if (openLoan) {
+            return res.status(409).json({
+                error: 'The asset being merged away is checked out; check it in first.',
+                loan: openLoan
+            });
+        }
+
+        const copied = assetDuplicates.fieldsToCopy(keep, merge);
+        let kept = keep;
+        if (Object.keys(copied).length > 0) {
+            kept = await zendeskService.updateAsset(keepId, copied);
+            await mirrorAsset(kept);
+        }
+
+        const tickets = await relinkAssetTickets(mergeId, keepId);
+        if (tickets.failed.length > 0) {
+            return res.status(502).json({
+                error: 'Some tickets could not be moved to the kept asset; the merged asset was not deleted.',
+                copied_fields: Object.keys(copied),
+                tickets
+            });
+        }
+
+        await zendeskService.deleteAsset(mergeId);
+        try {
+            await assetStore.removeAsset(pool, mergeId);
+        } catch (mirrorError) {
+            console.error(`[API] Asset ${mergeId} deleted in Zendesk but not locally:`, mirrorError.message);
+        }
+
+        await recordAssetHistory({
+            assetId: keepId,
+            action: 'merge',
+            actor,
+            changes: {
+                ...assetHistory.diffFields(keep.custom_object_fields || {}, copied, { partial: true }),
+                merged_from: { from: null, to: mergeId }
+            }
+        });
+        await recordAssetHistory({
+            assetId: mergeId,
+            action: 'merge',
+            actor,
+            changes: {
+                ...assetHistory.diffFields(merge.custom_object_fields || {}, {}),
+                merged_into: { from: null, to: keepId }
+            }
+        });
+
+        console.log(`[API] Merged asset ${mergeId} into ${keepId}: ${Object.keys(copied).length} fields copied, ${tickets.relinked.length} tickets relinked`);
+        res.json({
+            success: true,
+            record: kept,
+            merged_id: mergeId,
+            copied_fields: Object.keys(copied),
+            tickets
+        });
+    } catch (error) {
+        console.error('Error merging assets:', error.message, error.response?.data);
+        res.status(500).json({ error: 'Failed to merge assets.', details: error.message });
+    }
+});
+
 /**
  * Endpoint to get a single asset by ID.
  * Used by client-side API getAssetById function.
+ *
+ * Falls back to Zendesk when the record is not in the local store yet - one
+ * created in the Zendesk UI since the last sync - and stores what it finds.
  */
 router.get('/assets/:id', async (req, res) => {
     try {
         const assetId = req.params.id;
-        const asset = await zendeskService.getAssetById(assetId);
+        const asset = await findAsset(assetId);
         
         if (!asset) {
             return res.status(404).json({ error: 'Asset not found' });
@@ -1292,9 +2395,42 @@ router.get('/assets/:id', async (req, res) => {
  */
 router.post('/assets', async (req, res) => {
     try {
-        const assetData = req.body;
+        const { status_reason: reason, ...assetData } = req.body;
+        const actor = assetHistory.actorFromRequest(req);
+
+        // A new asset may be created without a status; one that has a status
+        // must start somewhere the lifecycle allows.
+        if (assetData.status === '' || assetData.status === null) delete assetData.status;
+        const statusCheck = await checkAssetStatus(assetData, null, reason);
+        if (statusCheck && !statusCheck.ok) {
+            return res.status(statusCheck.httpStatus).json({
+                error: statusCheck.error,
+                allowed: statusCheck.allowed
+            });
+        }
+        if (statusCheck) assetData.status = statusCheck.status;
+
+        // Checked before the create so the new record cannot match itself.
+        // A warning for the caller, not a refusal.
+        const possibleDuplicates = assetDuplicates.findMatches(
+            await assetStore.listAssets(pool),
+            { name: assetData.name, custom_object_fields: assetData }
+        );
+
         const result = await zendeskService.createAsset(assetData);
-        res.status(201).json(result);
+        const created = result.custom_object_record;
+        await mirrorAsset(created);
+        if (created?.id) {
+            if (statusCheck) await recordStatusChange(created.id, statusCheck.status, reason);
+            await recordAssetHistory({
+                assetId: created.id,
+                action: 'create',
+                actor,
+                changes: assetHistory.diffFields({}, created.custom_object_fields),
+                reason: reason || null
+            });
+        }
+        res.status(201).json({ ...result, possible_duplicates: possibleDuplicates });
     } catch (error) {
         console.error('Error in the /api/assets POST endpoint:', error.message, error.response?.data);
         res.status(500).json({ error: 'Failed to create asset.', details: error.message });
@@ -1314,9 +2450,45 @@ router.patch('/assets/:id', async (req, res) => {
             fieldsToUpdate = fieldsToUpdate.properties;
         }
         
+        // The reason for a status change travels with the fields but is not
+        // one of them.
+        const { status_reason: reason, ...fields } = fieldsToUpdate;
+        fieldsToUpdate = fields;
+        
         console.log(`[API] Updating asset ${assetId} with:`, fieldsToUpdate);
         
+        const actor = assetHistory.actorFromRequest(req);
+        const before = await findAsset(assetId);
+
+        const statusCheck = await checkAssetStatus(fieldsToUpdate, before, reason);
+        if (statusCheck && !statusCheck.ok) {
+            return res.status(statusCheck.httpStatus).json({
+                error: statusCheck.error,
+                from: statusCheck.from,
+                allowed: statusCheck.allowed
+            });
+        }
+        const statusChanged = Boolean(statusCheck?.changed);
+        if (statusChanged) fieldsToUpdate.status = statusCheck.status;
+
         const result = await zendeskService.updateAsset(assetId, fieldsToUpdate);
+        await mirrorAsset(result);
+        if (statusChanged) await recordStatusChange(assetId, statusCheck.status, reason);
+
+        const changes = assetHistory.diffFields(
+            before?.custom_object_fields || {},
+            fieldsToUpdate,
+            { partial: true }
+        );
+        if (Object.keys(changes).length > 0) {
+            await recordAssetHistory({
+                assetId,
+                action: 'update',
+                actor,
+                changes,
+                reason: statusChanged ? reason || null : null
+            });
+        }
         
         // Return in format expected by client-side API
         res.status(200).json({
@@ -1332,12 +2504,23 @@ router.patch('/assets/:id', async (req, res) => {
 /**
  * Endpoint to delete an asset by ID.
  * Used by React app delete functionality.
+ * Refused with 409 while the asset is checked out.
  */
 router.delete('/assets/:id', async (req, res) => {
     try {
         const assetId = req.params.id;
         console.log(`[API] DELETE request for asset: ${assetId}`);
+
+        const openLoan = await assetLoans.getOpenLoan(pool, assetId);
+        if (openLoan) {
+            return res.status(409).json({
+                error: 'This asset is checked out; check it in before deleting it.',
+                loan: openLoan
+            });
+        }
         
+        const actor = assetHistory.actorFromRequest(req);
+        const before = await findAsset(assetId);
         const result = await zendeskService.deleteAsset(assetId);
         
         if (!result) {
@@ -1347,6 +2530,19 @@ router.delete('/assets/:id', async (req, res) => {
             });
         }
         
+        try {
+            await assetStore.removeAsset(pool, assetId);
+        } catch (mirrorError) {
+            console.error(`[API] Asset ${assetId} deleted in Zendesk but not locally:`, mirrorError.message);
+        }
+
+        await recordAssetHistory({
+            assetId,
+            action: 'delete',
+            actor,
+            changes: assetHistory.diffFields(before?.custom_object_fields || {}, {})
+        });
+        
         console.log(`[API] Asset ${assetId} deleted successfully`);
         res.status(200).json({ 
             success: true, 
@@ -1372,37 +2568,303 @@ router.delete('/assets/:id', async (req, res) => {
 });
 
 /**
- * Endpoint to get asset schema/fields.
- * Used by client-side API and React app.
+ * Change history for one asset, newest first.
+ * GET /api/assets/:id/history
  */
-router.get('/assets/schema', async (req, res) => {
+router.get('/assets/:id/history', async (req, res) => {
     try {
-        const fields = await zendeskService.getAssetFields();
-        
-        // Transform fields for client-side API compatibility
-        const properties = {};
-        fields.forEach(field => {
-            properties[field.key] = {
-                type: field.type,
-                title: field.title,
-                options: field.custom_field_options || []
-            };
-        });
-        
-        res.json({ 
-            fields,
-            properties // Format expected by client-side API
-        });
+        const events = await assetHistory.getAssetHistory(pool, req.params.id);
+        res.json({ asset_id: req.params.id, events });
     } catch (error) {
-        console.error('Error fetching asset schema:', error.message);
-        res.status(500).json({ error: 'Failed to fetch schema.', details: error.message });
+        console.error('Error fetching asset history:', error.message);
+        res.status(500).json({ error: 'Failed to fetch asset history.', details: error.message });
+    }
+});
+
+/**
+ * Lend an asset.
+ * POST /api/assets/:id/checkout
+ *   { borrower_user_id, borrower_name, expected_return_on, condition, ticket_id }
+ *
+ * Assigns the asset to the borrower and marks it deployed in Zendesk, and
+ * opens a loan. 409 if the asset is already out, or if the lifecycle does not
+ * allow it to be deployed from where it is (in repair, retired...).
+ */
+router.post('/assets/:id/checkout', async (req, res) => {
+    const assetId = req.params.id;
+    const { borrower_user_id, borrower_name, expected_return_on, condition, ticket_id } = req.body;
+
+    if (!/^\d+$/.test(String(borrower_user_id || ''))) {
+        return res.status(400).json({ error: 'borrower_user_id must be a Zendesk user id' });
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(expected_return_on || ''))) {
+        return res.status(400).json({ error: 'expected_return_on must be a date (YYYY-MM-DD)' });
+    }
+    if (expected_return_on < new Date().toISOString().slice(0, 10)) {
+        return res.status(400).json({ error: 'expected_return_on cannot be in the past' });
+    }
+    if (ticket_id && !/^\d+$/.test(String(ticket_id))) {
+        return res.status(400).json({ error: 'ticket_id must be a Zendesk ticket id' });
+    }
+
+    try {
+        const actor = assetHistory.actorFromRequest(req);
+        const asset = await findAsset(assetId);
+        if (!asset) return res.status(404).json({ error: 'Asset not found' });
+
+        const fields = { assigned_to: String(borrower_user_id), status: 'deployed' };
+        const statusCheck = await checkAssetStatus(fields, asset, null);
+        if (!statusCheck.ok) {
+            return res.status(statusCheck.httpStatus === 400 ? 409 : statusCheck.httpStatus).json({
+                error: `This asset cannot be checked out: ${statusCheck.error}`,
+                from: statusCheck.from
+            });
+        }
+        fields.status = statusCheck.status;
+
+        const loan = await assetLoans.checkOut(pool, {
+            assetId,
+            borrowerUserId: String(borrower_user_id),
+            borrowerName: borrower_name,
+            ticketId: ticket_id,
+            expectedReturnOn: expected_return_on,
+            condition,
+            actor
+        });
+        if (!loan) {
+            return res.status(409).json({
+                error: 'This asset is already checked out.',
+                loan: await assetLoans.getOpenLoan(pool, assetId)
+            });
+        }
+
+        let record;
+        try {
+            record = await zendeskService.updateAsset(assetId, fields);
+        } catch (error) {
+            await assetLoans.cancelLoan(pool, loan.id);
+            throw error;
+        }
+        await mirrorAsset(record);
+        if (statusCheck.changed) await recordStatusChange(assetId, fields.status, null);
+
+        await recordAssetHistory({
+            assetId,
+            action: 'check_out',
+            actor,
+            changes: {
+                ...assetHistory.diffFields(asset.custom_object_fields || {}, fields, { partial: true }),
+                expected_return_on: { from: null, to: expected_return_on },
+                ...(condition ? { condition: { from: null, to: condition } } : {})
+            }
+        });
+
+        res.status(201).json({ loan, record });
+    } catch (error) {
+        console.error('Error checking out asset:', error.message, error.response?.data);
+        res.status(500).json({ error: 'Failed to check out asset.', details: error.message });
+    }
+});
+
+/**
+ * Take a lent asset back.
+ * POST /api/assets/:id/checkin { condition }
+ *
+ * Closes the loan, clears the assignment and returns the asset to stock.
+ * 409 if the asset is not checked out.
+ */
+router.post('/assets/:id/checkin', async (req, res) => {
+    const assetId = req.params.id;
+    const { condition } = req.body;
+
+    try {
+        const actor = assetHistory.actorFromRequest(req);
+        const asset = await findAsset(assetId);
+        if (!asset) return res.status(404).json({ error: 'Asset not found' });
+
+        const fields = { assigned_to: null, status: 'in_stock' };
+        const statusCheck = await checkAssetStatus(fields, asset, null);
+        if (!statusCheck.ok) {
+            return res.status(409).json({
+                error: `This asset cannot be checked in: ${statusCheck.error}`,
+                from: statusCheck.from
+            });
+        }
+        fields.status = statusCheck.status;
+
+        const loan = await assetLoans.checkIn(pool, { assetId, condition, actor });
+        if (!loan) return res.status(409).json({ error: 'This asset is not checked out.' });
+
+        let record;
+        try {
+            record = await zendeskService.updateAsset(assetId, fields);
+        } catch (error) {
+            await assetLoans.undoCheckIn(pool, loan.id);
+            throw error;
+        }
+        await mirrorAsset(record);
+        if (statusCheck.changed) await recordStatusChange(assetId, fields.status, null);
+
+        await recordAssetHistory({
+            assetId,
+            action: 'check_in',
+            actor,
+            changes: {
+                ...assetHistory.diffFields(asset.custom_object_fields || {}, fields, { partial: true }),
+                ...(condition ? { condition: { from: loan.checkout_condition, to: condition } } : {})
+            }
+        });
+
+        res.json({ loan, record });
+    } catch (error) {
+        console.error('Error checking in asset:', error.message, error.response?.data);
+        res.status(500).json({ error: 'Failed to check in asset.', details: error.message });
+    }
+});
+
+/**
+ * Loans of one asset, newest first; the open one, if any, is `current`.
+ * GET /api/assets/:id/loans
+ */
+router.get('/assets/:id/loans', async (req, res) => {
+    try {
+        const loans = await assetLoans.getLoans(pool, req.params.id);
+        res.json({
+            asset_id: req.params.id,
+            current: loans.find(loan => !loan.checked_in_at) || null,
+            loans
+        });
+    } catch (error) {
+        console.error('Error fetching asset loans:', error.message);
+        res.status(500).json({ error: 'Failed to fetch asset loans.', details: error.message });
+    }
+});
+
+/**
+ * Every ticket linked to an asset, with status, time logged and billable
+ * minutes from the synced tickets, plus totals.
+ * GET /api/assets/:id/tickets
+ */
+router.get('/assets/:id/tickets', async (req, res) => {
+    try {
+        const result = await assetTickets.getAssetTickets(pool, req.params.id);
+        res.json({ asset_id: req.params.id, ...result });
+    } catch (error) {
+        console.error('Error fetching asset tickets:', error.message);
+        res.status(500).json({ error: 'Failed to fetch asset tickets.', details: error.message });
+    }
+});
+
+/**
+ * The assets linked to a ticket. Used by the sidebar on the open ticket.
+ * GET /api/tickets/:ticketId/assets
+ */
+router.get('/tickets/:ticketId/assets', async (req, res) => {
+    const ticketId = ticketIdParam(req.params.ticketId);
+    if (!ticketId) return res.status(400).json({ error: 'ticketId must be a Zendesk ticket id' });
+
+    try {
+        const assets = await assetTickets.getTicketAssets(pool, ticketId);
+        res.json({ ticket_id: ticketId, assets });
+    } catch (error) {
+        console.error('Error fetching ticket assets:', error.message);
+        res.status(500).json({ error: 'Failed to fetch ticket assets.', details: error.message });
+    }
+});
+
+/**
+ * Link an asset to a ticket.
+ * POST /api/tickets/:ticketId/assets { asset_id }
+ *
+ * Stored locally and, when ASSET_TICKET_FIELD_ID is set, in the ticket's
+ * asset lookup field - which then points at this asset even if it pointed
+ * at another before. The earlier link stays in the local table.
+ */
+router.post('/tickets/:ticketId/assets', async (req, res) => {
+    const ticketId = ticketIdParam(req.params.ticketId);
+    const assetId = req.body.asset_id ? String(req.body.asset_id) : null;
+    if (!ticketId) return res.status(400).json({ error: 'ticketId must be a Zendesk ticket id' });
+    if (!assetId) return res.status(400).json({ error: 'asset_id is required' });
+
+    try {
+        const asset = await findAsset(assetId);
+        if (!asset) return res.status(404).json({ error: 'Asset not found' });
+
+        // Zendesk first, so a ticket that refuses the update (a closed one)
+        // does not end up linked on one side only.
+        if (assetTickets.ASSET_TICKET_FIELD_ID) {
+            await zendeskService.updateTicketCustomFields(ticketId, [
+                { id: assetTickets.ASSET_TICKET_FIELD_ID, value: assetId }
+            ]);
+        }
+
+        const actor = assetHistory.actorFromRequest(req);
+        const created = await assetTickets.linkAsset(pool, {
+            assetId,
+            ticketId,
+            source: actor.source === 'sidebar' ? 'sidebar' : 'api',
+            actor
+        });
+        if (created) {
+            await recordAssetHistory({
+                assetId,
+                action: 'link',
+                actor,
+                changes: { ticket: { from: null, to: ticketId } }
+            });
+        }
+
+        res.status(created ? 201 : 200).json({ ticket_id: ticketId, asset_id: assetId, created });
+    } catch (error) {
+        console.error('Error linking asset to ticket:', error.message, error.response?.data);
+        res.status(error.response?.status === 422 ? 409 : 500).json({
+            error: 'Failed to link asset to ticket.',
+            details: error.response?.data || error.message
+        });
+    }
+});
+
+/**
+ * Remove a ticket-asset link. Clears the ticket's lookup field too when it
+ * points at this asset.
+ * DELETE /api/tickets/:ticketId/assets/:assetId
+ */
+router.delete('/tickets/:ticketId/assets/:assetId', async (req, res) => {
+    const ticketId = ticketIdParam(req.params.ticketId);
+    const { assetId } = req.params;
+    if (!ticketId) return res.status(400).json({ error: 'ticketId must be a Zendesk ticket id' });
+
+    try {
+        if (assetTickets.ASSET_TICKET_FIELD_ID) {
+            const { rows: [ticket] } = await pool.query('SELECT custom_fields FROM tickets WHERE id = $1', [ticketId]);
+            if (ticket && assetTickets.assetIdFromTicket(ticket) === assetId) {
+                await zendeskService.updateTicketCustomFields(ticketId, [
+                    { id: assetTickets.ASSET_TICKET_FIELD_ID, value: null }
+                ]);
+            }
+        }
+
+        const removed = await assetTickets.unlinkAsset(pool, { assetId, ticketId });
+        if (!removed) return res.status(404).json({ error: 'Link not found' });
+
+        await recordAssetHistory({
+            assetId,
+            action: 'unlink',
+            actor: assetHistory.actorFromRequest(req),
+            changes: { ticket: { from: ticketId, to: null } }
+        });
+        res.json({ success: true, ticket_id: ticketId, asset_id: assetId });
+    } catch (error) {
+        console.error('Error unlinking asset from ticket:', error.message);
+        res.status(500).json({ error: 'Failed to unlink asset from ticket.', details: error.message });
     }
 });
 
 /**
  * Endpoint to fetch IT Portal (SiPortal) assets for a company/organization.
  * Used by React app IT Portal Assets section.
- * SUPPORTS BILH with direct API search
+ * Devices come from the organization's rollup when it has one (see
+ * services/siportalRollups.js), otherwise from its confirmed company links.
  */
 router.get('/it-portal-assets', async (req, res) => {
     try {
@@ -1426,161 +2888,23 @@ router.get('/it-portal-assets', async (req, res) => {
         
         console.log(`[API] Fetching SiPortal devices for organization: ${orgName}`);
 
-        // Check if this is BILH
-        const lowerOrgName = orgName.toLowerCase().trim();
-        let matchingCompanies = [];
-        
-        // Special handling for Beth Israel Lahey Health
-        if (lowerOrgName === 'beth israel lahey health' || lowerOrgName.includes('bilh')) {
-            console.log(`[API] Detected Beth Israel Lahey Health - using direct API search with nameStartsWith`);
-            
-            try {
-                const bilhResponse = await fetch(`https://www.siportal.net/api/2.0/companies/?nameStartsWith=bilh`, {
-                    method: 'GET',
-                    headers: {
-                        'Authorization': process.env.SIPORTAL_API_KEY,
-                        'Content-Type': 'application/json'
-                    }
-                });
-                
-                if (bilhResponse.ok) {
-                    const bilhData = await bilhResponse.json();
-                    matchingCompanies = bilhData.data?.results || [];
-                    console.log(`[API] Found ${matchingCompanies.length} BILH companies via nameStartsWith search`);
-                    console.log(`[API] BILH companies:`, matchingCompanies.map(c => ({ id: c.id, name: c.name })));
-                } else {
-                    console.log(`[API] Failed to search for BILH companies: ${bilhResponse.status}`);
-                    matchingCompanies = [];
-                }
-            } catch (searchError) {
-                console.error(`[API] Error searching for BILH companies:`, searchError.message);
-                matchingCompanies = [];
-            }
-            
-        } else {
-    // Single company search (existing logic)
-    console.log(`[API] Using single company search for "${orgName}"`);
-    
-    const knownMappings = {
-        'keep me home, llc': 3632,
-        'keep me home,llc': 3632,
-        'intlx solutions, llc': 3492,
-        'starling physicians mso, llc': 4133,
-    };
+        // Only a rollup or confirmed links decide whose devices are shown. A
+        // name match is offered as a suggestion for an admin to confirm, never used.
+        const { rollup, companies: matchingCompanies } = await rollups.organizationCompanies(pool, user.organization_id);
 
-    if (knownMappings[lowerOrgName]) {
-        matchingCompanies.push({
-            id: knownMappings[lowerOrgName],
-            name: orgName
-        });
-    } else {
-        // Search in cache for single company
-        if (companiesCache.companies.length === 0) {
-            await refreshCompaniesCache();
-        }
-        
-        if (companiesCache.companies.length > 0) {
-            console.log(`[API] Searching in cache (${companiesCache.companies.length} companies)`);
-            const cacheResult = searchCompaniesInCache(orgName);
-            
-            if (cacheResult) {
-                matchingCompanies.push(cacheResult.company);
-                console.log(`[API] Cache match found: "${cacheResult.company.name}" (ID: ${cacheResult.company.id})`);
-            }
-        }
-        
-        // 🆕 NEW: If not found in cache, try direct API search
-        if (matchingCompanies.length === 0) {
-            console.log(`[API] Company not in cache, trying direct API search for "${orgName}"`);
-            
-            try {
-                // Use first 10 chars of org name for search
-                const searchTerm = orgName.substring(0, 10);
-                const directSearchResponse = await fetch(
-                    `https://www.siportal.net/api/2.0/companies/?nameStartsWith=${encodeURIComponent(searchTerm)}`,
-                    {
-                        method: 'GET',
-                        headers: {
-                            'Authorization': process.env.SIPORTAL_API_KEY,
-                            'Content-Type': 'application/json'
-                        }
-                    }
-                );
-                
-                if (directSearchResponse.ok) {
-                    const directData = await directSearchResponse.json();
-                    const directCompanies = directData.data?.results || [];
-                    
-                    console.log(`[API] Direct search found ${directCompanies.length} companies starting with "${searchTerm}"`);
-                    
-                    if (directCompanies.length > 0) {
-                        // Try exact match first
-                        const exactMatch = directCompanies.find(c => 
-                            normalizeCompanyName(c.name) === normalizeCompanyName(orgName)
-                        );
-                        
-                        if (exactMatch) {
-                            matchingCompanies.push(exactMatch);
-                            console.log(`[API] ✅ Direct search EXACT match: "${exactMatch.name}" (ID: ${exactMatch.id})`);
-                        } else {
-                            // Use fuzzy matching on direct search results
-                            const variations = generateNameVariations(orgName);
-                            let bestMatch = null;
-                            let bestScore = 0;
-                            
-                            for (const company of directCompanies) {
-                                const companyNorm = normalizeCompanyName(company.name);
-                                
-                                for (const variation of variations) {
-                                    let score = 0;
-                                    
-                                    // Exact normalized match
-                                    if (companyNorm === variation) {
-                                        bestMatch = company;
-                                        bestScore = 100;
-                                        break;
-                                    }
-                                    
-                                    // Substring match
-                                    if (companyNorm.includes(variation) || variation.includes(companyNorm)) {
-                                        score = 85;
-                                    }
-                                    
-                                    if (score > bestScore) {
-                                        bestMatch = company;
-                                        bestScore = score;
-                                    }
-                                }
-                                
-                                if (bestScore === 100) break;
-                            }
-                            
-                            if (bestMatch && bestScore >= 70) {
-                                matchingCompanies.push(bestMatch);
-                                console.log(`[API] ✅ Direct search FUZZY match: "${bestMatch.name}" (ID: ${bestMatch.id}, score: ${bestScore})`);
-                            } else {
-                                console.log(`[API] ❌ Direct search found companies but no good match (best score: ${bestScore})`);
-                            }
-                        }
-                    } else {
-                        console.log(`[API] ❌ Direct search returned no companies for "${searchTerm}"`);
-                    }
-                } else {
-                    console.log(`[API] ❌ Direct search API failed: ${directSearchResponse.status}`);
-                }
-            } catch (directSearchError) {
-                console.error(`[API] Direct search error:`, directSearchError.message);
-            }
+        if (matchingCompanies.length === 0 && rollup) {
+            return res.json({
+                assets: [],
+                message: `The "${rollup.name}" rollup has no IT Portal companies.`
+            });
         }
-    }
-}
-
         if (matchingCompanies.length === 0) {
-            console.log(`[API] No matching companies found for "${orgName}"`);
-            return res.json({ 
+            const suggestion = await suggestCompanyLink(user.organization_id, orgName);
+            console.log(`[API] No confirmed SiPortal company for "${orgName}"${suggestion ? `, suggested "${suggestion.company_name}"` : ''}`);
+            return res.json({
                 assets: [],
-                message: `No matching IT Portal company found for "${orgName}".`,
-                companies_searched: companiesCache.companies.length || 20
+                message: `No IT Portal company has been confirmed for "${orgName}".`,
+                suggestion
             });
         }
 
@@ -1591,72 +2915,19 @@ router.get('/it-portal-assets', async (req, res) => {
         const companiesWithAssets = [];
         
         const devicePromises = matchingCompanies.map(async (company) => {
-    console.log(`[API] Fetching devices for company ${company.id} (${company.name})`);
-    
-    try {
-        // 🆕 ADD PAGINATION HERE
-        let allDevices = [];
-        let offset = 0;
-        const limit = 20;
-        let hasMore = true;
-
-        while (hasMore && offset < 500) { // Safety limit: 500 devices max
-            const devicesResponse = await fetch(
-                `https://www.siportal.net/api/2.0/devices?companyId=${company.id}&offset=${offset}&limit=${limit}`,
-                {
-                    method: 'GET',
-                    headers: {
-                        'Authorization': process.env.SIPORTAL_API_KEY,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
+            console.log(`[API] Fetching devices for company ${company.id} (${company.name})`);
 
-            if (!devicesResponse.ok) {
-                if (offset === 0) {
-                    // Only throw error on first page
-                    console.log(`[API] Failed to fetch devices for company ${company.id}: ${devicesResponse.status}`);
-                    return { company, devices: [] };
-                }
-                // If error on subsequent pages, just stop pagination
-                break;
-            }
+            try {
+                const { devices, complete } = await siportalDevices.fetchCompanyDevices(company);
+                console.log(`[API] ✅ Total devices for ${company.name}: ${devices.length}${complete ? '' : ' (incomplete)'}`);
 
-            const siPortalData = await devicesResponse.json();
-            const devices = siPortalData.data?.results || [];
-            
-            console.log(`[API] Page ${Math.floor(offset/limit) + 1}: Found ${devices.length} devices for ${company.name} (offset: ${offset})`);
-            
-            if (devices.length > 0) {
-                // Check for duplicates before adding
-                const existingIds = new Set(allDevices.map(d => d.id));
-                const newDevices = devices.filter(d => !existingIds.has(d.id));
-                
-                if (newDevices.length > 0) {
-                    allDevices.push(...newDevices);
-                    hasMore = devices.length === limit; // Continue if we got a full page
-                    offset += limit;
-                } else {
-                    // All devices were duplicates, stop
-                    hasMore = false;
-                }
-            } else {
-                // Empty page, stop pagination
-                hasMore = false;
-            }
-        }
-        
-        console.log(`[API] ✅ Total devices for ${company.name}: ${allDevices.length}`);
-        
-        const devices = allDevices; // Use allDevices instead of single fetch
-                
                 // Update company name from device data if available
                 if (devices.length > 0 && devices[0].company?.name) {
                     company.name = devices[0].company.name;
                 }
-                
+
                 return { company, devices };
-                
+
             } catch (deviceError) {
                 console.error(`[API] Error fetching devices for company ${company.id}:`, deviceError.message);
                 return { company, devices: [] };
@@ -1665,6 +2936,15 @@ router.get('/it-portal-assets', async (req, res) => {
         
         // Wait for all device fetches to complete
         const results = await Promise.all(devicePromises);
+
+        // Places in the location tree, from the device sync.
+        const places = await locations.devicePlaces(
+            pool,
+            results.flatMap(({ devices }) => devices.map(device => device.id))
+        ).catch(error => {
+            console.error('[API] Error reading device locations:', error.message);
+            return new Map();
+        });
         
         // Process results and transform devices
         for (const { company, devices } of results) {
@@ -1672,6 +2952,7 @@ router.get('/it-portal-assets', async (req, res) => {
                 companiesWithAssets.push({
                     id: company.id,
                     name: company.name,
+                    display_name: company.display_name,
                     device_count: devices.length
                 });
                 
@@ -1689,10 +2970,8 @@ router.get('/it-portal-assets', async (req, res) => {
                     domain: device.domain || device.realm || '',
                     realm: device.realm || device.domain || '',
                     facility: typeof device.facility === 'object' ? (device.facility?.name || '') : (device.facility || ''),
-                    username: device.username || device.user || '',
-                    preferred_access: device.preferredAccess || device.preferred_access || '',
-                    access_method: device.accessMethod || device.access_method || '',
-                    credentials: device.credentials || device.credential || '',
+                    // Credentials are not sent; see POST /it-portal-assets/:deviceId/credentials.
+                    has_credentials: deviceCredentials.hasCredentials(device),
                     
                     // Standard fields
                     manufacturer: device.type?.name || device.manufacturer || 'Unknown',
@@ -1709,10 +2988,14 @@ router.get('/it-portal-assets', async (req, res) => {
                     // Company info
                     company_name: company.name,
                     company_id: company.id,
-                    hospital_name: company.name.replace(/^BILH[-\s]+/i, ''),
+                    display_name: company.display_name,
+                    // The older sidebar reads the display name under this key.
+                    hospital_name: company.display_name,
                     
                     // Additional fields
                     location: typeof device.location === 'object' ? (device.location?.name || '') : (device.location || ''),
+                    location_id: places.get(String(device.id))?.location_id ?? null,
+                    location_path: places.get(String(device.id))?.path ?? [],
                     ip_address: device.ipAddress || device.ip_address || '',
                     mac_address: device.macAddress || device.mac_address || '',
                     os: device.operatingSystem || device.os || '',
@@ -1740,411 +3023,796 @@ router.get('/it-portal-assets', async (req, res) => {
                 id: user.organization_id
             },
             is_multi_company: matchingCompanies.length > 1,
-            is_bilh: lowerOrgName === 'beth israel lahey health' || lowerOrgName.includes('bilh')
+            rollup: rollup ? { name: rollup.name, company_prefix: rollup.company_prefix } : null
+        });
+        
+    } catch (error) {
+        console.error('[API] Error fetching SiPortal devices:', error.message);
+        res.status(500).json({ 
+            error: 'Failed to fetch IT Portal assets',
+            details: error.message 
+        });
+    }
+});
+
+/**
+ * Reveal one device's credentials to a verified agent.
+ * POST /api/it-portal-assets/:deviceId/credentials { ticket_id }
+ *
+ * Needs X-Reveal-Secret (CREDENTIAL_REVEAL_SECRET, sent by the sidebar as a
+ * secure app setting through the Zendesk proxy) and X-Actor-Id naming an
+ * active Zendesk agent. Rate-limited per agent. Every attempt, granted or
+ * not, is written to credential_reveals.
+ */
+router.post('/it-portal-assets/:deviceId/credentials', async (req, res) => {
+    const { deviceId } = req.params;
+    const actor = assetHistory.actorFromRequest(req);
+    const ticketId = ticketIdParam(req.body?.ticket_id ?? '');
+    const audit = (outcome, reason, companyId = null) => deviceCredentials.recordReveal(pool, {
+        deviceId,
+        companyId,
+        agent: actor,
+        ticketId,
+        outcome,
+        reason,
+        ip: req.ip,
+        userAgent: req.get('user-agent') || null
+    });
+
+    if (!deviceCredentials.revealConfigured()) {
+        return res.status(503).json({ error: 'Credential reveal is not configured (CREDENTIAL_REVEAL_SECRET).' });
+    }
+
+    try {
+        if (!deviceCredentials.secretMatches(req.get('x-reveal-secret'))) {
+            await audit('denied', 'missing or wrong reveal secret');
+            return res.status(403).json({ error: 'Credential reveal is only available from the agent sidebar.' });
+        }
+        if (!/^\d+$/.test(String(actor.id ?? ''))) {
+            await audit('denied', 'no agent id');
+            return res.status(401).json({ error: 'X-Actor-Id is required.' });
+        }
+
+        const agent = await zendeskService.getUserById(actor.id).catch(() => null);
+        if (!deviceCredentials.isVerifiedAgent(agent)) {
+            await audit('denied', agent ? `role ${agent.role}${agent.suspended ? ', suspended' : ''}` : 'unknown user');
+            return res.status(403).json({ error: 'Only active agents can view device credentials.' });
+        }
+        actor.name = agent.name;
+
+        const wait = await deviceCredentials.rateLimitWait(pool, agent.id);
+        if (wait > 0) {
+            await audit('rate_limited', `limit ${deviceCredentials.REVEAL_LIMIT} per ${deviceCredentials.REVEAL_WINDOW_MINUTES} min`);
+            res.set('Retry-After', String(wait));
+            return res.status(429).json({ error: 'Too many credential reveals. Try again later.', retry_after: wait });
+        }
+
+        const device = await siportal.getDevice(deviceId);
+        const companyId = device?.company?.id ?? device?.companyId ?? null;
+        const linked = companyId !== null && (await siportalDevices.getLinkedCompanies(pool))
+            .some(company => String(company.id) === String(companyId));
+        if (!device || !linked) {
+            await audit('denied', device ? 'company not linked to an organization' : 'device not found', companyId);
+            return res.status(404).json({ error: 'Device not found.' });
+        }
+
+        await audit('granted', null, companyId);
+        console.log(`[Credentials] ${agent.name} (${agent.id}) viewed credentials of device ${deviceId}`);
+        res.set('Cache-Control', 'no-store');
+        res.json({ device_id: String(device.id), name: device.name || null, ...deviceCredentials.credentialsOf(device) });
+    } catch (error) {
+        console.error(`[Credentials] Reveal of device ${deviceId} failed:`, error.message);
+        res.status(500).json({ error: 'Failed to fetch device credentials.', details: error.message });
+    }
+});
+
+/**
+ * The credential reveal audit log, newest first.
+ * GET /api/it-portal-assets/credential-reveals?device_id=...&agent_id=...&limit=100
+ *
+ * Gated like the reveal itself: X-Reveal-Secret and an X-Actor-Id naming an
+ * active Zendesk agent. The log says who can see which device's credentials.
+ */
+router.get('/it-portal-assets/credential-reveals', async (req, res) => {
+    const { device_id, agent_id } = req.query;
+    if (agent_id && !/^\d+$/.test(agent_id)) {
+        return res.status(400).json({ error: 'agent_id must be a Zendesk user id' });
+    }
+    if (!deviceCredentials.revealConfigured()) {
+        return res.status(503).json({ error: 'Credential reveal is not configured (CREDENTIAL_REVEAL_SECRET).' });
+    }
+    if (!deviceCredentials.secretMatches(req.get('x-reveal-secret'))) {
+        return res.status(403).json({ error: 'The credential reveal log is only available from the agent sidebar.' });
+    }
+    const actor = assetHistory.actorFromRequest(req);
+    if (!/^\d+$/.test(String(actor.id ?? ''))) {
+        return res.status(401).json({ error: 'X-Actor-Id is required.' });
+    }
+    try {
+        const agent = await zendeskService.getUserById(actor.id).catch(() => null);
+        if (!deviceCredentials.isVerifiedAgent(agent)) {
+            return res.status(403).json({ error: 'Only active agents can view the credential reveal log.' });
+        }
+        const reveals = await deviceCredentials.listReveals(pool, {
+            deviceId: device_id || null,
+            agentId: agent_id || null,
+            limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+        });
+        res.json({ total: reveals.length, reveals });
+    } catch (error) {
+        console.error('Error fetching credential reveals:', error.message);
+        res.status(500).json({ error: 'Failed to fetch credential reveals.', details: error.message });
+    }
+});
+
+/**
+ * Organization -> SiPortal company links.
+ * GET /api/siportal/company-links?organization_id=...&confirmed=true|false
+ */
+router.get('/siportal/company-links', async (req, res) => {
+    const { organization_id, confirmed } = req.query;
+    if (organization_id && !/^\d+$/.test(organization_id)) {
+        return res.status(400).json({ error: 'organization_id must be a Zendesk organization id' });
+    }
+    if (confirmed && !['true', 'false'].includes(confirmed)) {
+        return res.status(400).json({ error: 'confirmed must be true or false' });
+    }
+    try {
+        const links = await companyLinks.listLinks(pool, {
+            organizationId: organization_id || null,
+            confirmed: confirmed ? confirmed === 'true' : null
+        });
+        res.json({ total: links.length, links });
+    } catch (error) {
+        console.error('Error fetching company links:', error.message);
+        res.status(500).json({ error: 'Failed to fetch company links.', details: error.message });
+    }
+});
+
+/**
+ * Organizations with no link, and those with only unconfirmed suggestions.
+ * GET /api/siportal/company-links/report
+ */
+router.get('/siportal/company-links/report', async (req, res) => {
+    try {
+        const report = await companyLinks.getLinkReport(pool);
+        res.json({
+            unlinked_count: report.unlinked.length,
+            low_confidence_count: report.low_confidence.length,
+            ...report
+        });
+    } catch (error) {
+        console.error('Error building company link report:', error.message);
+        res.status(500).json({ error: 'Failed to build company link report.', details: error.message });
+    }
+});
+
+/**
+ * Runs the name match for one organization and stores the result as a
+ * suggestion. Nothing is confirmed.
+ * POST /api/siportal/company-links/:orgId/suggest
+ */
+router.post('/siportal/company-links/:orgId/suggest', async (req, res) => {
+    if (!/^\d+$/.test(req.params.orgId)) {
+        return res.status(400).json({ error: 'orgId must be a Zendesk organization id' });
+    }
+    try {
+        const organization = await zendeskService.getOrganizationById(req.params.orgId);
+        const suggestion = await suggestCompanyLink(organization.id, organization.name);
+        res.json({ organization: { id: organization.id, name: organization.name }, suggestion });
+    } catch (error) {
+        console.error('Error suggesting company link:', error.message);
+        res.status(500).json({ error: 'Failed to suggest a company link.', details: error.message });
+    }
+});
+
+/**
+ * Adds a confirmed link.
+ * POST /api/siportal/company-links { organization_id, company_id, company_name }
+ */
+router.post('/siportal/company-links', async (req, res) => {
+    const { organization_id, company_id, company_name } = req.body || {};
+    if (!/^\d+$/.test(String(organization_id)) || !/^\d+$/.test(String(company_id))) {
+        return res.status(400).json({ error: 'organization_id and company_id are required' });
+    }
+    try {
+        const link = await companyLinks.linkCompany(pool, {
+            organizationId: organization_id,
+            company: { id: company_id, name: company_name },
+            actor: assetHistory.actorFromRequest(req)
+        });
+        res.status(201).json({ link });
+    } catch (error) {
+        console.error('Error adding company link:', error.message);
+        res.status(500).json({ error: 'Failed to add company link.', details: error.message });
+    }
+});
+
+/**
+ * Replaces all links of an organization, suggestions included.
+ * PUT /api/siportal/company-links/:orgId { companies: [{ id, name }] }
+ */
+router.put('/siportal/company-links/:orgId', async (req, res) => {
+    const companies = req.body?.companies;
+    if (!/^\d+$/.test(req.params.orgId)) {
+        return res.status(400).json({ error: 'orgId must be a Zendesk organization id' });
+    }
+    if (!Array.isArray(companies) || companies.some(c => !/^\d+$/.test(String(c?.id)))) {
+        return res.status(400).json({ error: 'companies must be a list of { id, name }' });
+    }
+    try {
+        const links = await companyLinks.overrideLinks(pool, {
+            organizationId: req.params.orgId,
+            companies,
+            actor: assetHistory.actorFromRequest(req)
+        });
+        res.json({ links });
+    } catch (error) {
+        console.error('Error replacing company links:', error.message);
+        res.status(500).json({ error: 'Failed to replace company links.', details: error.message });
+    }
+});
+
+/**
+ * Confirms a suggested link.
+ * POST /api/siportal/company-links/:orgId/:companyId/confirm
+ */
+router.post('/siportal/company-links/:orgId/:companyId/confirm', async (req, res) => {
+    const { orgId, companyId } = req.params;
+    if (!/^\d+$/.test(orgId) || !/^\d+$/.test(companyId)) {
+        return res.status(400).json({ error: 'orgId and companyId must be numeric ids' });
+    }
+    try {
+        const link = await companyLinks.confirmLink(pool, {
+            organizationId: orgId,
+            companyId,
+            actor: assetHistory.actorFromRequest(req)
+        });
+        if (!link) return res.status(404).json({ error: 'Company link not found.' });
+        res.json({ link });
+    } catch (error) {
+        console.error('Error confirming company link:', error.message);
+        res.status(500).json({ error: 'Failed to confirm company link.', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/siportal/company-links/:orgId/:companyId
+ */
+router.delete('/siportal/company-links/:orgId/:companyId', async (req, res) => {
+    const { orgId, companyId } = req.params;
+    if (!/^\d+$/.test(orgId) || !/^\d+$/.test(companyId)) {
+        return res.status(400).json({ error: 'orgId and companyId must be numeric ids' });
+    }
+    try {
+        const deleted = await companyLinks.deleteLink(pool, { organizationId: orgId, companyId });
+        if (!deleted) return res.status(404).json({ error: 'Company link not found.' });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting company link:', error.message);
+        res.status(500).json({ error: 'Failed to delete company link.', details: error.message });
+    }
+});
+
+/**
+ * Parent-organization rollups.
+ * GET /api/siportal/rollups
+ */
+router.get('/siportal/rollups', async (req, res) => {
+    try {
+        res.json({ rollups: await rollups.listRollups(pool) });
+    } catch (error) {
+        console.error('Error fetching rollups:', error.message);
+        res.status(500).json({ error: 'Failed to fetch rollups.', details: error.message });
+    }
+});
+
+/**
+ * One rollup: its configuration and the companies it resolves to now.
+ * GET /api/siportal/rollups/:orgId
+ */
+router.get('/siportal/rollups/:orgId', async (req, res) => {
+    if (!/^\d+$/.test(req.params.orgId)) {
+        return res.status(400).json({ error: 'orgId must be a Zendesk organization id' });
+    }
+    try {
+        const rollup = await rollups.getRollup(pool, req.params.orgId);
+        if (!rollup) return res.status(404).json({ error: 'Rollup not found.' });
+        res.json({ rollup, companies: await rollups.resolveRollup(rollup) });
+    } catch (error) {
+        console.error('Error fetching rollup:', error.message);
+        res.status(500).json({ error: 'Failed to fetch rollup.', details: error.message });
+    }
+});
+
+/**
+ * Makes an organization a rollup, or changes its rule.
+ * PUT /api/siportal/rollups/:orgId { name, company_prefix, strip_prefix }
+ */
+router.put('/siportal/rollups/:orgId', async (req, res) => {
+    const { name, company_prefix = null, strip_prefix = true } = req.body || {};
+    if (!/^\d+$/.test(req.params.orgId)) {
+        return res.status(400).json({ error: 'orgId must be a Zendesk organization id' });
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+    if (company_prefix !== null && (typeof company_prefix !== 'string' || !company_prefix.trim())) {
+        return res.status(400).json({ error: 'company_prefix must be a non-empty string or null' });
+    }
+    try {
+        const rollup = await rollups.saveRollup(pool, {
+            organizationId: req.params.orgId,
+            name: name.trim(),
+            companyPrefix: company_prefix?.trim() || null,
+            stripPrefix: strip_prefix !== false
+        });
+        res.json({ rollup });
+    } catch (error) {
+        console.error('Error saving rollup:', error.message);
+        res.status(500).json({ error: 'Failed to save rollup.', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/siportal/rollups/:orgId
+ * The organization falls back to its company links.
+ */
+router.delete('/siportal/rollups/:orgId', async (req, res) => {
+    if (!/^\d+$/.test(req.params.orgId)) {
+        return res.status(400).json({ error: 'orgId must be a Zendesk organization id' });
+    }
+    try {
+        const deleted = await rollups.deleteRollup(pool, req.params.orgId);
+        if (!deleted) return res.status(404).json({ error: 'Rollup not found.' });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting rollup:', error.message);
+        res.status(500).json({ error: 'Failed to delete rollup.', details: error.message });
+    }
+});
+
+/**
+ * Lists a company in a rollup, names it, or excludes a prefix match.
+ * PUT /api/siportal/rollups/:orgId/companies/:companyId { company_name, display_name, excluded }
+ */
+router.put('/siportal/rollups/:orgId/companies/:companyId', async (req, res) => {
+    const { orgId, companyId } = req.params;
+    const { company_name = null, display_name = null, excluded = false } = req.body || {};
+    if (!/^\d+$/.test(orgId) || !/^\d+$/.test(companyId)) {
+        return res.status(400).json({ error: 'orgId and companyId must be numeric ids' });
+    }
+    try {
+        const company = await rollups.saveRollupCompany(pool, {
+            organizationId: orgId,
+            companyId,
+            companyName: company_name,
+            displayName: display_name,
+            excluded: excluded === true
+        });
+        if (!company) return res.status(404).json({ error: 'Rollup not found.' });
+        res.json({ company });
+    } catch (error) {
+        console.error('Error saving rollup company:', error.message);
+        res.status(500).json({ error: 'Failed to save rollup company.', details: error.message });
+    }
+});
+
+/**
+ * DELETE /api/siportal/rollups/:orgId/companies/:companyId
+ */
+router.delete('/siportal/rollups/:orgId/companies/:companyId', async (req, res) => {
+    const { orgId, companyId } = req.params;
+    if (!/^\d+$/.test(orgId) || !/^\d+$/.test(companyId)) {
+        return res.status(400).json({ error: 'orgId and companyId must be numeric ids' });
+    }
+    try {
+        const deleted = await rollups.deleteRollupCompany(pool, { organizationId: orgId, companyId });
+        if (!deleted) return res.status(404).json({ error: 'Rollup company not found.' });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting rollup company:', error.message);
+        res.status(500).json({ error: 'Failed to delete rollup company.', details: error.message });
+    }
+});
+
+/**
+ * Device inventory export, streamed.
+ * GET /api/siportal/export?format=csv|xlsx|json&organization_id=...
+ *     &device_type=Workstation,Server&seen_within_days=30&not_seen_for_days=90
+ *
+ * With organization_id, the devices of that organization's rollup or linked
+ * companies, named by their display names; without it, every linked
+ * company's. Reads the synced device table, not SiPortal, so it is as fresh
+ * as the last device sync.
+ */
+router.get('/siportal/export', async (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const { organization_id } = req.query;
+    if (!siportalExport.FORMATS[format]) {
+        return res.status(400).json({ error: 'format must be csv, xlsx or json' });
+    }
+    if (organization_id && !/^\d+$/.test(organization_id)) {
+        return res.status(400).json({ error: 'organization_id must be a Zendesk organization id' });
+    }
+    const days = {};
+    for (const key of ['seen_within_days', 'not_seen_for_days']) {
+        if (req.query[key] === undefined || req.query[key] === '') continue;
+        if (!/^\d+$/.test(req.query[key])) {
+            return res.status(400).json({ error: `${key} must be a whole number of days` });
+        }
+        days[key] = parseInt(req.query[key], 10);
+    }
+    const deviceTypes = String(req.query.device_type || '').split(',').map(t => t.trim()).filter(Boolean);
+
+    try {
+        const companies = organization_id
+            ? (await rollups.organizationCompanies(pool, organization_id)).companies
+            : await siportalDevices.getLinkedCompanies(pool);
+        if (organization_id && companies.length === 0) {
+            return res.status(404).json({ error: `Organization ${organization_id} has no IT Portal companies.` });
+        }
+
+        const rows = siportalExport.exportRows(pool, companies, {
+            deviceTypes,
+            seenWithinDays: days.seen_within_days ?? null,
+            notSeenForDays: days.not_seen_for_days ?? null
         });
-        
-    } catch (error) {
-        console.error('[API] Error fetching SiPortal devices:', error.message);
-        res.status(500).json({ 
-            error: 'Failed to fetch IT Portal assets',
-            details: error.message 
+        const filename = `siportal-devices-${organization_id || 'all'}-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader('Content-Type', siportalExport.FORMATS[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        const count = await siportalExport.writeExport(res, format, rows, {
+            organization_id: organization_id || null,
+            companies: companies.length,
+            device_type: deviceTypes,
+            ...days
         });
+        console.log(`[Export] ${count} SiPortal devices as ${format} for ${organization_id ? `organization ${organization_id}` : 'all organizations'}`);
+    } catch (error) {
+        console.error('Error exporting SiPortal devices:', error.message);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ error: 'Failed to export devices.', details: error.message });
     }
 });
 
 /**
- * Test direct BILH search using nameStartsWith
+ * The end-of-life lookup table behind the device health report.
+ * GET /api/siportal/device-eol
  */
+router.get('/siportal/device-eol', async (req, res) => {
+    try {
+        res.json({ entries: await deviceHealth.listEol(pool) });
+    } catch (error) {
+        console.error('Error fetching device EOL table:', error.message);
+        res.status(500).json({ error: 'Failed to fetch the end-of-life table.', details: error.message });
+    }
+});
 
 /**
- * Test endpoint to simulate BILH organization fetch
- * GET /api/test-bilh-fetch
+ * Adds an end-of-life entry, or updates the one with the same kind and match.
+ * PUT /api/siportal/device-eol { kind: os|device_type, match, label, eol_date, note }
+ *
+ * match is an ILIKE pattern, e.g. "%windows 10%".
  */
+router.put('/siportal/device-eol', async (req, res) => {
+    const { kind, match, label, eol_date, note = null } = req.body || {};
+    if (!['os', 'device_type'].includes(kind)) {
+        return res.status(400).json({ error: 'kind must be os or device_type' });
+    }
+    if (typeof match !== 'string' || !match.trim() || typeof label !== 'string' || !label.trim()) {
+        return res.status(400).json({ error: 'match and label are required' });
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(eol_date))) {
+        return res.status(400).json({ error: 'eol_date must be YYYY-MM-DD' });
+    }
+    try {
+        const entry = await deviceHealth.saveEol(pool, {
+            kind,
+            match: match.trim(),
+            label: label.trim(),
+            eolDate: eol_date,
+            note
+        });
+        res.json({ entry });
+    } catch (error) {
+        console.error('Error saving device EOL entry:', error.message);
+        res.status(500).json({ error: 'Failed to save the end-of-life entry.', details: error.message });
+    }
+});
 
 /**
- * SiPortal webhook endpoint
- * Receives webhook notifications from SiPortal when devices are updated
+ * DELETE /api/siportal/device-eol/:id
  */
-router.post('/webhooks/siportal', async (req, res) => {
+router.delete('/siportal/device-eol/:id', async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) {
+        return res.status(400).json({ error: 'id must be numeric' });
+    }
     try {
-        const { event, company_id, device_id, timestamp } = req.body;
-        
-        console.log(`[Webhook] Received SiPortal ${event} event for company ${company_id}, device ${device_id}`);
-        
-        if (!company_id) {
-            return res.status(400).json({ error: 'company_id is required' });
-        }
+        const deleted = await deviceHealth.deleteEol(pool, req.params.id);
+        if (!deleted) return res.status(404).json({ error: 'End-of-life entry not found.' });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting device EOL entry:', error.message);
+        res.status(500).json({ error: 'Failed to delete the end-of-life entry.', details: error.message });
+    }
+});
 
-        // Fetch updated device data from SiPortal with OFFSET pagination
-        console.log(`[API] Fetching SiPortal devices for company ID: ${company_id}`);
-        
-        let allDevices = [];
-        let offset = 0;
-        const limit = 20;
-        let hasMore = true;
+/**
+ * SiPortal webhook endpoint
+ * Receives webhook notifications from SiPortal when devices are updated.
+ *
+ * The caller must sign the body with SIPORTAL_WEBHOOK_SECRET (or send the
+ * secret itself); see services/siportalWebhooks.js. The event is logged and
+ * answered 202 at once; the resync of the named device or company runs from
+ * the queue, with retries. A redelivered event is answered 200 and not queued
+ * again.
+ */
+router.post('/webhooks/siportal', async (req, res) => {
+    const check = siportalWebhooks.verifyRequest({ rawBody: req.rawBody, headers: req.headers });
+    if (!check.ok) {
+        console.warn(`[Webhook] Rejected SiPortal webhook from ${req.ip}: ${check.error}`);
+        return res.status(check.status).json({ error: check.error });
+    }
 
-        while (hasMore && offset < 200) {
-            const response = await fetch(
-                `https://www.siportal.net/api/2.0/devices?companyId=${company_id}&offset=${offset}&limit=${limit}`,
-                {
-                    method: 'GET',
-                    headers: {
-                        'Authorization': process.env.SIPORTAL_API_KEY,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
+    const body = req.body || {};
+    if (!body.company_id && !body.device_id) {
+        return res.status(400).json({ error: 'company_id or device_id is required' });
+    }
+    if (body.company_id != null && !/^\d+$/.test(String(body.company_id))) {
+        return res.status(400).json({ error: 'company_id must be a numeric SiPortal company id' });
+    }
 
-            if (!response.ok) {
-                throw new Error(`SiPortal API returned ${response.status}: ${response.statusText}`);
-            }
+    try {
+        const { event, duplicate } = await siportalWebhooks.recordEvent(pool, {
+            key: siportalWebhooks.eventKey(body, req.headers),
+            body
+        });
 
-            const siPortalData = await response.json();
-            const devices = siPortalData.data?.results || [];
-            
-            if (devices.length > 0) {
-                const existingIds = new Set(allDevices.map(d => d.id));
-                const newDevices = devices.filter(d => !existingIds.has(d.id));
-                
-                if (newDevices.length > 0) {
-                    allDevices.push(...newDevices);
-                    hasMore = devices.length === limit;
-                    offset += limit;
-                } else {
-                    hasMore = false;
-                }
-            } else {
-                hasMore = false;
-            }
+        if (duplicate) {
+            console.log(`[Webhook] Duplicate SiPortal event ${event.id} (${event.status}) - ignored`);
+            return res.status(200).json({ success: true, duplicate: true, event_id: event.id, status: event.status });
         }
-        
-        console.log(`[API] Successfully fetched ${allDevices.length} unique devices from SiPortal`);
-        console.log(`[Webhook] Processed ${event} event for company ${company_id}`);
-        
-        res.json({ 
-            success: true, 
-            message: 'Webhook processed successfully',
-            device_count: allDevices.length
+
+        console.log(`[Webhook] Queued SiPortal ${body.event} event ${event.id} for company ${body.company_id}, device ${body.device_id}`);
+        res.status(202).json({ success: true, event_id: event.id, status: event.status });
+
+        setImmediate(() => {
+            processSiportalWebhooks().catch(err => console.error('[Webhook] SiPortal queue error:', err.message));
         });
-        
     } catch (error) {
-        console.error('[Webhook] Error processing SiPortal webhook:', error.message);
-        res.status(500).json({ 
-            error: 'Failed to process webhook',
-            details: error.message 
+        console.error('[Webhook] Error recording SiPortal webhook:', error.message);
+        res.status(500).json({
+            error: 'Failed to record webhook',
+            details: error.message
         });
     }
 });
 
 /**
- * Endpoint to import SiPortal devices as Zendesk assets for an organization
- * FIXED: Now uses offset/limit pagination
+ * The webhook event log; ?status=dead is the dead-letter view.
+ * GET /api/webhooks/siportal/events?status=queued|processing|processed|failed|dead&limit=100
  */
-router.post('/import-siportal-devices', async (req, res) => {
+router.get('/webhooks/siportal/events', async (req, res) => {
+    const { status } = req.query;
+    if (status && !['queued', 'processing', 'processed', 'failed', 'dead'].includes(status)) {
+        return res.status(400).json({ error: 'status must be queued, processing, processed, failed or dead' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
     try {
-        const { user_id, organization_id } = req.body;
-        
-        if (!user_id && !organization_id) {
-            return res.status(400).json({ error: 'Either user_id or organization_id is required' });
-        }
-
-        let orgId = organization_id;
-        let orgName = '';
-
-        // If user_id provided, get their organization
-        if (user_id && !organization_id) {
-            const user = await zendeskService.getUserById(user_id);
-            if (!user.organization_id) {
-                return res.status(400).json({ error: 'User has no organization associated' });
-            }
-            orgId = user.organization_id;
-        }
-
-        // Get organization details
-        const organization = await zendeskService.getOrganizationById(orgId);
-        orgName = organization.name;
-        
-        console.log(`[Import] Starting SiPortal device import for organization: ${orgName} (ID: ${orgId})`);
+        const events = await siportalWebhooks.listEvents(pool, { status: status || null, limit });
+        res.json({ total: events.length, events });
+    } catch (error) {
+        console.error('Error fetching SiPortal webhook events:', error.message);
+        res.status(500).json({ error: 'Failed to fetch webhook events.', details: error.message });
+    }
+});
 
-        // Find matching company (using same logic as /it-portal-assets)
-        let matchingCompany = null;
-        
-        // ... [Company matching logic - same as in /it-portal-assets endpoint] ...
-        
-        if (!matchingCompany) {
-            return res.status(404).json({
-                error: 'No matching company found',
-                message: `No matching IT Portal company found for organization "${orgName}"`,
+/**
+ * Puts a failed or dead event back on the queue.
+ * POST /api/webhooks/siportal/events/:eventId/replay
+ */
+router.post('/webhooks/siportal/events/:eventId/replay', async (req, res) => {
+    if (!/^\d+$/.test(req.params.eventId)) {
+        return res.status(400).json({ error: 'eventId must be numeric' });
+    }
+    try {
+        const outcome = await siportalWebhooks.replayEvent(pool, req.params.eventId);
+        if (!outcome) return res.status(404).json({ error: 'Webhook event not found.' });
+        if (!outcome.replayed) {
+            return res.status(409).json({
+                error: `Only failed or dead events can be replayed; this one is ${outcome.event.status}.`,
+                event: outcome.event
             });
         }
 
-        console.log(`[Import] Match found: "${matchingCompany.name}" (ID: ${matchingCompany.id})`);
-
-        // Fetch devices from SiPortal with OFFSET pagination
-        let allDevices = [];
-        let offset = 0;
-        const limit = 20;
-        let hasMore = true;
-
-        while (hasMore && offset < 500) {
-            const response = await fetch(
-                `https://www.siportal.net/api/2.0/devices?companyId=${matchingCompany.id}&offset=${offset}&limit=${limit}`,
-                {
-                    method: 'GET',
-                    headers: {
-                        'Authorization': process.env.SIPORTAL_API_KEY,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-
-            if (!response.ok) {
-                if (offset === 0) {
-                    throw new Error(`SiPortal API returned ${response.status}: ${response.statusText}`);
-                }
-                break;
-            }
-
-            const siPortalData = await response.json();
-            const devices = siPortalData.data?.results || [];
-            
-            if (devices.length > 0) {
-                const existingIds = new Set(allDevices.map(d => d.id));
-                const newDevices = devices.filter(d => !existingIds.has(d.id));
-                
-                if (newDevices.length > 0) {
-                    allDevices.push(...newDevices);
-                    hasMore = devices.length === limit;
-                    offset += limit;
-                } else {
-                    hasMore = false;
-                }
-            } else {
-                hasMore = false;
-            }
-        }
-        
-        console.log(`[Import] Found ${allDevices.length} unique devices in SiPortal for company ${matchingCompany.name}`);
+        res.status(202).json({ event: outcome.event });
+        setImmediate(() => {
+            processSiportalWebhooks().catch(err => console.error('[Webhook] SiPortal queue error:', err.message));
+        });
+    } catch (error) {
+        console.error('Error replaying SiPortal webhook event:', error.message);
+        res.status(500).json({ error: 'Failed to replay webhook event.', details: error.message });
+    }
+});
 
-        if (allDevices.length === 0) {
-            return res.json({
-                success: true,
-                message: 'No devices found to import',
-                imported: 0,
-                skipped: 0
-            });
+/**
+ * The organization a SiPortal import is for: organization_id, or the
+ * organization of user_id. Errors carry the HTTP status to answer with.
+ */
+async function importOrganization({ user_id, organization_id }) {
+    if (!user_id && !organization_id) {
+        throw Object.assign(new Error('Either user_id or organization_id is required'), { status: 400 });
+    }
+    let orgId = organization_id;
+    if (!orgId) {
+        const user = await zendeskService.getUserById(user_id);
+        if (!user.organization_id) {
+            throw Object.assign(new Error('User has no organization associated'), { status: 400 });
         }
+        orgId = user.organization_id;
+    }
+    return zendeskService.getOrganizationById(orgId);
+}
 
-        let imported = 0;
-        let skipped = 0;
-        const importResults = [];
-
-        // Import each device as a Zendesk asset
-        for (const device of allDevices) {
-            try {
-                // Check if asset already exists (by serial number or device ID)
-                const existingAssets = await zendeskService.getUserAssetsById(user_id || 'search');
-                const assetExists = existingAssets?.some(asset => 
-                    asset.serial_number === device.serialNumber ||
-                    (asset.notes && asset.notes.includes(`SiPortal ID: ${device.id}`))
-                );
-
-                if (assetExists) {
-                    console.log(`[Import] Skipping device ${device.id} - already exists`);
-                    skipped++;
-                    importResults.push({
-                        device_id: device.id,
-                        status: 'skipped',
-                        reason: 'Asset already exists'
-                    });
-                    continue;
-                }
+/**
+ * Plans a SiPortal import for an organization from its rollup or confirmed
+ * company links and stores it in asset_imports (format 'siportal'). Returns
+ * null when the organization has no company.
+ */
+async function planSiportalImport(organization, { assignTo = null, actor }) {
+    const { companies } = await rollups.organizationCompanies(pool, organization.id);
+    if (companies.length === 0) return null;
+
+    const devices = [];
+    let complete = true;
+    for (const company of companies) {
+        const fetched = await siportalDevices.fetchCompanyDevices(company);
+        devices.push(...fetched.devices.map(device => ({
+            ...device,
+            company: { ...device.company, display_name: company.display_name }
+        })));
+        complete = complete && fetched.complete;
+    }
 
-                // Create asset data
-                const assetData = {
-                    name: device.name || device.hostName || `Device ${device.id}`,
-                    asset_tag: device.name || device.hostName || device.id,
-                    description: device.description || 'Imported from SiPortal',
-                    status: 'active',
-                    assigned_user_id: user_id,
-                    organization_id: orgId,
-                    manufacturer: device.type?.name || device.manufacturer || 'Unknown',
-                    model: device.model || device.type?.name || 'Unknown',
-                    serial_number: device.serialNumber || device.serial_number || '',
-                    purchase_date: device.purchaseDate || null,
-                    notes: `Imported from SiPortal\nSiPortal ID: ${device.id}\n...`,
-                    source: 'SiPortal'
-                };
+    // The places the device sync has given them in the location tree.
+    const places = await locations.devicePlaces(pool, devices.map(d => d.id));
+    for (const device of devices) device.location_id = places.get(String(device.id))?.location_id ?? null;
+
+    const [fields, assets, lifecycle] = await Promise.all([
+        zendeskService.getAssetFields(),
+        assetStore.listAssets(pool),
+        assetLifecycle.getLifecycle(pool)
+    ]);
+    const plan = siportalImport.buildSiportalPlan(devices, {
+        organizationId: organization.id,
+        fields: fields.filter(field => field.active !== false),
+        assets,
+        lifecycle,
+        assignTo,
+        complete
+    });
+    plan.companies = companies;
 
-                // Create the asset in Zendesk
-                const createdAsset = await zendeskService.createAsset(assetData);
-                
-                imported++;
-                importResults.push({
-                    device_id: device.id,
-                    asset_id: createdAsset.id,
-                    status: 'imported',
-                    name: assetData.name
-                });
-                
-                console.log(`[Import] Successfully imported device ${device.id} as asset ${createdAsset.id}`);
+    const { rows: [saved] } = await pool.query(`
+        INSERT INTO asset_imports (filename, format, actor_id, actor_name, summary, plan)
+        VALUES ($1, 'siportal', $2, $3, $4::jsonb, $5::jsonb)
+        RETURNING *
+    `, [`SiPortal: ${organization.name}`, actor.id, actor.name, JSON.stringify(plan.summary), JSON.stringify(plan)]);
 
-            } catch (deviceError) {
-                console.error(`[Import] Failed to import device ${device.id}:`, deviceError.message);
-                skipped++;
-                importResults.push({
-                    device_id: device.id,
-                    status: 'failed',
-                    reason: deviceError.message
-                });
-            }
-        }
+    console.log(`[SiPortal Import ${saved.id}] Planned ${devices.length} devices for ${organization.name}:`, plan.summary);
+    return saved;
+}
 
-        console.log(`[Import] Import completed: ${imported} imported, ${skipped} skipped`);
+/**
+ * The preview of a planned SiPortal import: devices grouped as new, changed
+ * (with the field diff) and orphaned, plus those in error.
+ */
+function siportalPreview(saved) {
+    const { plan } = saved;
+    const pick = action => plan.rows.filter(r => r.action === action).map(r => ({
+        device_id: r.device_id,
+        asset_id: r.asset_id,
+        name: r.name,
+        company: r.company_name ?? null,
+        ...(action === 'update' ? { changes: r.changes } : {}),
+        ...(r.warnings?.length ? { warnings: r.warnings } : {}),
+        ...(action === 'error' ? { errors: r.errors } : {})
+    }));
+    return {
+        import_id: saved.id,
+        status: saved.status,
+        organization_id: plan.organization_id,
+        companies: plan.companies,
+        complete: plan.complete,
+        summary: plan.summary,
+        new: pick('create'),
+        changed: pick('update'),
+        orphaned: pick('orphaned'),
+        errors: pick('error'),
+        unchanged: plan.summary.unchanged
+    };
+}
 
-        res.json({
-            success: true,
-            message: `Successfully imported ${imported} devices from SiPortal`,
-            imported,
-            skipped,
-            organization: {
-                id: orgId,
-                name: orgName
-            },
-            company: {
-                id: matchingCompany.id,
-                name: matchingCompany.name
-            },
-            results: importResults
+/**
+ * Import preview: plans the import and saves the plan, without writing any
+ * asset. A POST because every call stores a new plan.
+ * POST /api/preview-siportal-import { user_id | organization_id }
+ *
+ * Commit the returned import_id with POST /api/import-siportal-devices.
+ * Orphaned assets - a SiPortal device id the organization no longer has -
+ * are listed for someone to look at and are never deleted.
+ */
+router.post('/preview-siportal-import', async (req, res) => {
+    try {
+        const organization = await importOrganization(req.body || {});
+        const saved = await planSiportalImport(organization, {
+            assignTo: req.body?.user_id || null,
+            actor: assetHistory.actorFromRequest(req, 'siportal_import')
         });
-
+        if (!saved) {
+            return res.status(404).json({
+                error: 'No matching company found',
+                message: `No IT Portal company has been confirmed for organization "${organization.name}"`
+            });
+        }
+        res.json(siportalPreview(saved));
     } catch (error) {
-        console.error('[Import] Error importing SiPortal devices:', error.message);
-        res.status(500).json({
-            error: 'Failed to import devices from SiPortal',
+        console.error('[Preview] Error previewing SiPortal import:', error.message);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to preview import',
             details: error.message
         });
     }
 });
 
 /**
- * Endpoint to get import preview - shows what devices would be imported
- * FIXED: Now uses offset/limit pagination
+ * Import SiPortal devices as Zendesk assets.
+ * POST /api/import-siportal-devices { import_id } | { user_id | organization_id }
+ *
+ * With import_id, commits a previewed plan. Otherwise plans and commits in
+ * one step. New and changed devices are written as Zendesk bulk jobs in
+ * batches of 100; answers 202. Poll GET /api/assets/import/:importId and
+ * finalise it as for a spreadsheet import for the per-device outcome.
  */
-router.get('/preview-siportal-import', async (req, res) => {
+router.post('/import-siportal-devices', async (req, res) => {
     try {
-        const { user_id, organization_id } = req.query;
-        
-        if (!user_id && !organization_id) {
-            return res.status(400).json({ error: 'Either user_id or organization_id is required' });
-        }
+        const { import_id, user_id } = req.body || {};
+        let assetImport;
 
-        let orgId = organization_id;
-        let orgName = '';
-
-        // Get organization details
-        if (user_id && !organization_id) {
-            const user = await zendeskService.getUserById(user_id);
-            if (!user.organization_id) {
-                return res.status(400).json({ error: 'User has no organization associated' });
-            }
-            orgId = user.organization_id;
-        }
-
-        const organization = await zendeskService.getOrganizationById(orgId);
-        orgName = organization.name;
-
-        // Find matching company (simplified for preview)
-        // ... [Company matching logic] ...
-        
-        let matchingCompany = null; // Would be found via matching logic
-
-        if (!matchingCompany) {
-            return res.status(404).json({
-                error: 'No matching company found',
-                message: `No matching IT Portal company found for organization "${orgName}"`
-            });
-        }
-
-        // Fetch devices with offset pagination
-        let allDevices = [];
-        let offset = 0;
-        const limit = 20;
-        
-        // Just get first 100 devices for preview
-        while (offset < 100) {
-            const response = await fetch(
-                `https://www.siportal.net/api/2.0/devices?companyId=${matchingCompany.id}&offset=${offset}&limit=${limit}`,
-                {
-                    method: 'GET',
-                    headers: {
-                        'Authorization': process.env.SIPORTAL_API_KEY,
-                        'Content-Type': 'application/json'
-                    }
-                }
+        if (import_id) {
+            const { rows: [found] } = await pool.query(
+                "SELECT * FROM asset_imports WHERE id = $1 AND format = 'siportal'",
+                [import_id]
             );
-
-            if (!response.ok) break;
-
-            const siPortalData = await response.json();
-            const devices = siPortalData.data?.results || [];
-            
-            if (devices.length === 0) break;
-            
-            const existingIds = new Set(allDevices.map(d => d.id));
-            const newDevices = devices.filter(d => !existingIds.has(d.id));
-            
-            if (newDevices.length > 0) {
-                allDevices.push(...newDevices);
-                offset += limit;
-            } else {
-                break;
+            if (!found) return res.status(404).json({ error: 'Import not found' });
+            assetImport = found;
+        } else {
+            const organization = await importOrganization(req.body || {});
+            assetImport = await planSiportalImport(organization, {
+                assignTo: user_id || null,
+                actor: assetHistory.actorFromRequest(req, 'siportal_import')
+            });
+            if (!assetImport) {
+                return res.status(404).json({
+                    error: 'No matching company found',
+                    message: `No IT Portal company has been confirmed for organization "${organization.name}"`
+                });
             }
         }
 
-        // Get existing assets to check for duplicates
-        const existingAssets = user_id ? await zendeskService.getUserAssetsById(user_id) : [];
-
-        // Preview what would be imported
-        const preview = allDevices.map(device => {
-            const assetExists = existingAssets?.some(asset => 
-                asset.serial_number === device.serialNumber ||
-                (asset.notes && asset.notes.includes(`SiPortal ID: ${device.id}`))
-            );
-
-            return {
-                device_id: device.id,
-                name: device.name || 'Unnamed Device',
-                host_name: device.hostName || device.hostname || '',
-                device_type: device.type?.name || device.deviceType || 'Unknown',
-                serial_number: device.serialNumber || device.serial_number || '',
-                status: assetExists ? 'exists' : 'new'
-            };
-        });
-
-        const newDevices = preview.filter(d => d.status === 'new');
-        const existingDevices = preview.filter(d => d.status === 'exists');
+        const outcome = await commitAssetImport(assetImport);
+        if (outcome.conflict) return res.status(409).json(outcome.conflict);
 
-        res.json({
-            success: true,
-            organization: {
-                id: orgId,
-                name: orgName
-            },
-            company: {
-                id: matchingCompany.id,
-                name: matchingCompany.name
-            },
-            total_devices: allDevices.length,
-            new_devices: newDevices.length,
-            existing_devices: existingDevices.length,
-            preview: preview.slice(0, 50) // Limit preview to first 50
+        res.status(202).json({
+            ...siportalPreview(assetImport),
+            status: 'committing',
+            jobs: outcome.jobs,
+            error: outcome.error
         });
-
     } catch (error) {
-        console.error('[Preview] Error previewing SiPortal import:', error.message);
-        res.status(500).json({
-            error: 'Failed to preview import',
+        console.error('[Import] Error importing SiPortal devices:', error.message);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to import devices from SiPortal',
             details: error.message
         });
     }
@@ -2264,6 +3932,145 @@ router.put('/organizations/:id', async (req, res) => {
     }
 });
 
+/**
+ * An organization's location tree: sites, their buildings and rooms, each
+ * with device and asset counts for itself and everything beneath it.
+ * GET /api/organizations/:orgId/locations
+ */
+router.get('/organizations/:orgId/locations', async (req, res) => {
+    if (!/^\d+$/.test(req.params.orgId)) {
+        return res.status(400).json({ error: 'orgId must be a Zendesk organization id' });
+    }
+    try {
+        const sites = await locations.getTree(pool, req.params.orgId);
+        res.json({ organization_id: req.params.orgId, sites });
+    } catch (error) {
+        console.error('Error fetching locations:', error.message);
+        res.status(500).json({ error: 'Failed to fetch locations.', details: error.message });
+    }
+});
+
+/**
+ * Adds a site, building or room by hand.
+ * POST /api/organizations/:orgId/locations { level, name, parent_id }
+ */
+router.post('/organizations/:orgId/locations', async (req, res) => {
+    const { level, name, parent_id = null } = req.body || {};
+    if (!/^\d+$/.test(req.params.orgId)) {
+        return res.status(400).json({ error: 'orgId must be a Zendesk organization id' });
+    }
+    if (parent_id !== null && !/^\d+$/.test(String(parent_id))) {
+        return res.status(400).json({ error: 'parent_id must be a location id' });
+    }
+    try {
+        const location = await locations.createLocation(pool, {
+            organizationId: req.params.orgId,
+            level,
+            name,
+            parentId: parent_id
+        });
+        res.status(201).json({ location });
+    } catch (error) {
+        if (error.status === 400) return res.status(400).json({ error: error.message });
+        console.error('Error creating location:', error.message);
+        res.status(500).json({ error: 'Failed to create location.', details: error.message });
+    }
+});
+
+/**
+ * Refreshes an organization's sites and buildings from SiPortal facilities
+ * now, instead of at the next device sync.
+ * POST /api/organizations/:orgId/locations/sync
+ */
+router.post('/organizations/:orgId/locations/sync', async (req, res) => {
+    const { orgId } = req.params;
+    if (!/^\d+$/.test(orgId)) {
+        return res.status(400).json({ error: 'orgId must be a Zendesk organization id' });
+    }
+    try {
+        const { companies } = await rollups.organizationCompanies(pool, orgId);
+        if (companies.length === 0) {
+            return res.status(404).json({ error: `Organization ${orgId} has no IT Portal companies.` });
+        }
+        let facilities = 0;
+        for (const company of companies) {
+            facilities += await locations.syncCompanyFacilities(pool, { ...company, organization_id: orgId });
+        }
+        res.json({ companies: companies.length, facilities, sites: await locations.getTree(pool, orgId) });
+    } catch (error) {
+        console.error('Error syncing locations:', error.message);
+        res.status(500).json({ error: 'Failed to sync locations.', details: error.message });
+    }
+});
+
+/**
+ * Everything at a location and beneath it, in one call: "what is at this
+ * hospital".
+ * GET /api/locations/:id?include=devices,assets
+ */
+router.get('/locations/:id', async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) {
+        return res.status(400).json({ error: 'id must be a location id' });
+    }
+    const include = String(req.query.include || 'devices,assets').split(',').map(v => v.trim());
+    try {
+        const result = await locations.contents(pool, req.params.id, {
+            includeDevices: include.includes('devices'),
+            includeAssets: include.includes('assets')
+        });
+        if (!result) return res.status(404).json({ error: 'Location not found.' });
+        res.json(result);
+    } catch (error) {
+        console.error('Error fetching location contents:', error.message);
+        res.status(500).json({ error: 'Failed to fetch location.', details: error.message });
+    }
+});
+
+/**
+ * Renames or moves a location.
+ * PUT /api/locations/:id { name, parent_id }
+ */
+router.put('/locations/:id', async (req, res) => {
+    const { name, parent_id } = req.body || {};
+    if (!/^\d+$/.test(req.params.id)) {
+        return res.status(400).json({ error: 'id must be a location id' });
+    }
+    if (parent_id !== undefined && parent_id !== null && !/^\d+$/.test(String(parent_id))) {
+        return res.status(400).json({ error: 'parent_id must be a location id' });
+    }
+    try {
+        const location = await locations.updateLocation(pool, req.params.id, { name, parentId: parent_id });
+        if (!location) return res.status(404).json({ error: 'Location not found.' });
+        res.json({ location });
+    } catch (error) {
+        if (error.status === 400) return res.status(400).json({ error: error.message });
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'A location with that name is already there.' });
+        }
+        console.error('Error updating location:', error.message);
+        res.status(500).json({ error: 'Failed to update location.', details: error.message });
+    }
+});
+
+/**
+ * Deletes a location and everything beneath it. Devices there lose their
+ * location; assets keep the id in their field until it is changed.
+ * DELETE /api/locations/:id
+ */
+router.delete('/locations/:id', async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) {
+        return res.status(400).json({ error: 'id must be a location id' });
+    }
+    try {
+        const deleted = await locations.deleteLocation(pool, req.params.id);
+        if (!deleted) return res.status(404).json({ error: 'Location not found.' });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting location:', error.message);
+        res.status(500).json({ error: 'Failed to delete location.', details: error.message });
+    }
+});
+
 /**
  * Debug endpoint to check SiPortal company by ID
  * GET /api/debug-siportal-company/:id
@@ -0,0 +1,171 @@
+'use strict';
+
+/**
+ * Duplicate asset detection.
+ *
+ * Two records describe the same device when they share identifiers. Each
+ * shared identifier adds its weight to the pair's score; a serial number or
+ * MAC address on its own is enough to flag a pair, a host name or asset tag
+ * needs something else to agree as well. Values are normalised before they
+ * are compared, and placeholder values that vendors and imports fill in
+ * ("To be filled by O.E.M.", "N/A") never count as a match.
+ */
+
+const SIGNALS = {
+  serial_number: 60,
+  mac_address: 50,
+  host_name: 25,
+  asset_tag: 25
+};
+
+// A pair needs at least this score to be reported.
+const DEFAULT_MIN_SCORE = 50;
+
+// A value shared by more assets than this is a placeholder nobody listed
+// yet, not a duplicate. Pairs from it would swamp the report.
+const MAX_GROUP_SIZE = 10;
+
+const PLACEHOLDERS = new Set([
+  '', '0', 'na', 'none', 'null', 'unknown', 'default', 'defaultstring',
+  'tobefilledbyoem', 'systemserialnumber', '123456789', '000000000000'
+]);
+
+function normalise(signal, value) {
+  if (value === undefined || value === null) return null;
+  let text = String(value).trim().toLowerCase();
+
+  switch (signal) {
+    case 'mac_address':
+      text = text.replace(/[^0-9a-f]/g, '');
+      if (text.length !== 12 || /^0+$|^f+$/.test(text)) return null;
+      return text;
+    case 'host_name':
+      // HOST01 and host01.corp.example.com are the same machine.
+      text = text.split('.')[0];
+      break;
+    default:
+      break;
+  }
+
+  const compact = text.replace(/[^0-9a-z]/g, '');
+  return PLACEHOLDERS.has(compact) ? null : compact;
+}
+
+/**
+ * The normalised identifiers of one asset. The asset tag is the asset_tag
+ * field when set, otherwise the record name, which the sidebar shows as the tag.
+ */
+function identifiers(asset) {
+  const fields = asset.custom_object_fields || {};
+  return {
+    serial_number: normalise('serial_number', fields.serial_number),
+    mac_address: normalise('mac_address', fields.mac_address),
+    host_name: normalise('host_name', fields.host_name),
+    asset_tag: normalise('asset_tag', fields.asset_tag || asset.name)
+  };
+}
+
+function scorePair(a, b) {
+  const idsA = identifiers(a);
+  const idsB = identifiers(b);
+  const matched = [];
+  let score = 0;
+  for (const [signal, weight] of Object.entries(SIGNALS)) {
+    if (idsA[signal] && idsA[signal] === idsB[signal]) {
+      score += weight;
+      matched.push(signal);
+    }
+  }
+  return { score: Math.min(score, 100), matched };
+}
+
+function summary(asset) {
+  const fields = asset.custom_object_fields || {};
+  return {
+    id: asset.id,
+    name: asset.name,
+    asset_name: fields.asset_name ?? null,
+    serial_number: fields.serial_number ?? null,
+    mac_address: fields.mac_address ?? null,
+    host_name: fields.host_name ?? null,
+    status: fields.status ?? null,
+    assigned_to: fields.assigned_to ?? null,
+    organization: fields.organization ?? null,
+    updated_at: asset.updated_at
+  };
+}
+
+/**
+ * Scores every pair of assets that share at least one identifier and returns
+ * those at or above minScore, highest first, as { score, matched, assets }.
+ * Only pairs sharing a value are ever compared, so this stays linear in the
+ * number of assets rather than quadratic.
+ */
+function findDuplicates(assets, { minScore = DEFAULT_MIN_SCORE } = {}) {
+  const groups = new Map();
+  for (const asset of assets) {
+    for (const [signal, value] of Object.entries(identifiers(asset))) {
+      if (!value) continue;
+      const key = `${signal}:${value}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(asset);
+    }
+  }
+
+  const pairs = new Map();
+  for (const members of groups.values()) {
+    if (members.length < 2 || members.length > MAX_GROUP_SIZE) continue;
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = [members[i], members[j]].sort((x, y) => String(x.id).localeCompare(String(y.id)));
+        const key = `${a.id}|${b.id}`;
+        if (pairs.has(key)) continue;
+        const { score, matched } = scorePair(a, b);
+        pairs.set(key, { score, matched, assets: [summary(a), summary(b)] });
+      }
+    }
+  }
+
+  return [...pairs.values()]
+    .filter(pair => pair.score >= minScore)
+    .sort((x, y) => y.score - x.score);
+}
+
+/**
+ * Existing assets that look like the same device as `candidate`, a record
+ * about to be created. Used to warn, not to refuse: a real second unit with a
+ * mistyped serial should still be creatable.
+ */
+function findMatches(assets, candidate, { minScore = DEFAULT_MIN_SCORE } = {}) {
+  return assets
+    .map(asset => ({ ...scorePair(asset, candidate), asset: summary(asset) }))
+    .filter(match => match.score >= minScore)
+    .sort((x, y) => y.score - x.score);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * The fields to copy from the asset being merged away onto the one kept:
+ * every field the survivor leaves empty and the other has a value for.
+ */
+function fieldsToCopy(keep, merge) {
+  const keepFields = keep.custom_object_fields || {};
+  const copied = {};
+  for (const [key, value] of Object.entries(merge.custom_object_fields || {})) {
+    if (isEmpty(keepFields[key]) && !isEmpty(value)) copied[key] = value;
+  }
+  return copied;
+}
+
+module.exports = {
+  SIGNALS,
+  DEFAULT_MIN_SCORE,
+  identifiers,
+  scorePair,
+  findDuplicates,
+  findMatches,
+  fieldsToCopy
+};
@@ -0,0 +1,200 @@
+'use strict';
+
+/**
+ * Warranty, support-contract and licence expiry.
+ *
+ * checkAssetExpiry runs daily from scheduleSync: it reports, per
+ * organization, the assets whose cover ends in the next 30, 60 and 90 days,
+ * and - when ASSET_RENEWAL_TICKETS is on - opens one Zendesk renewal task per
+ * organization for expiries nobody has been told about yet. See
+ * migrations/016_asset_expiry.sql for how that is deduplicated.
+ */
+
+const { createTicket } = require('./zendesk');
+
+// kind -> { field on the custom object, column in assets }
+const EXPIRY_KINDS = {
+  warranty: { field: 'warranty_expiry', column: 'warranty_expires_on', label: 'Warranty' },
+  contract: { field: 'contract_expiry', column: 'contract_expires_on', label: 'Support contract' },
+  licence: { field: 'licence_expiry', column: 'licence_expires_on', label: 'Licence' }
+};
+
+const WINDOWS = [30, 60, 90];
+
+const RENEWAL_TICKETS_ENABLED = process.env.ASSET_RENEWAL_TICKETS === 'true';
+const RENEWAL_GROUP_ID = process.env.ASSET_RENEWAL_GROUP_ID
+  ? parseInt(process.env.ASSET_RENEWAL_GROUP_ID, 10)
+  : null;
+
+function windowFor(daysLeft) {
+  return WINDOWS.find(w => daysLeft <= w) ?? null;
+}
+
+/**
+ * Assets with an expiry between today and `days` from now (already expired
+ * ones are not "expiring" and are left out), one row per asset and kind, as
+ * { asset_id, name, asset_name, kind, expires_on, days_left, window,
+ * organization_id, organization_name }.
+ */
+async function getExpiringAssets(pool, { days = 90, organizationId = null, kinds = Object.keys(EXPIRY_KINDS) } = {}) {
+  const selects = kinds.map(kind => {
+    const { column } = EXPIRY_KINDS[kind];
+    return `
+      SELECT a.id AS asset_id, a.name, a.custom_object_fields->>'asset_name' AS asset_name,
+             '${kind}' AS kind, a.${column} AS expires_on,
+             (a.${column} - CURRENT_DATE) AS days_left,
+             a.organization_id, o.name AS organization_name
+        FROM assets a
+        LEFT JOIN organizations o ON o.id = a.organization_id
+       WHERE a.${column} BETWEEN CURRENT_DATE AND CURRENT_DATE + $1::int
+         AND ($2::bigint IS NULL OR a.organization_id = $2::bigint)`;
+  });
+
+  const { rows } = await pool.query(
+    `${selects.join('\n      UNION ALL')}
+     ORDER BY expires_on, organization_name NULLS LAST, name`,
+    [days, organizationId]
+  );
+  return rows.map(row => ({
+    ...row,
+    expires_on: row.expires_on instanceof Date ? row.expires_on.toISOString().slice(0, 10) : row.expires_on,
+    window: windowFor(row.days_left)
+  }));
+}
+
+/**
+ * getExpiringAssets grouped per organization, with counts per window.
+ */
+function groupByOrganization(rows) {
+  const orgs = new Map();
+  for (const row of rows) {
+    const key = row.organization_id ?? 'none';
+    if (!orgs.has(key)) {
+      orgs.set(key, {
+        organization_id: row.organization_id,
+        organization_name: row.organization_name,
+        counts: Object.fromEntries(WINDOWS.map(w => [w, 0])),
+        assets: []
+      });
+    }
+    const org = orgs.get(key);
+    if (row.window) org.counts[row.window]++;
+    org.assets.push(row);
+  }
+  return [...orgs.values()];
+}
+
+function renewalDescription(org) {
+  const lines = [
+    `The following cover for ${org.organization_name || 'unassigned assets'} ends within ${WINDOWS[WINDOWS.length - 1]} days.`,
+    ''
+  ];
+  for (const window of WINDOWS) {
+    const due = org.assets.filter(a => a.window === window);
+    if (due.length === 0) continue;
+    lines.push(`Within ${window} days:`);
+    for (const a of due) {
+      lines.push(`- ${EXPIRY_KINDS[a.kind].label} for ${a.name || a.asset_id}${a.asset_name ? ` (${a.asset_name})` : ''}: ${a.expires_on}`);
+    }
+    lines.push('');
+  }
+  lines.push('Opened automatically by the asset expiry check. Update the expiry date on the asset once renewed.');
+  return lines.join('\n');
+}
+
+/**
+ * Opens one renewal task per organization for expiries not already covered by
+ * an earlier ticket. The items are claimed before the ticket is created, so
+ * two overlapping runs cannot both raise the same expiry; if Zendesk refuses
+ * the ticket the claim is released and the next run tries again.
+ */
+async function openRenewalTickets(pool, rows) {
+  const opened = [];
+  for (const org of groupByOrganization(rows)) {
+    const client = await pool.connect();
+    let renewalId;
+    let claimed;
+    try {
+      await client.query('BEGIN');
+      const { rows: [renewal] } = await client.query(
+        'INSERT INTO asset_renewal_tickets (organization_id) VALUES ($1) RETURNING id',
+        [org.organization_id]
+      );
+      renewalId = renewal.id;
+
+      const { rows: claimedRows } = await client.query(`
+        INSERT INTO asset_renewal_items (asset_id, kind, expires_on, renewal_id)
+        SELECT item.asset_id, item.kind, item.expires_on, $4::bigint
+          FROM unnest($1::text[], $2::text[], $3::date[]) AS item (asset_id, kind, expires_on)
+        ON CONFLICT (asset_id, kind, expires_on) DO NOTHING
+        RETURNING asset_id, kind
+      `, [
+        org.assets.map(a => a.asset_id),
+        org.assets.map(a => a.kind),
+        org.assets.map(a => a.expires_on),
+        renewalId
+      ]);
+
+      if (claimedRows.length === 0) {
+        await client.query('ROLLBACK');
+        continue;
+      }
+      await client.query('COMMIT');
+      const claimedKeys = new Set(claimedRows.map(r => `${r.asset_id}:${r.kind}`));
+      claimed = { ...org, assets: org.assets.filter(a => claimedKeys.has(`${a.asset_id}:${a.kind}`)) };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    try {
+      const ticket = await createTicket({
+        subject: `Asset renewals due: ${claimed.organization_name || 'unassigned assets'} (${claimed.assets.length})`,
+        comment: { body: renewalDescription(claimed), public: false },
+        type: 'task',
+        priority: 'normal',
+        tags: ['asset_renewal'],
+        ...(claimed.organization_id ? { organization_id: claimed.organization_id } : {}),
+        ...(RENEWAL_GROUP_ID ? { group_id: RENEWAL_GROUP_ID } : {}),
+        external_id: `asset-renewal-${renewalId}`
+      });
+      await pool.query('UPDATE asset_renewal_tickets SET ticket_id = $2 WHERE id = $1', [renewalId, ticket.id]);
+      opened.push({ organization_id: claimed.organization_id, ticket_id: ticket.id, items: claimed.assets.length });
+      console.log(`   Renewal ticket #${ticket.id} for ${claimed.organization_name || 'unassigned'}: ${claimed.assets.length} expiries`);
+    } catch (error) {
+      console.error(`   Renewal ticket for organization ${claimed.organization_id} failed:`, error.message);
+      await pool.query('DELETE FROM asset_renewal_tickets WHERE id = $1', [renewalId]);
+    }
+  }
+  return opened;
+}
+
+/**
+ * The daily check. Opens renewal tickets only when ASSET_RENEWAL_TICKETS is
+ * 'true' (or `openTickets` is passed), so it can run report-only first.
+ */
+async function checkAssetExpiry(pool, { openTickets = RENEWAL_TICKETS_ENABLED } = {}) {
+  console.log('\n\u{1F4C5} Starting asset expiry check...');
+  const rows = await getExpiringAssets(pool, { days: WINDOWS[WINDOWS.length - 1] });
+  const orgs = groupByOrganization(rows);
+
+  for (const org of orgs) {
+    const counts = WINDOWS.map(w => `${org.counts[w]} in ${w}d`).join(', ');
+    console.log(`   ${org.organization_name || 'Unassigned'}: ${counts}`);
+  }
+
+  const opened = openTickets ? await openRenewalTickets(pool, rows) : [];
+  console.log(`✅ Asset expiry check: ${rows.length} expiries across ${orgs.length} organizations, ${opened.length} renewal tickets opened`);
+  return { expiring: rows.length, organizations: orgs.length, tickets: opened };
+}
+
+module.exports = {
+  EXPIRY_KINDS,
+  WINDOWS,
+  getExpiringAssets,
+  groupByOrganization,
+  openRenewalTickets,
+  checkAssetExpiry
+};
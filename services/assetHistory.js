@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * Asset change history: who changed which fields on an asset, and when.
+ *
+ * Written by the /api/assets routes after Zendesk has accepted the change, so
+ * the history never records a write that did not happen. The actor is whatever
+ * the caller reports in the X-Actor-Id / X-Actor-Name headers - the sidebar
+ * sends the signed-in agent - and the source says which path made the change.
+ */
+
+const SOURCES = ['sidebar', 'siportal_import', 'bulk', 'api'];
+
+/**
+ * Reads the actor and source headers. An unknown source is recorded as 'api'
+ * rather than rejected: a mislabelled caller should still leave a trail.
+ */
+function actorFromRequest(req, defaultSource = 'api') {
+  const id = String(req.get('x-actor-id') || '').trim();
+  const source = String(req.get('x-asset-source') || '').trim().toLowerCase();
+  return {
+    id: /^\d+$/.test(id) ? id : null,
+    name: req.get('x-actor-name') || null,
+    source: SOURCES.includes(source) ? source : defaultSource
+  };
+}
+
+// '', null and a missing key all mean "no value" in a custom object field;
+// treating them as different would fill the history with non-changes.
+function normalise(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return value;
+}
+
+/**
+ * Field-level differences between two custom_object_fields objects, as
+ * { field: { from, to } }. Only keys present in `after` are compared when
+ * `partial` is set, which is what a PATCH means.
+ */
+function diffFields(before = {}, after = {}, { partial = false } = {}) {
+  const keys = partial
+    ? Object.keys(after)
+    : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  const changes = {};
+  for (const key of keys) {
+    const from = normalise(before[key]);
+    const to = normalise(after[key]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from, to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * `reason` is the one given with a status change, if any. Some statuses
+ * require one; see services/assetLifecycle.js.
+ */
+async function recordAssetEvent(pool, { assetId, action, actor = {}, changes = {}, reason = null }) {
+  await pool.query(`
+    INSERT INTO asset_events (asset_id, action, source, actor_id, actor_name, changes, reason)
+    VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7)
+  `, [
+    assetId,
+    action,
+    actor.source || 'api',
+    actor.id || null,
+    actor.name || null,
+    JSON.stringify(changes),
+    reason
+  ]);
+}
+
+async function getAssetHistory(pool, assetId) {
+  const { rows } = await pool.query(`
+    SELECT id, asset_id, action, source, actor_id, actor_name, changes, reason, created_at
+      FROM asset_events
+     WHERE asset_id = $1
+     ORDER BY created_at DESC, id DESC
+  `, [assetId]);
+  return rows;
+}
+
+module.exports = {
+  SOURCES,
+  actorFromRequest,
+  diffFields,
+  recordAssetEvent,
+  getAssetHistory
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * Asset lifecycle: the statuses an asset moves through and the legal moves
+ * between them, read from asset_statuses and asset_status_transitions.
+ *
+ * The /api/assets routes call checkStatusChange before writing to Zendesk and
+ * markStatusChange after. Writes that do not touch status are not checked.
+ */
+
+// Values the sidebar wrote before the lifecycle existed. They are read as
+// their lifecycle equivalent so old records can still move on.
+const LEGACY_STATUSES = {
+  active: 'deployed',
+  inactive: 'in_stock'
+};
+
+function normaliseStatus(value) {
+  if (value === undefined || value === null) return null;
+  const status = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (!status) return null;
+  return LEGACY_STATUSES[status] || status;
+}
+
+async function getLifecycle(pool) {
+  const [statuses, transitions] = await Promise.all([
+    pool.query(`
+      SELECT status, label, position, initial, requires_reason
+        FROM asset_statuses
+       ORDER BY position, status
+    `),
+    pool.query(`
+      SELECT from_status, to_status, note
+        FROM asset_status_transitions
+       ORDER BY from_status, to_status
+    `)
+  ]);
+  return { statuses: statuses.rows, transitions: transitions.rows };
+}
+
+/**
+ * Decides whether an asset may move from `from` to `to`.
+ *
+ * Returns { ok: true, status, changed } with the normalised target status, or
+ * { ok: false, httpStatus, error, allowed } for the route to send back:
+ * 400 for a status or reason problem in the request itself, 409 for a move
+ * the lifecycle does not allow from where the asset is now. `from` is null
+ * for a new asset, or one that has never had a status.
+ */
+function evaluateStatusChange({ statuses, transitions }, { from, to, reason }) {
+  const fromStatus = normaliseStatus(from);
+  const toStatus = normaliseStatus(to);
+  const target = statuses.find(s => s.status === toStatus);
+
+  if (fromStatus === toStatus) return { ok: true, status: toStatus, changed: false };
+
+  if (!toStatus) {
+    return {
+      ok: false,
+      httpStatus: 400,
+      error: 'An asset\'s status cannot be cleared once set.',
+      allowed: statuses.map(s => s.status)
+    };
+  }
+
+  if (!target) {
+    return {
+      ok: false,
+      httpStatus: 400,
+      error: `Unknown asset status "${to}".`,
+      allowed: statuses.map(s => s.status)
+    };
+  }
+
+  const known = fromStatus && statuses.some(s => s.status === fromStatus);
+  const allowed = known
+    ? transitions.filter(t => t.from_status === fromStatus).map(t => t.to_status)
+    : statuses.filter(s => s.initial).map(s => s.status);
+
+  if (!allowed.includes(toStatus)) {
+    return {
+      ok: false,
+      httpStatus: 409,
+      error: known
+        ? `An asset cannot move from ${fromStatus} to ${toStatus}.`
+        : `An asset without a status can only be set to: ${allowed.join(', ')}.`,
+      from: fromStatus,
+      allowed
+    };
+  }
+
+  if (target.requires_reason && !String(reason || '').trim()) {
+    return {
+      ok: false,
+      httpStatus: 400,
+      error: `A reason is required to mark an asset ${toStatus}.`,
+      allowed
+    };
+  }
+
+  return { ok: true, status: toStatus, changed: true };
+}
+
+/**
+ * evaluateStatusChange against the lifecycle as configured now. Callers
+ * checking many rows at once load it once with getLifecycle instead.
+ */
+async function checkStatusChange(pool, change) {
+  return evaluateStatusChange(await getLifecycle(pool), change);
+}
+
+/**
+ * Records the reason and the date on the local asset row once Zendesk has
+ * accepted a status change. The row exists by then: the route mirrors the
+ * record first.
+ */
+async function markStatusChange(pool, assetId, { status, reason }) {
+  await pool.query(`
+    UPDATE assets
+       SET status_reason = $2,
+           status_dates = status_dates || jsonb_build_object($3::text, now())
+     WHERE id = $1
+  `, [assetId, reason ? String(reason).trim() : null, status]);
+}
+
+module.exports = {
+  LEGACY_STATUSES,
+  normaliseStatus,
+  getLifecycle,
+  evaluateStatusChange,
+  checkStatusChange,
+  markStatusChange
+};
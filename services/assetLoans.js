@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Asset loans (asset_loans): who has a lent asset, when it is due back, and
+ * the condition it went out and came back in.
+ *
+ * Only the Postgres side. routes/api.js makes the matching assignment and
+ * status change on the Zendesk record around these calls.
+ */
+
+const LOAN_COLUMNS = `
+  id, asset_id, borrower_user_id, borrower_name, ticket_id, expected_return_on,
+  checkout_condition, checked_out_at, checked_out_by_id, checked_out_by_name,
+  checked_in_at, checkin_condition, checked_in_by_id, checked_in_by_name`;
+
+async function getOpenLoan(pool, assetId) {
+  const { rows: [loan] } = await pool.query(
+    `SELECT ${LOAN_COLUMNS} FROM asset_loans WHERE asset_id = $1 AND checked_in_at IS NULL`,
+    [assetId]
+  );
+  return loan || null;
+}
+
+/**
+ * Opens a loan. Returns null, rather than throwing, when the asset is already
+ * out: the partial unique index is what settles a race between two agents.
+ */
+async function checkOut(pool, { assetId, borrowerUserId, borrowerName, ticketId, expectedReturnOn, condition, actor = {} }) {
+  try {
+    const { rows: [loan] } = await pool.query(`
+      INSERT INTO asset_loans (
+        asset_id, borrower_user_id, borrower_name, ticket_id, expected_return_on,
+        checkout_condition, checked_out_by_id, checked_out_by_name
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING ${LOAN_COLUMNS}
+    `, [
+      assetId,
+      borrowerUserId,
+      borrowerName || null,
+      ticketId || null,
+      expectedReturnOn,
+      condition || null,
+      actor.id || null,
+      actor.name || null
+    ]);
+    return loan;
+  } catch (error) {
+    if (error.code === '23505') return null;
+    throw error;
+  }
+}
+
+/**
+ * Closes the open loan on an asset. Returns null when there is none.
+ */
+async function checkIn(pool, { assetId, condition, actor = {} }) {
+  const { rows: [loan] } = await pool.query(`
+    UPDATE asset_loans
+       SET checked_in_at = now(),
+           checkin_condition = $2,
+           checked_in_by_id = $3,
+           checked_in_by_name = $4
+     WHERE asset_id = $1 AND checked_in_at IS NULL
+    RETURNING ${LOAN_COLUMNS}
+  `, [assetId, condition || null, actor.id || null, actor.name || null]);
+  return loan || null;
+}
+
+/**
+ * Reopens a loan closed by checkIn, for when the Zendesk side of the check-in
+ * fails afterwards.
+ */
+async function undoCheckIn(pool, loanId) {
+  await pool.query(`
+    UPDATE asset_loans
+       SET checked_in_at = NULL, checkin_condition = NULL,
+           checked_in_by_id = NULL, checked_in_by_name = NULL
+     WHERE id = $1
+  `, [loanId]);
+}
+
+async function cancelLoan(pool, loanId) {
+  await pool.query('DELETE FROM asset_loans WHERE id = $1', [loanId]);
+}
+
+async function getLoans(pool, assetId) {
+  const { rows } = await pool.query(
+    `SELECT ${LOAN_COLUMNS} FROM asset_loans WHERE asset_id = $1 ORDER BY checked_out_at DESC`,
+    [assetId]
+  );
+  return rows;
+}
+
+/**
+ * Open loans past their expected return date, most overdue first, with the
+ * asset's name and organization from the store.
+ */
+async function getOverdueLoans(pool, { organizationId = null } = {}) {
+  const { rows } = await pool.query(`
+    SELECT l.id, l.asset_id, a.name, a.custom_object_fields->>'asset_name' AS asset_name,
+           a.organization_id, o.name AS organization_name,
+           l.borrower_user_id, l.borrower_name, l.ticket_id,
+           l.expected_return_on, (CURRENT_DATE - l.expected_return_on) AS days_overdue,
+           l.checked_out_at, l.checked_out_by_name, l.checkout_condition
+      FROM asset_loans l
+      LEFT JOIN assets a ON a.id = l.asset_id
+      LEFT JOIN organizations o ON o.id = a.organization_id
+     WHERE l.checked_in_at IS NULL
+       AND l.expected_return_on < CURRENT_DATE
+       AND ($1::bigint IS NULL OR a.organization_id = $1::bigint)
+     ORDER BY l.expected_return_on, l.id
+  `, [organizationId]);
+  return rows;
+}
+
+module.exports = {
+  getOpenLoan,
+  checkOut,
+  checkIn,
+  undoCheckIn,
+  cancelLoan,
+  getLoans,
+  getOverdueLoans
+};
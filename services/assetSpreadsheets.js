@@ -0,0 +1,390 @@
+'use strict';
+
+/**
+ * CSV and XLSX import and export for assets.
+ *
+ * Columns are matched to the asset custom object's fields by key or by title,
+ * so a sheet exported from here, or one typed up with the titles people see
+ * in Zendesk, imports without a mapping step. Three columns are not fields:
+ * `id` (the Zendesk record id), `name` (the record name, shown as the asset
+ * tag) and `external_id`. A row updates the asset matching its id, then its
+ * external id, then its name; a row matching nothing creates one.
+ *
+ * Planning is pure: buildImportPlan works out what each row would do and
+ * writes nothing. routes/api.js stores the plan and submits it later.
+ */
+
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { diffFields } = require('./assetHistory');
+const { evaluateStatusChange } = require('./assetLifecycle');
+
+const FORMATS = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const RECORD_COLUMNS = ['id', 'name', 'external_id'];
+
+// Headers people use for the record columns. A field with the same key or
+// title wins over an alias.
+const COLUMN_ALIASES = {
+  asset_tag: 'name',
+  tag: 'name',
+  record_id: 'id',
+  zendesk_id: 'id',
+  reason: 'status_reason'
+};
+
+// Zendesk takes at most this many items per custom-object job.
+const JOB_BATCH_SIZE = 100;
+
+function columnKey(header) {
+  return String(header ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * The plain value of a cell: hyperlinks, rich text and formulas reduced to
+ * what the cell shows, blank cells to null.
+ */
+function cellValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellValue(value.text);
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.error) return null;
+  }
+  if (typeof value === 'string' && value.trim() === '') return null;
+  return value;
+}
+
+/**
+ * Reads the first worksheet of a CSV or XLSX buffer into a header list and
+ * one { line, values } per non-blank row, `line` being the spreadsheet row
+ * number so errors can point at it.
+ */
+async function readSheet(buffer, format) {
+  const workbook = new ExcelJS.Workbook();
+  let sheet;
+  if (format === 'xlsx') {
+    await workbook.xlsx.load(buffer);
+    sheet = workbook.worksheets[0];
+  } else {
+    // Keep every CSV cell as text; the field types decide what it means.
+    sheet = await workbook.csv.read(Readable.from([buffer]), { map: value => value });
+  }
+  if (!sheet || sheet.rowCount === 0) return { headers: [], rows: [] };
+
+  const headers = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+    headers[col - 1] = String(cellValue(cell.value) ?? '').trim();
+  });
+
+  const rows = [];
+  sheet.eachRow((row, line) => {
+    if (line === 1) return;
+    const values = {};
+    let blank = true;
+    headers.forEach((header, i) => {
+      if (!header) return;
+      const value = cellValue(row.getCell(i + 1).value);
+      if (value !== null) blank = false;
+      values[header] = value;
+    });
+    if (!blank) rows.push({ line, values });
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+}
+
+/**
+ * Maps each header to a field key, record column or status_reason. Headers
+ * that match nothing are returned in `unmapped` and ignored.
+ */
+function mapColumns(headers, fields) {
+  const byKey = new Map();
+  for (const field of fields) {
+    byKey.set(columnKey(field.key), field.key);
+    byKey.set(columnKey(field.title), field.key);
+  }
+
+  const columns = [];
+  const unmapped = [];
+  for (const header of headers) {
+    const key = columnKey(header);
+    const target =
+      byKey.get(key) ||
+      (RECORD_COLUMNS.includes(key) || key === 'status_reason' ? key : null) ||
+      COLUMN_ALIASES[key] ||
+      null;
+    if (target) columns.push({ header, target });
+    else unmapped.push(header);
+  }
+  return { columns, unmapped };
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function matchOption(field, raw) {
+  const wanted = String(raw).trim().toLowerCase();
+  const option = (field.custom_field_options || []).find(o =>
+    String(o.value).toLowerCase() === wanted || String(o.name).toLowerCase() === wanted
+  );
+  return option ? option.value : undefined;
+}
+
+/**
+ * Converts one cell to what the custom objects API expects for the field.
+ * Returns { value } or { error }.
+ */
+function convertValue(field, raw) {
+  const text = raw instanceof Date ? isoDate(raw) : String(raw).trim();
+
+  switch (field.type) {
+    case 'checkbox': {
+      const flag = text.toLowerCase();
+      if (['true', 'yes', 'y', '1', 'x'].includes(flag)) return { value: true };
+      if (['false', 'no', 'n', '0'].includes(flag)) return { value: false };
+      return { error: `${field.title} must be yes or no, not "${text}".` };
+    }
+    case 'integer':
+      if (!/^-?\d+$/.test(text)) return { error: `${field.title} must be a whole number, not "${text}".` };
+      return { value: parseInt(text, 10) };
+    case 'decimal':
+      if (text === '' || Number.isNaN(Number(text))) return { error: `${field.title} must be a number, not "${text}".` };
+      return { value: Number(text) };
+    case 'date': {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return { value: text };
+      const parsed = new Date(text);
+      if (Number.isNaN(parsed.getTime())) return { error: `${field.title} must be a date, not "${text}".` };
+      return { value: isoDate(parsed) };
+    }
+    case 'dropdown': {
+      const value = matchOption(field, text);
+      if (value === undefined) return { error: `"${text}" is not an option for ${field.title}.` };
+      return { value };
+    }
+    case 'multiselect': {
+      const values = [];
+      for (const part of text.split(/[;,]/).map(p => p.trim()).filter(Boolean)) {
+        const value = matchOption(field, part);
+        if (value === undefined) return { error: `"${part}" is not an option for ${field.title}.` };
+        values.push(value);
+      }
+      return { value: values };
+    }
+    case 'lookup':
+      if (!/^\d+$/.test(text) && field.relationship_target_type?.startsWith('zen:')) {
+        return { error: `${field.title} must be a Zendesk id, not "${text}".` };
+      }
+      return { value: text };
+    default:
+      if (field.regexp_for_validation) {
+        try {
+          if (!new RegExp(field.regexp_for_validation).test(text)) {
+            return { error: `${field.title} "${text}" is not in the expected format.` };
+          }
+        } catch (err) {
+          // A pattern JavaScript cannot compile is Zendesk's to enforce.
+        }
+      }
+      return { value: text };
+  }
+}
+
+function indexAssets(assets) {
+  const byId = new Map();
+  const byExternalId = new Map();
+  const byName = new Map();
+  for (const asset of assets) {
+    byId.set(String(asset.id), asset);
+    if (asset.external_id) byExternalId.set(String(asset.external_id), asset);
+    if (asset.name) {
+      const key = String(asset.name).trim().toLowerCase();
+      // An ambiguous name matches nothing rather than the wrong asset.
+      byName.set(key, byName.has(key) ? null : asset);
+    }
+  }
+  return { byId, byExternalId, byName };
+}
+
+/**
+ * Works out what each row would do. Blank cells leave a field as it is on
+ * update and unset on create; they never clear a value.
+ *
+ *   rows          from readSheet
+ *   fields        active fields from getAssetFields
+ *   requiredKeys  Set of field keys a new asset must have (asset_field_settings)
+ *   assets        every asset in the local store, for matching
+ *   lifecycle     from assetLifecycle.getLifecycle
+ */
+function buildImportPlan({ headers, rows }, { fields, requiredKeys = new Set(), assets = [], lifecycle }) {
+  const fieldsByKey = new Map(fields.map(f => [f.key, f]));
+  const { columns, unmapped } = mapColumns(headers, fields);
+  const index = indexAssets(assets);
+  const claimed = new Map();
+
+  const planned = rows.map(({ line, values }) => {
+    const errors = [];
+    const record = {};
+    const input = {};
+
+    for (const { header, target } of columns) {
+      const raw = values[header];
+      if (raw === null || raw === undefined) continue;
+      if (RECORD_COLUMNS.includes(target) || target === 'status_reason') {
+        record[target] = raw instanceof Date ? isoDate(raw) : String(raw).trim();
+        continue;
+      }
+      const result = convertValue(fieldsByKey.get(target), raw);
+      if (result.error) errors.push(result.error);
+      else input[target] = result.value;
+    }
+
+    let existing = null;
+    let unmatched = false;
+    if (record.id) {
+      existing = index.byId.get(record.id) || null;
+      unmatched = !existing;
+      if (unmatched) errors.push(`No asset has id ${record.id}.`);
+    } else if (record.external_id && index.byExternalId.has(record.external_id)) {
+      existing = index.byExternalId.get(record.external_id);
+    } else if (record.name) {
+      const key = record.name.toLowerCase();
+      existing = index.byName.get(key) || null;
+      unmatched = index.byName.has(key) && !existing;
+      if (unmatched) {
+        errors.push(`More than one asset is named ${record.name}; add an id column to say which.`);
+      }
+    }
+
+    const claimKey = existing ? `asset:${existing.id}` : record.name ? `new:${record.name.toLowerCase()}` : null;
+    if (claimKey && claimed.has(claimKey)) {
+      errors.push(`Same asset as line ${claimed.get(claimKey)}.`);
+    } else if (claimKey) {
+      claimed.set(claimKey, line);
+    }
+
+    if (!existing && !unmatched) {
+      if (!record.name) errors.push('A new asset needs a name (asset tag).');
+      for (const key of requiredKeys) {
+        if (fieldsByKey.has(key) && (input[key] === undefined || input[key] === '')) {
+          errors.push(`${fieldsByKey.get(key).title} is required for a new asset.`);
+        }
+      }
+    }
+
+    const before = existing?.custom_object_fields || {};
+    if ('status' in input) {
+      const check = evaluateStatusChange(lifecycle, {
+        from: existing ? before.status : null,
+        to: input.status,
+        reason: record.status_reason
+      });
+      if (!check.ok) errors.push(check.error);
+      else if (check.changed) input.status = check.status;
+    }
+
+    const changes = diffFields(before, input, { partial: Boolean(existing) });
+    if (existing && record.name && record.name !== existing.name) {
+      changes.name = { from: existing.name ?? null, to: record.name };
+    }
+
+    let action;
+    if (errors.length > 0) action = 'error';
+    else if (!existing) action = 'create';
+    else action = Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+
+    return {
+      line,
+      action,
+      asset_id: existing ? existing.id : null,
+      name: record.name || existing?.name || null,
+      external_id: record.external_id || null,
+      fields: input,
+      changes,
+      status_reason: record.status_reason || null,
+      errors
+    };
+  });
+
+  const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+  for (const row of planned) summary[row.action]++;
+
+  return { columns, unmapped_columns: unmapped, summary, rows: planned };
+}
+
+/**
+ * The create and update rows of a plan as custom-object job batches:
+ * [{ action, lines, items }], at most JOB_BATCH_SIZE items each. `lines`
+ * lines up with `items` so job results can be traced back to rows.
+ */
+function jobBatches(plan) {
+  const batches = [];
+  for (const action of ['create', 'update']) {
+    const rows = plan.rows.filter(r => r.action === action);
+    for (let i = 0; i < rows.length; i += JOB_BATCH_SIZE) {
+      const chunk = rows.slice(i, i + JOB_BATCH_SIZE);
+      batches.push({
+        action,
+        lines: chunk.map(r => r.line),
+        items: chunk.map(r => {
+          const item = { custom_object_fields: r.fields };
+          if (action === 'update') item.id = r.asset_id;
+          if (r.name && (action === 'create' || r.changes.name)) item.name = r.name;
+          if (action === 'create' && r.external_id) item.external_id = r.external_id;
+          return item;
+        })
+      });
+    }
+  }
+  return batches;
+}
+
+function exportValue(field, value) {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.join('; ');
+  if (field?.type === 'checkbox') return value ? 'yes' : 'no';
+  return value;
+}
+
+/**
+ * Writes assets as CSV or XLSX to a stream (the response). The columns are
+ * the record columns followed by every field in Zendesk's order, so the file
+ * can be edited and imported back.
+ */
+async function writeAssets(stream, format, { assets, fields }) {
+  const ordered = [...fields].sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Assets');
+
+  sheet.columns = [
+    ...RECORD_COLUMNS.map(key => ({ header: key, key })),
+    ...ordered.map(field => ({ header: field.key, key: field.key }))
+  ];
+  for (const asset of assets) {
+    const row = { id: asset.id, name: asset.name, external_id: asset.external_id };
+    for (const field of ordered) {
+      row[field.key] = exportValue(field, asset.custom_object_fields?.[field.key]);
+    }
+    sheet.addRow(row);
+  }
+
+  if (format === 'xlsx') await workbook.xlsx.write(stream);
+  else await workbook.csv.write(stream);
+}
+
+module.exports = {
+  FORMATS,
+  JOB_BATCH_SIZE,
+  readSheet,
+  mapColumns,
+  convertValue,
+  buildImportPlan,
+  jobBatches,
+  writeAssets
+};
@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * Links between assets and tickets (asset_ticket_links), and the ticket
+ * history of an asset built from them.
+ *
+ * The Zendesk side of a link is the ticket's asset lookup field. This module
+ * only touches Postgres; routes/api.js writes the field through
+ * services/zendesk.js and the ticket sync calls linkFromTicket to bring links
+ * made in Zendesk back in.
+ */
+
+// The ticket lookup field that points at an asset record.
+const ASSET_TICKET_FIELD_ID = process.env.ASSET_TICKET_FIELD_ID
+  ? parseInt(process.env.ASSET_TICKET_FIELD_ID, 10)
+  : null;
+
+/**
+ * The asset id in a ticket's lookup field, or null when the field is not
+ * configured or empty.
+ */
+function assetIdFromTicket(ticket) {
+  if (!ASSET_TICKET_FIELD_ID) return null;
+  const field = (ticket.custom_fields || []).find(f => Number(f.id) === ASSET_TICKET_FIELD_ID);
+  return field?.value ? String(field.value) : null;
+}
+
+/**
+ * Returns true when the link is new, false when it already existed.
+ */
+async function linkAsset(pool, { assetId, ticketId, source = 'api', actor = {} }) {
+  const { rowCount } = await pool.query(`
+    INSERT INTO asset_ticket_links (asset_id, ticket_id, source, linked_by_id, linked_by_name)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (asset_id, ticket_id) DO NOTHING
+  `, [assetId, ticketId, source, actor.id || null, actor.name || null]);
+  return rowCount > 0;
+}
+
+async function unlinkAsset(pool, { assetId, ticketId }) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM asset_ticket_links WHERE asset_id = $1 AND ticket_id = $2',
+    [assetId, ticketId]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Called by the ticket sync for every ticket it stores.
+ */
+async function linkFromTicket(pool, ticket) {
+  const assetId = assetIdFromTicket(ticket);
+  if (!assetId) return false;
+  return linkAsset(pool, { assetId, ticketId: ticket.id, source: 'lookup_field' });
+}
+
+/**
+ * Moves every link from one asset to another, for a merge. Links the kept
+ * asset already has are left as they are.
+ */
+async function moveLinks(pool, fromId, toId) {
+  const { rowCount } = await pool.query(`
+    INSERT INTO asset_ticket_links (asset_id, ticket_id, source, linked_by_id, linked_by_name, created_at)
+    SELECT $2, ticket_id, source, linked_by_id, linked_by_name, created_at
+      FROM asset_ticket_links
+     WHERE asset_id = $1
+    ON CONFLICT (asset_id, ticket_id) DO NOTHING
+  `, [fromId, toId]);
+  await pool.query('DELETE FROM asset_ticket_links WHERE asset_id = $1', [fromId]);
+  return rowCount;
+}
+
+/**
+ * The assets linked to one ticket, with the asset record where the store has it.
+ */
+async function getTicketAssets(pool, ticketId) {
+  const { rows } = await pool.query(`
+    SELECT l.asset_id, l.source, l.linked_by_name, l.created_at AS linked_at,
+           a.name, a.custom_object_fields
+      FROM asset_ticket_links l
+      LEFT JOIN assets a ON a.id = l.asset_id
+     WHERE l.ticket_id = $1
+     ORDER BY l.created_at
+  `, [ticketId]);
+  return rows;
+}
+
+/**
+ * Every ticket linked to an asset, newest first, with what the ticket sync
+ * knows about it: status, time logged (from ticket_time_entries) and billable
+ * minutes. A ticket linked but not synced yet is listed with synced: false.
+ * The totals are what makes repeat-failure hardware stand out.
+ */
+async function getAssetTickets(pool, assetId) {
+  const { rows } = await pool.query(`
+    SELECT l.ticket_id, l.source, l.linked_by_name, l.created_at AS linked_at,
+           t.id IS NOT NULL AS synced,
+           t.subject, t.status, t.priority, t.created_at, t.updated_at, t.solved_at,
+           t.is_billable,
+           COALESCE(t.billable_time_minutes, 0) AS billable_minutes,
+           COALESCE(te.seconds, 0) / 60 AS time_logged_minutes
+      FROM asset_ticket_links l
+      LEFT JOIN tickets t ON t.id = l.ticket_id
+      LEFT JOIN (
+        SELECT ticket_id, SUM(time_seconds)::int AS seconds
+          FROM ticket_time_entries
+         WHERE ticket_id IN (SELECT ticket_id FROM asset_ticket_links WHERE asset_id = $1)
+         GROUP BY ticket_id
+      ) te ON te.ticket_id = l.ticket_id
+     WHERE l.asset_id = $1
+     ORDER BY COALESCE(t.created_at, l.created_at) DESC
+  `, [assetId]);
+
+  const totals = {
+    tickets: rows.length,
+    open: rows.filter(r => r.synced && !['solved', 'closed'].includes(r.status)).length,
+    time_logged_minutes: rows.reduce((sum, r) => sum + Number(r.time_logged_minutes), 0),
+    billable_minutes: rows.reduce((sum, r) => sum + Number(r.billable_minutes), 0)
+  };
+  return { tickets: rows, totals };
+}
+
+module.exports = {
+  ASSET_TICKET_FIELD_ID,
+  assetIdFromTicket,
+  linkAsset,
+  unlinkAsset,
+  linkFromTicket,
+  moveLinks,
+  getTicketAssets,
+  getAssetTickets
+};
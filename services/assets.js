@@ -0,0 +1,293 @@
+'use strict';
+
+/**
+ * Local mirror of the Zendesk `asset` custom object.
+ *
+ * The routes in routes/api.js read from here rather than paging through every
+ * custom-object record per request. Rows are written by the asset sync in
+ * services/syncJobs.js, and immediately after a create, update or delete made
+ * through the API so the sidebar does not show stale data until the next run.
+ *
+ * Reads return the Zendesk record shape ({ id, name, custom_object_fields, ... })
+ * so callers written against the live API do not need to change.
+ */
+
+// Lookup fields hold ids as strings. Anything that is not a plain integer -
+// an empty string, a name typed into the wrong field - is treated as unset
+// rather than failing the whole upsert.
+function toId(value) {
+  if (value === null || value === undefined) return null;
+  const str = String(value).trim();
+  return /^\d+$/.test(str) ? str : null;
+}
+
+function organizationOf(fields) {
+  return toId(fields.organization ?? fields.assigned_to_org);
+}
+
+// Date fields are YYYY-MM-DD, sometimes with a time after. Anything else -
+// a date typed into a text field by hand - is left out rather than guessed.
+function toDate(value) {
+  if (value === null || value === undefined) return null;
+  const match = String(value).match(/^(\d{4}-\d{2}-\d{2})/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Inserts or refreshes one record as returned by the custom objects API.
+ * A record older than the stored row (a sync page fetched before a route
+ * wrote a newer version) is ignored.
+ */
+async function upsertAsset(pool, record) {
+  const fields = record.custom_object_fields || {};
+  await pool.query(`
+    INSERT INTO assets (
+      id, name, external_id, assigned_to, organization_id, custom_object_fields,
+      warranty_expires_on, contract_expires_on, licence_expires_on, location_id,
+      created_by_user_id, updated_by_user_id, created_at, updated_at, synced_at
+    ) VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8, $9, $10, $11, $12, $13, $14, now())
+    ON CONFLICT (id) DO UPDATE SET
+      name = EXCLUDED.name,
+      external_id = EXCLUDED.external_id,
+      assigned_to = EXCLUDED.assigned_to,
+      organization_id = EXCLUDED.organization_id,
+      custom_object_fields = EXCLUDED.custom_object_fields,
+      warranty_expires_on = EXCLUDED.warranty_expires_on,
+      contract_expires_on = EXCLUDED.contract_expires_on,
+      licence_expires_on = EXCLUDED.licence_expires_on,
+      location_id = EXCLUDED.location_id,
+      updated_by_user_id = EXCLUDED.updated_by_user_id,
+      updated_at = EXCLUDED.updated_at,
+      synced_at = now()
+    WHERE assets.updated_at IS NULL
+       OR EXCLUDED.updated_at IS NULL
+       OR assets.updated_at <= EXCLUDED.updated_at
+  `, [
+    record.id,
+    record.name ?? null,
+    record.external_id ?? null,
+    toId(fields.assigned_to),
+    organizationOf(fields),
+    JSON.stringify(fields),
+    toDate(fields.warranty_expiry),
+    toDate(fields.contract_expiry),
+    toDate(fields.licence_expiry),
+    toId(fields.location_id),
+    toId(record.created_by_user_id),
+    toId(record.updated_by_user_id),
+    record.created_at ?? null,
+    record.updated_at ?? null
+  ]);
+}
+
+async function removeAsset(pool, id) {
+  const { rowCount } = await pool.query('DELETE FROM assets WHERE id = $1', [id]);
+  return rowCount > 0;
+}
+
+function toRecord(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    external_id: row.external_id,
+    custom_object_key: 'asset',
+    custom_object_fields: row.custom_object_fields || {},
+    created_by_user_id: row.created_by_user_id,
+    updated_by_user_id: row.updated_by_user_id,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    // Kept locally by the lifecycle checks; not part of the Zendesk record.
+    status_reason: row.status_reason ?? null,
+    status_dates: row.status_dates || {}
+  };
+}
+
+/**
+ * Lists assets, optionally for one user or one organization. Organization
+ * wins when both are given, matching the order /api/assets has always checked
+ * them in.
+ */
+async function listAssets(pool, { userId, organizationId } = {}) {
+  let where = '';
+  const params = [];
+
+  if (organizationId) {
+    where = 'WHERE organization_id = $1';
+    params.push(toId(organizationId));
+  } else if (userId) {
+    where = 'WHERE assigned_to = $1';
+    params.push(toId(userId));
+  }
+
+  const { rows } = await pool.query(
+    `SELECT * FROM assets ${where} ORDER BY name NULLS LAST, id`,
+    params
+  );
+  return rows.map(toRecord);
+}
+
+// Custom object fields the free-text search looks in, besides the record
+// name. Keys absent from a record are simply skipped.
+const SEARCH_FIELDS = ['asset_name', 'serial_number', 'asset_tag', 'host_name'];
+
+// Sort keys accepted by searchAssets. Each is a text expression so one
+// keyset comparison works for all of them; timestamps are formatted to sort
+// lexically. Empty values sort first ascending.
+const SORTS = {
+  name: `lower(coalesce(name, ''))`,
+  status: `lower(coalesce(custom_object_fields->>'status', ''))`,
+  manufacturer: `lower(coalesce(custom_object_fields->>'manufacturer', ''))`,
+  warranty_expiry: `coalesce(to_char(warranty_expires_on, 'YYYY-MM-DD'), '')`,
+  created_at: `coalesce(to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US'), '')`,
+  updated_at: `coalesce(to_char(updated_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US'), '')`
+};
+
+const MAX_PAGE_SIZE = 100;
+
+function likePattern(text) {
+  return `%${String(text).replace(/[\\%_]/g, ch => '\\' + ch)}%`;
+}
+
+function listParam(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
+
+// A problem with the caller's filters rather than with the query.
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return typeof value === 'string' && typeof id === 'string' ? { value, id } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Searches the asset store. Every filter is optional:
+ *
+ *   q                 free text, matched against the name and SEARCH_FIELDS
+ *   status            one status or several, comma-separated
+ *   manufacturer      exact, case-insensitive
+ *   model             exact, case-insensitive, against model_number or model
+ *   userId            assigned to this user
+ *   organizationId    belonging to this organization
+ *   locationId        at this location or anywhere beneath it
+ *   assigned          true: assigned to someone; false: assigned to nobody
+ *   warrantyBefore    warranty_expiry on or before this date (YYYY-MM-DD)
+ *   warrantyAfter     warranty_expiry on or after this date
+ *   sort              a SORTS key, '-' prefixed for descending; default name
+ *   limit             page size, at most MAX_PAGE_SIZE
+ *   cursor            next_cursor from the previous page
+ *
+ * Pagination is keyset on (sort value, id), so a page is stable while assets
+ * are added or edited elsewhere in the list. Returns { assets, next_cursor,
+ * total }, total counting every match rather than the page. Throws an error
+ * with status 400 for a sort or cursor it does not recognise.
+ */
+async function searchAssets(pool, filters = {}) {
+  const where = [];
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.q && String(filters.q).trim()) {
+    const pattern = param(likePattern(String(filters.q).trim()));
+    const columns = ['name', ...SEARCH_FIELDS.map(key => `custom_object_fields->>'${key}'`)];
+    where.push(`(${columns.map(col => `${col} ILIKE ${pattern}`).join(' OR ')})`);
+  }
+
+  const statuses = listParam(filters.status).map(v => v.toLowerCase());
+  if (statuses.length > 0) {
+    where.push(`lower(custom_object_fields->>'status') = ANY(${param(statuses)}::text[])`);
+  }
+  if (filters.manufacturer) {
+    where.push(`lower(custom_object_fields->>'manufacturer') = lower(${param(filters.manufacturer)})`);
+  }
+  if (filters.model) {
+    const model = param(filters.model);
+    where.push(`(lower(custom_object_fields->>'model_number') = lower(${model})
+             OR lower(custom_object_fields->>'model') = lower(${model}))`);
+  }
+  if (filters.userId) where.push(`assigned_to = ${param(toId(filters.userId))}`);
+  if (filters.organizationId) where.push(`organization_id = ${param(toId(filters.organizationId))}`);
+  if (filters.locationId) {
+    where.push(`location_id IN (
+      WITH RECURSIVE sub AS (
+        SELECT id FROM locations WHERE id = ${param(toId(filters.locationId))}
+        UNION ALL
+        SELECT l.id FROM locations l JOIN sub ON l.parent_id = sub.id
+      ) SELECT id FROM sub)`);
+  }
+  if (filters.assigned === true) where.push('assigned_to IS NOT NULL');
+  if (filters.assigned === false) where.push('assigned_to IS NULL');
+
+  if (filters.warrantyBefore) where.push(`warranty_expires_on <= ${param(filters.warrantyBefore)}::date`);
+  if (filters.warrantyAfter) where.push(`warranty_expires_on >= ${param(filters.warrantyAfter)}::date`);
+
+  const countWhere = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  const countParams = [...params];
+
+  const sortKey = String(filters.sort || 'name');
+  const descending = sortKey.startsWith('-');
+  const sortExpr = SORTS[descending ? sortKey.slice(1) : sortKey];
+  if (!sortExpr) {
+    throw badRequest(`sort must be one of: ${Object.keys(SORTS).join(', ')} (prefix - for descending)`);
+  }
+
+  if (filters.cursor) {
+    const cursor = decodeCursor(filters.cursor);
+    if (!cursor) throw badRequest('cursor is not valid');
+    where.push(`(${sortExpr}, id) ${descending ? '<' : '>'} (${param(cursor.value)}, ${param(cursor.id)})`);
+  }
+
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 25, 1), MAX_PAGE_SIZE);
+  const direction = descending ? 'DESC' : 'ASC';
+  const pageWhere = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  const [page, count] = await Promise.all([
+    pool.query(`
+      SELECT *, ${sortExpr} AS sort_value
+        FROM assets
+        ${pageWhere}
+       ORDER BY ${sortExpr} ${direction}, id ${direction}
+       LIMIT ${limit + 1}
+    `, params),
+    pool.query(`SELECT count(*)::int AS total FROM assets ${countWhere}`, countParams)
+  ]);
+
+  const rows = page.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  return {
+    assets: rows.map(toRecord),
+    next_cursor: page.rows.length > limit ? encodeCursor(last.sort_value, last.id) : null,
+    total: count.rows[0].total
+  };
+}
+
+async function getAsset(pool, id) {
+  const { rows: [row] } = await pool.query('SELECT * FROM assets WHERE id = $1', [id]);
+  return row ? toRecord(row) : null;
+}
+
+module.exports = {
+  upsertAsset,
+  removeAsset,
+  listAssets,
+  getAsset,
+  searchAssets,
+  SORTS,
+  toRecord
+};
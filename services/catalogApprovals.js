@@ -0,0 +1,471 @@
+'use strict';
+
+/**
+ * Approvals for service catalog requests, run from here rather than by the
+ * Approve app. See migrations/026_catalog_approval_flow.sql.
+ *
+ * Each approver is emailed from the request's ticket (a side conversation)
+ * with a signed link to a small page where they approve or reject. The link
+ * only shows the page; deciding is a POST, so mail scanners that open links
+ * cannot decide for anyone. checkCatalogApprovals runs from scheduleSync and
+ * sends what could not be sent yet, reminds, escalates to the fallback
+ * approver, and pushes decisions to tickets that Zendesk has not taken yet.
+ */
+
+const crypto = require('crypto');
+const { updateTicket, createSideConversation } = require('./zendesk');
+const serviceCatalog = require('./serviceCatalog');
+
+const APPROVAL_SECRET = process.env.CATALOG_APPROVAL_SECRET || '';
+// Where approvers reach this backend, e.g. https://assets.example.com
+const APPROVAL_BASE_URL = (process.env.CATALOG_APPROVAL_BASE_URL || '').replace(/\/+$/, '');
+const REMIND_HOURS = parseInt(process.env.CATALOG_APPROVAL_REMIND_HOURS || '24', 10);
+const ESCALATE_HOURS = parseInt(process.env.CATALOG_APPROVAL_ESCALATE_HOURS || '72', 10);
+const LINK_HOURS = parseInt(process.env.CATALOG_APPROVAL_LINK_HOURS || '168', 10);
+// Failed ticket updates for a decision before it is left for an agent.
+const OUTCOME_SYNC_ATTEMPTS = parseInt(process.env.CATALOG_OUTCOME_SYNC_ATTEMPTS || '5', 10);
+const DEFAULT_FALLBACK = process.env.CATALOG_APPROVAL_FALLBACK_EMAIL
+  ? { name: process.env.CATALOG_APPROVAL_FALLBACK_NAME || null, email: process.env.CATALOG_APPROVAL_FALLBACK_EMAIL }
+  : null;
+
+function linksConfigured() {
+  return Boolean(APPROVAL_SECRET && APPROVAL_BASE_URL);
+}
+
+function sign(approvalId, expires) {
+  return crypto.createHmac('sha256', APPROVAL_SECRET)
+    .update(`catalog-approval:${approvalId}.${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * The token in an approval link: approval id, expiry (unix seconds) and
+ * their signature.
+ */
+function approvalToken(approvalId, expiresAt) {
+  const expires = Math.floor(new Date(expiresAt).getTime() / 1000);
+  return `${approvalId}.${expires}.${sign(approvalId, expires)}`;
+}
+
+function approvalLink(approvalId, expiresAt) {
+  return `${APPROVAL_BASE_URL}/api/catalog/approvals/${approvalToken(approvalId, expiresAt)}`;
+}
+
+/**
+ * The approval id and expiry a token carries, or null when it is malformed
+ * or not signed by us. Expiry is checked by the caller.
+ */
+function readToken(token) {
+  const match = /^(\d+)\.(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(token || ''));
+  if (!match || !APPROVAL_SECRET) return null;
+  const [, approvalId, expires, signature] = match;
+  const expected = Buffer.from(sign(approvalId, expires));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  return { approvalId, expiresAt: new Date(Number(expires) * 1000) };
+}
+
+function whoIs(person) {
+  return person.name ? `${person.name} <${person.email}>` : person.email;
+}
+
+function answerLines(item, request) {
+  return (item?.fields || [])
+    .filter(field => request.answers[field.key] !== undefined)
+    .map(field => {
+      const value = request.answers[field.key];
+      const shown = Array.isArray(value) ? value.join(', ') : typeof value === 'boolean' ? (value ? 'Yes' : 'No') : value;
+      return `${field.label || field.key}: ${shown}`;
+    });
+}
+
+/**
+ * Everything the approval page and emails need about one approval: the
+ * approval, its request (with all approvals) and the item.
+ */
+async function loadApproval(pool, approvalId) {
+  const { rows: [row] } = await pool.query('SELECT request_id FROM approvals WHERE id = $1', [approvalId]);
+  if (!row) return null;
+  const request = await serviceCatalog.getRequest(pool, row.request_id);
+  const approval = request.approvals.find(a => String(a.id) === String(approvalId));
+  const item = await serviceCatalog.getItem(pool, request.sku);
+  return { approval, request, item };
+}
+
+/**
+ * Emails one approver their link. A reminder reuses the link already sent;
+ * a first notice starts its expiry and, for all but a fallback approver,
+ * the escalation deadline. A first notice is claimed before it is sent, so
+ * the request route and checkCatalogApprovals cannot both send it; a send
+ * that fails gives the claim back. Returns false when it was not sent.
+ */
+async function notifyApprover(pool, { approval, request, item }, { reminder = false } = {}) {
+  // Whole seconds, as the token carries it.
+  const expiresAt = reminder
+    ? approval.expires_at
+    : new Date(Math.floor(Date.now() / 1000 + LINK_HOURS * 3600) * 1000);
+  const itemName = item?.name || request.sku;
+  const requester = request.requester_name || request.requester_email;
+
+  if (!reminder) {
+    const { rows: [claimed] } = await pool.query(`
+      UPDATE approvals
+         SET notified_at = now(), expires_at = $2,
+             due_at = CASE WHEN role = 'fallback' THEN NULL ELSE now() + $3 * interval '1 hour' END
+       WHERE id = $1 AND notified_at IS NULL
+      RETURNING id
+    `, [approval.id, expiresAt, ESCALATE_HOURS]);
+    if (!claimed) return false;
+  }
+
+  try {
+    await createSideConversation(request.ticket_id, {
+      subject: `${reminder ? 'Reminder: a' : 'A'}pproval needed for ${itemName} (${requester})`,
+      body: [
+        `${requester} (${request.requester_email}) has requested ${itemName}, and you are asked to approve it.`,
+        '',
+        ...answerLines(item, request),
+        '',
+        `Approve or reject: ${approvalLink(approval.id, expiresAt)}`,
+        `The link works until ${new Date(expiresAt).toUTCString()}.`
+      ].join('\n'),
+      to: [{ email: approval.approver_email, ...(approval.approver_name ? { name: approval.approver_name } : {}) }]
+    });
+  } catch (error) {
+    if (!reminder) {
+      await pool.query(
+        'UPDATE approvals SET notified_at = NULL, expires_at = NULL, due_at = NULL WHERE id = $1',
+        [approval.id]
+      ).catch(() => {});
+    }
+    throw error;
+  }
+
+  if (reminder) {
+    await pool.query(
+      'UPDATE approvals SET reminded_at = now(), reminders = reminders + 1 WHERE id = $1',
+      [approval.id]
+    );
+  }
+  return true;
+}
+
+/**
+ * Emails the approvers of a new request. Failures are logged and left for
+ * checkCatalogApprovals to retry. Returns how many were sent.
+ */
+async function requestApprovals(pool, request) {
+  if (!linksConfigured()) {
+    console.warn(`[Catalog] Request ${request.id} needs approval but CATALOG_APPROVAL_SECRET / CATALOG_APPROVAL_BASE_URL are not set`);
+    return 0;
+  }
+  const item = await serviceCatalog.getItem(pool, request.sku);
+  let sent = 0;
+  for (const approval of request.approvals.filter(a => a.status === 'pending' && !a.notified_at)) {
+    try {
+      if (await notifyApprover(pool, { approval, request, item })) sent++;
+    } catch (error) {
+      console.error(`[Catalog] Could not ask ${approval.approver_email} to approve request ${request.id}:`, error.message);
+    }
+  }
+  return sent;
+}
+
+/**
+ * Tells the ticket how the request was decided: approved opens it, rejected
+ * answers the requester with a public reply. Zendesk only solves an
+ * assigned ticket, so a rejection recorded by an agent is assigned to them
+ * and solved; one made through a link is opened for an agent to close. A
+ * failed update is counted (see migrations/031) and thrown.
+ */
+async function syncOutcome(pool, request) {
+  const decidedBy = whoIs({ name: request.decided_by_name, email: request.decided_by_email });
+  const note = request.approvals.find(a => a.status === request.approval_status && a.note)?.note;
+
+  const changes = request.approval_status === 'approved'
+    ? {
+        status: 'open',
+        comment: { public: false, body: `Approved by ${decidedBy}.${note ? `\n\n${note}` : ''}` },
+        additional_tags: ['approval_approved'],
+        remove_tags: ['approval_pending']
+      }
+    : {
+        ...(request.decided_by_id
+          ? { status: 'solved', assignee_id: Number(request.decided_by_id) }
+          : { status: 'open' }),
+        comment: {
+          public: true,
+          body: `Your request was not approved by ${request.decided_by_name || request.decided_by_email}.${note ? `\n\n${note}` : ''}`
+        },
+        additional_tags: ['approval_rejected'],
+        remove_tags: ['approval_pending']
+      };
+
+  try {
+    await updateTicket(request.ticket_id, changes);
+  } catch (error) {
+    const { rows: [counted] } = await pool.query(`
+      UPDATE catalog_requests
+         SET outcome_sync_attempts = outcome_sync_attempts + 1, outcome_sync_error = $2
+       WHERE id = $1
+      RETURNING outcome_sync_attempts
+    `, [request.id, error.response?.data?.details ? JSON.stringify(error.response.data.details) : error.message]);
+    if (counted?.outcome_sync_attempts === OUTCOME_SYNC_ATTEMPTS) {
+      console.error(`[Catalog] Giving up on telling ticket #${request.ticket_id} that request ${request.id} was ${request.approval_status}; an agent needs to update it`);
+    }
+    throw error;
+  }
+  await pool.query(
+    'UPDATE catalog_requests SET outcome_synced_at = now(), outcome_sync_error = NULL WHERE id = $1',
+    [request.id]
+  );
+}
+
+/**
+ * Records a decision (see serviceCatalog.decideApproval) and updates the
+ * ticket. A ticket update that fails is retried by checkCatalogApprovals;
+ * the decision stands either way. An agent decision needs `decidedBy`, the
+ * agent as verified with Zendesk; only a link decides without one.
+ */
+async function decide(pool, { requestId, approvalId, decision, decidedBy = null, note = null, via = 'agent' }) {
+  if (via !== 'link' && !decidedBy?.id) {
+    throw Object.assign(new Error('A verified agent is required to record an approval'), { status: 401 });
+  }
+  const request = await serviceCatalog.decideApproval(pool, { requestId, approvalId, decision, decidedBy, note, via });
+  if (!request || !request.ticket_id) return request;
+
+  try {
+    if (request.approval_status === 'pending') {
+      const approval = request.approvals.find(a => String(a.id) === String(approvalId));
+      const waiting = request.approvals.filter(a => a.status === 'pending').map(whoIs);
+      const recordedBy = decidedBy ? ` (recorded by ${whoIs(decidedBy)})` : '';
+      await updateTicket(request.ticket_id, {
+        comment: {
+          public: false,
+          body: `${whoIs({ name: approval.approver_name, email: approval.approver_email })} approved${recordedBy}. Still waiting for: ${waiting.join(', ')}.`
+        }
+      });
+    } else {
+      await syncOutcome(pool, request);
+    }
+  } catch (error) {
+    console.error(`[Catalog] Ticket #${request.ticket_id} not updated for request ${request.id}:`, error.message);
+  }
+  return serviceCatalog.getRequest(pool, requestId);
+}
+
+/**
+ * What a link opens: { state, approval, request, item } where state is
+ * 'invalid' (bad or unknown token), 'expired', 'closed' (decided, escalated
+ * or the request already decided) or 'open'.
+ */
+async function openLink(pool, token) {
+  const claim = readToken(token);
+  if (!claim) return { state: 'invalid' };
+  const loaded = await loadApproval(pool, claim.approvalId);
+  // A link is only good for the expiry it was sent with.
+  if (!loaded || !loaded.approval.expires_at ||
+      new Date(loaded.approval.expires_at).getTime() !== claim.expiresAt.getTime()) {
+    return { state: 'invalid' };
+  }
+  if (loaded.approval.status !== 'pending' || loaded.request.approval_status !== 'pending') {
+    return { state: 'closed', ...loaded };
+  }
+  if (claim.expiresAt.getTime() <= Date.now()) return { state: 'expired', ...loaded };
+  return { state: 'open', ...loaded };
+}
+
+/**
+ * Decides through a link. Returns openLink()'s answer, with the decided
+ * request when the link was open.
+ */
+async function decideByLink(pool, token, { decision, note = null }) {
+  const link = await openLink(pool, token);
+  if (link.state !== 'open') return link;
+  const request = await decide(pool, {
+    requestId: link.request.id,
+    approvalId: link.approval.id,
+    decision,
+    note: note ? String(note).slice(0, 2000) : null,
+    via: 'link'
+  });
+  return { ...link, state: 'decided', request, decision };
+}
+
+/**
+ * Hands an approval nobody answered to the fallback approver. Without one
+ * the ticket gets a note for the agents and the approval stays with its
+ * approver.
+ */
+async function escalate(pool, { approval, request, item }) {
+  const fallback = item?.fallback_approver || DEFAULT_FALLBACK;
+  if (!fallback || fallback.email.toLowerCase() === approval.approver_email.toLowerCase()) {
+    await pool.query('UPDATE approvals SET due_at = NULL WHERE id = $1', [approval.id]);
+    await updateTicket(request.ticket_id, {
+      comment: {
+        public: false,
+        body: `${whoIs({ name: approval.approver_name, email: approval.approver_email })} has not answered within ${ESCALATE_HOURS} hours and there is no fallback approver. Please follow up.`
+      }
+    });
+    return null;
+  }
+
+  const client = await pool.connect();
+  let replacement;
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM catalog_requests WHERE id = $1 FOR UPDATE', [request.id]);
+    const { rowCount } = await client.query(
+      `UPDATE approvals SET status = 'escalated', decided_at = now() WHERE id = $1 AND status = 'pending'`,
+      [approval.id]
+    );
+    if (rowCount === 0) {
+      // Decided while we were deciding to escalate.
+      await client.query('ROLLBACK');
+      return null;
+    }
+    ({ rows: [replacement] } = await client.query(`
+      INSERT INTO approvals (request_id, role, approver_name, approver_email, escalated_from)
+      VALUES ($1, 'fallback', $2, $3, $4)
+      RETURNING id
+    `, [request.id, fallback.name || null, fallback.email, approval.id]));
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  console.log(`[Catalog] Request ${request.id}: approval ${approval.id} escalated to ${fallback.email}`);
+  await updateTicket(request.ticket_id, {
+    comment: {
+      public: false,
+      body: `${whoIs({ name: approval.approver_name, email: approval.approver_email })} has not answered within ${ESCALATE_HOURS} hours; approval passed to ${whoIs(fallback)}.`
+    }
+  });
+  const loaded = await loadApproval(pool, replacement.id);
+  await notifyApprover(pool, loaded);
+  return replacement.id;
+}
+
+async function pendingApprovals(pool, condition, params = []) {
+  const { rows } = await pool.query(`
+    SELECT a.id
+      FROM approvals a
+      JOIN catalog_requests r ON r.id = a.request_id
+     WHERE a.status = 'pending' AND r.approval_status = 'pending' AND r.ticket_id IS NOT NULL
+       AND ${condition}
+     ORDER BY a.id
+  `, params);
+  return rows.map(r => r.id);
+}
+
+async function eachApproval(pool, ids, label, work) {
+  let done = 0;
+  for (const id of ids) {
+    try {
+      const loaded = await loadApproval(pool, id);
+      // work() answers false when another run got there first.
+      if (loaded && (await work(loaded)) !== false) done++;
+    } catch (error) {
+      console.error(`[Catalog] ${label} failed for approval ${id}:`, error.message);
+    }
+  }
+  return done;
+}
+
+/**
+ * The scheduled pass over open approvals. Returns what it did, as counts.
+ */
+async function checkCatalogApprovals(pool) {
+  const result = { notified: 0, escalated: 0, reminded: 0, synced: 0 };
+
+  if (linksConfigured()) {
+    result.notified = await eachApproval(pool, await pendingApprovals(pool, 'a.notified_at IS NULL'),
+      'Approval request', loaded => notifyApprover(pool, loaded));
+    result.escalated = await eachApproval(pool, await pendingApprovals(pool, 'a.due_at <= now()'),
+      'Escalation', loaded => escalate(pool, loaded));
+    result.reminded = await eachApproval(pool, await pendingApprovals(pool, `
+          a.notified_at IS NOT NULL AND a.expires_at > now()
+      AND COALESCE(a.reminded_at, a.notified_at) <= now() - $1 * interval '1 hour'
+    `, [REMIND_HOURS]), 'Reminder', loaded => notifyApprover(pool, loaded, { reminder: true }));
+  }
+
+  const { rows: unsynced } = await pool.query(`
+    SELECT id FROM catalog_requests
+     WHERE outcome_synced_at IS NULL AND approval_status IN ('approved', 'rejected') AND ticket_id IS NOT NULL
+       AND outcome_sync_attempts < $1
+     ORDER BY decided_at
+  `, [OUTCOME_SYNC_ATTEMPTS]);
+  for (const { id } of unsynced) {
+    try {
+      await syncOutcome(pool, await serviceCatalog.getRequest(pool, id));
+      result.synced++;
+    } catch (error) {
+      console.warn(`[Catalog] Ticket update for request ${id} failed again:`, error.message);
+    }
+  }
+
+  if (Object.values(result).some(count => count > 0)) {
+    console.log(`[Catalog] Approvals: ${result.notified} asked, ${result.reminded} reminded, ${result.escalated} escalated, ${result.synced} tickets updated`);
+  }
+  return result;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+/**
+ * The approval page for openLink()/decideByLink()'s answer.
+ */
+function renderApprovalPage(link, token) {
+  const messages = {
+    invalid: 'This approval link is not valid.',
+    expired: 'This approval link has expired. Please contact the service desk.',
+    closed: 'This approval has already been dealt with. Thank you.'
+  };
+  let body;
+  if (link.state === 'decided') {
+    body = `<p>Thank you. You have ${link.decision === 'approved' ? 'approved' : 'rejected'} this request.</p>`;
+  } else if (link.state !== 'open') {
+    body = `<p>${escapeHtml(messages[link.state])}</p>`;
+  } else {
+    const { request, item } = link;
+    const answers = answerLines(item, request).map(line => `<li>${escapeHtml(line)}</li>`).join('');
+    body = `
+      <p><strong>${escapeHtml(request.requester_name || request.requester_email)}</strong>
+        (${escapeHtml(request.requester_email)}) has requested
+        <strong>${escapeHtml(item?.name || request.sku)}</strong>.</p>
+      ${answers ? `<ul>${answers}</ul>` : ''}
+      <form method="post" action="${escapeHtml(token)}">
+        <p><label>Note (optional)<br><textarea name="note" rows="3" cols="50"></textarea></label></p>
+        <button type="submit" name="decision" value="approved">Approve</button>
+        <button type="submit" name="decision" value="rejected">Reject</button>
+      </form>`;
+  }
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex"><title>Approval request</title></head>
+<body style="font-family: sans-serif; max-width: 40em; margin: 2em auto; padding: 0 1em;">
+<h1>Approval request</h1>
+${body}
+</body>
+</html>`;
+}
+
+module.exports = {
+  linksConfigured,
+  approvalToken,
+  readToken,
+  requestApprovals,
+  decide,
+  openLink,
+  decideByLink,
+  checkCatalogApprovals,
+  renderApprovalPage
+};
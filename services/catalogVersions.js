@@ -0,0 +1,268 @@
+'use strict';
+
+/**
+ * The Google Sheets service catalog, pulled into numbered versions in
+ * Postgres. See migrations/027_catalog_versions.sql.
+ *
+ * pullCatalog runs from scheduleSync (and POST /api/catalog/versions/pull):
+ * it reads the sheet, stores a new version when the rows changed, and
+ * validates it. latestCatalog is what /api/catalog serves.
+ *
+ * Column names are matched to the sheet's headers ignoring case and spaces.
+ */
+
+const crypto = require('crypto');
+const { getCatalogSheet } = require('./googleSheets');
+
+function columnList(value) {
+  return value.split(',').map(c => c.trim()).filter(Boolean);
+}
+
+const SKU_COLUMN = process.env.CATALOG_SKU_COLUMN || 'SKU';
+const PRICE_COLUMN = process.env.CATALOG_PRICE_COLUMN || 'Price';
+const REQUIRED_COLUMNS = columnList(process.env.CATALOG_REQUIRED_COLUMNS || `${SKU_COLUMN},Name,${PRICE_COLUMN}`);
+
+// 1200, 1,200, 1200.5, $1,200.00 - a currency sign, thousands commas and
+// up to two decimals, nothing else.
+const PRICE_PATTERN = /^[$£€]?\s?(\d{1,3}(,\d{3})+|\d+)(\.\d{1,2})?$/;
+
+const VERSION_COLUMNS = `
+  id, source, headers, row_count, content_hash, valid, errors, created_at, checked_at`;
+
+function columnKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * The sheet header that `column` names, or undefined.
+ */
+function findHeader(headers, column) {
+  return headers.find(header => columnKey(header) === columnKey(column));
+}
+
+function cell(row, header) {
+  if (!header) return '';
+  const value = row[header];
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+function isBlankRow(row) {
+  return Object.values(row).every(value => value === undefined || value === null || String(value).trim() === '');
+}
+
+/**
+ * The sheet's rows, numbered as in the sheet and without blank rows, and
+ * what is wrong with them as [{ row, sku, column, message }].
+ */
+function validateRows(headers, sheetRows) {
+  const errors = [];
+  const missing = REQUIRED_COLUMNS.filter(column => !findHeader(headers, column));
+  for (const column of missing) {
+    errors.push({ row: 1, sku: null, column, message: `Column "${column}" is missing` });
+  }
+
+  const skuHeader = findHeader(headers, SKU_COLUMN);
+  const priceHeader = findHeader(headers, PRICE_COLUMN);
+  const required = REQUIRED_COLUMNS.map(column => findHeader(headers, column)).filter(Boolean);
+  const seen = new Map();
+  const rows = [];
+
+  sheetRows.forEach((data, index) => {
+    if (isBlankRow(data)) return;
+    const rowNumber = index + 2;
+    const sku = cell(data, skuHeader) || null;
+    rows.push({ rowNumber, sku, data });
+
+    for (const header of required) {
+      if (!cell(data, header)) errors.push({ row: rowNumber, sku, column: header, message: `${header} is empty` });
+    }
+    const price = cell(data, priceHeader);
+    if (price && !PRICE_PATTERN.test(price)) {
+      errors.push({ row: rowNumber, sku, column: priceHeader, message: `"${price}" is not a price` });
+    }
+    if (sku) {
+      const key = sku.toLowerCase();
+      if (seen.has(key)) {
+        errors.push({ row: rowNumber, sku, column: skuHeader, message: `SKU ${sku} is also on row ${seen.get(key)}` });
+      } else {
+        seen.set(key, rowNumber);
+      }
+    }
+  });
+
+  return { rows, errors };
+}
+
+function contentHash(headers, rows) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([headers, rows.map(r => [r.rowNumber, r.data])]))
+    .digest('hex');
+}
+
+async function latestVersion(pool, { validOnly = false } = {}) {
+  const { rows: [version] } = await pool.query(`
+    SELECT ${VERSION_COLUMNS} FROM catalog_versions
+     WHERE $1 = false OR valid
+     ORDER BY id DESC
+     LIMIT 1
+  `, [validOnly]);
+  return version || null;
+}
+
+/**
+ * Reads the sheet and stores it as a new version if it changed. Returns
+ * { version, changed }. Concurrent pulls of the same sheet store one
+ * version between them.
+ */
+async function pullCatalog(pool) {
+  const sheet = await getCatalogSheet();
+  const headers = sheet.headers.filter(Boolean);
+  const { rows, errors } = validateRows(headers, sheet.rows);
+  const hash = contentHash(headers, rows);
+
+  const latest = await latestVersion(pool);
+  if (latest && latest.content_hash === hash) {
+    await pool.query('UPDATE catalog_versions SET checked_at = now() WHERE id = $1', [latest.id]);
+    return { version: latest, changed: false };
+  }
+
+  const client = await pool.connect();
+  let version;
+  try {
+    await client.query('BEGIN');
+    // The schedule, the pull endpoint and a first /api/catalog can pull at
+    // once; the lock lets one store the version and the rest find it.
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('catalog_versions'))");
+    const { rows: [current] } = await client.query(
+      `SELECT ${VERSION_COLUMNS} FROM catalog_versions ORDER BY id DESC LIMIT 1`
+    );
+    if (current && current.content_hash === hash) {
+      await client.query('UPDATE catalog_versions SET checked_at = now() WHERE id = $1', [current.id]);
+      await client.query('COMMIT');
+      return { version: current, changed: false };
+    }
+    ({ rows: [version] } = await client.query(`
+      INSERT INTO catalog_versions (source, headers, row_count, content_hash, valid, errors)
+      VALUES ($1, $2, $3, $4, $5, $6::jsonb)
+      RETURNING ${VERSION_COLUMNS}
+    `, [sheet.title, headers, rows.length, hash, errors.length === 0, JSON.stringify(errors)]));
+    for (const row of rows) {
+      await client.query(
+        'INSERT INTO catalog_version_rows (version_id, row_number, sku, data) VALUES ($1, $2, $3, $4::jsonb)',
+        [version.id, row.rowNumber, row.sku, JSON.stringify(row.data)]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (version.valid) {
+    console.log(`[Catalog] Version ${version.id}: ${rows.length} rows`);
+  } else {
+    console.warn(`[Catalog] Version ${version.id} has ${errors.length} errors and is not served; still serving the last valid version`);
+  }
+  return { version, changed: true };
+}
+
+async function versionRows(pool, versionId) {
+  const { rows } = await pool.query(
+    'SELECT row_number, sku, data FROM catalog_version_rows WHERE version_id = $1 ORDER BY row_number',
+    [versionId]
+  );
+  return rows;
+}
+
+/**
+ * The latest valid version and its rows as { version, rows }, rows as the
+ * sheet gave them. Pulls the sheet first when nothing has been stored yet.
+ * null when there is no valid version.
+ */
+async function latestCatalog(pool) {
+  let version = await latestVersion(pool, { validOnly: true });
+  if (!version && !(await latestVersion(pool))) {
+    await pullCatalog(pool);
+    version = await latestVersion(pool, { validOnly: true });
+  }
+  if (!version) return null;
+  return { version, rows: (await versionRows(pool, version.id)).map(r => r.data) };
+}
+
+async function listVersions(pool, { limit = 50 } = {}) {
+  const { rows } = await pool.query(`
+    SELECT id, source, row_count, valid, jsonb_array_length(errors) AS error_count, created_at, checked_at
+      FROM catalog_versions
+     ORDER BY id DESC
+     LIMIT $1
+  `, [limit]);
+  return rows;
+}
+
+/**
+ * A version with its rows, or null.
+ */
+async function getVersion(pool, id) {
+  const { rows: [version] } = await pool.query(`SELECT ${VERSION_COLUMNS} FROM catalog_versions WHERE id = $1`, [id]);
+  if (!version) return null;
+  return { ...version, rows: await versionRows(pool, id) };
+}
+
+// Rows are matched by SKU; a row without one by its row number.
+function rowKey(row) {
+  return row.sku ? `sku:${row.sku.toLowerCase()}` : `row:${row.row_number}`;
+}
+
+/**
+ * What changed from version `fromId` to `toId`: { from, to, added, removed,
+ * changed, headers: { added, removed } }, with each changed row's fields as
+ * { column: { from, to } }. null when either version does not exist.
+ */
+async function diffVersions(pool, fromId, toId) {
+  const [from, to] = await Promise.all([getVersion(pool, fromId), getVersion(pool, toId)]);
+  if (!from || !to) return null;
+
+  const before = new Map(from.rows.map(row => [rowKey(row), row]));
+  const after = new Map(to.rows.map(row => [rowKey(row), row]));
+  const summary = row => ({ sku: row.sku, row: row.row_number, data: row.data });
+
+  const changed = [];
+  for (const [key, row] of after) {
+    const old = before.get(key);
+    if (!old) continue;
+    const fields = {};
+    for (const column of new Set([...Object.keys(old.data), ...Object.keys(row.data)])) {
+      const was = old.data[column] ?? '';
+      const now = row.data[column] ?? '';
+      if (String(was) !== String(now)) fields[column] = { from: was, to: now };
+    }
+    if (Object.keys(fields).length > 0) {
+      changed.push({ sku: row.sku, row: row.row_number, previous_row: old.row_number, fields });
+    }
+  }
+
+  const meta = version => ({ id: version.id, created_at: version.created_at, valid: version.valid, row_count: version.row_count });
+  return {
+    from: meta(from),
+    to: meta(to),
+    headers: {
+      added: to.headers.filter(h => !from.headers.includes(h)),
+      removed: from.headers.filter(h => !to.headers.includes(h))
+    },
+    added: [...after].filter(([key]) => !before.has(key)).map(([, row]) => summary(row)),
+    removed: [...before].filter(([key]) => !after.has(key)).map(([, row]) => summary(row)),
+    changed
+  };
+}
+
+module.exports = {
+  REQUIRED_COLUMNS,
+  validateRows,
+  pullCatalog,
+  latestCatalog,
+  listVersions,
+  getVersion,
+  diffVersions
+};
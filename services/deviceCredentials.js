@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * SiPortal device credentials: keeping them out of ordinary responses and
+ * stored copies, and the audited reveal. See migrations/021_credential_reveals.sql.
+ *
+ * A reveal is granted when all of these hold:
+ *   - the request carries CREDENTIAL_REVEAL_SECRET in X-Reveal-Secret. The
+ *     sidebar sends it through the Zendesk app proxy as a secure setting, so
+ *     the browser never holds it and only the installed app can send it.
+ *   - X-Actor-Id is a Zendesk agent or admin who is active and not suspended.
+ *   - that agent is under the reveal rate limit.
+ */
+
+const crypto = require('crypto');
+
+// Device keys that hold credentials or how to log in with them, in every
+// spelling the SiPortal API has used.
+const CREDENTIAL_KEYS = [
+  'credentials', 'credential', 'username', 'user', 'password',
+  'preferredAccess', 'preferred_access', 'accessMethod', 'access_method'
+];
+
+const REVEAL_SECRET = process.env.CREDENTIAL_REVEAL_SECRET || null;
+
+// Granted reveals allowed per agent in the window.
+const REVEAL_LIMIT = parseInt(process.env.CREDENTIAL_REVEAL_LIMIT || '10', 10);
+const REVEAL_WINDOW_MINUTES = 15;
+
+/**
+ * A copy of a device without its credential keys.
+ */
+function redactDevice(device) {
+  const copy = { ...device };
+  for (const key of CREDENTIAL_KEYS) delete copy[key];
+  return copy;
+}
+
+function hasCredentials(device) {
+  return CREDENTIAL_KEYS.some(key => device[key] !== undefined && device[key] !== null && device[key] !== '');
+}
+
+/**
+ * The credential fields of a device, in the names the old response used.
+ */
+function credentialsOf(device) {
+  return {
+    username: device.username || device.user || '',
+    credentials: device.credentials || device.credential || '',
+    password: device.password || '',
+    preferred_access: device.preferredAccess || device.preferred_access || '',
+    access_method: device.accessMethod || device.access_method || ''
+  };
+}
+
+function revealConfigured() {
+  return Boolean(REVEAL_SECRET);
+}
+
+function secretMatches(given, secret = REVEAL_SECRET) {
+  if (!secret || !given) return false;
+  const left = crypto.createHash('sha256').update(String(given)).digest();
+  const right = crypto.createHash('sha256').update(secret).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Whether `user` (a Zendesk user) may see credentials at all.
+ */
+function isVerifiedAgent(user) {
+  return Boolean(user) &&
+    ['agent', 'admin'].includes(user.role) &&
+    user.active !== false &&
+    !user.suspended;
+}
+
+/**
+ * Granted reveals by one agent inside the rate-limit window.
+ */
+async function recentReveals(pool, agentId) {
+  const { rows: [row] } = await pool.query(`
+    SELECT COUNT(*)::int AS count, MIN(created_at) AS oldest
+      FROM credential_reveals
+     WHERE agent_id = $1 AND outcome = 'granted'
+       AND created_at > now() - make_interval(mins => $2)
+  `, [agentId, REVEAL_WINDOW_MINUTES]);
+  return row;
+}
+
+/**
+ * Seconds until the agent may reveal again, or 0 when under the limit.
+ */
+async function rateLimitWait(pool, agentId) {
+  const { count, oldest } = await recentReveals(pool, agentId);
+  if (count < REVEAL_LIMIT) return 0;
+  const freesAt = new Date(oldest).getTime() + REVEAL_WINDOW_MINUTES * 60 * 1000;
+  return Math.max(1, Math.ceil((freesAt - Date.now()) / 1000));
+}
+
+async function recordReveal(pool, { deviceId, companyId = null, agent = {}, ticketId = null, outcome, reason = null, ip = null, userAgent = null }) {
+  await pool.query(`
+    INSERT INTO credential_reveals (device_id, company_id, agent_id, agent_name, ticket_id, outcome, reason, ip, user_agent)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  `, [
+    String(deviceId),
+    companyId,
+    /^\d+$/.test(String(agent.id ?? '')) ? agent.id : null,
+    agent.name || null,
+    ticketId,
+    outcome,
+    reason,
+    ip,
+    userAgent
+  ]);
+}
+
+async function listReveals(pool, { deviceId = null, agentId = null, limit = 100 } = {}) {
+  const { rows } = await pool.query(`
+    SELECT id, device_id, company_id, agent_id, agent_name, ticket_id, outcome, reason, ip, created_at
+      FROM credential_reveals
+     WHERE ($1::text IS NULL OR device_id = $1)
+       AND ($2::bigint IS NULL OR agent_id = $2::bigint)
+     ORDER BY created_at DESC
+     LIMIT $3
+  `, [deviceId, agentId, limit]);
+  return rows;
+}
+
+module.exports = {
+  CREDENTIAL_KEYS,
+  REVEAL_LIMIT,
+  REVEAL_WINDOW_MINUTES,
+  redactDevice,
+  hasCredentials,
+  credentialsOf,
+  revealConfigured,
+  secretMatches,
+  isVerifiedAgent,
+  rateLimitWait,
+  recordReveal,
+  listReveals
+};
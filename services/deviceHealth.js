@@ -0,0 +1,256 @@
+'use strict';
+
+/**
+ * Stale and unmonitored SiPortal devices.
+ *
+ * checkDeviceHealth runs weekly from scheduleSync: it reports, per
+ * organization, the synced devices that are stale, unidentified (no serial
+ * or no IP) or end-of-life by the device_eol table, and - when
+ * DEVICE_HEALTH_TICKETS is on - opens one Zendesk task per organization with
+ * findings for the week. See migrations/023_device_health.sql.
+ */
+
+const { createTicket } = require('./zendesk');
+const rollups = require('./siportalRollups');
+
+const STALE_DAYS = parseInt(process.env.DEVICE_STALE_DAYS || '30', 10);
+
+const HEALTH_TICKETS_ENABLED = process.env.DEVICE_HEALTH_TICKETS === 'true';
+const HEALTH_GROUP_ID = process.env.DEVICE_HEALTH_GROUP_ID
+  ? parseInt(process.env.DEVICE_HEALTH_GROUP_ID, 10)
+  : null;
+
+// Devices listed per kind in a ticket; the rest are counted.
+const TICKET_LIST_LIMIT = 50;
+
+const EOL_COLUMNS = 'id, kind, match, label, eol_date, note, created_at, updated_at';
+
+function isoDate(value) {
+  return value instanceof Date ? value.toISOString().slice(0, 10) : value;
+}
+
+/**
+ * Organizations that have SiPortal companies: a confirmed link or a rollup.
+ */
+async function listDeviceOrganizations(pool) {
+  const { rows } = await pool.query(`
+    SELECT x.organization_id, o.name AS organization_name
+      FROM (
+        SELECT organization_id FROM siportal_company_links WHERE confirmed
+        UNION
+        SELECT organization_id FROM siportal_rollups
+      ) x
+      LEFT JOIN organizations o ON o.id = x.organization_id
+     ORDER BY o.name NULLS LAST, x.organization_id
+  `);
+  return rows;
+}
+
+/**
+ * Every live device of `companies`, with its findings.
+ */
+async function classifyDevices(pool, companies, staleDays) {
+  const { rows } = await pool.query(`
+    SELECT d.id, d.company_id, d.company_name, d.name, d.host_name, d.device_type, d.os,
+           d.serial_number, d.ip_address, d.last_seen_at,
+           EXTRACT(DAY FROM now() - d.last_seen_at)::int AS days_since_seen,
+           (d.last_seen_at IS NULL OR d.last_seen_at < now() - make_interval(days => $2)) AS stale,
+           (COALESCE(trim(d.serial_number), '') = '') AS no_serial,
+           (COALESCE(trim(d.ip_address), '') = '') AS no_ip,
+           eol.label AS eol_label, eol.eol_date
+      FROM siportal_devices d
+      LEFT JOIN LATERAL (
+        SELECT e.label, e.eol_date
+          FROM device_eol e
+         WHERE e.eol_date <= CURRENT_DATE
+           AND ((e.kind = 'os' AND d.os ILIKE e.match)
+             OR (e.kind = 'device_type' AND d.device_type ILIKE e.match))
+         ORDER BY e.eol_date
+         LIMIT 1
+      ) eol ON true
+     WHERE d.company_id = ANY($1::bigint[]) AND d.removed_at IS NULL
+     ORDER BY d.company_name NULLS LAST, d.name NULLS LAST, d.id
+  `, [companies.map(c => c.id), staleDays]);
+  return rows;
+}
+
+function deviceSummary(row, names) {
+  return {
+    device_id: row.id,
+    name: row.name || row.host_name || `Device ${row.id}`,
+    company: names.get(String(row.company_id)) || row.company_name,
+    company_id: Number(row.company_id),
+    device_type: row.device_type,
+    os: row.os,
+    last_seen_at: row.last_seen_at,
+    days_since_seen: row.days_since_seen
+  };
+}
+
+/**
+ * The report of one organization, as { organization_id, organization_name,
+ * stale_days, devices, counts, stale, unidentified, end_of_life }.
+ */
+async function organizationHealth(pool, org, { staleDays = STALE_DAYS } = {}) {
+  const { companies } = await rollups.organizationCompanies(pool, org.organization_id);
+  const names = new Map(companies.map(c => [String(c.id), c.display_name || c.name]));
+  const rows = companies.length > 0 ? await classifyDevices(pool, companies, staleDays) : [];
+
+  const stale = [];
+  const unidentified = [];
+  const endOfLife = [];
+  for (const row of rows) {
+    if (row.stale) stale.push(deviceSummary(row, names));
+    if (row.no_serial || row.no_ip) {
+      unidentified.push({
+        ...deviceSummary(row, names),
+        missing: [row.no_serial && 'serial_number', row.no_ip && 'ip_address'].filter(Boolean)
+      });
+    }
+    if (row.eol_label) {
+      endOfLife.push({ ...deviceSummary(row, names), eol: row.eol_label, eol_date: isoDate(row.eol_date) });
+    }
+  }
+
+  return {
+    organization_id: String(org.organization_id),
+    organization_name: org.organization_name,
+    stale_days: staleDays,
+    companies: companies.length,
+    devices: rows.length,
+    counts: { stale: stale.length, unidentified: unidentified.length, end_of_life: endOfLife.length },
+    stale,
+    unidentified,
+    end_of_life: endOfLife
+  };
+}
+
+/**
+ * The report for one organization, or for every organization with devices.
+ */
+async function getDeviceHealthReport(pool, { organizationId = null, staleDays = STALE_DAYS } = {}) {
+  let orgs = await listDeviceOrganizations(pool);
+  if (organizationId) orgs = orgs.filter(o => String(o.organization_id) === String(organizationId));
+
+  const reports = [];
+  for (const org of orgs) reports.push(await organizationHealth(pool, org, { staleDays }));
+  return reports;
+}
+
+function hasFindings(report) {
+  return report.counts.stale + report.counts.unidentified + report.counts.end_of_life > 0;
+}
+
+function healthDescription(report) {
+  const lines = [
+    `Device health for ${report.organization_name || `organization ${report.organization_id}`}: ${report.devices} devices in IT Portal.`,
+    ''
+  ];
+  const section = (title, devices, detail) => {
+    if (devices.length === 0) return;
+    lines.push(`${title} (${devices.length}):`);
+    for (const d of devices.slice(0, TICKET_LIST_LIMIT)) lines.push(`- ${d.name} [${d.company}]: ${detail(d)}`);
+    if (devices.length > TICKET_LIST_LIMIT) lines.push(`- ...and ${devices.length - TICKET_LIST_LIMIT} more`);
+    lines.push('');
+  };
+  section(`Not seen for ${report.stale_days}+ days`, report.stale,
+    d => (d.last_seen_at ? `last seen ${isoDate(d.last_seen_at)}` : 'never seen'));
+  section('No serial number or IP address', report.unidentified,
+    d => `missing ${d.missing.join(' and ').replace(/_/g, ' ')}`);
+  section('End of life', report.end_of_life,
+    d => `${d.eol} since ${d.eol_date}`);
+  lines.push('Opened automatically by the weekly device health check. The full list is at /api/analytics/devices/health.');
+  return lines.join('\n');
+}
+
+/**
+ * Opens this week's ticket for each report with findings, unless one was
+ * already opened. The week is claimed before the ticket is created, so two
+ * overlapping runs cannot both open it; if Zendesk refuses the ticket the
+ * claim is released and the next run tries again.
+ */
+async function openHealthTickets(pool, reports) {
+  const opened = [];
+  for (const report of reports.filter(hasFindings)) {
+    const { rows: [claim] } = await pool.query(`
+      INSERT INTO device_health_tickets (organization_id, week_of, counts)
+      VALUES ($1, date_trunc('week', CURRENT_DATE)::date, $2::jsonb)
+      ON CONFLICT (organization_id, week_of) DO NOTHING
+      RETURNING id
+    `, [report.organization_id, JSON.stringify(report.counts)]);
+    if (!claim) continue;
+
+    try {
+      const { stale, unidentified, end_of_life: eol } = report.counts;
+      const ticket = await createTicket({
+        subject: `Device health: ${report.organization_name || report.organization_id} (${stale} stale, ${unidentified} unidentified, ${eol} end of life)`,
+        comment: { body: healthDescription(report), public: false },
+        type: 'task',
+        priority: 'low',
+        tags: ['device_health'],
+        organization_id: Number(report.organization_id),
+        ...(HEALTH_GROUP_ID ? { group_id: HEALTH_GROUP_ID } : {}),
+        external_id: `device-health-${claim.id}`
+      });
+      await pool.query('UPDATE device_health_tickets SET ticket_id = $2 WHERE id = $1', [claim.id, ticket.id]);
+      opened.push({ organization_id: report.organization_id, ticket_id: ticket.id, counts: report.counts });
+      console.log(`   Device health ticket #${ticket.id} for ${report.organization_name || report.organization_id}`);
+    } catch (error) {
+      console.error(`   Device health ticket for organization ${report.organization_id} failed:`, error.message);
+      await pool.query('DELETE FROM device_health_tickets WHERE id = $1', [claim.id]);
+    }
+  }
+  return opened;
+}
+
+/**
+ * The weekly check. Opens tickets only when DEVICE_HEALTH_TICKETS is 'true'
+ * (or `openTickets` is passed), so it can run report-only first.
+ */
+async function checkDeviceHealth(pool, { openTickets = HEALTH_TICKETS_ENABLED } = {}) {
+  console.log('\n\u{1FA7A} Starting device health check...');
+  const reports = await getDeviceHealthReport(pool);
+
+  for (const report of reports) {
+    const { stale, unidentified, end_of_life: eol } = report.counts;
+    console.log(`   ${report.organization_name || report.organization_id}: ${report.devices} devices, ${stale} stale, ${unidentified} unidentified, ${eol} end of life`);
+  }
+
+  const opened = openTickets ? await openHealthTickets(pool, reports) : [];
+  console.log(`✅ Device health check: ${reports.filter(hasFindings).length} of ${reports.length} organizations with findings, ${opened.length} tickets opened`);
+  return { organizations: reports.length, tickets: opened };
+}
+
+async function listEol(pool) {
+  const { rows } = await pool.query(`SELECT ${EOL_COLUMNS} FROM device_eol ORDER BY kind, eol_date, label`);
+  return rows.map(row => ({ ...row, eol_date: isoDate(row.eol_date) }));
+}
+
+async function saveEol(pool, { kind, match, label, eolDate, note = null }) {
+  const { rows: [row] } = await pool.query(`
+    INSERT INTO device_eol (kind, match, label, eol_date, note)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (kind, match) DO UPDATE
+       SET label = EXCLUDED.label,
+           eol_date = EXCLUDED.eol_date,
+           note = EXCLUDED.note,
+           updated_at = now()
+    RETURNING ${EOL_COLUMNS}
+  `, [kind, match, label, eolDate, note]);
+  return { ...row, eol_date: isoDate(row.eol_date) };
+}
+
+async function deleteEol(pool, id) {
+  const { rowCount } = await pool.query('DELETE FROM device_eol WHERE id = $1', [id]);
+  return rowCount > 0;
+}
+
+module.exports = {
+  STALE_DAYS,
+  getDeviceHealthReport,
+  openHealthTickets,
+  checkDeviceHealth,
+  listEol,
+  saveEol,
+  deleteEol
+};
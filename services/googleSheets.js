@@ -52,10 +52,23 @@ async function getSheetDoc() {
  * @returns {Array<Object>} - An array of catalog item objects.
  */
 async function getCatalog() {
+  const { rows } = await getCatalogSheet();
+  return rows;
+}
+
+/**
+ * Fetches the catalog sheet with its header row, for services/catalogVersions.js.
+ * @returns {Promise<{title: string, headers: string[], rows: Array<Object>}>}
+ */
+async function getCatalogSheet() {
   const doc = await getSheetDoc();
   const sheet = doc.sheetsByIndex[0];
   const rows = await sheet.getRows();
-  return rows.map(row => row.toObject());
+  return {
+    title: `${doc.title} / ${sheet.title}`,
+    headers: sheet.headerValues,
+    rows: rows.map(row => row.toObject())
+  };
 }
 
 /**
@@ -78,5 +91,6 @@ async function getUserAssets(userId) {
 
 module.exports = {
   getCatalog,
+  getCatalogSheet,
   getUserAssets,
 };
@@ -0,0 +1,320 @@
+'use strict';
+
+/**
+ * The location hierarchy: organization -> site -> building -> room. See
+ * migrations/024_locations.sql.
+ *
+ * syncCompanyFacilities turns a company's SiPortal facilities into sites and
+ * buildings; resolveDeviceLocation places one device in the tree, creating
+ * its room on first sight. Devices (siportal_devices.location_id) and assets
+ * (assets.location_id) point at a location; contents() answers what is at a
+ * location and everything beneath it.
+ */
+
+const siportal = require('./siportal');
+
+const LEVELS = ['site', 'building', 'room'];
+
+const LOCATION_COLUMNS = `
+  id, organization_id, parent_id, level, name, siportal_facility_id, company_id, created_at, updated_at`;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function text(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'object') return value.name ? String(value.name).trim() || null : null;
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+async function getLocation(pool, id) {
+  const { rows: [location] } = await pool.query(`SELECT ${LOCATION_COLUMNS} FROM locations WHERE id = $1`, [id]);
+  return location || null;
+}
+
+/**
+ * A location and its ancestors, site first.
+ */
+async function getPath(pool, id) {
+  const { rows } = await pool.query(`
+    WITH RECURSIVE up AS (
+      SELECT id, parent_id, level, name, 0 AS depth FROM locations WHERE id = $1
+      UNION ALL
+      SELECT l.id, l.parent_id, l.level, l.name, up.depth + 1
+        FROM locations l JOIN up ON l.id = up.parent_id
+    )
+    SELECT id, level, name FROM up ORDER BY depth DESC
+  `, [id]);
+  return rows;
+}
+
+/**
+ * The named location under `parentId`, created if it is not there yet.
+ */
+async function findOrCreate(pool, { organizationId, parentId = null, level, name }) {
+  const { rows: [location] } = await pool.query(`
+    INSERT INTO locations (organization_id, parent_id, level, name)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (organization_id, COALESCE(parent_id, 0), level, lower(name))
+      WHERE siportal_facility_id IS NULL
+    DO UPDATE SET updated_at = locations.updated_at
+    RETURNING ${LOCATION_COLUMNS}
+  `, [organizationId, parentId, level, name]);
+  return location;
+}
+
+function facilityParentId(facility) {
+  const id = facility.parentId ?? facility.parent_id ?? facility.parent?.id ?? null;
+  return id === null || id === undefined || id === '' ? null : String(id);
+}
+
+/**
+ * Refreshes the sites and buildings of one company (with its
+ * `organization_id`) from its SiPortal facilities. A facility whose parent
+ * is another of the company's facilities is a building under it; every
+ * other facility is a site. Returns the number of facilities stored.
+ */
+async function syncCompanyFacilities(pool, company) {
+  const facilities = await siportal.collect(siportal.listFacilities({ companyId: company.id }));
+  const ids = new Set(facilities.map(f => String(f.id)));
+  // Parents first, so a building's site exists when it is stored.
+  const ordered = [
+    ...facilities.filter(f => !ids.has(facilityParentId(f))),
+    ...facilities.filter(f => ids.has(facilityParentId(f)))
+  ];
+
+  let stored = 0;
+  for (const facility of ordered) {
+    const parentFacility = ids.has(facilityParentId(facility)) ? facilityParentId(facility) : null;
+    await pool.query(`
+      INSERT INTO locations (organization_id, parent_id, level, name, siportal_facility_id, company_id)
+      VALUES ($1, (SELECT id FROM locations WHERE siportal_facility_id = $2), $3, $4, $5, $6)
+      ON CONFLICT (siportal_facility_id) DO UPDATE SET
+        organization_id = EXCLUDED.organization_id,
+        parent_id = EXCLUDED.parent_id,
+        level = EXCLUDED.level,
+        name = EXCLUDED.name,
+        company_id = EXCLUDED.company_id,
+        updated_at = now()
+    `, [
+      company.organization_id,
+      parentFacility,
+      parentFacility ? 'building' : 'site',
+      text(facility.name) || `Facility ${facility.id}`,
+      String(facility.id),
+      company.id
+    ]);
+    stored++;
+  }
+  return stored;
+}
+
+/**
+ * The location id of a device of `organizationId`: its room when it names
+ * one, otherwise its facility. `cache` (a Map) saves repeat lookups within
+ * one sync. Returns null for a device with neither.
+ */
+async function resolveDeviceLocation(pool, organizationId, device, cache = new Map()) {
+  const facilityId = device.facility?.id ?? device.facilityId ?? device.facility_id ?? null;
+  const facilityName = text(device.facility);
+  const room = text(device.location);
+  const key = `${organizationId}|${facilityId ?? ''}|${facilityName ?? ''}|${room ?? ''}`;
+  if (cache.has(key)) return cache.get(key);
+
+  let parent = null;
+  if (facilityId !== null) {
+    const { rows: [found] } = await pool.query(
+      'SELECT id, level FROM locations WHERE siportal_facility_id = $1',
+      [String(facilityId)]
+    );
+    parent = found || null;
+  }
+  if (!parent && facilityName) {
+    parent = await findOrCreate(pool, { organizationId, level: 'site', name: facilityName });
+  }
+
+  let locationId = parent ? parent.id : null;
+  if (room && parent && parent.level !== 'room') {
+    locationId = (await findOrCreate(pool, { organizationId, parentId: parent.id, level: 'room', name: room })).id;
+  }
+  cache.set(key, locationId);
+  return locationId;
+}
+
+/**
+ * Where each of `deviceIds` is, as a Map of device id -> { location_id,
+ * path } with path the location names site first. Devices with no location
+ * are left out.
+ */
+async function devicePlaces(pool, deviceIds) {
+  const { rows } = await pool.query(`
+    WITH RECURSIVE up AS (
+      SELECT d.id AS device_id, l.id, l.parent_id, l.name, 0 AS depth
+        FROM siportal_devices d JOIN locations l ON l.id = d.location_id
+       WHERE d.id = ANY($1::text[])
+      UNION ALL
+      SELECT up.device_id, l.id, l.parent_id, l.name, up.depth + 1
+        FROM locations l JOIN up ON l.id = up.parent_id
+    )
+    SELECT device_id, (array_agg(id ORDER BY depth))[1] AS location_id,
+           array_agg(name ORDER BY depth DESC) AS path
+      FROM up
+     GROUP BY device_id
+  `, [deviceIds.map(String)]);
+  return new Map(rows.map(r => [r.device_id, { location_id: r.location_id, path: r.path }]));
+}
+
+/**
+ * Every location of an organization as a tree of sites, each node with its
+ * own and its subtree's device and asset counts.
+ */
+async function getTree(pool, organizationId) {
+  const { rows } = await pool.query(`
+    SELECT l.id, l.organization_id, l.parent_id, l.level, l.name, l.siportal_facility_id,
+           l.company_id, l.created_at, l.updated_at,
+           (SELECT count(*)::int FROM siportal_devices d WHERE d.location_id = l.id AND d.removed_at IS NULL) AS devices,
+           (SELECT count(*)::int FROM assets a WHERE a.location_id = l.id) AS assets
+      FROM locations l
+     WHERE l.organization_id = $1
+     ORDER BY l.name
+  `, [organizationId]);
+
+  const nodes = new Map(rows.map(row => [String(row.id), { ...row, children: [] }]));
+  const sites = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent_id !== null ? nodes.get(String(node.parent_id)) : null;
+    if (parent) parent.children.push(node);
+    else sites.push(node);
+  }
+  const total = node => {
+    node.total_devices = node.devices;
+    node.total_assets = node.assets;
+    for (const child of node.children) {
+      total(child);
+      node.total_devices += child.total_devices;
+      node.total_assets += child.total_assets;
+    }
+  };
+  sites.forEach(total);
+  return sites;
+}
+
+/**
+ * What is at a location and everywhere beneath it: { location, path,
+ * devices, assets }. Returns null for an unknown location.
+ */
+async function contents(pool, id, { includeDevices = true, includeAssets = true } = {}) {
+  const location = await getLocation(pool, id);
+  if (!location) return null;
+
+  const subtree = `
+    WITH RECURSIVE sub AS (
+      SELECT id FROM locations WHERE id = $1
+      UNION ALL
+      SELECT l.id FROM locations l JOIN sub ON l.parent_id = sub.id
+    )`;
+  const [path, devices, assets] = await Promise.all([
+    getPath(pool, id),
+    includeDevices
+      ? pool.query(`${subtree}
+          SELECT d.id, d.company_id, d.company_name, d.name, d.host_name, d.device_type, d.os,
+                 d.serial_number, d.ip_address, d.status, d.last_seen_at, d.location_id
+            FROM siportal_devices d
+           WHERE d.location_id IN (SELECT id FROM sub) AND d.removed_at IS NULL
+           ORDER BY d.name NULLS LAST, d.id
+        `, [id]).then(r => r.rows)
+      : null,
+    includeAssets
+      ? pool.query(`${subtree}
+          SELECT a.id, a.name, a.assigned_to, a.organization_id, a.location_id,
+                 a.custom_object_fields->>'asset_name' AS asset_name,
+                 a.custom_object_fields->>'status' AS status,
+                 a.custom_object_fields->>'serial_number' AS serial_number
+            FROM assets a
+           WHERE a.location_id IN (SELECT id FROM sub)
+           ORDER BY a.name NULLS LAST, a.id
+        `, [id]).then(r => r.rows)
+      : null
+  ]);
+
+  return {
+    location,
+    path,
+    ...(devices ? { devices } : {}),
+    ...(assets ? { assets } : {})
+  };
+}
+
+/**
+ * Checks that `parentId` can hold a location of `level` in `organizationId`,
+ * and returns the parent (null for a site).
+ */
+async function checkParent(pool, { organizationId, level, parentId, movingId = null }) {
+  if (level === 'site') {
+    if (parentId) throw badRequest('A site has no parent.');
+    return null;
+  }
+  if (!parentId) throw badRequest(`A ${level} needs a parent_id.`);
+  const parent = await getLocation(pool, parentId);
+  if (!parent) throw badRequest(`Location ${parentId} does not exist.`);
+  if (String(parent.organization_id) !== String(organizationId)) {
+    throw badRequest('The parent belongs to another organization.');
+  }
+  if (LEVELS.indexOf(parent.level) >= LEVELS.indexOf(level)) {
+    throw badRequest(`A ${level} cannot go under a ${parent.level}.`);
+  }
+  if (movingId && (await getPath(pool, parent.id)).some(p => String(p.id) === String(movingId))) {
+    throw badRequest('A location cannot move under itself.');
+  }
+  return parent;
+}
+
+async function createLocation(pool, { organizationId, level, name, parentId = null }) {
+  if (!LEVELS.includes(level)) throw badRequest(`level must be one of: ${LEVELS.join(', ')}`);
+  if (!text(name)) throw badRequest('name is required');
+  await checkParent(pool, { organizationId, level, parentId });
+  return findOrCreate(pool, { organizationId, parentId: parentId || null, level, name: text(name) });
+}
+
+/**
+ * Renames and/or moves a location. Returns null for an unknown location.
+ * A SiPortal facility gets its name and parent back at the next sync.
+ */
+async function updateLocation(pool, id, { name, parentId }) {
+  const location = await getLocation(pool, id);
+  if (!location) return null;
+  const newParent = parentId === undefined ? location.parent_id : parentId;
+  await checkParent(pool, {
+    organizationId: location.organization_id,
+    level: location.level,
+    parentId: newParent,
+    movingId: id
+  });
+  const { rows: [updated] } = await pool.query(`
+    UPDATE locations SET name = $2, parent_id = $3, updated_at = now()
+     WHERE id = $1
+    RETURNING ${LOCATION_COLUMNS}
+  `, [id, text(name) || location.name, newParent || null]);
+  return updated;
+}
+
+async function deleteLocation(pool, id) {
+  const { rowCount } = await pool.query('DELETE FROM locations WHERE id = $1', [id]);
+  return rowCount > 0;
+}
+
+module.exports = {
+  LEVELS,
+  getLocation,
+  getPath,
+  syncCompanyFacilities,
+  resolveDeviceLocation,
+  devicePlaces,
+  getTree,
+  contents,
+  createLocation,
+  updateLocation,
+  deleteLocation
+};
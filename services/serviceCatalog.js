@@ -0,0 +1,523 @@
+'use strict';
+
+/**
+ * The service catalog engine: item definitions, validated submissions that
+ * raise a structured ticket, and the approvals each request needs. See
+ * migrations/025_service_catalog.sql for the item definition. Asking the
+ * approvers, and acting on their decisions, is catalogApprovals.js.
+ *
+ * Errors a caller should pass on carry `status` (400 for a bad definition
+ * or submission, 404, 409) and, for a submission, `errors` per field.
+ */
+
+const { createTicket, searchUsers } = require('./zendesk');
+
+const FIELD_TYPES = ['text', 'textarea', 'email', 'number', 'date', 'checkbox', 'select', 'multiselect'];
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const TICKET_TYPES = ['question', 'incident', 'problem', 'task'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const ITEM_COLUMNS = `
+  id, sku, name, description, category, fields, approvers, group_id, priority,
+  ticket_type, ticket_fields, tags, fallback_approver, active, created_at, updated_at`;
+const REQUEST_COLUMNS = `
+  id, item_id, sku, requester_name, requester_email, answers, ticket_id, approval_status,
+  decided_by_id, decided_by_name, decided_by_email, decided_at, outcome_synced_at, created_at, updated_at`;
+const APPROVAL_COLUMNS = `
+  id, request_id, role, approver_name, approver_email, status, note, decided_at, decided_via,
+  decided_by_id, decided_by_name, decided_by_email, escalated_from, notified_at, expires_at, due_at, reminded_at, reminders, created_at`;
+
+function failure(status, message, extra = {}) {
+  return Object.assign(new Error(message), { status, ...extra });
+}
+
+function optionValue(option) {
+  return typeof option === 'object' && option !== null ? String(option.value) : String(option);
+}
+
+/**
+ * Checks an item definition and returns it normalised. Throws a 400 naming
+ * the first problem.
+ */
+function checkDefinition(definition) {
+  const {
+    name, description = null, category = null, fields = [], approvers = [],
+    group_id: groupId = null, priority = 'normal', ticket_type: ticketType = 'task',
+    ticket_fields: ticketFields = {}, tags = [], fallback_approver: fallbackApprover = null, active = true
+  } = definition || {};
+
+  if (typeof name !== 'string' || !name.trim()) throw failure(400, 'name is required');
+  if (!Array.isArray(fields)) throw failure(400, 'fields must be a list');
+  if (!Array.isArray(approvers)) throw failure(400, 'approvers must be a list');
+  if (!PRIORITIES.includes(priority)) throw failure(400, `priority must be one of: ${PRIORITIES.join(', ')}`);
+  if (!TICKET_TYPES.includes(ticketType)) throw failure(400, `ticket_type must be one of: ${TICKET_TYPES.join(', ')}`);
+  if (groupId !== null && !/^\d+$/.test(String(groupId))) throw failure(400, 'group_id must be a Zendesk group id');
+  if (typeof ticketFields !== 'object' || Array.isArray(ticketFields) ||
+      Object.keys(ticketFields).some(id => !/^\d+$/.test(id))) {
+    throw failure(400, 'ticket_fields must map Zendesk ticket field ids to values');
+  }
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || /\s/.test(tag))) {
+    throw failure(400, 'tags must be a list of tags without spaces');
+  }
+
+  const keys = new Set();
+  for (const field of fields) {
+    if (!/^[a-z][a-z0-9_]*$/.test(String(field?.key))) {
+      throw failure(400, `Field key "${field?.key}" must be lower case letters, digits and underscores`);
+    }
+    if (keys.has(field.key)) throw failure(400, `Field key "${field.key}" is used twice`);
+    keys.add(field.key);
+    if (!FIELD_TYPES.includes(field.type)) {
+      throw failure(400, `Field "${field.key}" has type "${field.type}"; expected one of: ${FIELD_TYPES.join(', ')}`);
+    }
+    if (['select', 'multiselect'].includes(field.type) && (!Array.isArray(field.options) || field.options.length === 0)) {
+      throw failure(400, `Field "${field.key}" needs options`);
+    }
+    if (field.pattern !== undefined && field.pattern !== null) {
+      try {
+        new RegExp(field.pattern);
+      } catch (error) {
+        throw failure(400, `Field "${field.key}" has a pattern that is not a valid regular expression: ${error.message}`);
+      }
+    }
+    if (field.ticket_field_id !== undefined && field.ticket_field_id !== null && !/^\d+$/.test(String(field.ticket_field_id))) {
+      throw failure(400, `Field "${field.key}" has a ticket_field_id that is not a Zendesk field id`);
+    }
+  }
+
+  for (const approver of approvers) {
+    if (approver?.type === 'manager') continue;
+    if (approver?.type === 'user' && EMAIL_PATTERN.test(String(approver.email))) continue;
+    throw failure(400, 'Each approver must be { type: "manager" } or { type: "user", name, email }');
+  }
+  if (fallbackApprover !== null && !EMAIL_PATTERN.test(String(fallbackApprover?.email))) {
+    throw failure(400, 'fallback_approver must be { name, email }');
+  }
+
+  return {
+    name: name.trim(),
+    description,
+    category,
+    fields,
+    approvers,
+    groupId: groupId === null ? null : String(groupId),
+    priority,
+    ticketType,
+    ticketFields,
+    tags,
+    fallbackApprover: fallbackApprover && { name: fallbackApprover.name || null, email: fallbackApprover.email },
+    active: active !== false
+  };
+}
+
+async function listItems(pool, { includeInactive = false } = {}) {
+  const { rows } = await pool.query(`
+    SELECT ${ITEM_COLUMNS} FROM catalog_items
+     WHERE $1 OR active
+     ORDER BY category NULLS LAST, name
+  `, [includeInactive]);
+  return rows;
+}
+
+async function getItem(pool, sku) {
+  const { rows: [item] } = await pool.query(
+    `SELECT ${ITEM_COLUMNS} FROM catalog_items WHERE lower(sku) = lower($1)`,
+    [sku]
+  );
+  return item || null;
+}
+
+/**
+ * Creates or replaces the definition of the item with `sku`.
+ */
+async function saveItem(pool, sku, definition) {
+  const item = checkDefinition(definition);
+  const { rows: [saved] } = await pool.query(`
+    INSERT INTO catalog_items (
+      sku, name, description, category, fields, approvers, group_id, priority,
+      ticket_type, ticket_fields, tags, fallback_approver, active
+    ) VALUES ($1, $2, $3, $4, $5::jsonb, $6::jsonb, $7, $8, $9, $10::jsonb, $11, $12::jsonb, $13)
+    ON CONFLICT (lower(sku)) DO UPDATE SET
+      name = EXCLUDED.name,
+      description = EXCLUDED.description,
+      category = EXCLUDED.category,
+      fields = EXCLUDED.fields,
+      approvers = EXCLUDED.approvers,
+      group_id = EXCLUDED.group_id,
+      priority = EXCLUDED.priority,
+      ticket_type = EXCLUDED.ticket_type,
+      ticket_fields = EXCLUDED.ticket_fields,
+      tags = EXCLUDED.tags,
+      fallback_approver = EXCLUDED.fallback_approver,
+      active = EXCLUDED.active,
+      updated_at = now()
+    RETURNING ${ITEM_COLUMNS}
+  `, [
+    sku, item.name, item.description, item.category,
+    JSON.stringify(item.fields), JSON.stringify(item.approvers), item.groupId,
+    item.priority, item.ticketType, JSON.stringify(item.ticketFields), item.tags,
+    item.fallbackApprover && JSON.stringify(item.fallbackApprover), item.active
+  ]);
+  return saved;
+}
+
+/**
+ * Takes an item out of the catalog. Its past requests keep pointing at it.
+ */
+async function deactivateItem(pool, sku) {
+  const { rowCount } = await pool.query(
+    'UPDATE catalog_items SET active = false, updated_at = now() WHERE lower(sku) = lower($1)',
+    [sku]
+  );
+  return rowCount > 0;
+}
+
+function convertAnswer(field, raw) {
+  switch (field.type) {
+    case 'number': {
+      const value = Number(raw);
+      if (raw === '' || !Number.isFinite(value)) return { error: 'must be a number' };
+      if (field.min !== undefined && value < field.min) return { error: `must be at least ${field.min}` };
+      if (field.max !== undefined && value > field.max) return { error: `must be at most ${field.max}` };
+      return { value };
+    }
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(String(raw)) && !Number.isNaN(Date.parse(raw))
+        ? { value: String(raw) }
+        : { error: 'must be a date (YYYY-MM-DD)' };
+    case 'checkbox':
+      if (typeof raw === 'boolean') return { value: raw };
+      if (['true', 'false'].includes(String(raw))) return { value: String(raw) === 'true' };
+      return { error: 'must be true or false' };
+    case 'email':
+      return EMAIL_PATTERN.test(String(raw).trim()) ? { value: String(raw).trim() } : { error: 'must be an email address' };
+    case 'select': {
+      const allowed = field.options.map(optionValue);
+      return allowed.includes(String(raw)) ? { value: String(raw) } : { error: `must be one of: ${allowed.join(', ')}` };
+    }
+    case 'multiselect': {
+      const allowed = field.options.map(optionValue);
+      const values = (Array.isArray(raw) ? raw : [raw]).map(String);
+      const unknown = values.filter(v => !allowed.includes(v));
+      return unknown.length === 0 ? { value: values } : { error: `has unknown options: ${unknown.join(', ')}` };
+    }
+    default: {
+      const value = String(raw).trim();
+      if (field.max !== undefined && value.length > field.max) return { error: `must be at most ${field.max} characters` };
+      if (field.pattern && !new RegExp(field.pattern).test(value)) return { error: 'is not in the expected format' };
+      return { value };
+    }
+  }
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Checks `answers` against the item's fields. Returns { answers, errors },
+ * answers converted to their field types and errors as { field, message }.
+ */
+function validateAnswers(item, answers = {}) {
+  const errors = [];
+  const converted = {};
+  const known = new Set(item.fields.map(f => f.key));
+
+  for (const key of Object.keys(answers)) {
+    if (!known.has(key)) errors.push({ field: key, message: 'is not a field of this item' });
+  }
+  for (const field of item.fields) {
+    const raw = answers[field.key];
+    if (isBlank(raw)) {
+      if (field.required) errors.push({ field: field.key, message: 'is required' });
+      continue;
+    }
+    const result = convertAnswer(field, raw);
+    if (result.error) errors.push({ field: field.key, message: result.error });
+    else converted[field.key] = result.value;
+  }
+  return { answers: converted, errors };
+}
+
+/**
+ * Who must approve a request: the item's approvers, with 'manager' resolved
+ * to the requester's manager. Throws a 400 when the manager is needed and
+ * unknown, unless `managerOptional`: then the item's fallback approver
+ * approves instead, or nobody when it has none. Throws a 400 when the
+ * requester would approve their own request.
+ */
+function resolveApprovers(item, manager, { managerOptional = false, requesterEmail = null } = {}) {
+  const approvers = [];
+  for (const approver of item.approvers) {
+    if (approver.type === 'manager') {
+      if (!manager?.email || !EMAIL_PATTERN.test(manager.email)) {
+        if (managerOptional) {
+          const fallback = item.fallback_approver;
+          if (fallback?.email) approvers.push({ role: 'fallback', name: fallback.name || null, email: fallback.email });
+          continue;
+        }
+        throw failure(400, 'This item needs your manager\'s approval. Please give their email address.', {
+          errors: [{ field: 'manager_email', message: 'is required' }]
+        });
+      }
+      approvers.push({ role: 'manager', name: manager.name || null, email: manager.email });
+    } else {
+      approvers.push({ role: 'user', name: approver.name || null, email: approver.email });
+    }
+  }
+  const self = requesterEmail && approvers.find(a => a.email.toLowerCase() === requesterEmail.toLowerCase());
+  if (self) {
+    throw failure(400, 'You cannot approve your own request.', {
+      errors: [{ field: self.role === 'manager' ? 'manager_email' : 'email', message: 'is the requester' }]
+    });
+  }
+  // One person approving twice (the manager is also a named approver) is one approval.
+  const seen = new Set();
+  return approvers.filter(a => !seen.has(a.email.toLowerCase()) && seen.add(a.email.toLowerCase()));
+}
+
+/**
+ * The requester's manager from their Zendesk user fields, as { name, email },
+ * or null. The same fields GET /api/user-manager-fields fills the form from.
+ */
+async function requesterManager(email) {
+  const [user] = await searchUsers(`email:${email}`);
+  const fields = user?.user_fields || {};
+  return fields.manager_email ? { name: fields.manager_name || null, email: fields.manager_email } : null;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+function displayAnswer(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+}
+
+/**
+ * The Zendesk ticket for a request: the answers as ticket fields where the
+ * item maps them, and all of them in the description for whoever picks it up.
+ */
+function buildTicket(item, { request, requester, answers, approvers, tags = [], html = {} }) {
+  const customFields = Object.entries(item.ticket_fields || {}).map(([id, value]) => ({ id: Number(id), value }));
+  for (const field of item.fields) {
+    if (field.ticket_field_id && answers[field.key] !== undefined) {
+      customFields.push({ id: Number(field.ticket_field_id), value: answers[field.key] });
+    }
+  }
+
+  const lines = [
+    `Service catalog request #${request.id}: ${item.name} (${item.sku})`,
+    '',
+    `Requester: ${requester.name || requester.email} (${requester.email})`,
+    ''
+  ];
+  // The same lines for an HTML comment, with an answer given as HTML
+  // (`html`, by field key) kept as it was written.
+  const htmlLines = lines.map(escapeHtml);
+  for (const field of item.fields) {
+    if (answers[field.key] === undefined) continue;
+    const line = `${field.label || field.key}: ${displayAnswer(answers[field.key])}`;
+    lines.push(line);
+    htmlLines.push(html[field.key] !== undefined ? `${escapeHtml(field.label || field.key)}:<br>${html[field.key]}` : escapeHtml(line));
+  }
+  if (approvers.length > 0) {
+    const line = `Approval needed from: ${approvers.map(a => `${a.name || a.email} <${a.email}>`).join(', ')}`;
+    lines.push('', line);
+    htmlLines.push('', escapeHtml(line));
+  }
+  const comment = Object.keys(html).length > 0 ? { html_body: htmlLines.join('<br>') } : { body: lines.join('\n') };
+
+  return {
+    subject: `${item.name} request from ${requester.name || requester.email}`,
+    comment,
+    type: item.ticket_type,
+    priority: item.priority,
+    // On hold until the approvers have decided.
+    ...(approvers.length > 0 ? { status: 'hold' } : {}),
+    requester: { name: requester.name || requester.email, email: requester.email },
+    tags: [
+      ...item.tags,
+      ...tags,
+      'service_catalog',
+      `catalog_${item.sku.toLowerCase().replace(/[^a-z0-9_]+/g, '_')}`,
+      approvers.length > 0 ? 'approval_pending' : 'approval_not_required'
+    ],
+    ...(item.group_id ? { group_id: Number(item.group_id) } : {}),
+    ...(customFields.length > 0 ? { custom_fields: customFields } : {}),
+    external_id: `catalog-request-${request.id}`
+  };
+}
+
+async function getRequest(pool, id) {
+  const { rows: [request] } = await pool.query(`SELECT ${REQUEST_COLUMNS} FROM catalog_requests WHERE id = $1`, [id]);
+  if (!request) return null;
+  const { rows: approvals } = await pool.query(
+    `SELECT ${APPROVAL_COLUMNS} FROM approvals WHERE request_id = $1 ORDER BY id`,
+    [id]
+  );
+  return { ...request, approvals };
+}
+
+/**
+ * Validates a submission, stores the request and its approvals, and raises
+ * the ticket. `manager` ({ name, email }) is who approves for an item that
+ * needs the requester's manager; without it the requester's Zendesk user
+ * fields are asked; with `managerOptional`, a request whose manager is not
+ * known goes to the item's fallback approver, or needs no approval. `tags`
+ * are added to the item's own on the ticket, and `html` ({ <field key>:
+ * html }) puts those answers into the ticket as HTML. If Zendesk refuses
+ * the ticket the request is removed again and the error thrown, so nothing
+ * is left waiting on a ticket that does not exist. Returns the request with
+ * its approvals and ticket id, and the ticket Zendesk created as `ticket`.
+ */
+async function submitRequest(pool, { item, requester, answers, manager = null, managerOptional = false, tags = [], html = {} }) {
+  if (!item.active) throw failure(404, `${item.name} is no longer in the catalog.`);
+  if (!requester?.email || !EMAIL_PATTERN.test(requester.email)) {
+    throw failure(400, 'The requester\'s email address is required.', {
+      errors: [{ field: 'email', message: 'is required' }]
+    });
+  }
+
+  const checked = validateAnswers(item, answers);
+  if (checked.errors.length > 0) {
+    throw failure(400, 'The request has errors.', { errors: checked.errors });
+  }
+  const needsManager = item.approvers.some(a => a.type === 'manager');
+  const approvers = resolveApprovers(
+    item,
+    needsManager && !manager?.email ? await requesterManager(requester.email) : manager,
+    { managerOptional, requesterEmail: requester.email }
+  );
+
+  const client = await pool.connect();
+  let request;
+  try {
+    await client.query('BEGIN');
+    ({ rows: [request] } = await client.query(`
+      INSERT INTO catalog_requests (item_id, sku, requester_name, requester_email, answers, approval_status)
+      VALUES ($1, $2, $3, $4, $5::jsonb, $6)
+      RETURNING ${REQUEST_COLUMNS}
+    `, [
+      item.id, item.sku, requester.name || null, requester.email,
+      JSON.stringify(checked.answers), approvers.length > 0 ? 'pending' : 'not_required'
+    ]));
+    for (const approver of approvers) {
+      await client.query(
+        'INSERT INTO approvals (request_id, role, approver_name, approver_email) VALUES ($1, $2, $3, $4)',
+        [request.id, approver.role, approver.name, approver.email]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  let ticket;
+  try {
+    ticket = await createTicket(buildTicket(item, { request, requester, answers: checked.answers, approvers, tags, html }));
+  } catch (error) {
+    await pool.query('DELETE FROM catalog_requests WHERE id = $1', [request.id]);
+    throw error;
+  }
+  await pool.query('UPDATE catalog_requests SET ticket_id = $2, updated_at = now() WHERE id = $1', [request.id, ticket.id]);
+  console.log(`[Catalog] Request ${request.id} (${item.sku}) raised ticket #${ticket.id}, ${approvers.length} approvals`);
+  return { ...(await getRequest(pool, request.id)), ticket };
+}
+
+async function listRequests(pool, { status = null, requesterEmail = null, limit = 100 } = {}) {
+  const { rows } = await pool.query(`
+    SELECT ${REQUEST_COLUMNS}
+      FROM catalog_requests
+     WHERE ($1::text IS NULL OR approval_status = $1)
+       AND ($2::text IS NULL OR lower(requester_email) = lower($2))
+     ORDER BY created_at DESC
+     LIMIT $3
+  `, [status, requesterEmail, limit]);
+  return rows;
+}
+
+/**
+ * Records one approver's decision ('approved' or 'rejected') and works out
+ * the request's status: rejected as soon as anyone rejects, approved once
+ * everyone has approved. `via` is 'agent' or 'link'. `decidedBy` is
+ * { id, name, email } of the agent who recorded it; without it the approver
+ * decided for themselves. The approver's own fields are left alone. Returns
+ * the request with its approvals, or null when there is no such approval.
+ * Throws a 409 when it was already decided or escalated.
+ */
+async function decideApproval(pool, { requestId, approvalId, decision, decidedBy = null, note = null, via = 'agent' }) {
+  if (!['approved', 'rejected'].includes(decision)) throw failure(400, 'decision must be approved or rejected');
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [request] } = await client.query(
+      'SELECT id, approval_status FROM catalog_requests WHERE id = $1 FOR UPDATE',
+      [requestId]
+    );
+    const { rows: [approval] } = request
+      ? await client.query('SELECT id, status, approver_name, approver_email FROM approvals WHERE id = $1 AND request_id = $2', [approvalId, requestId])
+      : { rows: [] };
+    if (!approval) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    if (approval.status !== 'pending' || request.approval_status !== 'pending') {
+      throw failure(409, `This approval is already ${approval.status === 'pending' ? `closed (request ${request.approval_status})` : approval.status}.`);
+    }
+
+    const decider = decidedBy || { id: null, name: approval.approver_name, email: approval.approver_email };
+    await client.query(`
+      UPDATE approvals
+         SET status = $2, note = $3, decided_at = now(), decided_via = $4,
+             decided_by_id = $5, decided_by_name = $6, decided_by_email = $7
+       WHERE id = $1
+    `, [approvalId, decision, note, via, decider.id, decider.name || null, decider.email || null]);
+
+    const { rows: [tally] } = await client.query(`
+      SELECT COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+             COUNT(*) FILTER (WHERE status = 'rejected')::int AS rejected
+        FROM approvals WHERE request_id = $1
+    `, [requestId]);
+    const status = tally.rejected > 0 ? 'rejected' : tally.pending === 0 ? 'approved' : 'pending';
+    if (status !== 'pending') {
+      await client.query(`
+        UPDATE catalog_requests
+           SET approval_status = $2, decided_by_id = $3, decided_by_name = $4, decided_by_email = $5,
+               decided_at = now(), updated_at = now()
+         WHERE id = $1
+      `, [requestId, status, decider.id, decider.name || null, decider.email || null]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+  return getRequest(pool, requestId);
+}
+
+module.exports = {
+  FIELD_TYPES,
+  checkDefinition,
+  listItems,
+  getItem,
+  saveItem,
+  deactivateItem,
+  validateAnswers,
+  buildTicket,
+  submitRequest,
+  getRequest,
+  listRequests,
+  decideApproval
+};
@@ -0,0 +1,214 @@
+'use strict';
+
+/**
+ * SiPortal API client.
+ *
+ * Every call to SiPortal goes through request(). It spaces requests out,
+ * retries 429s, 5xx responses and network errors with backoff (honouring
+ * Retry-After), and counts each attempt against a request budget. The list
+ * methods are async iterators over every item:
+ *
+ *   for await (const device of siportal.listDevices({ companyId })) { ... }
+ *   const companies = await siportal.collect(siportal.listCompanies());
+ *
+ * A list never ends early without saying so. When the budget runs out part
+ * way through, the iterator throws an error with code 'SIPORTAL_BUDGET'
+ * instead of returning what it has as though that were everything.
+ */
+
+const BASE_URL = process.env.SIPORTAL_API_BASE || 'https://www.siportal.net/api/2.0';
+const PAGE_SIZE = 20;
+
+// Minimum gap between two requests from this process.
+const MIN_INTERVAL_MS = parseInt(process.env.SIPORTAL_MIN_INTERVAL_MS || '200', 10);
+
+const MAX_RETRIES = 4;
+const MAX_BACKOFF_MS = 30000;
+
+// Requests one list may make unless the caller passes its own budget: 1000
+// pages is 20,000 devices, far beyond any one company.
+const DEFAULT_BUDGET = 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+let nextSlot = 0;
+
+/**
+ * Waits for this request's turn. Slots are handed out in call order, so
+ * concurrent callers queue instead of bursting.
+ */
+async function throttle() {
+  const now = Date.now();
+  const slot = Math.max(now, nextSlot);
+  nextSlot = slot + MIN_INTERVAL_MS;
+  if (slot > now) await sleep(slot - now);
+}
+
+/**
+ * A request budget: { limit, used }. Pass one to several calls to cap them
+ * together.
+ */
+function createBudget(limit = DEFAULT_BUDGET) {
+  return { limit, used: 0 };
+}
+
+function spend(budget, url) {
+  if (!budget) return;
+  if (budget.used >= budget.limit) {
+    throw Object.assign(
+      new Error(`SiPortal request budget of ${budget.limit} used up before ${url}`),
+      { code: 'SIPORTAL_BUDGET' }
+    );
+  }
+  budget.used++;
+}
+
+function backoff(attempt, response) {
+  const retryAfter = parseInt(response?.headers?.get('retry-after'), 10);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_BACKOFF_MS);
+  return Math.min(1000 * 2 ** attempt, MAX_BACKOFF_MS) + Math.floor(Math.random() * 250);
+}
+
+function buildUrl(path, params = {}) {
+  const url = new URL(`${BASE_URL}${path}`);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') url.searchParams.set(key, value);
+  }
+  return url.toString();
+}
+
+/**
+ * GETs a SiPortal path and returns the parsed body, or null for a 404.
+ * Other failures throw with `status` set when SiPortal answered.
+ */
+async function request(path, { params, budget } = {}) {
+  const url = buildUrl(path, params);
+
+  for (let attempt = 0; ; attempt++) {
+    spend(budget, url);
+    await throttle();
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'GET',
+        headers: {
+          'Authorization': process.env.SIPORTAL_API_KEY,
+          'Content-Type': 'application/json'
+        }
+      });
+    } catch (error) {
+      if (attempt >= MAX_RETRIES) throw error;
+      const wait = backoff(attempt);
+      console.warn(`[SiPortal] ${error.message} on ${url}; retrying in ${wait}ms (${attempt + 1}/${MAX_RETRIES})`);
+      await sleep(wait);
+      continue;
+    }
+
+    if (response.ok) return response.json();
+    if (response.status === 404) return null;
+
+    const retryable = response.status === 429 || response.status >= 500;
+    if (retryable && attempt < MAX_RETRIES) {
+      const wait = backoff(attempt, response);
+      console.warn(`[SiPortal] ${response.status} on ${url}; retrying in ${wait}ms (${attempt + 1}/${MAX_RETRIES})`);
+      await sleep(wait);
+      continue;
+    }
+
+    throw Object.assign(
+      new Error(`SiPortal API returned ${response.status} for ${url}`),
+      { status: response.status }
+    );
+  }
+}
+
+function resultsOf(body) {
+  const results = body?.data?.results ?? body?.results ?? body?.data;
+  return Array.isArray(results) ? results : [];
+}
+
+/**
+ * Yields every item of a SiPortal list, page by page, each item once.
+ *
+ *   paging  'offset' (offset & limit) or 'page' (page number); the
+ *           companies list only understands pages
+ *
+ * Stops at a short or empty page, or at a page with nothing new on it, which
+ * is how SiPortal answers an offset past the end of some lists. Page-numbered
+ * lists occasionally return an empty page mid-list, so those stop at the
+ * second empty page in a row.
+ */
+async function* paginate(path, { params = {}, paging = 'offset', budget = createBudget() } = {}) {
+  const seen = new Set();
+  let emptyPages = 0;
+  for (let page = 0; ; page++) {
+    const pageParams = paging === 'page'
+      ? { ...params, page: page + 1 }
+      : { ...params, offset: page * PAGE_SIZE, limit: PAGE_SIZE };
+    const items = resultsOf(await request(path, { params: pageParams, budget }));
+
+    let fresh = 0;
+    for (const item of items) {
+      if (item?.id !== undefined && seen.has(item.id)) continue;
+      if (item?.id !== undefined) seen.add(item.id);
+      fresh++;
+      yield item;
+    }
+
+    if (paging === 'page' && items.length === 0) {
+      if (++emptyPages >= 2) return;
+      continue;
+    }
+    emptyPages = 0;
+    if (items.length === 0 || fresh === 0) return;
+    if (paging === 'offset' && items.length < PAGE_SIZE) return;
+  }
+}
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+function listCompanies({ nameStartsWith, budget } = {}) {
+  return paginate('/companies', { params: { nameStartsWith }, paging: 'page', budget });
+}
+
+async function getCompany(id, { budget } = {}) {
+  const body = await request(`/companies/${encodeURIComponent(id)}`, { budget });
+  return body ? resultsOf(body)[0] || body.data || null : null;
+}
+
+/**
+ * Devices, of one company when companyId is given, otherwise all of them.
+ */
+function listDevices({ companyId, budget } = {}) {
+  return paginate('/devices', { params: { companyId }, budget });
+}
+
+async function getDevice(id, { budget } = {}) {
+  const body = await request(`/devices/${encodeURIComponent(id)}`, { budget });
+  return body ? resultsOf(body)[0] || body.data || null : null;
+}
+
+function listFacilities({ companyId, budget } = {}) {
+  return paginate('/facilities', { params: { companyId }, budget });
+}
+
+module.exports = {
+  BASE_URL,
+  PAGE_SIZE,
+  createBudget,
+  request,
+  paginate,
+  collect,
+  listCompanies,
+  getCompany,
+  listDevices,
+  getDevice,
+  listFacilities
+};
@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * Zendesk organization -> SiPortal company links (siportal_company_links).
+ *
+ * Only confirmed links are ever used to fetch a customer's devices. Fuzzy
+ * name matches are stored unconfirmed, as suggestions for an admin to
+ * confirm. See migrations/018_siportal_company_links.sql.
+ */
+
+const LINK_COLUMNS = `
+  organization_id, company_id, company_name, confidence, method, confirmed,
+  confirmed_by_id, confirmed_by_name, confirmed_at, created_at, updated_at`;
+
+/**
+ * The companies an organization is confirmed to own, as { id, name }.
+ */
+async function getConfirmedCompanies(pool, organizationId) {
+  const { rows } = await pool.query(`
+    SELECT company_id, company_name
+      FROM siportal_company_links
+     WHERE organization_id = $1 AND confirmed
+     ORDER BY company_name NULLS LAST, company_id
+  `, [organizationId]);
+  return rows.map(r => ({ id: Number(r.company_id), name: r.company_name || `Company ${r.company_id}` }));
+}
+
+async function listLinks(pool, { organizationId = null, confirmed = null } = {}) {
+  const { rows } = await pool.query(`
+    SELECT l.organization_id, o.name AS organization_name, l.company_id, l.company_name,
+           l.confidence, l.method, l.confirmed, l.confirmed_by_id, l.confirmed_by_name,
+           l.confirmed_at, l.created_at, l.updated_at
+      FROM siportal_company_links l
+      LEFT JOIN organizations o ON o.id = l.organization_id
+     WHERE ($1::bigint IS NULL OR l.organization_id = $1::bigint)
+       AND ($2::boolean IS NULL OR l.confirmed = $2::boolean)
+     ORDER BY o.name NULLS LAST, l.organization_id, l.company_name NULLS LAST
+  `, [organizationId, confirmed]);
+  return rows;
+}
+
+/**
+ * Stores a fuzzy match as an unconfirmed suggestion. A link that has already
+ * been confirmed is left as it is.
+ */
+async function suggestLink(pool, { organizationId, companyId, companyName, confidence, method }) {
+  const { rows: [link] } = await pool.query(`
+    INSERT INTO siportal_company_links (organization_id, company_id, company_name, confidence, method)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (organization_id, company_id) DO UPDATE
+       SET company_name = EXCLUDED.company_name,
+           confidence = EXCLUDED.confidence,
+           method = EXCLUDED.method,
+           updated_at = now()
+     WHERE NOT siportal_company_links.confirmed
+    RETURNING ${LINK_COLUMNS}
+  `, [organizationId, companyId, companyName || null, Math.round(confidence), method]);
+  return link || null;
+}
+
+/**
+ * Confirms an existing link, usually a suggestion. Returns null when there
+ * is no such link.
+ */
+async function confirmLink(pool, { organizationId, companyId, actor = {} }) {
+  const { rows: [link] } = await pool.query(`
+    UPDATE siportal_company_links
+       SET confirmed = true, confidence = 100,
+           confirmed_by_id = $3, confirmed_by_name = $4, confirmed_at = now(),
+           updated_at = now()
+     WHERE organization_id = $1 AND company_id = $2
+    RETURNING ${LINK_COLUMNS}
+  `, [organizationId, companyId, actor.id || null, actor.name || null]);
+  return link || null;
+}
+
+async function upsertConfirmed(db, organizationId, company, actor) {
+  const { rows: [link] } = await db.query(`
+    INSERT INTO siportal_company_links (
+      organization_id, company_id, company_name, confidence, method, confirmed,
+      confirmed_by_id, confirmed_by_name, confirmed_at
+    ) VALUES ($1, $2, $3, 100, 'manual', true, $4, $5, now())
+    ON CONFLICT (organization_id, company_id) DO UPDATE
+       SET company_name = COALESCE(EXCLUDED.company_name, siportal_company_links.company_name),
+           confidence = 100,
+           method = 'manual',
+           confirmed = true,
+           confirmed_by_id = EXCLUDED.confirmed_by_id,
+           confirmed_by_name = EXCLUDED.confirmed_by_name,
+           confirmed_at = now(),
+           updated_at = now()
+    RETURNING ${LINK_COLUMNS}
+  `, [organizationId, company.id, company.name || null, actor.id || null, actor.name || null]);
+  return link;
+}
+
+/**
+ * Adds one company to an organization, confirmed, by hand.
+ */
+async function linkCompany(pool, { organizationId, company, actor = {} }) {
+  return upsertConfirmed(pool, organizationId, company, actor);
+}
+
+/**
+ * Replaces every link of an organization, suggestions included, with the
+ * given companies, all confirmed. An empty list leaves it unlinked.
+ */
+async function overrideLinks(pool, { organizationId, companies, actor = {} }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM siportal_company_links WHERE organization_id = $1', [organizationId]);
+    const links = [];
+    for (const company of companies) {
+      links.push(await upsertConfirmed(client, organizationId, company, actor));
+    }
+    await client.query('COMMIT');
+    return links;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function deleteLink(pool, { organizationId, companyId }) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM siportal_company_links WHERE organization_id = $1 AND company_id = $2',
+    [organizationId, companyId]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Organizations that need an admin:
+ *   unlinked        - no link at all, not even a suggestion
+ *   low_confidence  - only unconfirmed suggestions, weakest first, with
+ *                     the suggestions to pick from
+ */
+async function getLinkReport(pool) {
+  const { rows: unlinked } = await pool.query(`
+    SELECT o.id AS organization_id, o.name AS organization_name
+      FROM organizations o
+     WHERE NOT EXISTS (SELECT 1 FROM siportal_company_links l WHERE l.organization_id = o.id)
+     ORDER BY o.name
+  `);
+
+  const { rows: lowConfidence } = await pool.query(`
+    SELECT l.organization_id, o.name AS organization_name,
+           MAX(l.confidence) AS best_confidence,
+           json_agg(json_build_object(
+             'company_id', l.company_id,
+             'company_name', l.company_name,
+             'confidence', l.confidence,
+             'method', l.method
+           ) ORDER BY l.confidence DESC) AS suggestions
+      FROM siportal_company_links l
+      LEFT JOIN organizations o ON o.id = l.organization_id
+     GROUP BY l.organization_id, o.name
+    HAVING NOT bool_or(l.confirmed)
+     ORDER BY MAX(l.confidence), o.name NULLS LAST
+  `);
+
+  return { unlinked, low_confidence: lowConfidence };
+}
+
+module.exports = {
+  getConfirmedCompanies,
+  listLinks,
+  suggestLink,
+  confirmLink,
+  linkCompany,
+  overrideLinks,
+  deleteLink,
+  getLinkReport
+};
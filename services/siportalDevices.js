@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * SiPortal devices: reading them through services/siportal.js and keeping
+ * the local siportal_devices table current. See migrations/019_siportal_devices.sql.
+ *
+ * syncJobs.js runs syncCompanyDevices for every linked or rolled-up company on a
+ * schedule; the webhook calls it, or syncDevice, for the one thing that
+ * changed.
+ */
+
+const siportal = require('./siportal');
+const { redactDevice } = require('./deviceCredentials');
+const rollups = require('./siportalRollups');
+const locations = require('./locations');
+const { text } = require('./siportalImport');
+
+/**
+ * Every device of one SiPortal company, each tagged with the company.
+ * `complete` is false when the request budget ran out part way; any other
+ * failure throws.
+ */
+async function fetchCompanyDevices(company, { budget } = {}) {
+  const devices = [];
+  try {
+    for await (const device of siportal.listDevices({ companyId: company.id, budget })) {
+      devices.push({ ...device, company: { id: company.id, name: device.company?.name || company.name } });
+    }
+  } catch (error) {
+    if (error.code !== 'SIPORTAL_BUDGET') throw error;
+    console.warn(`[SiPortal] ${error.message}; ${devices.length} devices of company ${company.id} read`);
+    return { devices, complete: false };
+  }
+  return { devices, complete: true };
+}
+
+function timestamp(value) {
+  if (!value) return null;
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+/**
+ * Stores one device. `locationId` is its place in the location tree (see
+ * services/locations.js), when known.
+ */
+async function upsertDevice(pool, device, { locationId = null } = {}) {
+  const companyId = device.company?.id ?? device.companyId ?? device.company_id;
+  const facilityId = device.facility?.id ?? device.facilityId ?? device.facility_id ?? null;
+  await pool.query(`
+    INSERT INTO siportal_devices (
+      id, company_id, company_name, name, host_name, serial_number, mac_address,
+      ip_address, device_type, os, facility, location, status, last_seen_at, data,
+      facility_id, location_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15::jsonb, $16, $17)
+    ON CONFLICT (id) DO UPDATE SET
+      company_id = EXCLUDED.company_id,
+      company_name = EXCLUDED.company_name,
+      name = EXCLUDED.name,
+      host_name = EXCLUDED.host_name,
+      serial_number = EXCLUDED.serial_number,
+      mac_address = EXCLUDED.mac_address,
+      ip_address = EXCLUDED.ip_address,
+      device_type = EXCLUDED.device_type,
+      os = EXCLUDED.os,
+      facility = EXCLUDED.facility,
+      location = EXCLUDED.location,
+      status = EXCLUDED.status,
+      last_seen_at = EXCLUDED.last_seen_at,
+      data = EXCLUDED.data,
+      facility_id = EXCLUDED.facility_id,
+      location_id = EXCLUDED.location_id,
+      synced_at = now(),
+      removed_at = NULL
+  `, [
+    String(device.id),
+    companyId,
+    text(device.company?.name),
+    text(device.name),
+    text(device.hostName || device.hostname),
+    text(device.serialNumber || device.serial_number),
+    text(device.macAddress || device.mac_address),
+    text(device.ipAddress || device.ip_address),
+    text(device.type?.name || device.deviceType),
+    text(device.operatingSystem || device.os),
+    text(device.facility),
+    text(device.location),
+    text(device.status),
+    timestamp(device.lastSeen || device.last_seen),
+    // Credentials stay in SiPortal; see services/deviceCredentials.js.
+    JSON.stringify(redactDevice(device)),
+    facilityId === null ? null : String(facilityId),
+    locationId
+  ]);
+}
+
+/**
+ * The companies the scheduled sync covers: every one with a confirmed link,
+ * and every company of a rollup (services/siportalRollups.js). Each carries
+ * the organization its locations go under; a company linked to more than
+ * one organization goes under the lowest id.
+ */
+async function getLinkedCompanies(pool) {
+  const { rows } = await pool.query(`
+    SELECT company_id AS id, MAX(company_name) AS name, MIN(organization_id) AS organization_id
+      FROM siportal_company_links
+     WHERE confirmed
+     GROUP BY company_id
+     ORDER BY company_id
+  `);
+  const companies = new Map(rows.map(r => [
+    Number(r.id),
+    { id: Number(r.id), name: r.name, organization_id: String(r.organization_id) }
+  ]));
+  for (const company of await rollups.allRollupCompanies(pool)) {
+    if (!companies.has(company.id)) companies.set(company.id, company);
+  }
+  return [...companies.values()].sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Places a device in its organization's location tree; null when the
+ * company has no organization or the device names no place.
+ */
+async function deviceLocation(pool, company, device, cache) {
+  if (!company.organization_id) return null;
+  return locations.resolveDeviceLocation(pool, company.organization_id, device, cache);
+}
+
+/**
+ * Refreshes one company's facilities and devices. Devices it no longer lists
+ * are marked removed, but only after a complete walk. A facility failure is
+ * logged and the devices are synced anyway.
+ */
+async function syncCompanyDevices(pool, company) {
+  if (company.organization_id) {
+    try {
+      await locations.syncCompanyFacilities(pool, company);
+    } catch (error) {
+      console.error(`[SiPortal] Facilities of company ${company.id} failed:`, error.message);
+    }
+  }
+
+  const { devices, complete } = await fetchCompanyDevices(company);
+  const cache = new Map();
+  let synced = 0;
+  for (const device of devices) {
+    await upsertDevice(pool, device, { locationId: await deviceLocation(pool, company, device, cache) });
+    synced++;
+  }
+
+  let removed = 0;
+  if (complete) {
+    const result = await pool.query(`
+      UPDATE siportal_devices SET removed_at = now()
+       WHERE company_id = $1 AND removed_at IS NULL AND NOT (id = ANY($2::text[]))
+    `, [company.id, devices.map(d => String(d.id))]);
+    removed = result.rowCount;
+  }
+  return { synced, removed, complete };
+}
+
+/**
+ * Refreshes a single device, marking it removed if SiPortal returns 404.
+ */
+async function syncDevice(pool, deviceId) {
+  let device = await siportal.getDevice(deviceId);
+  if (device && !(device.company?.id ?? device.companyId ?? device.company_id)) {
+    // Keep the company of a device we already have; one we have never seen
+    // needs its company, which the full sync will supply.
+    const { rows: [known] } = await pool.query(
+      'SELECT company_id, company_name FROM siportal_devices WHERE id = $1',
+      [String(deviceId)]
+    );
+    if (!known) throw new Error(`SiPortal returned device ${deviceId} without its company`);
+    device = { ...device, company: { id: known.company_id, name: known.company_name } };
+  }
+  if (!device) {
+    const { rowCount } = await pool.query(
+      'UPDATE siportal_devices SET removed_at = now() WHERE id = $1 AND removed_at IS NULL',
+      [String(deviceId)]
+    );
+    return { synced: 0, removed: rowCount };
+  }
+  const companyId = device.company?.id ?? device.companyId ?? device.company_id;
+  const company = (await getLinkedCompanies(pool)).find(c => String(c.id) === String(companyId));
+  await upsertDevice(pool, device, {
+    locationId: company ? await deviceLocation(pool, company, device, new Map()) : null
+  });
+  return { synced: 1, removed: 0 };
+}
+
+module.exports = {
+  fetchCompanyDevices,
+  upsertDevice,
+  getLinkedCompanies,
+  syncCompanyDevices,
+  syncDevice
+};
@@ -0,0 +1,163 @@
+'use strict';
+
+/**
+ * Device inventory export: the synced SiPortal devices (siportal_devices) of
+ * a set of companies, written as CSV, XLSX or JSON to a stream.
+ *
+ * Rows are read in keyset-ordered batches and written as they arrive, so an
+ * export of every customer never holds the whole inventory in memory. The
+ * data is as fresh as the last device sync; synced_at says how fresh.
+ */
+
+const ExcelJS = require('exceljs');
+
+const FORMATS = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json'
+};
+
+// The export's columns, in order, as [key, header].
+const COLUMNS = [
+  ['company', 'Company'],
+  ['company_id', 'Company ID'],
+  ['device_id', 'Device ID'],
+  ['name', 'Name'],
+  ['facility', 'Facility'],
+  ['location', 'Location'],
+  ['device_type', 'Type'],
+  ['host_name', 'Host Name'],
+  ['ip_address', 'IP Address'],
+  ['mac_address', 'MAC Address'],
+  ['os', 'OS'],
+  ['serial_number', 'Serial Number'],
+  ['status', 'Status'],
+  ['last_seen_at', 'Last Seen'],
+  ['synced_at', 'Synced']
+];
+
+const BATCH_SIZE = 1000;
+
+/**
+ * Yields the export rows of `companies` ({ id, name, display_name }), ordered
+ * by company and device id. Removed devices are left out.
+ *
+ *   deviceTypes     only these types (case-insensitive)
+ *   seenWithinDays  only devices seen in the last N days
+ *   notSeenForDays  only devices not seen for N days, or never
+ */
+async function* exportRows(pool, companies, { deviceTypes = [], seenWithinDays = null, notSeenForDays = null } = {}) {
+  const names = new Map(companies.map(c => [String(c.id), c.display_name || c.name]));
+  const types = deviceTypes.map(t => t.toLowerCase());
+  let after = { company: -1, id: '' };
+
+  for (;;) {
+    const { rows } = await pool.query(`
+      SELECT id, company_id, company_name, name, facility, location, device_type, host_name,
+             ip_address, mac_address, os, serial_number, status, last_seen_at, synced_at
+        FROM siportal_devices
+       WHERE company_id = ANY($1::bigint[])
+         AND removed_at IS NULL
+         AND (cardinality($2::text[]) = 0 OR lower(device_type) = ANY($2::text[]))
+         AND ($3::int IS NULL OR last_seen_at >= now() - make_interval(days => $3))
+         AND ($4::int IS NULL OR last_seen_at IS NULL OR last_seen_at < now() - make_interval(days => $4))
+         AND (company_id, id) > ($5::bigint, $6::text)
+       ORDER BY company_id, id
+       LIMIT $7
+    `, [
+      companies.map(c => c.id), types, seenWithinDays, notSeenForDays,
+      after.company, after.id, BATCH_SIZE
+    ]);
+
+    for (const row of rows) {
+      yield {
+        company: names.get(String(row.company_id)) || row.company_name || `Company ${row.company_id}`,
+        company_id: Number(row.company_id),
+        device_id: row.id,
+        name: row.name,
+        facility: row.facility,
+        location: row.location,
+        device_type: row.device_type,
+        host_name: row.host_name,
+        ip_address: row.ip_address,
+        mac_address: row.mac_address,
+        os: row.os,
+        serial_number: row.serial_number,
+        status: row.status,
+        last_seen_at: row.last_seen_at ? row.last_seen_at.toISOString() : null,
+        synced_at: row.synced_at ? row.synced_at.toISOString() : null
+      };
+    }
+
+    if (rows.length < BATCH_SIZE) return;
+    const last = rows[rows.length - 1];
+    after = { company: last.company_id, id: last.id };
+  }
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Waits for the stream to drain when it asks to, so a slow client holds the
+// export back instead of the rows piling up in memory. A client that goes
+// away ends the export.
+function write(stream, chunk) {
+  if (stream.destroyed) return Promise.reject(new Error('Export stream closed by the client'));
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => { stream.off('close', onClose); resolve(); };
+    const onClose = () => { stream.off('drain', onDrain); reject(new Error('Export stream closed by the client')); };
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+  });
+}
+
+/**
+ * Writes `rows` (an async iterable from exportRows) to `stream` in `format`.
+ * The stream is ended. Returns the number of rows written.
+ */
+async function writeExport(stream, format, rows, meta = {}) {
+  let count = 0;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Devices');
+    sheet.columns = COLUMNS.map(([key, header]) => ({ header, key }));
+    for await (const row of rows) {
+      sheet.addRow(row).commit();
+      count++;
+    }
+    sheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  if (format === 'json') {
+    await write(stream, `{"exported_at":${JSON.stringify(new Date().toISOString())},"meta":${JSON.stringify(meta)},"devices":[`);
+    for await (const row of rows) {
+      await write(stream, (count > 0 ? ',' : '') + JSON.stringify(row));
+      count++;
+    }
+    await write(stream, `],"total":${count}}`);
+    stream.end();
+    return count;
+  }
+
+  await write(stream, COLUMNS.map(([, header]) => header).join(',') + '\n');
+  for await (const row of rows) {
+    await write(stream, COLUMNS.map(([key]) => csvValue(row[key])).join(',') + '\n');
+    count++;
+  }
+  stream.end();
+  return count;
+}
+
+module.exports = {
+  FORMATS,
+  COLUMNS,
+  exportRows,
+  writeExport
+};
@@ -0,0 +1,211 @@
+'use strict';
+
+/**
+ * Reconciles an organization's SiPortal devices with its Zendesk assets.
+ *
+ * buildSiportalPlan is the SiPortal counterpart of buildImportPlan in
+ * services/assetSpreadsheets.js and returns a plan of the same shape, so it
+ * is stored in asset_imports and committed, polled and finalised the same
+ * way. Each device is classified as new (create), changed (update, with the
+ * field diff), or unchanged. Each asset that carries a SiPortal device id
+ * the organization no longer has is classified as orphaned. Orphans are
+ * reported only and never deleted.
+ *
+ * The device id goes in its own asset field, siportal_device_id (see
+ * bin/create-siportal-device-field.js). Assets from the old importer have
+ * the id in their notes instead. They are still matched, and their update
+ * fills in the field.
+ */
+
+const { diffFields } = require('./assetHistory');
+const { evaluateStatusChange } = require('./assetLifecycle');
+const { identifiers } = require('./assetDuplicates');
+const { convertValue } = require('./assetSpreadsheets');
+
+const DEVICE_ID_FIELD = 'siportal_device_id';
+
+// Written by the pre-field importer: "SiPortal ID: <id>" in the notes.
+const LEGACY_NOTE_ID = /SiPortal ID:\s*(\S+)/i;
+
+/**
+ * A SiPortal value as trimmed text, or null when blank. An object (a
+ * reference such as a device type) gives its name.
+ */
+function text(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'object') return value.name ? String(value.name) : null;
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * What a device says about each asset field. Only keys the asset object has
+ * are kept by the caller, so fields a Zendesk instance lacks are skipped.
+ */
+function deviceValues(device) {
+  return {
+    [DEVICE_ID_FIELD]: String(device.id),
+    asset_name: text(device.name),
+    host_name: text(device.hostName || device.hostname),
+    serial_number: text(device.serialNumber || device.serial_number),
+    mac_address: text(device.macAddress || device.mac_address),
+    ip_address: text(device.ipAddress || device.ip_address),
+    manufacturer: text(device.manufacturer),
+    model: text(device.model),
+    device_type: text(device.type?.name || device.deviceType),
+    operating_system: text(device.operatingSystem || device.os),
+    description: text(device.description),
+    location: text(device.location),
+    // Only when the device sync has placed it, so an asset placed by hand
+    // is not cleared.
+    ...(device.location_id ? { location_id: String(device.location_id) } : {}),
+    source: 'SiPortal'
+  };
+}
+
+/**
+ * The SiPortal device id an asset carries: its field, its external id, or
+ * the legacy line in its notes.
+ */
+function assetDeviceId(asset) {
+  const fields = asset.custom_object_fields || {};
+  if (fields[DEVICE_ID_FIELD]) return String(fields[DEVICE_ID_FIELD]);
+  const external = /^siportal-(.+)$/.exec(asset.external_id || '');
+  if (external) return external[1];
+  const noted = LEGACY_NOTE_ID.exec(fields.notes || '');
+  return noted ? noted[1] : null;
+}
+
+function indexAssets(assets, organizationId) {
+  const byDeviceId = new Map();
+  const bySerial = new Map();
+  for (const asset of assets) {
+    const deviceId = assetDeviceId(asset);
+    if (deviceId) {
+      byDeviceId.set(deviceId, asset);
+      continue;
+    }
+    // Only assets not yet tied to a device can be matched by serial, only
+    // those of the organization being imported or of none, and only when
+    // the serial is unique among them.
+    const orgId = asset.custom_object_fields?.organization;
+    if (orgId && String(orgId) !== String(organizationId)) continue;
+    const serial = identifiers(asset).serial_number;
+    if (serial) bySerial.set(serial, bySerial.has(serial) ? null : asset);
+  }
+  return { byDeviceId, bySerial };
+}
+
+/**
+ * Plans the import of `devices` (each tagged with its `company`, which may
+ * carry a rollup `display_name`) into `organizationId`.
+ *
+ *   fields      active asset fields from getAssetFields
+ *   assets      every asset in the local store, for matching
+ *   lifecycle   from assetLifecycle.getLifecycle
+ *   assignTo    Zendesk user new assets are assigned to, if any
+ *   complete    false when a company's device list was cut short; orphans
+ *               are then not reported, since a missing device proves nothing
+ */
+function buildSiportalPlan(devices, { organizationId, fields, assets = [], lifecycle, assignTo = null, complete = true }) {
+  const fieldsByKey = new Map(fields.map(f => [f.key, f]));
+  const index = indexAssets(assets, organizationId);
+  const claimed = new Map();
+  const seenDevices = new Set();
+
+  const rows = devices.map((device, i) => {
+    const line = i + 1;
+    const deviceId = String(device.id);
+    const errors = [];
+    const warnings = [];
+    seenDevices.add(deviceId);
+
+    if (!fieldsByKey.has(DEVICE_ID_FIELD)) {
+      errors.push(`The asset object has no ${DEVICE_ID_FIELD} field; run bin/create-siportal-device-field.js.`);
+    }
+
+    const input = {};
+    for (const [key, raw] of Object.entries(deviceValues(device))) {
+      if (raw === null || !fieldsByKey.has(key)) continue;
+      const result = convertValue(fieldsByKey.get(key), raw);
+      // A value SiPortal has but the schema will not take (an unknown
+      // dropdown option, say) is left out rather than failing the device.
+      if (result.error) warnings.push(result.error);
+      else input[key] = result.value;
+    }
+    if (fieldsByKey.has('organization')) input.organization = String(organizationId);
+
+    const serial = identifiers({ custom_object_fields: input }).serial_number;
+    const existing = index.byDeviceId.get(deviceId) || (serial && index.bySerial.get(serial)) || null;
+
+    if (existing) {
+      if (claimed.has(existing.id)) {
+        errors.push(`Matches the same asset as device ${claimed.get(existing.id)}.`);
+      } else {
+        claimed.set(existing.id, deviceId);
+      }
+    } else {
+      if (fieldsByKey.has('status')) {
+        const check = evaluateStatusChange(lifecycle, { from: null, to: 'deployed' });
+        if (check.ok) input.status = check.status;
+      }
+      if (assignTo && fieldsByKey.has('assigned_to')) input.assigned_to = String(assignTo);
+    }
+
+    const before = existing?.custom_object_fields || {};
+    const changes = diffFields(before, input, { partial: Boolean(existing) });
+
+    let action;
+    if (errors.length > 0) action = 'error';
+    else if (!existing) action = 'create';
+    else action = Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+
+    return {
+      line,
+      action,
+      device_id: deviceId,
+      company_id: device.company?.id ?? null,
+      company_name: device.company?.display_name || device.company?.name || null,
+      asset_id: existing ? existing.id : null,
+      name: existing ? existing.name : text(device.name) || text(device.hostName) || `Device ${deviceId}`,
+      external_id: existing ? null : `siportal-${deviceId}`,
+      fields: input,
+      changes,
+      status_reason: null,
+      warnings,
+      errors
+    };
+  });
+
+  if (complete) {
+    let line = rows.length;
+    for (const asset of assets) {
+      const deviceId = assetDeviceId(asset);
+      const orgId = asset.custom_object_fields?.organization;
+      if (!deviceId || seenDevices.has(deviceId) || String(orgId) !== String(organizationId)) continue;
+      rows.push({
+        line: ++line,
+        action: 'orphaned',
+        device_id: deviceId,
+        asset_id: asset.id,
+        name: asset.name,
+        fields: {},
+        changes: {},
+        errors: []
+      });
+    }
+  }
+
+  const summary = { create: 0, update: 0, unchanged: 0, orphaned: 0, error: 0 };
+  for (const row of rows) summary[row.action]++;
+
+  return { source: 'siportal', organization_id: String(organizationId), complete, summary, rows };
+}
+
+module.exports = {
+  DEVICE_ID_FIELD,
+  text,
+  deviceValues,
+  assetDeviceId,
+  buildSiportalPlan
+};
@@ -0,0 +1,203 @@
+'use strict';
+
+/**
+ * Parent organizations ("rollups"): a Zendesk organization that owns a set of
+ * SiPortal companies by prefix rule and/or explicit list, each shown under
+ * its own display name. See migrations/022_siportal_rollups.sql.
+ *
+ * organizationCompanies() is what device listing, export and import ask for
+ * an organization's companies. It answers from the rollup when there is one,
+ * and from the confirmed company links otherwise.
+ */
+
+const siportal = require('./siportal');
+const companyLinks = require('./siportalCompanyLinks');
+
+const ROLLUP_COLUMNS = `organization_id, name, company_prefix, strip_prefix, created_at, updated_at`;
+const CHILD_COLUMNS = `
+  organization_id, company_id, company_name, display_name, excluded, created_at, updated_at`;
+
+// Prefix matches are looked up in SiPortal, so keep them for a while.
+const PREFIX_CACHE_MINUTES = 15;
+const prefixCache = new Map();
+
+function startsWithPrefix(name, prefix) {
+  return String(name || '').toUpperCase().startsWith(prefix.toUpperCase());
+}
+
+/**
+ * The name a child company is shown under.
+ */
+function displayName(rollup, company, child = null) {
+  if (child?.display_name) return child.display_name;
+  const name = company.name || `Company ${company.id}`;
+  if (!rollup.strip_prefix || !rollup.company_prefix || !startsWithPrefix(name, rollup.company_prefix)) {
+    return name;
+  }
+  const stripped = name.slice(rollup.company_prefix.length).replace(/^[-\s:]+/, '');
+  return stripped || name;
+}
+
+/**
+ * SiPortal companies whose name starts with `prefix`, as { id, name }. A
+ * failed lookup falls back to the last answer when there is one.
+ */
+async function prefixMatches(prefix) {
+  const key = prefix.toUpperCase();
+  const cached = prefixCache.get(key);
+  if (cached && Date.now() - cached.at < PREFIX_CACHE_MINUTES * 60 * 1000) return cached.companies;
+
+  try {
+    const found = await siportal.collect(siportal.listCompanies({ nameStartsWith: prefix }));
+    // nameStartsWith has been known to match anywhere in the name.
+    const companies = found
+      .filter(c => startsWithPrefix(c.name, prefix))
+      .map(c => ({ id: Number(c.id), name: c.name }));
+    prefixCache.set(key, { at: Date.now(), companies });
+    return companies;
+  } catch (error) {
+    if (!cached) throw error;
+    console.warn(`[Rollups] Using cached "${prefix}" companies; SiPortal lookup failed:`, error.message);
+    return cached.companies;
+  }
+}
+
+async function getRollup(pool, organizationId) {
+  const { rows: [rollup] } = await pool.query(
+    `SELECT ${ROLLUP_COLUMNS} FROM siportal_rollups WHERE organization_id = $1`,
+    [organizationId]
+  );
+  if (!rollup) return null;
+  const { rows: children } = await pool.query(`
+    SELECT ${CHILD_COLUMNS}
+      FROM siportal_rollup_companies
+     WHERE organization_id = $1
+     ORDER BY company_name NULLS LAST, company_id
+  `, [organizationId]);
+  return { ...rollup, companies: children };
+}
+
+async function listRollups(pool) {
+  const { rows } = await pool.query(`
+    SELECT r.organization_id, r.name, r.company_prefix, r.strip_prefix, r.created_at, r.updated_at,
+           COUNT(c.company_id) FILTER (WHERE NOT c.excluded)::int AS listed_companies,
+           COUNT(c.company_id) FILTER (WHERE c.excluded)::int AS excluded_companies
+      FROM siportal_rollups r
+      LEFT JOIN siportal_rollup_companies c ON c.organization_id = r.organization_id
+     GROUP BY r.organization_id
+     ORDER BY r.name
+  `);
+  return rows;
+}
+
+/**
+ * The companies of a rollup (from getRollup), as { id, name, display_name,
+ * source }, where source is 'prefix' or 'listed'.
+ */
+async function resolveRollup(rollup) {
+  const children = new Map(rollup.companies.map(c => [Number(c.company_id), c]));
+  const companies = new Map();
+
+  if (rollup.company_prefix) {
+    for (const company of await prefixMatches(rollup.company_prefix)) {
+      companies.set(company.id, { ...company, source: 'prefix' });
+    }
+  }
+  for (const child of rollup.companies) {
+    const id = Number(child.company_id);
+    if (child.excluded || companies.has(id)) continue;
+    companies.set(id, { id, name: child.company_name || `Company ${id}`, source: 'listed' });
+  }
+
+  return [...companies.values()]
+    .filter(company => !children.get(company.id)?.excluded)
+    .map(company => ({ ...company, display_name: displayName(rollup, company, children.get(company.id)) }))
+    .sort((a, b) => a.display_name.localeCompare(b.display_name));
+}
+
+/**
+ * An organization's SiPortal companies, as { rollup, companies } with each
+ * company { id, name, display_name }. rollup is null for an organization
+ * that only has company links.
+ */
+async function organizationCompanies(pool, organizationId) {
+  const rollup = await getRollup(pool, organizationId);
+  if (rollup) return { rollup, companies: await resolveRollup(rollup) };
+
+  const companies = await companyLinks.getConfirmedCompanies(pool, organizationId);
+  return { rollup: null, companies: companies.map(c => ({ ...c, display_name: c.name })) };
+}
+
+/**
+ * The companies of every rollup, each once, as { id, name, organization_id }.
+ */
+async function allRollupCompanies(pool) {
+  const { rows } = await pool.query('SELECT organization_id FROM siportal_rollups ORDER BY organization_id');
+  const companies = new Map();
+  for (const { organization_id } of rows) {
+    const rollup = await getRollup(pool, organization_id);
+    for (const company of await resolveRollup(rollup)) {
+      if (companies.has(company.id)) continue;
+      companies.set(company.id, { id: company.id, name: company.name, organization_id: String(organization_id) });
+    }
+  }
+  return [...companies.values()];
+}
+
+async function saveRollup(pool, { organizationId, name, companyPrefix = null, stripPrefix = true }) {
+  const { rows: [rollup] } = await pool.query(`
+    INSERT INTO siportal_rollups (organization_id, name, company_prefix, strip_prefix)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (organization_id) DO UPDATE
+       SET name = EXCLUDED.name,
+           company_prefix = EXCLUDED.company_prefix,
+           strip_prefix = EXCLUDED.strip_prefix,
+           updated_at = now()
+    RETURNING ${ROLLUP_COLUMNS}
+  `, [organizationId, name, companyPrefix || null, stripPrefix]);
+  return rollup;
+}
+
+async function deleteRollup(pool, organizationId) {
+  const { rowCount } = await pool.query('DELETE FROM siportal_rollups WHERE organization_id = $1', [organizationId]);
+  return rowCount > 0;
+}
+
+/**
+ * Lists a company in a rollup, or changes its display name or exclusion.
+ * Returns null when the organization has no rollup.
+ */
+async function saveRollupCompany(pool, { organizationId, companyId, companyName = null, displayName: shownAs = null, excluded = false }) {
+  const { rows: [child] } = await pool.query(`
+    INSERT INTO siportal_rollup_companies (organization_id, company_id, company_name, display_name, excluded)
+    SELECT organization_id, $2, $3, $4, $5 FROM siportal_rollups WHERE organization_id = $1
+    ON CONFLICT (organization_id, company_id) DO UPDATE
+       SET company_name = COALESCE(EXCLUDED.company_name, siportal_rollup_companies.company_name),
+           display_name = EXCLUDED.display_name,
+           excluded = EXCLUDED.excluded,
+           updated_at = now()
+    RETURNING ${CHILD_COLUMNS}
+  `, [organizationId, companyId, companyName, shownAs || null, excluded]);
+  return child || null;
+}
+
+async function deleteRollupCompany(pool, { organizationId, companyId }) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM siportal_rollup_companies WHERE organization_id = $1 AND company_id = $2',
+    [organizationId, companyId]
+  );
+  return rowCount > 0;
+}
+
+module.exports = {
+  displayName,
+  getRollup,
+  listRollups,
+  resolveRollup,
+  organizationCompanies,
+  allRollupCompanies,
+  saveRollup,
+  deleteRollup,
+  saveRollupCompany,
+  deleteRollupCompany
+};
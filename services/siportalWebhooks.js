@@ -0,0 +1,214 @@
+'use strict';
+
+/**
+ * SiPortal webhook events: verifying the caller, the inbound event log and
+ * its retry queue. See migrations/020_siportal_webhook_events.sql.
+ *
+ * Nothing here talks to SiPortal. processEvents claims due events and hands
+ * each one to a handler, which syncJobs.js supplies. The handler is the
+ * targeted device resync.
+ */
+
+const crypto = require('crypto');
+
+const WEBHOOK_SECRET = process.env.SIPORTAL_WEBHOOK_SECRET || null;
+
+// Attempts before an event is dead-lettered, and the wait before each retry.
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAYS_SECONDS = [60, 300, 900, 3600];
+
+// An event left 'processing' this long was abandoned (a restart mid-run) and
+// is picked up again.
+const STALE_PROCESSING_MINUTES = 10;
+
+const EVENT_COLUMNS = `
+  id, event_key, event, company_id, device_id, status, attempts,
+  next_attempt_at, last_error, result, received_at, started_at, processed_at`;
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Checks a webhook request against SIPORTAL_WEBHOOK_SECRET. Either header
+ * is accepted:
+ *   X-SiPortal-Signature: sha256=<hex HMAC-SHA256 of the raw body>
+ *   X-SiPortal-Webhook-Secret: <the secret itself>
+ * Returns { ok } or { ok: false, status, error }.
+ */
+function verifyRequest({ rawBody, headers }, secret = WEBHOOK_SECRET) {
+  if (!secret) {
+    return { ok: false, status: 503, error: 'SiPortal webhook is not configured (SIPORTAL_WEBHOOK_SECRET).' };
+  }
+
+  const signature = headers['x-siportal-signature'];
+  if (signature) {
+    if (!rawBody) return { ok: false, status: 400, error: 'Signed webhook without a body.' };
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    const given = String(signature).replace(/^sha256=/i, '').toLowerCase();
+    return safeEqual(given, expected)
+      ? { ok: true }
+      : { ok: false, status: 401, error: 'Invalid webhook signature.' };
+  }
+
+  const shared = headers['x-siportal-webhook-secret'];
+  if (shared) {
+    return safeEqual(shared, secret)
+      ? { ok: true }
+      : { ok: false, status: 401, error: 'Invalid webhook secret.' };
+  }
+
+  return { ok: false, status: 401, error: 'Missing webhook signature.' };
+}
+
+/**
+ * The dedupe key of an event: SiPortal's id for it when there is one,
+ * otherwise a hash of the parts that identify it.
+ */
+function eventKey(body, headers = {}) {
+  const given = headers['x-siportal-event-id'] || body.event_id || body.id;
+  if (given) return `id:${given}`;
+  const parts = [body.event, body.company_id, body.device_id, body.timestamp].map(v => v ?? '').join('|');
+  return `hash:${crypto.createHash('sha256').update(parts).digest('hex')}`;
+}
+
+/**
+ * Stores an event. Returns { event, duplicate }; a duplicate is the first copy
+ * of an event already received.
+ */
+async function recordEvent(pool, { key, body }) {
+  const { rows: [inserted] } = await pool.query(`
+    INSERT INTO siportal_webhook_events (event_key, event, company_id, device_id, payload)
+    VALUES ($1, $2, $3, $4, $5::jsonb)
+    ON CONFLICT (event_key) DO NOTHING
+    RETURNING ${EVENT_COLUMNS}
+  `, [
+    key,
+    body.event || null,
+    /^\d+$/.test(String(body.company_id ?? '')) ? body.company_id : null,
+    body.device_id != null ? String(body.device_id) : null,
+    JSON.stringify(body)
+  ]);
+  if (inserted) return { event: inserted, duplicate: false };
+
+  const { rows: [existing] } = await pool.query(
+    `SELECT ${EVENT_COLUMNS} FROM siportal_webhook_events WHERE event_key = $1`,
+    [key]
+  );
+  return { event: existing, duplicate: true };
+}
+
+/**
+ * Claims up to `limit` due events for processing. SKIP LOCKED keeps two
+ * overlapping runs from taking the same event.
+ */
+async function claimDueEvents(pool, limit = 20) {
+  const { rows } = await pool.query(`
+    UPDATE siportal_webhook_events
+       SET status = 'processing', started_at = now(), attempts = attempts + 1
+     WHERE id IN (
+       SELECT id FROM siportal_webhook_events
+        WHERE (status IN ('queued', 'failed') AND next_attempt_at <= now())
+           OR (status = 'processing' AND started_at < now() - make_interval(mins => $2))
+        ORDER BY next_attempt_at, id
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+     )
+    RETURNING ${EVENT_COLUMNS}, payload
+  `, [limit, STALE_PROCESSING_MINUTES]);
+  return rows;
+}
+
+async function markProcessed(pool, id, result) {
+  await pool.query(`
+    UPDATE siportal_webhook_events
+       SET status = 'processed', processed_at = now(), last_error = NULL, result = $2::jsonb
+     WHERE id = $1
+  `, [id, JSON.stringify(result ?? null)]);
+}
+
+/**
+ * Schedules the next attempt, or dead-letters the event once it has had
+ * MAX_ATTEMPTS, or at once when retrying cannot help (`permanent`). Returns
+ * the new status.
+ */
+async function markFailed(pool, event, error, { permanent = false } = {}) {
+  const dead = permanent || event.attempts >= MAX_ATTEMPTS;
+  const delay = RETRY_DELAYS_SECONDS[Math.min(event.attempts, RETRY_DELAYS_SECONDS.length) - 1];
+  await pool.query(`
+    UPDATE siportal_webhook_events
+       SET status = $2, last_error = $3,
+           next_attempt_at = now() + make_interval(secs => $4)
+     WHERE id = $1
+  `, [event.id, dead ? 'dead' : 'failed', error, dead ? 0 : delay]);
+  return dead ? 'dead' : 'failed';
+}
+
+/**
+ * Works through every due event with `handler(event)`, whose return value is
+ * kept as the event's result. An error the handler marks `permanent`
+ * dead-letters the event without retries. Returns counts.
+ */
+async function processEvents(pool, handler) {
+  const counts = { processed: 0, failed: 0, dead: 0 };
+  for (;;) {
+    const events = await claimDueEvents(pool);
+    if (events.length === 0) break;
+    for (const event of events) {
+      try {
+        const result = await handler(event);
+        await markProcessed(pool, event.id, result);
+        counts.processed++;
+      } catch (error) {
+        const status = await markFailed(pool, event, error.message, { permanent: error.permanent === true });
+        counts[status]++;
+        console.error(`[Webhook] SiPortal event ${event.id} ${status} after attempt ${event.attempts}:`, error.message);
+      }
+    }
+  }
+  return counts;
+}
+
+async function listEvents(pool, { status = null, limit = 100 } = {}) {
+  const { rows } = await pool.query(`
+    SELECT ${EVENT_COLUMNS}, payload
+      FROM siportal_webhook_events
+     WHERE ($1::text IS NULL OR status = $1)
+     ORDER BY received_at DESC
+     LIMIT $2
+  `, [status, limit]);
+  return rows;
+}
+
+/**
+ * Puts a failed or dead event back on the queue with a fresh set of attempts.
+ * Returns null when there is no such event, or { event, replayed: false } when
+ * it is not failed or dead.
+ */
+async function replayEvent(pool, id) {
+  const { rows: [event] } = await pool.query(`
+    UPDATE siportal_webhook_events
+       SET status = 'queued', attempts = 0, next_attempt_at = now(), last_error = NULL
+     WHERE id = $1 AND status IN ('failed', 'dead')
+    RETURNING ${EVENT_COLUMNS}
+  `, [id]);
+  if (event) return { event, replayed: true };
+
+  const { rows: [existing] } = await pool.query(
+    `SELECT ${EVENT_COLUMNS} FROM siportal_webhook_events WHERE id = $1`,
+    [id]
+  );
+  return existing ? { event: existing, replayed: false } : null;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  verifyRequest,
+  eventKey,
+  recordEvent,
+  processEvents,
+  listEvents,
+  replayEvent
+};
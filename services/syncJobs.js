@@ -15,6 +15,15 @@ const { computeDerivedFields } = require('./derived');
 const { syncCustomStatuses } = require('./customStatuses');
 const { syncOpenTicketComments } = require('./comments');
 const { syncAudits } = require('./audits');
+const { upsertAsset } = require('./assets');
+const { linkFromTicket } = require('./assetTickets');
+const { checkAssetExpiry } = require('./assetExpiry');
+const { checkDeviceHealth } = require('./deviceHealth');
+const { checkCatalogApprovals } = require('./catalogApprovals');
+const { pullCatalog } = require('./catalogVersions');
+const ticketRequests = require('./ticketRequests');
+const siportalDevices = require('./siportalDevices');
+const siportalWebhooks = require('./siportalWebhooks');
 
 // ============================================
 // CONFIGURATION
@@ -26,6 +35,15 @@ const SYNC_CONFIG = {
     organizations: '0 */1 * * *',
     agents: '0 */1 * * *',
     groups: '0 */1 * * *',
+    assets: '*/10 * * * *',
+    assetsReconcile: '0 1 * * *',       // 1 AM daily, clear of the 1:30 aggregation
+    assetExpiry: '0 7 * * *',           // 7 AM daily, so renewal tasks land at the start of the day
+    siportalDevices: '20 * * * *',      // hourly; the webhook covers changes in between
+    siportalWebhooks: '* * * * *',      // retries of failed webhook events
+    deviceHealth: '30 7 * * 1',         // 7:30 AM Mondays, after the hourly device sync
+    catalogApprovals: '*/15 * * * *',   // approval emails, reminders and escalations
+    catalogSheet: '*/10 * * * *',       // the Google Sheets catalog, into catalog_versions
+    ticketRequests: '45 * * * *',       // purge create-ticket records past their key and dedupe windows
     // NEW: Analytics aggregation schedules
     dailyAggregation: '0 2 * * *',      // 2 AM daily
     weeklyAggregation: '0 3 * * 1',     // 3 AM every Monday
@@ -41,7 +59,8 @@ const SYNC_CONFIG = {
     tickets: 100,
     organizations: 100,
     agents: 100,
-    groups: 100
+    groups: 100,
+    assets: 100
   }
 };
 
@@ -143,10 +162,11 @@ async function updateSyncStatus(resourceType, status, error = null, recordsSynce
       `;
       params = [resourceType, status, error, recordsSynced];
     } else {
-      // Keep existing last_sync_at - used during historical backfill
+      // Keep existing last_sync_at - used during historical backfill. A
+      // first run that has not completed yet has no cursor: NULL, not NOW().
       query = `
         INSERT INTO sync_status (entity_type, last_sync_at, status, error_message, records_synced, updated_at)  
-        VALUES ($1, NOW(), $2, $3, $4, NOW())
+        VALUES ($1, NULL, $2, $3, $4, NOW())
         ON CONFLICT (entity_type) 
         DO UPDATE SET
           status = $2,
@@ -318,6 +338,12 @@ async function syncTickets() {
           } catch (err) {
             console.error(`Error upserting ticket ${ticket.id}:`, err.message);
           }
+          // A link made in the Zendesk UI, through the asset lookup field.
+          try {
+            await linkFromTicket(pool, ticket);
+          } catch (err) {
+            console.error(`Error recording asset link for ticket ${ticket.id}:`, err.message);
+          }
         }
         
         totalTicketsSynced += savedCount;
@@ -631,6 +657,191 @@ async function syncGroupMemberships() {
   }
 }
 
+// ============================================
+// ASSET SYNC
+// ============================================
+
+/**
+ * Mirrors the `asset` custom object into the assets table.
+ *
+ * The routine run is incremental: records come back newest-first by
+ * updated_at, and the walk stops at the first one older than the last run.
+ * The cursor saved is the time this run STARTED, not finished, so a record
+ * edited while the walk is in progress is picked up next time rather than
+ * skipped.
+ *
+ * Incremental runs cannot see deletions - a deleted record simply stops
+ * appearing. The nightly full reconcile walks everything and removes rows
+ * Zendesk no longer has. It only deletes after a complete walk: a run cut
+ * short by an error or the page cap would otherwise empty the table.
+ */
+async function syncAssets({ full = false } = {}) {
+  const label = full ? 'full reconcile' : 'incremental';
+  console.log(`\n\u{1F5A5}\uFE0F  Starting asset sync (${label})...`);
+
+  const runStartedAt = new Date().toISOString();
+  const status = await getSyncStatus('assets');
+  const since = !full && status?.last_sync_at ? new Date(status.last_sync_at) : null;
+
+  await updateSyncStatus('assets', 'syncing');
+
+  try {
+    const sort = full ? 'id' : '-updated_at';
+    let url = `${ZENDESK_API_BASE}/custom_objects/asset/records.json?sort=${sort}&page[size]=${SYNC_CONFIG.batchSizes.assets}`;
+    const seen = [];
+    let synced = 0;
+    let pages = 0;
+    let complete = false;
+
+    while (url && pages < 200) {
+      pages++;
+      const data = await makeZendeskRequest(url);
+      const records = data.custom_object_records || [];
+      let reachedCursor = false;
+
+      for (const record of records) {
+        if (since && new Date(record.updated_at) < since) {
+          reachedCursor = true;
+          break;
+        }
+        seen.push(record.id);
+        try {
+          await upsertAsset(pool, record);
+          synced++;
+        } catch (err) {
+          console.error(`Error upserting asset ${record.id}:`, err.message);
+        }
+      }
+
+      if (reachedCursor || !data.meta?.has_more || !data.links?.next) {
+        complete = true;
+        break;
+      }
+      url = data.links.next;
+    }
+
+    let removed = 0;
+    if (full && complete && seen.length > 0) {
+      const result = await pool.query(
+        'DELETE FROM assets WHERE NOT (id = ANY($1::text[]))',
+        [seen]
+      );
+      removed = result.rowCount;
+    } else if (full) {
+      console.warn(`\u26A0\uFE0F  Asset reconcile incomplete after ${pages} pages - no rows removed`);
+    }
+
+    if (complete) {
+      await updateSyncStatus('assets', 'success', null, synced, false, runStartedAt);
+    } else {
+      // Hit the page cap: keep the old cursor (NULL on a first run) so the
+      // next run covers the rest of the window instead of jumping past it,
+      // and say so rather than reporting success.
+      await updateSyncStatus('assets', 'partial', `Stopped at the ${pages}-page cap`, synced, false);
+    }
+
+    console.log(`\u2705 Asset sync (${label}) completed: ${synced} upserted, ${removed} removed, ${pages} pages`);
+    return { synced, removed, pages, complete };
+  } catch (error) {
+    console.error(`\u274C Asset sync (${label}) failed:`, error.message);
+    await updateSyncStatus('assets', 'error', error.message);
+    return { synced: 0, failed: true, message: error.message };
+  }
+}
+
+// ============================================
+// SIPORTAL DEVICE SYNC
+// ============================================
+
+/**
+ * Keeps siportal_devices current for every company with a confirmed link,
+ * or for just `companyId` when the webhook names one. A company that fails
+ * is logged and skipped so one bad company does not stop the rest; the run
+ * is then recorded as an error listing them, and last_sync_at only moves on
+ * a clean full run.
+ */
+async function syncSiportalDevices({ companyId = null } = {}) {
+  const targeted = companyId !== null;
+  console.log(`\n\u{1F4E1} Starting SiPortal device sync${targeted ? ` for company ${companyId}` : ''}...`);
+
+  if (!targeted) await updateSyncStatus('siportal_devices', 'syncing');
+
+  try {
+    let companies = await siportalDevices.getLinkedCompanies(pool);
+    if (targeted) {
+      companies = companies.filter(c => String(c.id) === String(companyId));
+      if (companies.length === 0) {
+        console.log(`   Company ${companyId} is not linked to an organization - skipped`);
+        return { synced: 0, removed: 0, companies: 0, failed: [] };
+      }
+    }
+
+    let synced = 0;
+    let removed = 0;
+    const failed = [];
+    for (const company of companies) {
+      try {
+        const result = await siportalDevices.syncCompanyDevices(pool, company);
+        synced += result.synced;
+        removed += result.removed;
+        if (!result.complete) console.warn(`\u26A0\uFE0F  ${company.name || company.id}: device list incomplete - none marked removed`);
+      } catch (err) {
+        console.error(`   SiPortal company ${company.id} failed:`, err.message);
+        failed.push({ company_id: company.id, error: err.message });
+      }
+    }
+
+    if (!targeted) {
+      if (failed.length === 0) {
+        await updateSyncStatus('siportal_devices', 'success', null, synced, true);
+      } else {
+        const message = `${failed.length} of ${companies.length} companies failed: ` +
+          failed.map(f => `${f.company_id} (${f.error})`).join('; ');
+        await updateSyncStatus('siportal_devices', 'error', message, synced);
+      }
+    }
+
+    console.log(`\u2705 SiPortal device sync completed: ${synced} devices from ${companies.length - failed.length}/${companies.length} companies, ${removed} removed`);
+    return { synced, removed, companies: companies.length, failed };
+  } catch (error) {
+    console.error('\u274C SiPortal device sync failed:', error.message);
+    if (!targeted) await updateSyncStatus('siportal_devices', 'error', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Refreshes the one device a webhook names.
+ */
+async function syncSiportalDevice(deviceId) {
+  const result = await siportalDevices.syncDevice(pool, deviceId);
+  console.log(`\u{1F4E1} SiPortal device ${deviceId}: ${result.synced ? 'refreshed' : result.removed ? 'marked removed' : 'not found'}`);
+  return result;
+}
+
+/**
+ * Works through queued and due-for-retry SiPortal webhook events, resyncing
+ * the device or company each names. Called as each event arrives and every
+ * minute; overlapping runs are safe, each event is claimed by one of them.
+ * An event that names neither is dead-lettered rather than taken as a sync
+ * of every company.
+ */
+async function processSiportalWebhooks() {
+  const counts = await siportalWebhooks.processEvents(pool, async event => {
+    if (event.device_id) return syncSiportalDevice(event.device_id);
+    if (!event.company_id) {
+      throw Object.assign(new Error('Event names no company_id or device_id'), { permanent: true });
+    }
+    const result = await syncSiportalDevices({ companyId: event.company_id });
+    if (result.failed.length > 0) throw new Error(result.failed[0].error);
+    return { synced: result.synced, removed: result.removed };
+  });
+  if (counts.processed + counts.failed + counts.dead > 0) {
+    console.log(`\u{1F4E8} SiPortal webhooks: ${counts.processed} processed, ${counts.failed} to retry, ${counts.dead} dead`);
+  }
+  return counts;
+}
+
 // ============================================
 // ANALYTICS AGGREGATION FUNCTIONS (NEW)
 // ============================================
@@ -1171,6 +1382,47 @@ function scheduleSync() {
       .catch(err => console.error('Scheduled group sync error:', err));
   });
 
+  cron.schedule(SYNC_CONFIG.schedules.assets, () => {
+    console.log('\nRunning scheduled asset sync...');
+    syncAssets().catch(err => console.error('Scheduled asset sync error:', err));
+  });
+
+  cron.schedule(SYNC_CONFIG.schedules.assetsReconcile, () => {
+    console.log('\nRunning nightly asset reconcile...');
+    syncAssets({ full: true }).catch(err => console.error('Nightly asset reconcile error:', err));
+  });
+
+  cron.schedule(SYNC_CONFIG.schedules.assetExpiry, () => {
+    console.log('\nRunning daily asset expiry check...');
+    checkAssetExpiry(pool).catch(err => console.error('Asset expiry check error:', err));
+  });
+
+  cron.schedule(SYNC_CONFIG.schedules.siportalDevices, () => {
+    console.log('\nRunning scheduled SiPortal device sync...');
+    syncSiportalDevices().catch(err => console.error('Scheduled SiPortal device sync error:', err));
+  });
+
+  cron.schedule(SYNC_CONFIG.schedules.siportalWebhooks, () => {
+    processSiportalWebhooks().catch(err => console.error('SiPortal webhook queue error:', err));
+  });
+
+  cron.schedule(SYNC_CONFIG.schedules.deviceHealth, () => {
+    console.log('\nRunning weekly device health check...');
+    checkDeviceHealth(pool).catch(err => console.error('Device health check error:', err));
+  });
+
+  cron.schedule(SYNC_CONFIG.schedules.catalogApprovals, () => {
+    checkCatalogApprovals(pool).catch(err => console.error('Catalog approval check error:', err));
+  });
+
+  cron.schedule(SYNC_CONFIG.schedules.catalogSheet, () => {
+    pullCatalog(pool).catch(err => console.error('Catalog sheet pull error:', err));
+  });
+
+  cron.schedule(SYNC_CONFIG.schedules.ticketRequests, () => {
+    ticketRequests.purge(pool).catch(err => console.error('Create-ticket record purge error:', err));
+  });
+
   cron.schedule('*/15 * * * *', () => {
     console.log('\nRunning scheduled time entries sync...');
     syncTimeEntries().catch(err => console.error('Scheduled time entries sync error:', err));
@@ -1227,6 +1479,9 @@ function scheduleSync() {
       return syncTimeEntries();
     }).then(() => {
       console.log('Initial time entries sync complete');
+      return syncAssets();
+    }).then(() => {
+      console.log('Initial asset sync complete');
     }).catch(err => {
       console.error('Initial sync error:', err);
     });
@@ -1241,6 +1496,10 @@ module.exports = {
   syncGroups,
   syncGroupMemberships,
   syncTimeEntries,
+  syncAssets,
+  syncSiportalDevices,
+  syncSiportalDevice,
+  processSiportalWebhooks,
   aggregateDailyAnalytics,
   aggregateWeeklyAgentPerformance,
   aggregateMonthlyOrgPerformance,
@@ -0,0 +1,212 @@
+'use strict';
+
+/**
+ * Idempotency keys and duplicate detection for third-party ticket creation
+ * (POST /api/zendesk/create-ticket). See migrations/028_ticket_requests.sql.
+ *
+ * begin() records a call before its ticket is created and says whether it
+ * is a replay of an earlier call or a duplicate of a recent ticket; finish()
+ * stores the outcome. abandon() releases a call Zendesk definitely refused,
+ * so a retry can try again; uncertain() keeps one that may have made its
+ * ticket anyway (a timeout or a 5xx), which a retry with its key looks up by
+ * externalId() before creating another. purge() runs from scheduleSync.
+ * See migrations/032.
+ */
+
+const crypto = require('crypto');
+
+const KEY_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_HOURS || '24', 10);
+// 0 turns content dedupe off.
+const DEDUPE_MINUTES = parseInt(process.env.TICKET_DEDUPE_MINUTES || '0', 10);
+// A pending attempt older than this is taken to have died with its process.
+const PENDING_TIMEOUT_SECONDS = 120;
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+function failure(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function subjectKey(subject) {
+  return String(subject).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Key order must not make two identical bodies look different.
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+  }
+  return value;
+}
+
+function requestHash(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(canonical(body))).digest('hex');
+}
+
+/**
+ * The external_id the ticket of call `id` is created with.
+ */
+function externalId(id) {
+  return `ticket-request-${id}`;
+}
+
+/**
+ * Claims `key` for this call. Returns { id } for a new call, { id, resumed }
+ * when an earlier call with the key may have made its ticket (look it up by
+ * externalId(id) before creating one), or { replay } with the stored
+ * response when the key has already made a ticket. Throws a 422 when the key
+ * was used with a different body, and a 409 while the first call with it is
+ * still running.
+ */
+async function claimKey(pool, { key, hash, email, subject }) {
+  await pool.query(`
+    DELETE FROM ticket_requests
+     WHERE idempotency_key = $1 AND created_at < now() - $2 * interval '1 hour'
+  `, [key, KEY_HOURS]);
+
+  const { rows: [claimed] } = await pool.query(`
+    INSERT INTO ticket_requests (idempotency_key, request_hash, requester_email, subject_key)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (idempotency_key) DO NOTHING
+    RETURNING id
+  `, [key, hash, email, subjectKey(subject)]);
+  if (claimed) return { id: claimed.id };
+
+  const { rows: [earlier] } = await pool.query(
+    'SELECT id, request_hash, status, response FROM ticket_requests WHERE idempotency_key = $1',
+    [key]
+  );
+  if (!earlier) {
+    // Freed between the insert and the select; rare enough to ask for a retry.
+    throw failure(409, 'This Idempotency-Key is being used by another request. Retry shortly.');
+  }
+  if (earlier.request_hash !== hash) {
+    throw failure(422, 'This Idempotency-Key was already used for a different request.');
+  }
+  if (earlier.status === 'created' || earlier.status === 'appended') {
+    return { replay: earlier.response };
+  }
+
+  // Uncertain, or pending from a process that died: take it over.
+  const { rows: [resumed] } = await pool.query(`
+    UPDATE ticket_requests
+       SET status = 'pending', attempted_at = now()
+     WHERE id = $1
+       AND (status = 'uncertain' OR (status = 'pending' AND attempted_at < now() - $2 * interval '1 second'))
+    RETURNING id
+  `, [earlier.id, PENDING_TIMEOUT_SECONDS]);
+  if (!resumed) {
+    throw failure(409, 'A request with this Idempotency-Key is still being processed. Retry shortly.');
+  }
+  return { id: resumed.id, resumed: true };
+}
+
+/**
+ * The most recent call for the same requester and subject within
+ * TICKET_DEDUPE_MINUTES that made a ticket, or is still making one, as
+ * { ticketId, pending }, or null.
+ */
+async function recentDuplicate(pool, { id, email, subject }) {
+  if (DEDUPE_MINUTES <= 0) return null;
+  const { rows: [match] } = await pool.query(`
+    SELECT ticket_id, status
+      FROM ticket_requests
+     WHERE id <> $1
+       AND (status = 'created'
+            OR (status = 'pending' AND attempted_at >= now() - $5 * interval '1 second'))
+       AND lower(requester_email) = lower($2) AND subject_key = $3
+       AND created_at >= now() - $4 * interval '1 minute'
+     ORDER BY created_at DESC
+     LIMIT 1
+  `, [id, email, subjectKey(subject), DEDUPE_MINUTES, PENDING_TIMEOUT_SECONDS]);
+  return match ? { ticketId: match.ticket_id, pending: match.status === 'pending' } : null;
+}
+
+/**
+ * Records a create-ticket call. `key` is the Idempotency-Key header, if
+ * any. Returns { replay } (the response to send again), { id, duplicateOf }
+ * (the ticket to comment on instead, when dedupe is on), { id, resumed }
+ * (see claimKey) or just { id }. Throws a 409 while the same requester's
+ * call with the same subject is still making its ticket, when dedupe is on.
+ */
+async function begin(pool, { key = null, body, email, subject }) {
+  if (key !== null && !KEY_PATTERN.test(key)) {
+    throw failure(400, 'Idempotency-Key must be 1 to 255 printable characters without spaces.');
+  }
+  const hash = requestHash(body);
+
+  let id;
+  if (key !== null) {
+    const claim = await claimKey(pool, { key, hash, email, subject });
+    if (claim.replay) return { replay: claim.replay };
+    if (claim.resumed) return { id: claim.id, resumed: true };
+    id = claim.id;
+  } else {
+    ({ rows: [{ id }] } = await pool.query(`
+      INSERT INTO ticket_requests (request_hash, requester_email, subject_key)
+      VALUES ($1, $2, $3)
+      RETURNING id
+    `, [hash, email, subjectKey(subject)]));
+  }
+
+  const duplicate = await recentDuplicate(pool, { id, email, subject });
+  if (duplicate?.pending) {
+    await abandon(pool, id);
+    throw failure(409, 'The same request is still being processed. Retry shortly.');
+  }
+  return duplicate ? { id, duplicateOf: duplicate.ticketId } : { id };
+}
+
+/**
+ * Stores what a call did: `status` 'created' or 'appended', the ticket, and
+ * the response sent, which a retry with the same key gets back.
+ */
+async function finish(pool, id, { status, ticketId, response }) {
+  await pool.query(`
+    UPDATE ticket_requests
+       SET status = $2, ticket_id = $3, response = $4::jsonb, completed_at = now()
+     WHERE id = $1
+  `, [id, status, ticketId, JSON.stringify(response)]);
+}
+
+/**
+ * Forgets a call that made no ticket, so its key can be retried.
+ */
+async function abandon(pool, id) {
+  await pool.query('DELETE FROM ticket_requests WHERE id = $1', [id]);
+}
+
+/**
+ * Keeps a call that may have made its ticket although it failed.
+ */
+async function uncertain(pool, id, error) {
+  await pool.query(
+    "UPDATE ticket_requests SET status = 'uncertain', last_error = $2 WHERE id = $1",
+    [id, String(error).slice(0, 1000)]
+  );
+}
+
+/**
+ * Deletes calls neither their key nor dedupe can use any more. Returns how
+ * many.
+ */
+async function purge(pool) {
+  const { rowCount } = await pool.query(`
+    DELETE FROM ticket_requests
+     WHERE created_at < now() - make_interval(mins => GREATEST($1 * 60, $2))
+  `, [KEY_HOURS, Math.max(DEDUPE_MINUTES, 0)]);
+  if (rowCount > 0) console.log(`[Tickets] Purged ${rowCount} old create-ticket records`);
+  return rowCount;
+}
+
+module.exports = {
+  DEDUPE_MINUTES,
+  requestHash,
+  externalId,
+  begin,
+  finish,
+  abandon,
+  uncertain,
+  purge
+};
@@ -8,6 +8,8 @@ const ZENDESK_TOKEN     = process.env.ZENDESK_API_TOKEN;
 
 const BASE_URL = `https://${ZENDESK_SUBDOMAIN}.zendesk.com/api/v2`;
 const CUSTOM_OBJECT_KEY = 'asset';
+// How long an attachment upload may go without progress.
+const UPLOAD_TIMEOUT_MS = parseInt(process.env.ZENDESK_UPLOAD_TIMEOUT_MS || '60000', 10);
 
 // Axios instance with basic auth
 const zendeskApi = axios.create({
@@ -291,6 +293,23 @@ async function createAsset(attrs) {
   return res.data;
 }
 
+// Submit a custom object bulk job for asset records. `action` is one of the
+// job API's actions (create, update, ...); Zendesk takes at most 100 items per
+// job, so callers batch. Returns the job_status to poll.
+async function submitAssetJob(action, items) {
+  const res = await zendeskApi.post(
+    `/custom_objects/${CUSTOM_OBJECT_KEY}/jobs`,
+    { job: { action, items } }
+  );
+  return res.data.job_status;
+}
+
+// Poll a background job started by submitAssetJob (or any other job)
+async function getJobStatus(jobId) {
+  const res = await zendeskApi.get(`/job_statuses/${jobId}.json`);
+  return res.data.job_status;
+}
+
 // Get the schema (fields + options) for your asset custom object
 async function getAssetFields() {
   try {
@@ -308,6 +327,53 @@ async function createTicket(ticketData) {
   return res.data.ticket;
 }
 
+// Get one ticket by ID
+async function getTicket(ticketId) {
+  const res = await zendeskApi.get(`/tickets/${ticketId}.json`);
+  return res.data.ticket;
+}
+
+// Tickets with an external_id, oldest first.
+async function findTicketsByExternalId(externalId) {
+  const res = await zendeskApi.get('/tickets.json', { params: { external_id: externalId } });
+  return res.data.tickets || [];
+}
+
+// Update a ticket: status, a comment, additional_tags / remove_tags, ...
+async function updateTicket(ticketId, changes) {
+  const res = await zendeskApi.put(`/tickets/${ticketId}.json`, { ticket: changes });
+  return res.data.ticket;
+}
+
+// Email someone from a ticket without copying the requester.
+// message: { subject, body, to: [{ email, name }] }
+async function createSideConversation(ticketId, message) {
+  const res = await zendeskApi.post(`/tickets/${ticketId}/side_conversations`, { message });
+  return res.data.side_conversation;
+}
+
+// Upload one attachment from a stream. Pass `token` to add it to an
+// earlier upload, and `signal` (an AbortSignal) to be able to cancel it.
+// Returns the upload ({ token, attachment }). A large file may take
+// minutes, so the timeout is on the connection going quiet (see
+// ZENDESK_UPLOAD_TIMEOUT_MS), not on the whole upload.
+async function uploadFile(filename, contentType, stream, { token = null, signal } = {}) {
+  const res = await zendeskApi.post('/uploads.json', stream, {
+    params: { filename, ...(token ? { token } : {}) },
+    headers: { 'Content-Type': contentType },
+    maxBodyLength: Infinity,
+    maxContentLength: Infinity,
+    timeout: UPLOAD_TIMEOUT_MS,
+    signal
+  });
+  return res.data.upload;
+}
+
+// Throw away an upload that will not be used on a ticket.
+async function deleteUpload(token) {
+  await zendeskApi.delete(`/uploads/${encodeURIComponent(token)}.json`);
+}
+
 // Test connection to Zendesk API
 async function testConnection() {
   try {
@@ -363,9 +429,17 @@ module.exports = {
   deleteAsset,
   createAsset,
   getAssetFields,
+  submitAssetJob,
+  getJobStatus,
 
   // tickets
   createTicket,
+  getTicket,
+  findTicketsByExternalId,
+  updateTicket,
+  createSideConversation,
+  uploadFile,
+  deleteUpload,
 
   // ticket metrics
   getTicketMetrics,
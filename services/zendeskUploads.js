@@ -0,0 +1,205 @@
+'use strict';
+
+/**
+ * Multipart attachment uploads to Zendesk for POST /api/zendesk/upload.
+ *
+ * Each file part is streamed straight into Zendesk's uploads API as it
+ * arrives, so no file is held in memory. A file is allowed by its extension,
+ * which also decides its size limit and the Content-Type Zendesk is given
+ * (browsers often send application/octet-stream). A call is all or nothing:
+ * if any file is refused or fails, the files already uploaded are deleted
+ * again and the call fails with the reasons per file.
+ */
+
+const { Transform, pipeline } = require('stream');
+const busboy = require('busboy');
+const { uploadFile, deleteUpload } = require('./zendesk');
+
+const MB = 1024 * 1024;
+
+// Files per call.
+const MAX_FILES = 10;
+
+const IMAGE_LIMIT = 10 * MB;
+const DOCUMENT_LIMIT = 25 * MB;
+// Zendesk's own attachment limit.
+const ARCHIVE_LIMIT = 50 * MB;
+
+// extension -> { contentType, maxBytes }
+const ALLOWED_TYPES = {
+  png: { contentType: 'image/png', maxBytes: IMAGE_LIMIT },
+  jpg: { contentType: 'image/jpeg', maxBytes: IMAGE_LIMIT },
+  jpeg: { contentType: 'image/jpeg', maxBytes: IMAGE_LIMIT },
+  gif: { contentType: 'image/gif', maxBytes: IMAGE_LIMIT },
+  webp: { contentType: 'image/webp', maxBytes: IMAGE_LIMIT },
+  heic: { contentType: 'image/heic', maxBytes: IMAGE_LIMIT },
+  pdf: { contentType: 'application/pdf', maxBytes: DOCUMENT_LIMIT },
+  txt: { contentType: 'text/plain', maxBytes: DOCUMENT_LIMIT },
+  log: { contentType: 'text/plain', maxBytes: DOCUMENT_LIMIT },
+  csv: { contentType: 'text/csv', maxBytes: DOCUMENT_LIMIT },
+  eml: { contentType: 'message/rfc822', maxBytes: DOCUMENT_LIMIT },
+  doc: { contentType: 'application/msword', maxBytes: DOCUMENT_LIMIT },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', maxBytes: DOCUMENT_LIMIT },
+  xls: { contentType: 'application/vnd.ms-excel', maxBytes: DOCUMENT_LIMIT },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', maxBytes: DOCUMENT_LIMIT },
+  pptx: { contentType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', maxBytes: DOCUMENT_LIMIT },
+  zip: { contentType: 'application/zip', maxBytes: ARCHIVE_LIMIT },
+  mp4: { contentType: 'video/mp4', maxBytes: ARCHIVE_LIMIT },
+  mov: { contentType: 'video/quicktime', maxBytes: ARCHIVE_LIMIT }
+};
+
+const LARGEST_LIMIT = Math.max(...Object.values(ALLOWED_TYPES).map(t => t.maxBytes));
+
+function failure(status, message, extra = {}) {
+  return Object.assign(new Error(message), { status, ...extra });
+}
+
+function typeOf(filename) {
+  const match = /\.([A-Za-z0-9]+)$/.exec(filename || '');
+  return match ? ALLOWED_TYPES[match[1].toLowerCase()] || null : null;
+}
+
+/**
+ * Passes bytes through and counts them (`counted.bytes`). Past `maxBytes`
+ * it calls `tooLarge` with a 413 and drops the rest of the part, so the
+ * part is still read to its end; it then fails with that 413 as it ends.
+ * An empty file fails with a 400.
+ */
+function sizeLimit(filename, maxBytes, tooLarge) {
+  const counted = new Transform({
+    transform(chunk, encoding, callback) {
+      if (counted.failure) return callback();
+      counted.bytes += chunk.length;
+      if (counted.bytes > maxBytes) {
+        counted.failure = failure(413, `${filename} is larger than ${Math.round(maxBytes / MB)} MB`);
+        tooLarge(counted.failure);
+        return callback();
+      }
+      callback(null, chunk);
+    },
+    flush(callback) {
+      callback(counted.failure || (counted.bytes === 0 ? failure(400, `${filename} is empty`) : null));
+    }
+  });
+  counted.bytes = 0;
+  counted.failure = null;
+  return counted;
+}
+
+/**
+ * Streams one file part to Zendesk. Resolves to the upload, or rejects with
+ * a status: 413 too large, 400 empty or cut short, 502 Zendesk refused it.
+ * The part reaches the upload through pipeline(), so a part cut short by an
+ * aborted request fails the upload instead of leaving it waiting.
+ */
+function sendFile(filename, type, file) {
+  const upload = new AbortController();
+  let stop;
+  const stopped = new Promise((resolve, reject) => { stop = reject; });
+  const meter = sizeLimit(filename, type.maxBytes, error => {
+    upload.abort();
+    stop(error);
+  });
+  pipeline(file, meter, error => {
+    if (error) stop(error.status ? error : failure(400, `${filename} was not received: ${error.message}`));
+  });
+
+  const uploaded = uploadFile(filename, type.contentType, meter, { signal: upload.signal }).then(
+    result => ({ upload: result, size: meter.bytes }),
+    error => {
+      // Nothing reads the meter now; let the rest of the part through so
+      // the rest of the request can be parsed.
+      meter.resume();
+      throw failure(502, `Zendesk did not take ${filename}: ${error.response?.data?.error || error.message}`);
+    }
+  );
+  // A size or read error wins over the failed upload it causes.
+  return Promise.race([stopped, uploaded]);
+}
+
+async function discard(uploads) {
+  for (const { token } of uploads) {
+    await deleteUpload(token).catch(error => {
+      console.warn(`[Zendesk Upload] Could not delete unused upload ${token}:`, error.message);
+    });
+  }
+}
+
+/**
+ * Reads a multipart/form-data request and uploads every file in it. Resolves
+ * to [{ filename, content_type, size, token, attachment }] in request order.
+ * Rejects with `status` and, when files were refused, `errors` as
+ * [{ filename, error }].
+ */
+function receiveUploads(req) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: MAX_FILES, fileSize: LARGEST_LIMIT + 1, fields: 20, fieldSize: 64 * 1024 }
+      });
+    } catch (error) {
+      return reject(failure(400, error.message));
+    }
+
+    const sends = [];
+    const refused = [];
+    let tooMany = false;
+    let broken = false;
+
+    parser.on('file', (field, file, { filename }) => {
+      const type = typeOf(filename);
+      if (!filename || !type || refused.length > 0) {
+        file.resume();
+        if (!filename) refused.push({ filename: null, error: `Part "${field}" has no filename`, status: 400 });
+        else if (!type) refused.push({ filename, error: `${filename} is not an allowed file type`, status: 415 });
+        return;
+      }
+      const index = sends.length;
+      sends.push(sendFile(filename, type, file).then(
+        ({ upload, size }) => ({ index, filename, content_type: type.contentType, size, token: upload.token, attachment: upload.attachment }),
+        error => {
+          refused.push({ filename, error: error.message, status: error.status || 500 });
+          return null;
+        }
+      ));
+    });
+    // Whatever was uploaded before a broken request is of no use.
+    const abandon = async error => {
+      broken = true;
+      await discard((await Promise.all(sends)).filter(Boolean));
+      reject(failure(400, `Could not read the upload: ${error.message}`));
+    };
+
+    parser.on('filesLimit', () => { tooMany = true; });
+    parser.on('error', abandon);
+    parser.on('close', async () => {
+      if (broken) return;
+      const uploads = (await Promise.all(sends)).filter(Boolean).sort((a, b) => a.index - b.index);
+      if (tooMany) {
+        refused.push({ filename: null, error: `At most ${MAX_FILES} files per upload`, status: 400 });
+      }
+      if (refused.length > 0) {
+        await discard(uploads);
+        const statuses = new Set(refused.map(r => r.status));
+        return reject(failure(statuses.size === 1 ? [...statuses][0] : 400, 'Files were not uploaded', {
+          errors: refused.map(({ filename, error }) => ({ filename, error }))
+        }));
+      }
+      if (uploads.length === 0) return reject(failure(400, 'No files in the request'));
+      resolve(uploads.map(({ index, ...upload }) => upload));
+    });
+
+    req.on('aborted', () => {
+      parser.destroy(new Error('Request aborted'));
+    });
+    req.pipe(parser);
+  });
+}
+
+module.exports = {
+  MAX_FILES,
+  ALLOWED_TYPES,
+  receiveUploads
+};
@@ -0,0 +1,190 @@
+import React from "react";
+
+// Renders the asset custom object's fields from GET /api/assets/schema, so a
+// field added in Zendesk appears here without a code change. Both the edit
+// view and the catalog request form use it.
+
+/**
+ * Schema fields in Zendesk's display order, as [key, property] pairs.
+ */
+export function orderedFields(schema) {
+  return Object.entries(schema || {}).sort(
+    ([, a], [, b]) => (a.position ?? 0) - (b.position ?? 0)
+  );
+}
+
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+/**
+ * Returns a list of human-readable problems; empty when the values are valid.
+ */
+export function validateAsset(schema, values) {
+  const errors = [];
+  for (const [key, field] of orderedFields(schema)) {
+    const value = values[key];
+    if (field.type === "checkbox") continue;
+
+    if (isEmpty(value)) {
+      if (field.required) errors.push(`${field.title} is required.`);
+      continue;
+    }
+
+    if (field.type === "integer" && !/^-?\d+$/.test(String(value).trim())) {
+      errors.push(`${field.title} must be a whole number.`);
+    }
+    if (field.type === "decimal" && Number.isNaN(Number(value))) {
+      errors.push(`${field.title} must be a number.`);
+    }
+    if (field.pattern && typeof value === "string") {
+      try {
+        if (!new RegExp(field.pattern).test(value)) {
+          errors.push(`${field.title} is not in the expected format.`);
+        }
+      } catch (err) {
+        // A pattern the browser cannot compile is Zendesk's to enforce.
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Converts form values to what the custom objects API expects: numbers for
+ * numeric fields, booleans for checkboxes, null for a cleared field. Keys the
+ * schema does not know are passed through untouched.
+ */
+export function toAssetPayload(schema, values) {
+  const payload = { ...values };
+  for (const [key, field] of orderedFields(schema)) {
+    if (!(key in payload)) continue;
+    const value = payload[key];
+
+    if (field.type === "checkbox") {
+      payload[key] = value === true || value === "true";
+    } else if (isEmpty(value)) {
+      payload[key] = null;
+    } else if (field.type === "integer") {
+      payload[key] = parseInt(value, 10);
+    } else if (field.type === "decimal") {
+      payload[key] = Number(value);
+    }
+  }
+  return payload;
+}
+
+function FieldInput({ name, field, value, onChange, users, organizations }) {
+  const set = (next) => onChange(name, next);
+
+  switch (field.type) {
+    case "textarea":
+      return <textarea name={name} value={value || ""} onChange={(e) => set(e.target.value)} />;
+
+    case "checkbox":
+      return (
+        <input
+          type="checkbox"
+          name={name}
+          checked={value === true || value === "true"}
+          onChange={(e) => set(e.target.checked)}
+        />
+      );
+
+    case "date":
+      return (
+        <input
+          type="date"
+          name={name}
+          value={value ? String(value).slice(0, 10) : ""}
+          onChange={(e) => set(e.target.value)}
+        />
+      );
+
+    case "integer":
+    case "decimal":
+      return (
+        <input
+          type="number"
+          step={field.type === "integer" ? "1" : "any"}
+          name={name}
+          value={value ?? ""}
+          onChange={(e) => set(e.target.value)}
+        />
+      );
+
+    case "dropdown":
+      return (
+        <select name={name} value={value || ""} onChange={(e) => set(e.target.value)}>
+          <option value="">-- Select {field.title} --</option>
+          {field.options.map((option) => (
+            <option key={option.id || option.value} value={option.value}>{option.name}</option>
+          ))}
+        </select>
+      );
+
+    case "multiselect":
+      return (
+        <select
+          multiple
+          name={name}
+          value={Array.isArray(value) ? value : []}
+          onChange={(e) => set(Array.from(e.target.selectedOptions, (o) => o.value))}
+        >
+          {field.options.map((option) => (
+            <option key={option.id || option.value} value={option.value}>{option.name}</option>
+          ))}
+        </select>
+      );
+
+    case "lookup": {
+      const choices =
+        field.target === "zen:user" ? users :
+        field.target === "zen:organization" ? organizations :
+        null;
+
+      if (choices) {
+        return (
+          <select name={name} value={value ? String(value) : ""} onChange={(e) => set(e.target.value)}>
+            <option value="">-- Select {field.title} --</option>
+            {choices.map((choice) => (
+              <option key={choice.id} value={String(choice.id)}>{choice.name}</option>
+            ))}
+          </select>
+        );
+      }
+      // Lookups to other objects take the record id directly.
+      return <input name={name} value={value || ""} placeholder="Record ID" onChange={(e) => set(e.target.value)} />;
+    }
+
+    default:
+      return <input name={name} value={value ?? ""} onChange={(e) => set(e.target.value)} />;
+  }
+}
+
+export default function AssetForm({ schema, values, onChange, users = [], organizations = [] }) {
+  return (
+    <div>
+      {orderedFields(schema).map(([key, field]) => (
+        <div key={key} style={{ marginBottom: 4 }}>
+          <label title={field.description || undefined}>
+            {field.title}{field.required ? " *" : ""}:{" "}
+            <FieldInput
+              name={key}
+              field={field}
+              value={values[key]}
+              onChange={onChange}
+              users={users}
+              organizations={organizations}
+            />
+          </label>
+        </div>
+      ))}
+    </div>
+  );
+}
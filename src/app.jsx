@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from "react";
 import ReactDOM from "react-dom/client";
+import AssetForm, { toAssetPayload, validateAsset } from "./AssetForm";
 
 const BACKEND_BASE_URL = "https://intlxassetmgr-proxy.onrender.com";
 
@@ -13,6 +14,21 @@ function App() {
   const [organizations, setOrganizations] = useState([]);
   const [newAssetForm, setNewAssetForm] = useState({});
   const [newAssetRequest, setNewAssetRequest] = useState([]);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [schema, setSchema] = useState({});
+  const [lifecycle, setLifecycle] = useState({ statuses: [], transitions: [] });
+  const [statusReason, setStatusReason] = useState("");
+  const [query, setQuery] = useState("");
+  const [requesterOnly, setRequesterOnly] = useState(true);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [searching, setSearching] = useState(false);
+  const [ticketId, setTicketId] = useState(null);
+  const [linkedAssets, setLinkedAssets] = useState([]);
+  const [assetTickets, setAssetTickets] = useState({ tickets: [], totals: null });
+  const [currentLoan, setCurrentLoan] = useState(null);
+  const [loanForm, setLoanForm] = useState(null);
 
   useEffect(() => {
     if (!window.ZAFClient) {
@@ -28,14 +44,29 @@ function App() {
         const ticketData = await client.get("ticket.requester");
         setRequester(ticketData["ticket.requester"]);
 
+        const userData = await client.get("currentUser");
+        setCurrentUser(userData.currentUser);
+
+        const ticketIdData = await client.get("ticket.id");
+        const currentTicketId = ticketIdData["ticket.id"];
+        setTicketId(currentTicketId);
+        if (currentTicketId) loadLinkedAssets(currentTicketId);
+
         const userId = ticketData["ticket.requester"]?.id;
         if (userId) {
-          fetch(`${BACKEND_BASE_URL}/api/user-assets?user_id=${userId}`)
-            .then((res) => res.json())
-            .then((data) => setAssets(data.assets || []))
-            .finally(() => setLoading(false));
+          searchAssets({ userId }).finally(() => setLoading(false));
         }
 
+        fetch(`${BACKEND_BASE_URL}/api/assets/schema`)
+          .then((res) => res.json())
+          .then((data) => setSchema(data.properties || {}))
+          .catch(() => setSchema({}));
+
+        fetch(`${BACKEND_BASE_URL}/api/assets/lifecycle`)
+          .then((res) => res.json())
+          .then((data) => setLifecycle({ statuses: data.statuses || [], transitions: data.transitions || [] }))
+          .catch(() => setLifecycle({ statuses: [], transitions: [] }));
+
         fetch(`${BACKEND_BASE_URL}/api/users`)
           .then((res) => res.json())
           .then((data) => setUsers(data.users || []))
@@ -53,47 +84,236 @@ function App() {
     load();
   }, []);
 
+  // Loads the first page of a search, or the next page when `cursor` is given.
+  // Without a search, the list is the requester's assets.
+  async function searchAssets({ userId, text = query, cursor = null } = {}) {
+    const params = new URLSearchParams({ limit: "20", sort: "name" });
+    if (text.trim()) params.set("q", text.trim());
+    if (userId) params.set("user_id", String(userId));
+    if (cursor) params.set("cursor", cursor);
+
+    setSearching(true);
+    try {
+      const res = await fetch(`${BACKEND_BASE_URL}/api/assets/search?${params}`);
+      if (!res.ok) throw new Error("Search failed: " + res.status);
+      const data = await res.json();
+      setAssets((prev) => (cursor ? [...prev, ...data.assets] : data.assets));
+      setNextCursor(data.next_cursor);
+      setTotal(data.total);
+    } catch (err) {
+      console.error("Error searching assets:", err);
+      if (!cursor) setAssets([]);
+    } finally {
+      setSearching(false);
+    }
+  }
+
+  function searchScope() {
+    return requesterOnly && requester?.id ? requester.id : undefined;
+  }
+
+  function handleSearch(e) {
+    e.preventDefault();
+    searchAssets({ userId: searchScope() });
+  }
+
+  function handleLoadMore() {
+    searchAssets({ userId: searchScope(), cursor: nextCursor });
+  }
+
+  // Identifies the agent making a change, for the asset history.
+  function actorHeaders() {
+    return {
+      "X-Actor-Id": currentUser?.id ? String(currentUser.id) : "",
+      "X-Actor-Name": currentUser?.name || "",
+      "X-Asset-Source": "sidebar",
+    };
+  }
+
+  function loadHistory(assetId) {
+    setHistory([]);
+    fetch(`${BACKEND_BASE_URL}/api/assets/${assetId}/history`)
+      .then((res) => res.json())
+      .then((data) => setHistory(data.events || []))
+      .catch(() => setHistory([]));
+  }
+
+  function loadLinkedAssets(id) {
+    fetch(`${BACKEND_BASE_URL}/api/tickets/${id}/assets`)
+      .then((res) => res.json())
+      .then((data) => setLinkedAssets(data.assets || []))
+      .catch(() => setLinkedAssets([]));
+  }
+
+  function loadAssetTickets(assetId) {
+    setAssetTickets({ tickets: [], totals: null });
+    fetch(`${BACKEND_BASE_URL}/api/assets/${assetId}/tickets`)
+      .then((res) => res.json())
+      .then((data) => setAssetTickets({ tickets: data.tickets || [], totals: data.totals || null }))
+      .catch(() => setAssetTickets({ tickets: [], totals: null }));
+  }
+
+  function loadLoan(assetId) {
+    setCurrentLoan(null);
+    fetch(`${BACKEND_BASE_URL}/api/assets/${assetId}/loans`)
+      .then((res) => res.json())
+      .then((data) => setCurrentLoan(data.current || null))
+      .catch(() => setCurrentLoan(null));
+  }
+
   function handleAssetClick(asset) {
     setSelectedAsset(asset);
-    setFormData({
-      ...asset.custom_object_fields,
-      assigned_to_user: asset.custom_object_fields?.assigned_to || '',
-      assigned_to_org: asset.custom_object_fields?.organization || ''
-    });
+    setFormData({ ...asset.custom_object_fields });
+    setStatusReason("");
+    setLoanForm(null);
+    loadHistory(asset.id);
+    loadAssetTickets(asset.id);
+    loadLoan(asset.id);
   }
 
-  function handleInputChange(e, setTargetState) {
-    const { name, value } = e.target;
-    setTargetState((prev) => ({ ...prev, [name]: value }));
+  // Opens the check-out or check-in form. Check-out lends to the ticket
+  // requester unless the agent picks someone else.
+  function startLoanForm(mode) {
+    const inTwoWeeks = new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    setLoanForm(
+      mode === "checkout"
+        ? { mode, borrower: requester?.id ? String(requester.id) : "", expected_return_on: inTwoWeeks, condition: "" }
+        : { mode, condition: "" }
+    );
   }
 
-  async function handleSave() {
-    if (!selectedAsset) return;
+  async function handleLoanSubmit() {
+    if (!selectedAsset || !loanForm) return;
+    const checkout = loanForm.mode === "checkout";
+    if (checkout && (!loanForm.borrower || !loanForm.expected_return_on)) {
+      alert("Please choose a borrower and an expected return date.");
+      return;
+    }
+
+    const borrower = users.find((u) => String(u.id) === loanForm.borrower) ||
+      (requester && String(requester.id) === loanForm.borrower ? requester : null);
+    const body = checkout
+      ? {
+          borrower_user_id: loanForm.borrower,
+          borrower_name: borrower?.name || "",
+          expected_return_on: loanForm.expected_return_on,
+          condition: loanForm.condition,
+          ticket_id: ticketId || undefined,
+        }
+      : { condition: loanForm.condition };
+
     try {
-      let payload = { ...formData };
-
-      if (formData.assigned_to_user) {
-        payload.assigned_to = formData.assigned_to_user;
-        delete payload.assigned_to_org;
-      } else if (formData.assigned_to_org) {
-        payload.assigned_to = formData.assigned_to_org;
-        delete payload.assigned_to_user;
-      } else {
-        delete payload.assigned_to_user;
-        delete payload.assigned_to_org;
+      const res = await fetch(`${BACKEND_BASE_URL}/api/assets/${selectedAsset.id}/${checkout ? "checkout" : "checkin"}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...actorHeaders() },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || "Request failed: " + res.status);
+
+      setSelectedAsset(data.record);
+      setFormData({ ...data.record.custom_object_fields });
+      setAssets((prev) => prev.map((a) => (a.id === data.record.id ? data.record : a)));
+      setCurrentLoan(checkout ? data.loan : null);
+      setLoanForm(null);
+      loadHistory(selectedAsset.id);
+    } catch (err) {
+      alert((checkout ? "Check-out" : "Check-in") + " failed: " + err.message);
+    }
+  }
+
+  const isLinked = selectedAsset && linkedAssets.some((l) => l.asset_id === selectedAsset.id);
+
+  async function handleToggleLink() {
+    if (!selectedAsset || !ticketId) return;
+    const url = isLinked
+      ? `${BACKEND_BASE_URL}/api/tickets/${ticketId}/assets/${selectedAsset.id}`
+      : `${BACKEND_BASE_URL}/api/tickets/${ticketId}/assets`;
+    try {
+      const res = await fetch(url, {
+        method: isLinked ? "DELETE" : "POST",
+        headers: { "Content-Type": "application/json", ...actorHeaders() },
+        body: isLinked ? undefined : JSON.stringify({ asset_id: selectedAsset.id }),
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error(body.error || "Request failed: " + res.status);
       }
+      loadLinkedAssets(ticketId);
+      loadAssetTickets(selectedAsset.id);
+      loadHistory(selectedAsset.id);
+    } catch (err) {
+      alert("Could not update the ticket link: " + err.message);
+    }
+  }
 
-      delete payload.assigned_to_user;
-      delete payload.assigned_to_org;
+  // Statuses the server will accept for this asset: where it is now plus the
+  // moves the lifecycle allows from there. Legacy values are matched the way
+  // services/assetLifecycle.js reads them.
+  function allowedStatuses(current) {
+    const legacy = { active: "deployed", inactive: "in_stock" };
+    const from = legacy[current] || current;
+    if (!from || !lifecycle.statuses.some((s) => s.status === from)) {
+      return lifecycle.statuses.filter((s) => s.initial).map((s) => s.status).concat(current ? [current] : []);
+    }
+    return lifecycle.transitions
+      .filter((t) => t.from_status === from)
+      .map((t) => t.to_status)
+      .concat([current]);
+  }
+
+  // The edit form's schema, with the status dropdown narrowed to legal moves.
+  function editSchema() {
+    if (!schema.status || lifecycle.statuses.length === 0) return schema;
+    const allowed = allowedStatuses(selectedAsset?.custom_object_fields?.status);
+    return {
+      ...schema,
+      status: {
+        ...schema.status,
+        options: schema.status.options.filter((o) => allowed.includes(o.value)),
+      },
+    };
+  }
+
+  function statusNeedsReason() {
+    const original = selectedAsset?.custom_object_fields?.status;
+    if (!formData.status || formData.status === original) return false;
+    return lifecycle.statuses.some((s) => s.status === formData.status && s.requires_reason);
+  }
+
+  function fieldSetter(setTargetState) {
+    return (name, value) => setTargetState((prev) => ({ ...prev, [name]: value }));
+  }
+
+  async function handleSave() {
+    if (!selectedAsset) return;
+
+    const errors = validateAsset(schema, formData);
+    if (errors.length > 0) {
+      alert(errors.join("\n"));
+      return;
+    }
+
+    if (statusNeedsReason() && !statusReason.trim()) {
+      alert("Please give a reason for marking this asset " + formData.status + ".");
+      return;
+    }
+
+    try {
+      const payload = toAssetPayload(schema, formData);
+      if (statusNeedsReason()) payload.status_reason = statusReason.trim();
 
       const res = await fetch(`${BACKEND_BASE_URL}/api/assets/${selectedAsset.id}`, {
         method: "PATCH",
-        headers: { "Content-Type": "application/json" },
+        headers: { "Content-Type": "application/json", ...actorHeaders() },
         body: JSON.stringify(payload),
       });
 
-      if (!res.ok) throw new Error("Failed to update asset");
-      const updatedAsset = await res.json();
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error(body.error || "Failed to update asset");
+      }
+      const updatedAsset = (await res.json()).record;
 
       setAssets((prevAssets) =>
         prevAssets.map((a) => (a.id === updatedAsset.id ? updatedAsset : a))
@@ -105,15 +325,15 @@ function App() {
     }
   }
 
+  // Files a catalog request for the requester; their manager, from their
+  // Zendesk profile, is asked to approve it.
   async function handleSubmitNewRequest() {
     try {
       if (!newAssetRequest.length || !requester) return;
       const payload = {
         subject: "New Asset Catalog Request",
-        description: "Catalog request submission",
         name: requester.name,
         email: requester.email,
-        approved_by: requester.name,
         assets: newAssetRequest,
       };
       const res = await fetch(`${BACKEND_BASE_URL}/api/ticket`, {
@@ -121,8 +341,12 @@ function App() {
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(payload),
       });
-      if (!res.ok) throw new Error("Request failed: " + res.status);
-      alert("Request submitted!");
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || "Request failed: " + res.status);
+      alert(
+        `Request submitted as ticket #${data.ticket.id}.` +
+          (data.request?.approval_status === "pending" ? " Waiting for manager approval." : "")
+      );
       setNewAssetRequest([]);
       setNewAssetForm({});
     } catch (err) {
@@ -131,15 +355,13 @@ function App() {
   }
 
   function handleAddNewAsset() {
-    const requiredFields = ["asset_name", "manufacturer", "model_number"];
-    const isValid = requiredFields.every((field) => newAssetForm[field]?.trim());
-
-    if (!isValid) {
-      alert("Please fill in required fields: Asset Name, Manufacturer, and Model Number.");
+    const errors = validateAsset(schema, newAssetForm);
+    if (errors.length > 0) {
+      alert("Please fix the following:\n" + errors.join("\n"));
       return;
     }
 
-    setNewAssetRequest((prev) => [...prev, { ...newAssetForm }]);
+    setNewAssetRequest((prev) => [...prev, toAssetPayload(schema, newAssetForm)]);
     setNewAssetForm({});
   }
 
@@ -153,6 +375,35 @@ function App() {
     <div style={{ fontFamily: "sans-serif", padding: 8 }}>
       <h2>Asset Manager (React)</h2>
       <div><b>Requester:</b> {requester ? requester.name : "Unknown"}</div>
+      {linkedAssets.length > 0 && (
+        <div>
+          <b>Linked to this ticket:</b>{" "}
+          {linkedAssets.map((l) => l.name || l.asset_id).join(", ")}
+        </div>
+      )}
+
+      {!selectedAsset && (
+        <form onSubmit={handleSearch} style={{ marginTop: 10 }}>
+          <input
+            type="search"
+            placeholder="Search name, serial, tag or host name"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            style={{ width: "70%" }}
+          />{" "}
+          <button type="submit" disabled={searching}>Search</button>
+          <div>
+            <label>
+              <input
+                type="checkbox"
+                checked={requesterOnly}
+                onChange={(e) => setRequesterOnly(e.target.checked)}
+              />{" "}
+              Only {requester ? requester.name : "the requester"}'s assets
+            </label>
+          </div>
+        </form>
+      )}
 
       {!selectedAsset && (
         <ul style={{ marginTop: 10 }}>
@@ -171,9 +422,19 @@ function App() {
               {`${a.name || "No Tag"} - ${a.custom_object_fields?.asset_name || "Unnamed Asset"}`}
             </li>
           ))}
+          {assets.length === 0 && !searching && <li style={{ color: "#666", listStyle: "none" }}>No assets found.</li>}
         </ul>
       )}
 
+      {!selectedAsset && assets.length > 0 && (
+        <div style={{ fontSize: 12, color: "#666" }}>
+          Showing {assets.length} of {total}{" "}
+          {nextCursor && (
+            <button onClick={handleLoadMore} disabled={searching}>Load more</button>
+          )}
+        </div>
+      )}
+
       {selectedAsset && (
         <div style={{ marginTop: 20 }}>
           <button onClick={handleBack} style={{ marginBottom: 10 }}>
@@ -182,46 +443,127 @@ function App() {
           <h3>Edit Asset Details</h3>
 
           <label>Asset Tag: <b>{selectedAsset.name || "No Tag"}</b></label><br />
+          {ticketId && (
+            <button onClick={handleToggleLink} style={{ margin: "6px 0" }}>
+              {isLinked ? "Unlink from this ticket" : "Link to this ticket"}
+            </button>
+          )}
+
+          <div style={{ margin: "6px 0", padding: 6, border: "1px solid #ddd", borderRadius: 4 }}>
+            {currentLoan ? (
+              <div style={{ fontSize: 12 }}>
+                On loan to <b>{currentLoan.borrower_name || currentLoan.borrower_user_id}</b>, due back{" "}
+                {String(currentLoan.expected_return_on).slice(0, 10)}
+              </div>
+            ) : (
+              <div style={{ fontSize: 12, color: "#666" }}>Not on loan.</div>
+            )}
+
+            {!loanForm && (
+              <button onClick={() => startLoanForm(currentLoan ? "checkin" : "checkout")}>
+                {currentLoan ? "Check in" : "Check out"}
+              </button>
+            )}
+
+            {loanForm && (
+              <div>
+                {loanForm.mode === "checkout" && (
+                  <>
+                    <label>
+                      Borrower:{" "}
+                      <select
+                        value={loanForm.borrower}
+                        onChange={(e) => setLoanForm((f) => ({ ...f, borrower: e.target.value }))}
+                      >
+                        <option value="">-- Select borrower --</option>
+                        {requester?.id && !users.some((u) => String(u.id) === String(requester.id)) && (
+                          <option value={String(requester.id)}>{requester.name}</option>
+                        )}
+                        {users.map((u) => (
+                          <option key={u.id} value={String(u.id)}>{u.name}</option>
+                        ))}
+                      </select>
+                    </label><br />
+                    <label>
+                      Expected return:{" "}
+                      <input
+                        type="date"
+                        value={loanForm.expected_return_on}
+                        onChange={(e) => setLoanForm((f) => ({ ...f, expected_return_on: e.target.value }))}
+                      />
+                    </label><br />
+                  </>
+                )}
+                <label>
+                  Condition notes:{" "}
+                  <textarea
+                    value={loanForm.condition}
+                    onChange={(e) => setLoanForm((f) => ({ ...f, condition: e.target.value }))}
+                  />
+                </label><br />
+                <button onClick={handleLoanSubmit}>
+                  {loanForm.mode === "checkout" ? "Confirm check-out" : "Confirm check-in"}
+                </button>{" "}
+                <button onClick={() => setLoanForm(null)}>Cancel</button>
+              </div>
+            )}
+          </div>
 
-          <label>
-            Asset Name: <input name="asset_name" value={formData.asset_name || ""} onChange={(e) => handleInputChange(e, setFormData)} />
-          </label><br />
-
-          <label>
-            Serial Number: <input name="serial_number" value={formData.serial_number || ""} onChange={(e) => handleInputChange(e, setFormData)} />
-          </label><br />
-
-          <label>
-            Status:
-            <select name="status" value={formData.status || ""} onChange={(e) => handleInputChange(e, setFormData)}>
-              <option value="">-- Select Status --</option>
-              <option value="active">Active</option>
-              <option value="inactive">Inactive</option>
-              <option value="retired">Retired</option>
-            </select>
-          </label><br />
-
-          <label>
-            Assigned To User:
-            <select name="assigned_to_user" value={formData.assigned_to_user || ""} onChange={(e) => handleInputChange(e, setFormData)}>
-              <option value="">-- Select User --</option>
-              {users.map((user) => (
-                <option key={user.id} value={user.id}>{user.name}</option>
-              ))}
-            </select>
-          </label><br />
-
-          <label>
-            Organization:
-            <select name="assigned_to_org" value={formData.assigned_to_org || ""} onChange={(e) => handleInputChange(e, setFormData)}>
-              <option value="">-- Select Organization --</option>
-              {organizations.map((org) => (
-                <option key={org.id} value={org.id}>{org.name}</option>
-              ))}
-            </select>
-          </label><br />
+          <AssetForm
+            schema={editSchema()}
+            values={formData}
+            onChange={fieldSetter(setFormData)}
+            users={users}
+            organizations={organizations}
+          />
+
+          {statusNeedsReason() && (
+            <label>
+              Reason for {formData.status} *:{" "}
+              <textarea value={statusReason} onChange={(e) => setStatusReason(e.target.value)} />
+            </label>
+          )}
 
           <button onClick={handleSave} style={{ marginTop: 10 }}>Save</button>
+
+          <h4 style={{ marginTop: 20 }}>Tickets</h4>
+          {assetTickets.totals && assetTickets.totals.tickets > 0 && (
+            <div style={{ fontSize: 12, color: "#444" }}>
+              {assetTickets.totals.tickets} tickets ({assetTickets.totals.open} open),{" "}
+              {assetTickets.totals.time_logged_minutes} min logged,{" "}
+              {assetTickets.totals.billable_minutes} min billable
+            </div>
+          )}
+          {assetTickets.tickets.length === 0 && <div style={{ color: "#666" }}>No linked tickets.</div>}
+          <ul style={{ paddingLeft: 16 }}>
+            {assetTickets.tickets.map((t) => (
+              <li key={t.ticket_id} style={{ fontSize: 12 }}>
+                #{t.ticket_id} {t.subject || "(not synced yet)"}
+                {t.synced && ` - ${t.status}, ${t.time_logged_minutes} min`}
+              </li>
+            ))}
+          </ul>
+
+          <h4 style={{ marginTop: 20 }}>History</h4>
+          {history.length === 0 && <div style={{ color: "#666" }}>No recorded changes.</div>}
+          <ul style={{ paddingLeft: 16 }}>
+            {history.map((event) => (
+              <li key={event.id} style={{ marginBottom: 6 }}>
+                <div>
+                  <b>{event.action}</b> by {event.actor_name || "unknown"} ({event.source})
+                  {" - "}{new Date(event.created_at).toLocaleString()}
+                </div>
+                {event.reason && (
+                  <div style={{ fontSize: 12, color: "#444" }}>Reason: {event.reason}</div>
+                )}
+                {Object.entries(event.changes || {}).map(([field, change]) => (
+                  <div key={field} style={{ fontSize: 12, color: "#444" }}>
+                    {field}: {String(change.from ?? "-")} → {String(change.to ?? "-")}
+                  </div>
+                ))}
+              </li>
+            ))}
+          </ul>
         </div>
       )}
 
@@ -229,31 +571,13 @@ function App() {
       <div style={{ marginTop: 30 }}>
         <h3>Catalog Request (Submit)</h3>
 
-        <label>
-          Asset Name: <input name="asset_name" value={newAssetForm.asset_name || ""} onChange={(e) => handleInputChange(e, setNewAssetForm)} />
-        </label><br />
-
-        <label>
-          Manufacturer: <input name="manufacturer" value={newAssetForm.manufacturer || ""} onChange={(e) => handleInputChange(e, setNewAssetForm)} />
-        </label><br />
-
-        <label>
-          Model Number: <input name="model_number" value={newAssetForm.model_number || ""} onChange={(e) => handleInputChange(e, setNewAssetForm)} />
-        </label><br />
-
-        <label>
-          Serial Number: <input name="serial_number" value={newAssetForm.serial_number || ""} onChange={(e) => handleInputChange(e, setNewAssetForm)} />
-        </label><br />
-
-        <label>
-          Status:
-          <select name="status" value={newAssetForm.status || ""} onChange={(e) => handleInputChange(e, setNewAssetForm)}>
-            <option value="">-- Select Status --</option>
-            <option value="active">Active</option>
-            <option value="inactive">Inactive</option>
-            <option value="retired">Retired</option>
-          </select>
-        </label><br />
+        <AssetForm
+          schema={schema}
+          values={newAssetForm}
+          onChange={fieldSetter(setNewAssetForm)}
+          users={users}
+          organizations={organizations}
+        />
 
         <button onClick={handleAddNewAsset} style={{ marginTop: 10 }}>+ Add to Request</button>
 